@@ -0,0 +1,50 @@
+// routes/audit.js - Audit log endpoints (admin only, read only)
+const express = require('express');
+const router = express.Router();
+const { AUDIT_TARGET_TYPES, listAuditEntries } = require('../services/audit');
+const { requireRole } = require('../services/roles');
+
+router.use(requireRole('admin'));
+
+// GET /api/audit - Audit entries, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, serviceId, startDate, endDate, pageToken } = req.query;
+    const store = req.app.locals.store;
+
+    const limit = parseInt(req.query.limit || '50', 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit must be between 1 and 200' });
+    }
+
+    if (targetType && !AUDIT_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({
+        error: `targetType must be one of ${AUDIT_TARGET_TYPES.join(', ')}`
+      });
+    }
+
+    for (const [name, value] of Object.entries({ startDate, endDate })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `Invalid ${name}` });
+      }
+    }
+
+    const { entries, nextPageToken } = await listAuditEntries(store, {
+      actorId, action, targetType, targetId, serviceId, startDate, endDate, limit, pageToken
+    });
+
+    res.json({
+      entries,
+      count: entries.length,
+      nextPageToken
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
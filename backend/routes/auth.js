@@ -0,0 +1,60 @@
+// routes/auth.js - Authentication endpoints
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth } = require('../services/auth');
+const { attachRole, recordUser } = require('../services/roles');
+
+// GET /api/auth/config - Enabled sign-in methods, for the login page (public)
+router.get('/config', (req, res) => {
+  res.json(req.app.locals.auth.getPublicConfig());
+});
+
+// POST /api/auth/dev/login - Sign in with the fake identity provider (public, dev only)
+router.post('/dev/login', (req, res) => {
+  try {
+    const verifier = req.app.locals.auth.getVerifier('dev');
+    if (!verifier) {
+      return res.status(404).json({ error: 'The dev identity provider is not enabled' });
+    }
+
+    const { email, name } = req.body;
+    if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const { token, expiresAt } = verifier.issueToken({ email, name: name || email });
+    res.json({
+      token,
+      expiresAt,
+      user: { id: `dev:${email}`, subject: email, email, name: name || email, provider: 'dev' },
+    });
+  } catch (error) {
+    console.error('Error signing in with the dev identity provider:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/auth/me - Identity and role of the caller; the login page calls it
+// after signing in, which lists the user for role assignment
+router.get('/me', requireAuth, attachRole, async (req, res) => {
+  try {
+    await recordUser(req.app.locals.store, req.user);
+    res.json({ user: req.user });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/auth/stream-token - Short-lived token for GET /api/costs/runs/events
+router.post('/stream-token', requireAuth, (req, res) => {
+  try {
+    res.json(req.app.locals.auth.issueStreamToken(req.user));
+  } catch (error) {
+    console.error('Error issuing stream token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,28 @@
 // routes/backfill.js - Historical data backfill endpoints
 const express = require('express');
 const router = express.Router();
+const { getConnectionServiceId } = require('../services/connections');
+const { getCredentialMetadata } = require('../services/credential-store');
+const { getJob, listJobs, createJob, updateJob, deleteJob } = require('../services/job-store');
+const { requireRole } = require('../services/roles');
+const { safeRecordAudit } = require('../services/audit');
 
 // POST /api/backfill - Trigger historical data backfill
-router.post('/', async (req, res) => {
+router.post('/', requireRole('analyst'), async (req, res) => {
   try {
-    const { serviceId, startDate, endDate } = req.body;
-    const firestore = req.app.locals.firestore;
+    const { startDate, endDate } = req.body;
+    // Without a connectionId the provider's default connection is backfilled
+    const connectionId = req.body.connectionId || req.body.serviceId;
+    const store = req.app.locals.store;
 
-    if (!serviceId || !startDate || !endDate) {
+    if (!connectionId || !startDate || !endDate) {
       return res.status(400).json({
         error: 'serviceId, startDate, and endDate are required'
       });
     }
 
+    const serviceId = getConnectionServiceId(connectionId);
+
     // Validate dates
     const start = new Date(startDate);
     const end = new Date(endDate);
@@ -31,20 +40,22 @@ router.post('/', async (req, res) => {
     }
 
     // Check if credentials exist
-    const credDoc = await firestore.collection('credentials').doc(serviceId).get();
+    const metadata = await getCredentialMetadata(store, connectionId);
 
-    if (!credDoc.exists) {
+    if (!metadata) {
       return res.status(400).json({
         error: 'No credentials configured for this service',
-        serviceId
+        serviceId,
+        connectionId
       });
     }
 
     // Create backfill job
-    const jobId = `backfill-${serviceId}-${Date.now()}`;
+    const jobId = `backfill-${connectionId}-${Date.now()}`;
     const jobData = {
       jobId,
       serviceId,
+      connectionId,
       startDate: start.toISOString(),
       endDate: end.toISOString(),
       status: 'pending',
@@ -53,10 +64,20 @@ router.post('/', async (req, res) => {
       totalDays: Math.ceil((end - start) / (1000 * 60 * 60 * 24))
     };
 
-    await firestore.collection('backfill-jobs').doc(jobId).set(jobData);
+    await createJob(store, jobId, jobData);
 
-    // In a real implementation, this would trigger a background job
-    // For now, we just create the job record
+    await safeRecordAudit(req, {
+      action: 'backfill.create',
+      targetType: 'backfill',
+      targetId: jobId,
+      serviceId,
+      after: jobData
+    });
+
+    // The backfill worker claims pending jobs; nudge it so the job starts now
+    if (req.app.locals.backfillWorker) {
+      req.app.locals.backfillWorker.wake();
+    }
 
     res.json({
       success: true,
@@ -73,26 +94,9 @@ router.post('/', async (req, res) => {
 // GET /api/backfill/jobs - Get all backfill jobs
 router.get('/jobs', async (req, res) => {
   try {
-    const { serviceId, status } = req.query;
-    const firestore = req.app.locals.firestore;
-
-    let query = firestore.collection('backfill-jobs');
+    const { serviceId, connectionId, status } = req.query;
 
-    if (serviceId) {
-      query = query.where('serviceId', '==', serviceId);
-    }
-
-    if (status) {
-      query = query.where('status', '==', status);
-    }
-
-    query = query.orderBy('createdAt', 'desc').limit(50);
-
-    const snapshot = await query.get();
-    const jobs = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const jobs = await listJobs(req.app.locals.store, { serviceId, connectionId, status, limit: 50 });
 
     res.json({ jobs, count: jobs.length });
   } catch (error) {
@@ -105,11 +109,10 @@ router.get('/jobs', async (req, res) => {
 router.get('/jobs/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
-    const firestore = req.app.locals.firestore;
 
-    const doc = await firestore.collection('backfill-jobs').doc(jobId).get();
+    const job = await getJob(req.app.locals.store, jobId);
 
-    if (!doc.exists) {
+    if (!job) {
       return res.status(404).json({
         error: 'Backfill job not found',
         jobId
@@ -118,7 +121,7 @@ router.get('/jobs/:jobId', async (req, res) => {
 
     res.json({
       jobId,
-      ...doc.data()
+      ...job
     });
   } catch (error) {
     console.error('Error fetching backfill job:', error);
@@ -127,27 +130,35 @@ router.get('/jobs/:jobId', async (req, res) => {
 });
 
 // DELETE /api/backfill/jobs/:jobId - Cancel/delete backfill job
-router.delete('/jobs/:jobId', async (req, res) => {
+router.delete('/jobs/:jobId', requireRole('analyst'), async (req, res) => {
   try {
     const { jobId } = req.params;
-    const firestore = req.app.locals.firestore;
+    const store = req.app.locals.store;
 
-    const doc = await firestore.collection('backfill-jobs').doc(jobId).get();
+    const job = await getJob(store, jobId);
 
-    if (!doc.exists) {
+    if (!job) {
       return res.status(404).json({
         error: 'Backfill job not found',
         jobId
       });
     }
 
-    const job = doc.data();
-
     if (job.status === 'running') {
       // Mark as cancelled instead of deleting
-      await firestore.collection('backfill-jobs').doc(jobId).update({
+      const cancellation = {
         status: 'cancelled',
         cancelledAt: new Date().toISOString()
+      };
+      await updateJob(store, jobId, cancellation);
+
+      await safeRecordAudit(req, {
+        action: 'backfill.cancel',
+        targetType: 'backfill',
+        targetId: jobId,
+        serviceId: job.serviceId,
+        before: job,
+        after: { ...job, ...cancellation }
       });
 
       res.json({
@@ -157,7 +168,15 @@ router.delete('/jobs/:jobId', async (req, res) => {
       });
     } else {
       // Delete if not running
-      await firestore.collection('backfill-jobs').doc(jobId).delete();
+      await deleteJob(store, jobId);
+
+      await safeRecordAudit(req, {
+        action: 'backfill.delete',
+        targetType: 'backfill',
+        targetId: jobId,
+        serviceId: job.serviceId,
+        before: job
+      });
 
       res.json({
         success: true,
@@ -1,26 +1,27 @@
 // routes/budgets.js - Budget and alert management endpoints
 const express = require('express');
 const router = express.Router();
+const { getCollector } = require('../services/collector-registry');
+const { loadConnectionCredentials } = require('../services/credential-store');
+const { listConnections } = require('../services/connections');
 
 // GET /api/budgets - Get all budgets across all services
 router.get('/', async (req, res) => {
   try {
-    const firestore = req.app.locals.firestore;
+    const store = req.app.locals.store;
 
-    // Get all configured services with credentials
-    const credSnapshot = await firestore.collection('credentials').get();
+    // Get all configured connections
+    const connections = await listConnections(store);
     const allBudgets = [];
 
-    for (const credDoc of credSnapshot.docs) {
-      const serviceId = credDoc.id;
-
+    for (const connection of connections) {
       try {
-        // Fetch budgets for this service
-        const budgets = await fetchBudgetsForService(serviceId, req.app.locals);
+        // Fetch budgets for this connection
+        const budgets = await fetchBudgetsForConnection(connection, req.app.locals);
         allBudgets.push(...budgets);
       } catch (error) {
-        console.error(`Error fetching budgets for ${serviceId}:`, error);
-        // Continue with other services even if one fails
+        console.error(`Error fetching budgets for ${connection.connectionId}:`, error);
+        // Continue with other connections even if one fails
       }
     }
 
@@ -34,11 +35,18 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/budgets/:serviceId - Get budgets for a specific service
+// GET /api/budgets/:serviceId - Get budgets for all connections of a service
 router.get('/:serviceId', async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const budgets = await fetchBudgetsForService(serviceId, req.app.locals);
+    const { connectionId } = req.query;
+    const connections = (await listConnections(req.app.locals.store, serviceId))
+      .filter(connection => !connectionId || connection.connectionId === connectionId);
+
+    const budgets = [];
+    for (const connection of connections) {
+      budgets.push(...await fetchBudgetsForConnection(connection, req.app.locals));
+    }
 
     res.json({
       serviceId,
@@ -52,168 +60,26 @@ router.get('/:serviceId', async (req, res) => {
 });
 
 /**
- * Fetch budgets for a specific service
+ * Fetch budgets for a connection, tagged with the connection they came from
  */
-async function fetchBudgetsForService(serviceId, appLocals) {
-  const { firestore, secretManager, projectId } = appLocals;
-
-  // Check if credentials exist
-  const credDoc = await firestore.collection('credentials').doc(serviceId).get();
-  if (!credDoc.exists) {
+async function fetchBudgetsForConnection(connection, appLocals) {
+  const collector = getCollector(connection.serviceId);
+  if (!collector || !collector.capabilities.budgets) {
     return [];
   }
 
-  const credData = credDoc.data();
-
-  if (serviceId === 'aws') {
-    return fetchAWSBudgets(credData, secretManager, projectId);
-  } else if (serviceId === 'gcp') {
-    return fetchGCPBudgets(credData, secretManager, projectId);
-  }
-
-  return [];
-}
-
-/**
- * Fetch AWS budgets using AWS Budgets API
- */
-async function fetchAWSBudgets(credData, secretManager, projectId) {
-  const { BudgetsClient, DescribeBudgetsCommand } = require('@aws-sdk/client-budgets');
-
-  // Get AWS credentials from Secret Manager
-  const { secretName } = credData;
-  const [version] = await secretManager.accessSecretVersion({
-    name: `projects/${projectId}/secrets/${secretName}/versions/latest`
-  });
-  const credentials = JSON.parse(version.payload.data.toString('utf8'));
-
-  const client = new BudgetsClient({
-    region: credentials.region || 'us-east-1',
-    credentials: {
-      accessKeyId: credentials.accessKeyId,
-      secretAccessKey: credentials.secretAccessKey,
-    },
-  });
-
-  // AWS requires account ID for budgets
-  // We'll need to get it using STS
-  const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
-  const stsClient = new STSClient({
-    region: credentials.region || 'us-east-1',
-    credentials: {
-      accessKeyId: credentials.accessKeyId,
-      secretAccessKey: credentials.secretAccessKey,
-    },
-  });
-
-  const identity = await stsClient.send(new GetCallerIdentityCommand({}));
-  const accountId = identity.Account;
-
-  const command = new DescribeBudgetsCommand({
-    AccountId: accountId,
-  });
-
-  const response = await client.send(command);
-  const budgets = [];
-
-  if (response.Budgets) {
-    for (const budget of response.Budgets) {
-      const thresholds = [];
-
-      // Extract notification thresholds
-      if (budget.NotificationsWithSubscribers) {
-        for (const notif of budget.NotificationsWithSubscribers) {
-          thresholds.push({
-            threshold: notif.Notification.Threshold,
-            thresholdType: notif.Notification.ThresholdType,
-            comparisonOperator: notif.Notification.ComparisonOperator,
-            notificationType: notif.Notification.NotificationType,
-            subscribers: notif.Subscribers.map(sub => ({
-              type: sub.SubscriptionType,
-              address: sub.Address
-            }))
-          });
-        }
-      }
-
-      budgets.push({
-        serviceId: 'aws',
-        budgetName: budget.BudgetName,
-        budgetLimit: {
-          amount: parseFloat(budget.BudgetLimit?.Amount || 0),
-          currency: budget.BudgetLimit?.Unit || 'USD'
-        },
-        timeUnit: budget.TimeUnit,
-        budgetType: budget.BudgetType,
-        calculatedSpend: {
-          actualSpend: parseFloat(budget.CalculatedSpend?.ActualSpend?.Amount || 0),
-          forecastedSpend: parseFloat(budget.CalculatedSpend?.ForecastedSpend?.Amount || 0)
-        },
-        thresholds,
-        timePeriod: {
-          start: budget.TimePeriod?.Start,
-          end: budget.TimePeriod?.End
-        }
-      });
-    }
-  }
-
-  return budgets;
-}
-
-/**
- * Fetch GCP budgets using Cloud Billing Budget API
- */
-async function fetchGCPBudgets(credData, secretManager, projectId) {
-  const { BudgetServiceClient } = require('@google-cloud/billing-budgets');
-
-  // Get GCP credentials from Secret Manager
-  const { secretName, billingAccountId } = credData;
-  const [version] = await secretManager.accessSecretVersion({
-    name: `projects/${projectId}/secrets/${secretName}/versions/latest`
-  });
-  const credentials = JSON.parse(version.payload.data.toString('utf8'));
-
-  const client = new BudgetServiceClient({
-    credentials,
-  });
-
-  const [budgetsList] = await client.listBudgets({
-    parent: `billingAccounts/${billingAccountId}`,
-  });
-
-  const budgets = [];
-
-  for (const budget of budgetsList) {
-    const amount = budget.amount?.specifiedAmount
-      ? {
-          amount: parseFloat(budget.amount.specifiedAmount.units || 0),
-          currency: budget.amount.specifiedAmount.currencyCode || 'USD'
-        }
-      : null;
-
-    const thresholds = (budget.thresholdRules || []).map(rule => ({
-      threshold: rule.thresholdPercent * 100, // Convert to percentage
-      spendBasis: rule.spendBasis
-    }));
-
-    // Extract notification channels
-    const notificationChannels = budget.notificationsRule?.monitoringNotificationChannels || [];
-
-    budgets.push({
-      serviceId: 'gcp',
-      budgetName: budget.displayName || 'Unnamed Budget',
-      budgetLimit: amount,
-      calendarPeriod: budget.budgetFilter?.calendarPeriod,
-      thresholds,
-      notificationChannels,
-      disableDefaultIamRecipients: budget.notificationsRule?.disableDefaultIamRecipients || false,
-      pubsubTopic: budget.notificationsRule?.pubsubTopic,
-      schemaVersion: budget.notificationsRule?.schemaVersion
-    });
+  const stored = await loadConnectionCredentials(appLocals, connection.connectionId);
+  if (!stored) {
+    return [];
   }
 
-  return budgets;
+  const { metadata, credentials } = stored;
+  const budgets = await collector.fetchBudgets(credentials, metadata);
+  return budgets.map(budget => ({
+    ...budget,
+    connectionId: connection.connectionId,
+    connectionName: connection.name,
+  }));
 }
 
 module.exports = router;
@@ -0,0 +1,86 @@
+// routes/commitments.js - Savings Plans and reservation coverage and utilization
+const express = require('express');
+const router = express.Router();
+const { getCollector } = require('../services/collector-registry');
+const { listCommitments } = require('../services/commitment-store');
+
+/**
+ * Percentage of a part of a total, null without a total
+ */
+function toPercentage(part, total) {
+  return total > 0 ? (part / total) * 100 : null;
+}
+
+/**
+ * Totals over a period of daily entries. Utilization and coverage are
+ * weighted by commitment and usage rather than averaged over days.
+ */
+function summarizeCommitments(commitments) {
+  const totals = {
+    unusedCommitment: 0,
+    savingsPlans: { totalCommitment: 0, unusedCommitment: 0, coveredCost: 0, onDemandCost: 0, netSavings: 0 },
+    reservations: { purchasedHours: 0, unusedHours: 0, unusedCommitment: 0, reservedHours: 0, onDemandHours: 0, netSavings: 0 },
+  };
+
+  for (const entry of commitments) {
+    totals.unusedCommitment += entry.unusedCommitment || 0;
+    for (const kind of ['savingsPlans', 'reservations']) {
+      if (entry[kind]) {
+        for (const field of Object.keys(totals[kind])) {
+          totals[kind][field] += entry[kind][field] || 0;
+        }
+      }
+    }
+  }
+
+  const { savingsPlans, reservations } = totals;
+  return {
+    unusedCommitment: totals.unusedCommitment,
+    savingsPlans: {
+      ...savingsPlans,
+      utilizationPercentage: toPercentage(savingsPlans.totalCommitment - savingsPlans.unusedCommitment, savingsPlans.totalCommitment),
+      coveragePercentage: toPercentage(savingsPlans.coveredCost, savingsPlans.coveredCost + savingsPlans.onDemandCost),
+    },
+    reservations: {
+      ...reservations,
+      utilizationPercentage: toPercentage(reservations.purchasedHours - reservations.unusedHours, reservations.purchasedHours),
+      coveragePercentage: toPercentage(reservations.reservedHours, reservations.reservedHours + reservations.onDemandHours),
+    },
+    currency: commitments.length > 0 ? commitments[0].currency : 'USD',
+  };
+}
+
+// GET /api/commitments/:serviceId - Daily commitment coverage and utilization
+router.get('/:serviceId', async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { connectionId, startDate, endDate } = req.query;
+
+    const collector = getCollector(serviceId);
+    if (!collector) {
+      return res.status(404).json({ error: 'Service not found', serviceId });
+    }
+    if (!collector.capabilities.commitments) {
+      return res.status(400).json({ error: `${collector.name} has no commitments to report`, serviceId });
+    }
+
+    const commitments = await listCommitments(req.app.locals.store, {
+      serviceId,
+      connectionId,
+      startDate: startDate && new Date(startDate).toISOString(),
+      endDate: endDate && new Date(endDate).toISOString()
+    });
+
+    res.json({
+      serviceId,
+      commitments,
+      count: commitments.length,
+      summary: summarizeCommitments(commitments)
+    });
+  } catch (error) {
+    console.error(`Error fetching commitments for ${req.params.serviceId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,43 +1,49 @@
 // routes/costs.js - Cost data endpoints
 const express = require('express');
 const router = express.Router();
-const { collectCurrentMonthCosts: collectAWSCosts, getAWSBudgets } = require('../services/aws-collector');
-const { collectCurrentMonthCosts: collectGCPCosts } = require('../services/gcp-collector');
-const { collectCurrentMonthCosts: collectGoogleWorkspaceCosts } = require('../services/google-workspace-collector');
-const { collectCurrentMonthCosts: collectAtlassianCosts } = require('../services/atlassian-collector');
-const { collectCurrentMonthCosts: collectChatGPTCosts } = require('../services/chatgpt-collector');
-const { collectCurrentMonthCosts: collectCohereCosts } = require('../services/cohere-collector');
-const { collectCurrentMonthCosts: collectAnthropicCosts } = require('../services/anthropic-collector');
+const { getConnectionServiceId, getCostConnectionId, listConnections } = require('../services/connections');
+const { listRuns, getRun, getLatestRunStatus } = require('../services/run-history');
+const { COST_GRANULARITIES, listCosts, getLatestCost, getCost, deleteCost } = require('../services/cost-store');
+const { listLegacyStatuses } = require('../services/status-store');
+const { getLatestForecasts } = require('../services/forecast-store');
+const { requireRole } = require('../services/roles');
+const { safeRecordAudit } = require('../services/audit');
 
-// GET /api/costs - Get cost data with optional filters
-router.get('/', async (req, res) => {
-  try {
-    const { serviceId, startDate, endDate, limit = 100 } = req.query;
-    const firestore = req.app.locals.firestore;
+const SSE_HEARTBEAT_MS = 15000;
 
-    let query = firestore.collection('costs');
+// Periods before the latest one its cost is compared with, and how far back
+// hourly costs are read for it
+const ANOMALY_PERIODS = { day: 7, hour: 24 };
+const HOURLY_ANOMALY_LOOKBACK_MS = 48 * 60 * 60 * 1000;
 
-    // Apply filters
-    if (serviceId) {
-      query = query.where('serviceId', '==', serviceId);
-    }
+const INVALID_GRANULARITY = `Invalid granularity. Must be: ${COST_GRANULARITIES.join(' or ')}`;
 
-    if (startDate) {
-      query = query.where('timestamp', '>=', new Date(startDate).toISOString());
-    }
+// GET /api/costs - Get cost data with optional filters
+router.get('/', async (req, res) => {
+  try {
+    const { connectionId, startDate, endDate, limit = 100, granularity = 'day' } = req.query;
+    const serviceId = req.query.serviceId || (connectionId && getConnectionServiceId(connectionId));
+    const store = req.app.locals.store;
 
-    if (endDate) {
-      query = query.where('timestamp', '<=', new Date(endDate).toISOString());
+    if (!COST_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: INVALID_GRANULARITY });
     }
 
-    // Order by timestamp descending and limit
-    query = query.orderBy('timestamp', 'desc').limit(parseInt(limit));
+    // Newest first. Records of the default connection may predate the
+    // connectionId field, so connections are filtered here rather than in
+    // the query.
+    const records = await listCosts(store, {
+      serviceId,
+      startDate: startDate && new Date(startDate).toISOString(),
+      endDate: endDate && new Date(endDate).toISOString(),
+      limit: connectionId ? undefined : parseInt(limit),
+      granularity
+    });
 
-    const snapshot = await query.get();
-    const costs = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const costs = records
+      .filter(cost => !connectionId || getCostConnectionId(cost) === connectionId)
+      .slice(0, parseInt(limit))
+      .map(cost => ({ ...cost, connectionId: getCostConnectionId(cost) }));
 
     res.json({ costs, count: costs.length });
   } catch (error) {
@@ -46,54 +52,88 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/costs/summary - Get cost summary by service
+// GET /api/costs/summary - Get cost summary by service or by connection
 router.get('/summary', async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-    const firestore = req.app.locals.firestore;
-
-    let query = firestore.collection('costs');
+    const { startDate, endDate, groupBy = 'service' } = req.query;
+    const store = req.app.locals.store;
 
-    if (startDate) {
-      query = query.where('timestamp', '>=', new Date(startDate).toISOString());
+    if (!['service', 'connection'].includes(groupBy)) {
+      return res.status(400).json({ error: 'Invalid groupBy. Must be: service or connection' });
     }
 
-    if (endDate) {
-      query = query.where('timestamp', '<=', new Date(endDate).toISOString());
-    }
+    const costs = await listCosts(store, {
+      startDate: startDate && new Date(startDate).toISOString(),
+      endDate: endDate && new Date(endDate).toISOString()
+    });
 
-    const snapshot = await query.get();
+    // Connection names for the per-connection breakdown
+    const connectionNames = {};
+    for (const connection of await listConnections(store)) {
+      connectionNames[connection.connectionId] = connection.name;
+    }
 
-    // Aggregate by service
-    const summaryByService = {};
+    // Aggregate by service (with a per-connection breakdown) or by connection
+    const summary = {};
     let totalCost = 0;
+    let grossCost = 0;
     let lastUpdated = null;
 
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      const serviceId = data.serviceId;
+    // Gross spend leaves out credits and refunds; records without a charge
+    // split count their total as gross
+    const getGrossCost = data => (typeof data.grossCost === 'number' ? data.grossCost : data.totalCost || 0);
 
-      if (!summaryByService[serviceId]) {
-        summaryByService[serviceId] = {
-          totalCost: 0,
-          count: 0,
-          currency: data.currency || 'USD',
-          firstTimestamp: data.timestamp,
-          lastTimestamp: data.timestamp
-        };
+    const addCost = (entry, data) => {
+      entry.totalCost += data.totalCost || 0;
+      entry.grossCost += getGrossCost(data);
+      entry.count += 1;
+      if (data.timestamp < entry.firstTimestamp) {
+        entry.firstTimestamp = data.timestamp;
+      }
+      if (data.timestamp > entry.lastTimestamp) {
+        entry.lastTimestamp = data.timestamp;
       }
+    };
+
+    const newEntry = (data, fields) => ({
+      ...fields,
+      totalCost: 0,
+      grossCost: 0,
+      count: 0,
+      currency: data.currency || 'USD',
+      firstTimestamp: data.timestamp,
+      lastTimestamp: data.timestamp
+    });
 
-      summaryByService[serviceId].totalCost += data.totalCost || 0;
-      summaryByService[serviceId].count += 1;
-      totalCost += data.totalCost || 0;
+    costs.forEach(data => {
+      const serviceId = data.serviceId;
+      const connectionId = getCostConnectionId(data);
+      const connectionFields = {
+        serviceId,
+        connectionId,
+        name: connectionNames[connectionId] || connectionId
+      };
 
-      if (data.timestamp < summaryByService[serviceId].firstTimestamp) {
-        summaryByService[serviceId].firstTimestamp = data.timestamp;
-      }
-      if (data.timestamp > summaryByService[serviceId].lastTimestamp) {
-        summaryByService[serviceId].lastTimestamp = data.timestamp;
+      if (groupBy === 'connection') {
+        if (!summary[connectionId]) {
+          summary[connectionId] = newEntry(data, connectionFields);
+        }
+        addCost(summary[connectionId], data);
+      } else {
+        if (!summary[serviceId]) {
+          summary[serviceId] = newEntry(data, { connections: {} });
+        }
+        const connections = summary[serviceId].connections;
+        if (!connections[connectionId]) {
+          connections[connectionId] = newEntry(data, connectionFields);
+        }
+        addCost(summary[serviceId], data);
+        addCost(connections[connectionId], data);
       }
 
+      totalCost += data.totalCost || 0;
+      grossCost += getGrossCost(data);
+
       // Track overall last updated timestamp
       if (!lastUpdated || data.timestamp > lastUpdated) {
         lastUpdated = data.timestamp;
@@ -101,8 +141,10 @@ router.get('/summary', async (req, res) => {
     });
 
     res.json({
-      summary: summaryByService,
+      summary,
+      groupBy,
       totalCost,
+      grossCost,
       lastUpdated
     });
   } catch (error) {
@@ -115,32 +157,63 @@ router.get('/summary', async (req, res) => {
 router.get('/:serviceId/resources', async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const { startDate, endDate, tags } = req.query;
-    const firestore = req.app.locals.firestore;
+    const { connectionId, startDate, endDate, tags, accountId, tagKey, granularity = 'day' } = req.query;
 
-    let query = firestore.collection('costs')
-      .where('serviceId', '==', serviceId);
-
-    if (startDate) {
-      query = query.where('timestamp', '>=', new Date(startDate).toISOString());
+    if (!COST_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: INVALID_GRANULARITY });
     }
 
-    if (endDate) {
-      query = query.where('timestamp', '<=', new Date(endDate).toISOString());
+    let tagFilter = null;
+    if (tags) {
+      try {
+        tagFilter = JSON.parse(tags);
+      } catch (error) {
+        return res.status(400).json({ error: 'tags must be a JSON object of tag filters' });
+      }
     }
 
-    const snapshot = await query.get();
+    // A filter on one tag picks that tag's split of AWS spend, like tagKey
+    const filterKeys = tagFilter ? Object.keys(tagFilter) : [];
+    const splitKey = tagKey || (filterKeys.length === 1 ? filterKeys[0] : null);
 
-    // Aggregate resources
+    const costs = await listCosts(req.app.locals.store, {
+      serviceId,
+      startDate: startDate && new Date(startDate).toISOString(),
+      endDate: endDate && new Date(endDate).toISOString(),
+      granularity
+    });
+
+    // Aggregate resources, and spend per account for drilling down
     const resourcesMap = {};
+    const accountsMap = {};
+    const tagKeys = new Set();
+    let unsplitFilter = false;
 
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      if (data.resources && Array.isArray(data.resources)) {
-        data.resources.forEach(resource => {
+    costs.forEach(data => {
+      if (connectionId && getCostConnectionId(data) !== connectionId) {
+        return;
+      }
+      // AWS records also split their spend by each cost allocation tag, kept
+      // apart from the resources as every split covers the same spend
+      Object.entries(data.tagResources || {})
+        .filter(([, rows]) => rows)
+        .forEach(([key]) => tagKeys.add(key));
+
+      // Cost Explorer service rows carry no tags, and each split only
+      // carries its own tag, so tags can only be filtered one at a time
+      const tagsSplitApart = data.metadata && data.metadata.source === 'AWS Cost Explorer';
+      if (tagsSplitApart && filterKeys.some(key => key !== splitKey)) {
+        unsplitFilter = true;
+        return;
+      }
+
+      const split = splitKey && data.tagResources && data.tagResources[splitKey];
+      const rows = split || (tagsSplitApart && tagFilter ? [] : data.resources);
+
+      if (rows && Array.isArray(rows)) {
+        rows.forEach(resource => {
           // Filter by tags if provided
-          if (tags) {
-            const tagFilter = JSON.parse(tags);
+          if (tagFilter) {
             const resourceTags = resource.tags || {};
             const matches = Object.keys(tagFilter).every(
               key => resourceTags[key] === tagFilter[key]
@@ -148,11 +221,35 @@ router.get('/:serviceId/resources', async (req, res) => {
             if (!matches) return;
           }
 
-          const resourceKey = resource.resourceId || resource.name;
+          // Resources of AWS member accounts carry the account they belong to
+          const account = resource.account || null;
+          if (account) {
+            if (!accountsMap[account.id] || data.timestamp > accountsMap[account.id].lastTimestamp) {
+              accountsMap[account.id] = {
+                ...account,
+                totalCost: accountsMap[account.id] ? accountsMap[account.id].totalCost : 0,
+                lastTimestamp: data.timestamp
+              };
+            }
+            accountsMap[account.id].totalCost += resource.cost || 0;
+          }
+
+          if (accountId && (!account || account.id !== accountId)) {
+            return;
+          }
+
+          // The same service in two accounts, or with two values of the
+          // tag broken down by, is reported separately
+          const resourceId = resource.resourceId || resource.name;
+          let resourceKey = account ? `${account.id}/${resourceId}` : resourceId;
+          if (tagKey && resource.tags && resource.tags[tagKey] !== undefined) {
+            resourceKey += `#${resource.tags[tagKey]}`;
+          }
           if (!resourcesMap[resourceKey]) {
             resourcesMap[resourceKey] = {
-              resourceId: resourceKey,
+              resourceId,
               resourceType: resource.type,
+              account,
               totalCost: 0,
               tags: resource.tags || {},
               dataPoints: []
@@ -168,189 +265,170 @@ router.get('/:serviceId/resources', async (req, res) => {
       }
     });
 
+    if (unsplitFilter) {
+      return res.status(400).json({
+        error: 'AWS Cost Explorer spend is split by one cost allocation tag at a time; filter on a single tag, and on tagKey when it is set'
+      });
+    }
+
     const resources = Object.values(resourcesMap);
+    const accounts = Object.values(accountsMap)
+      .map(({ lastTimestamp, ...account }) => account)
+      .sort((a, b) => b.totalCost - a.totalCost);
 
-    res.json({ resources, count: resources.length });
+    res.json({ resources, count: resources.length, accounts, tagKeys: Array.from(tagKeys).sort() });
   } catch (error) {
     console.error('Error fetching resource costs:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/costs/collect - Trigger manual cost collection
-router.post('/collect', async (req, res) => {
-  try {
-    const { serviceId } = req.body;
-    const firestore = req.app.locals.firestore;
-    const secretManager = req.app.locals.secretManager;
-    const projectId = req.app.locals.projectId;
+// POST /api/costs/collect - Queue a cost collection for a connection.
+// Returns 202 with the run ID; progress is streamed by GET /api/costs/runs/events
+router.post('/collect', requireRole('analyst'), async (req, res) => {
+  const { serviceId } = req.body;
+  // Without a connectionId the provider's default connection is collected
+  const connectionId = req.body.connectionId || serviceId;
 
-    if (!serviceId) {
-      return res.status(400).json({ error: 'serviceId is required' });
-    }
-
-    // Check if credentials exist
-    const credDoc = await firestore.collection('credentials').doc(serviceId).get();
+  if (!connectionId) {
+    return res.status(400).json({ error: 'serviceId or connectionId is required' });
+  }
 
-    if (!credDoc.exists) {
-      return res.status(400).json({
-        error: 'No credentials configured for this service',
-        serviceId
+  try {
+    const { done, ...run } = await req.app.locals.collectionQueue.enqueue(connectionId, { trigger: 'manual' });
+
+    if (!run.alreadyQueued) {
+      await safeRecordAudit(req, {
+        action: 'collection.trigger',
+        targetType: 'collection',
+        targetId: connectionId,
+        serviceId: run.serviceId,
+        details: { runId: run.runId }
       });
     }
 
-    // Get credentials from Secret Manager
-    const credData = credDoc.data();
-    const { secretName, billingAccountId, accountId } = credData;
-    const [version] = await secretManager.accessSecretVersion({
-      name: `projects/${projectId}/secrets/${secretName}/versions/latest`
+    res.status(202).json({
+      success: true,
+      message: run.alreadyQueued ? 'Cost collection already in progress' : 'Cost collection queued',
+      ...run
     });
-    const credentials = JSON.parse(version.payload.data.toString('utf8'));
-
-    // Collect costs based on service type
-    let result;
-    if (serviceId === 'aws') {
-      // Add accountId to credentials if it exists in metadata
-      if (accountId) {
-        credentials.accountId = accountId;
-      }
-      result = await collectAWSCosts(credentials);
-    } else if (serviceId === 'gcp') {
-      if (!billingAccountId) {
-        return res.status(400).json({
-          error: 'GCP billing account ID not configured',
-          serviceId
-        });
-      }
-      result = await collectGCPCosts(credentials, billingAccountId);
-    } else if (serviceId === 'google-workspace') {
-      const { customerId, adminEmail } = credData;
-      if (!customerId || !adminEmail) {
-        return res.status(400).json({
-          error: 'Google Workspace Customer ID or Admin Email not configured',
-          serviceId
-        });
-      }
-      result = await collectGoogleWorkspaceCosts(credentials, customerId, adminEmail);
-    } else if (serviceId === 'atlassian') {
-      result = await collectAtlassianCosts(credentials);
-    } else if (serviceId === 'chatgpt') {
-      result = await collectChatGPTCosts(credentials);
-    } else if (serviceId === 'cohere') {
-      result = await collectCohereCosts(credentials);
-    } else if (serviceId === 'anthropic') {
-      result = await collectAnthropicCosts(credentials);
-    } else {
-      return res.status(400).json({
-        error: `Cost collection not implemented for ${serviceId}`,
-        serviceId
-      });
+  } catch (error) {
+    console.error('Error queueing cost collection:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, serviceId, connectionId, runId: error.runId });
     }
+    res.status(500).json({ error: error.message, runId: error.runId });
+  }
+});
 
-    // Store costs in Firestore with deduplication
-    // Use composite key: serviceId + date to prevent duplicates
+// GET /api/costs/runs - Collection run history, newest first
+router.get('/runs', async (req, res) => {
+  try {
+    const { serviceId, connectionId, pageToken } = req.query;
+    const store = req.app.locals.store;
 
-    // First, check which records already exist (efficient batch check)
-    const existingDocIds = new Set();
-    const docIdsToCheck = result.costs.map(cost => {
-      const date = cost.timestamp.split('T')[0];
-      return `${serviceId}_${date}`;
-    });
+    const limit = parseInt(req.query.limit || '20', 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be between 1 and 100' });
+    }
 
-    // Batch get existing documents
-    const existingDocs = await firestore.getAll(
-      ...docIdsToCheck.map(id => firestore.collection('costs').doc(id))
-    );
-    existingDocs.forEach(doc => {
-      if (doc.exists) {
-        existingDocIds.add(doc.id);
-      }
+    const { runs, nextPageToken } = await listRuns(store, { serviceId, connectionId, limit, pageToken });
+
+    res.json({
+      runs,
+      count: runs.length,
+      nextPageToken
     });
+  } catch (error) {
+    console.error('Error fetching collection runs:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Now batch write/update
-    const batch = firestore.batch();
-    let newRecords = 0;
-    let updatedRecords = 0;
-
-    for (const cost of result.costs) {
-      // Extract date from timestamp (YYYY-MM-DD)
-      const date = cost.timestamp.split('T')[0];
-      const docId = `${serviceId}_${date}`;
-      const docRef = firestore.collection('costs').doc(docId);
-
-      if (existingDocIds.has(docId)) {
-        // Update existing record (keeps most recent data)
-        batch.update(docRef, {
-          ...cost,
-          updatedAt: new Date().toISOString()
-        });
-        updatedRecords++;
-      } else {
-        // Create new record
-        batch.set(docRef, {
-          ...cost,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        });
-        newRecords++;
-      }
+// GET /api/costs/runs/events - Server-Sent Events stream of collection progress.
+// Sends the current state of queued, running and recently finished runs first.
+router.get('/runs/events', (req, res) => {
+  const { serviceId, connectionId, runId } = req.query;
+  const queue = req.app.locals.collectionQueue;
+
+  const matches = (event) =>
+    (!serviceId || event.serviceId === serviceId) &&
+    (!connectionId || event.connectionId === connectionId) &&
+    (!runId || event.runId === runId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (matches(event)) {
+      res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
     }
+  };
 
-    await batch.commit();
-    console.log(`[${serviceId}] Deduplication: ${newRecords} new, ${updatedRecords} updated`);
+  queue.getRuns().forEach(send);
+  const unsubscribe = queue.subscribe(send);
 
-    // Record successful collection status
-    const collectionTime = new Date().toISOString();
-    await firestore.collection('collection_status').doc(serviceId).set({
-      serviceId,
-      status: 'success',
-      lastRun: collectionTime,
-      costsCollected: result.count,
-      warning: result.warning || null,
-      error: null
-    });
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
 
-    res.json({
-      success: true,
-      message: 'Cost collection completed',
-      serviceId,
-      costsCollected: result.count,
-      newRecords,
-      updatedRecords,
-      timestamp: collectionTime,
-      warning: result.warning
-    });
-  } catch (error) {
-    console.error('Error triggering cost collection:', error);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
-    // Record failed collection status
-    try {
-      await firestore.collection('collection_status').doc(serviceId).set({
-        serviceId,
-        status: 'error',
-        lastRun: new Date().toISOString(),
-        costsCollected: 0,
-        warning: null,
-        error: error.message
-      });
-    } catch (statusError) {
-      console.error('Failed to record error status:', statusError);
+// GET /api/costs/runs/:runId - Get a single collection run
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const run = await getRun(req.app.locals.store, runId);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found', runId });
     }
 
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching collection run:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/costs/status - Get collection status for all services
+// GET /api/costs/status - Get collection status for all connections, keyed by connectionId.
+// Each status is a view of the connection's latest finished run.
 router.get('/status/all', async (req, res) => {
   try {
-    const firestore = req.app.locals.firestore;
-    const snapshot = await firestore.collection('collection_status').get();
+    const store = req.app.locals.store;
+    const [connections, legacyStatuses] = await Promise.all([
+      listConnections(store),
+      listLegacyStatuses(store)
+    ]);
 
+    // Statuses written before run history existed, for connections without runs yet
     const statuses = {};
-    snapshot.forEach(doc => {
-      statuses[doc.id] = doc.data();
-    });
+    for (const [connectionId, status] of Object.entries(legacyStatuses)) {
+      statuses[connectionId] = {
+        serviceId: getConnectionServiceId(connectionId),
+        connectionId,
+        ...status
+      };
+    }
+
+    const latest = await Promise.all(
+      connections.map(connection => getLatestRunStatus(store, connection.connectionId))
+    );
+    for (const status of latest.filter(Boolean)) {
+      statuses[status.connectionId] = status;
+    }
 
     res.json({ statuses });
   } catch (error) {
@@ -360,12 +438,24 @@ router.get('/status/all', async (req, res) => {
 });
 
 // DELETE /api/costs/:costId - Delete a cost entry
-router.delete('/:costId', async (req, res) => {
+router.delete('/:costId', requireRole('admin'), async (req, res) => {
   try {
     const { costId} = req.params;
-    const firestore = req.app.locals.firestore;
+    const store = req.app.locals.store;
+
+    const cost = await getCost(store, costId);
 
-    await firestore.collection('costs').doc(costId).delete();
+    await deleteCost(store, costId);
+
+    if (cost) {
+      await safeRecordAudit(req, {
+        action: 'cost.delete',
+        targetType: 'cost',
+        targetId: costId,
+        serviceId: cost.serviceId || null,
+        before: cost
+      });
+    }
 
     res.json({
       success: true,
@@ -382,24 +472,28 @@ router.delete('/:costId', async (req, res) => {
 router.get('/:serviceId/budgets', async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
-
-    // Get most recent cost entry for this service
-    const snapshot = await firestore.collection('costs')
-      .where('serviceId', '==', serviceId)
-      .orderBy('timestamp', 'desc')
-      .limit(1)
-      .get();
-
-    if (snapshot.empty) {
-      return res.json({ budgets: [], forecast: null });
+    const connectionId = req.query.connectionId || serviceId;
+
+    // Get most recent cost entry for this connection (the default one unless specified)
+    const [costData, [latestForecast]] = await Promise.all([
+      getLatestCost(req.app.locals.store, serviceId, connectionId),
+      getLatestForecasts(req.app.locals.store, { serviceId, connectionId })
+    ]);
+
+    // The month's forecast; records collected before forecasts were stored
+    // on their own carry it
+    const monthForecast = latestForecast && latestForecast.periods.month;
+    const forecast = monthForecast
+      ? { forecastedAmount: monthForecast.mean, currency: latestForecast.currency }
+      : (costData && costData.forecast) || null;
+
+    if (!costData) {
+      return res.json({ budgets: [], forecast });
     }
 
-    const costData = snapshot.docs[0].data();
-
     res.json({
       budgets: costData.budgets || [],
-      forecast: costData.forecast || null,
+      forecast,
       count: (costData.budgets || []).length
     });
   } catch (error) {
@@ -411,29 +505,30 @@ router.get('/:serviceId/budgets', async (req, res) => {
 // GET /api/costs/anomalies - Detect cost anomalies
 router.get('/anomalies', async (req, res) => {
   try {
-    const { serviceId, threshold = 50 } = req.query; // threshold is % increase
-    const firestore = req.app.locals.firestore;
+    const { serviceId, threshold = 50, granularity = 'day' } = req.query; // threshold is % increase
 
-    let query = firestore.collection('costs');
-    if (serviceId) {
-      query = query.where('serviceId', '==', serviceId);
+    if (!COST_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: INVALID_GRANULARITY });
     }
 
-    query = query.orderBy('timestamp', 'desc').limit(60); // Last 60 days
-    const snapshot = await query.get();
+    // Last 60 days, or the hours of the last two days
+    const costs = await listCosts(req.app.locals.store, granularity === 'hour'
+      ? { serviceId, granularity, startDate: new Date(Date.now() - HOURLY_ANOMALY_LOOKBACK_MS).toISOString() }
+      : { serviceId, limit: 60 });
 
-    if (snapshot.empty) {
-      return res.json({ anomalies: [], count: 0 });
+    if (costs.length === 0) {
+      return res.json({ anomalies: [], count: 0, granularity });
     }
 
-    // Group by serviceId and analyze trends
-    const costsByService = {};
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      if (!costsByService[data.serviceId]) {
-        costsByService[data.serviceId] = [];
+    // Group by connection and analyze trends, so two accounts of the same
+    // provider are not compared against each other
+    const costsByConnection = {};
+    costs.forEach(data => {
+      const connectionId = getCostConnectionId(data);
+      if (!costsByConnection[connectionId]) {
+        costsByConnection[connectionId] = [];
       }
-      costsByService[data.serviceId].push({
+      costsByConnection[connectionId].push({
         timestamp: data.timestamp,
         totalCost: data.totalCost || 0,
         resources: data.resources || []
@@ -442,26 +537,31 @@ router.get('/anomalies', async (req, res) => {
 
     const anomalies = [];
     const thresholdPercent = parseFloat(threshold);
+    const periods = ANOMALY_PERIODS[granularity];
+
+    // Detect anomalies for each connection
+    Object.entries(costsByConnection).forEach(([connectionId, costs]) => {
+      const svcId = getConnectionServiceId(connectionId);
 
-    // Detect anomalies for each service
-    Object.entries(costsByService).forEach(([svcId, costs]) => {
       // Sort by timestamp
       costs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-      if (costs.length < 7) return; // Need at least 7 days for comparison
+      if (costs.length < periods) return; // Need at least 7 days (24 hours) for comparison
 
-      // Calculate 7-day moving average (excluding today)
-      const recentCosts = costs.slice(-8, -1); // Last 7 days before today
+      // Calculate 7-day (24-hour) moving average (excluding the latest period)
+      const recentCosts = costs.slice(-(periods + 1), -1);
       const avgCost = recentCosts.reduce((sum, c) => sum + c.totalCost, 0) / recentCosts.length;
 
-      // Compare today with average
+      // Compare the latest period (today) with average
       const todayCost = costs[costs.length - 1].totalCost;
       const percentChange = avgCost > 0 ? ((todayCost - avgCost) / avgCost) * 100 : 0;
 
       if (percentChange > thresholdPercent) {
         anomalies.push({
           serviceId: svcId,
+          connectionId,
           type: 'cost_spike',
+          granularity,
           severity: percentChange > 100 ? 'high' : 'medium',
           currentCost: todayCost,
           averageCost: avgCost,
@@ -500,7 +600,9 @@ router.get('/anomalies', async (req, res) => {
           if (resourcePercentChange > thresholdPercent) {
             anomalies.push({
               serviceId: svcId,
+              connectionId,
               type: 'resource_spike',
+              granularity,
               severity: resourcePercentChange > 100 ? 'high' : 'medium',
               resourceId: key,
               resourceName: resource.name,
@@ -516,7 +618,7 @@ router.get('/anomalies', async (req, res) => {
       });
     });
 
-    res.json({ anomalies, count: anomalies.length });
+    res.json({ anomalies, count: anomalies.length, granularity });
   } catch (error) {
     console.error('Error detecting cost anomalies:', error);
     res.status(500).json({ error: error.message });
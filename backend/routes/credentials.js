@@ -1,19 +1,43 @@
 // routes/credentials.js - Credential management endpoints
 const express = require('express');
 const router = express.Router();
-
-// GET /api/credentials - Get all configured credentials (metadata only)
+const {
+  getCollector,
+  getCredentialType,
+  matchCredentialType,
+  getMissingMetadata,
+  getInvalidMetadata,
+  splitCredentialInput,
+} = require('../services/collector-registry');
+const { createCheckList } = require('../services/credential-checks');
+const {
+  getConnectionServiceId,
+  createConnectionId,
+  describeConnection,
+  listConnections,
+} = require('../services/connections');
+const {
+  getCredentialMetadata,
+  saveCredentialMetadata,
+  deleteCredentialMetadata,
+  saveConnectionSecret,
+  readConnectionSecret,
+  maskCredentials,
+} = require('../services/credential-store');
+const { hasKeyChanged } = require('../services/credential-rotation');
+const { checkRecentSignIn, consumeRevealToken, recordRevealAttempt } = require('../services/credential-reveal');
+const { getServiceSettings, updateServiceSettings } = require('../services/service-store');
+const { requireRole } = require('../services/roles');
+const { recordAudit, safeRecordAudit } = require('../services/audit');
+
+// GET /api/credentials - Get all configured connections (metadata only)
 router.get('/', async (req, res) => {
   try {
-    const firestore = req.app.locals.firestore;
-
-    const snapshot = await firestore.collection('credentials').get();
+    const connections = await listConnections(req.app.locals.store, req.query.serviceId);
 
-    const credentials = snapshot.docs.map(doc => ({
-      serviceId: doc.id,
-      configured: true,
-      lastUpdated: doc.data().lastUpdated,
-      credentialType: doc.data().credentialType
+    const credentials = connections.map(connection => ({
+      ...connection,
+      configured: true
     }));
 
     res.json({ credentials });
@@ -23,29 +47,27 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/credentials/:serviceId - Get credential metadata
-router.get('/:serviceId', async (req, res) => {
+// GET /api/credentials/:connectionId - Get credential metadata
+router.get('/:connectionId', async (req, res) => {
   try {
-    const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
-
-    const doc = await firestore.collection('credentials').doc(serviceId).get();
+    const { connectionId } = req.params;
+    const store = req.app.locals.store;
+    const metadata = await getCredentialMetadata(store, connectionId);
 
-    if (!doc.exists) {
+    if (!metadata) {
       return res.status(404).json({
         error: 'Credentials not found',
-        serviceId
+        connectionId
       });
     }
 
-    const data = doc.data();
+    const { serviceId } = describeConnection(connectionId, metadata);
+    const settings = await getServiceSettings(store, serviceId);
 
     res.json({
-      serviceId,
+      ...describeConnection(connectionId, metadata, settings),
       configured: true,
-      credentialType: data.credentialType,
-      lastUpdated: data.lastUpdated,
-      secretName: data.secretName
+      secretName: metadata.secretName
     });
   } catch (error) {
     console.error('Error fetching credential:', error);
@@ -53,162 +75,401 @@ router.get('/:serviceId', async (req, res) => {
   }
 });
 
-// POST /api/credentials/:serviceId - Create or update credentials
-router.post('/:serviceId', async (req, res) => {
+// POST /api/credentials/:serviceId/connections - Add another connection for a provider
+router.post('/:serviceId/connections', requireRole('admin'), async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const { credentials, credentialType, customerId, adminEmail, billingAccountId, accountId } = req.body;
-    const firestore = req.app.locals.firestore;
-    const secretManager = req.app.locals.secretManager;
-    const projectId = req.app.locals.projectId;
+    const { name } = req.body;
+    const store = req.app.locals.store;
 
-    if (!credentials) {
-      return res.status(400).json({ error: 'Credentials data is required' });
+    const collector = getCollector(serviceId);
+    if (!collector) {
+      return res.status(404).json({ error: 'Service not found', serviceId });
     }
 
-    // Store in Secret Manager
-    const secretName = `${serviceId}-credentials`;
-    const secretPath = `projects/${projectId}/secrets/${secretName}`;
+    if (!name) {
+      return res.status(400).json({ error: 'Connection name is required' });
+    }
+
+    if (!req.body.credentials) {
+      return res.status(400).json({ error: 'Credentials data is required' });
+    }
 
+    let connectionId;
     try {
-      // Check if secret exists
-      await secretManager.getSecret({ name: secretPath });
-
-      // Add new version
-      await secretManager.addSecretVersion({
-        parent: secretPath,
-        payload: {
-          data: Buffer.from(JSON.stringify(credentials), 'utf8')
-        }
-      });
+      connectionId = createConnectionId(serviceId, name);
     } catch (error) {
-      if (error.code === 5) { // NOT_FOUND
-        // Create new secret
-        await secretManager.createSecret({
-          parent: `projects/${projectId}`,
-          secretId: secretName,
-          secret: {
-            replication: {
-              automatic: {}
-            }
-          }
-        });
+      return res.status(400).json({ error: error.message });
+    }
 
-        // Add version
-        await secretManager.addSecretVersion({
-          parent: secretPath,
-          payload: {
-            data: Buffer.from(JSON.stringify(credentials), 'utf8')
-          }
-        });
-      } else {
-        throw error;
-      }
+    const existing = await getCredentialMetadata(store, connectionId);
+    if (existing) {
+      return res.status(409).json({
+        error: `A connection named "${name}" already exists for ${collector.name}`,
+        connectionId
+      });
     }
 
-    // Store metadata in Firestore
-    const metadata = {
+    await saveConnection(req.app.locals, collector, connectionId, req.body);
+
+    await safeRecordAudit(req, {
+      action: 'credential.create',
+      targetType: 'credential',
+      targetId: connectionId,
       serviceId,
-      credentialType: credentialType || 'api-key',
-      secretName,
-      lastUpdated: new Date().toISOString()
-    };
+      after: await getCredentialMetadata(store, connectionId),
+      details: { fields: Object.keys(req.body.credentials) }
+    });
 
-    // Add optional service-specific metadata
-    if (customerId) metadata.customerId = customerId;
-    if (adminEmail) metadata.adminEmail = adminEmail;
-    if (billingAccountId) metadata.billingAccountId = billingAccountId;
-    if (accountId) metadata.accountId = accountId;
+    res.status(201).json({
+      success: true,
+      serviceId,
+      connectionId,
+      message: 'Connection created successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating connection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/credentials/:connectionId - Create or update credentials
+// The default connection of a provider uses the serviceId as connectionId
+router.post('/:connectionId', requireRole('admin'), async (req, res) => {
+  try {
+    const { connectionId } = req.params;
+    const serviceId = getConnectionServiceId(connectionId);
 
-    await firestore.collection('credentials').doc(serviceId).set(metadata);
+    const collector = getCollector(serviceId);
+    if (!collector) {
+      return res.status(404).json({ error: 'Service not found', serviceId });
+    }
+
+    const store = req.app.locals.store;
+    const before = await getCredentialMetadata(store, connectionId);
+    if (connectionId !== serviceId && !before) {
+      return res.status(404).json({ error: 'Connection not found', connectionId });
+    }
+
+    if (!req.body.credentials) {
+      return res.status(400).json({ error: 'Credentials data is required' });
+    }
 
-    // Automatically enable the service when credentials are saved
-    await firestore.collection('services').doc(serviceId).set({
-      enabled: true,
-      updatedAt: new Date().toISOString()
-    }, { merge: true });
+    await saveConnection(req.app.locals, collector, connectionId, req.body);
+
+    await safeRecordAudit(req, {
+      action: before ? 'credential.update' : 'credential.create',
+      targetType: 'credential',
+      targetId: connectionId,
+      serviceId,
+      before,
+      after: await getCredentialMetadata(store, connectionId),
+      details: { fields: Object.keys(req.body.credentials) }
+    });
 
     res.json({
       success: true,
       serviceId,
+      connectionId,
       message: 'Credentials saved successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error saving credentials:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/credentials/:serviceId/reveal - Temporarily reveal credentials
-router.post('/:serviceId/reveal', async (req, res) => {
+// POST /api/credentials/:connectionId/reveal-token - Single-use token for one full reveal.
+// Only issued shortly after the user signed in, so the web app signs in again first.
+router.post('/:connectionId/reveal-token', requireRole('admin'), async (req, res) => {
   try {
-    const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
-    const secretManager = req.app.locals.secretManager;
-    const projectId = req.app.locals.projectId;
+    const { connectionId } = req.params;
+
+    const metadata = await getCredentialMetadata(req.app.locals.store, connectionId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Credentials not found', connectionId });
+    }
+
+    checkRecentSignIn(req.user);
+
+    res.json({
+      connectionId,
+      ...req.app.locals.auth.issueRevealToken(req.user, connectionId)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, reauthenticate: Boolean(error.reauthenticate) });
+    }
+    console.error('Error issuing reveal token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/credentials/:connectionId/reveal - Reveal credentials, masked unless
+// the body carries a reveal token from POST /:connectionId/reveal-token
+router.post('/:connectionId/reveal', requireRole('admin'), async (req, res) => {
+  try {
+    const { connectionId } = req.params;
+    const { store, secrets, auth } = req.app.locals;
+    const { revealToken } = req.body || {};
 
     // Get credential metadata
-    const doc = await firestore.collection('credentials').doc(serviceId).get();
+    const credData = await getCredentialMetadata(store, connectionId);
 
-    if (!doc.exists) {
+    if (!credData) {
       return res.status(404).json({
         error: 'Credentials not found',
-        serviceId
+        connectionId
       });
     }
 
-    const credData = doc.data();
-    const { secretName, accountId, billingAccountId, customerId, adminEmail } = credData;
+    let tokenPayload = null;
+    if (revealToken) {
+      try {
+        tokenPayload = auth.verifyRevealToken(revealToken);
+      } catch (error) {
+        // 403 rather than 401, the user's session is still valid
+        return res.status(403).json({ error: `Invalid reveal token: ${error.message}`, connectionId });
+      }
+      if (tokenPayload.sub !== req.user.id || tokenPayload.connectionId !== connectionId) {
+        return res.status(403).json({ error: 'Reveal token was issued for another user or connection', connectionId });
+      }
+    }
 
-    // Access secret from Secret Manager
-    const [version] = await secretManager.accessSecretVersion({
-      name: `projects/${projectId}/secrets/${secretName}/versions/latest`
-    });
+    await recordRevealAttempt(store, req.user.id);
+    if (tokenPayload) {
+      await consumeRevealToken(store, tokenPayload);
+    }
+    const masked = !tokenPayload;
+
+    const connection = describeConnection(connectionId, credData);
+    const collector = getCollector(connection.serviceId);
 
-    const credentials = JSON.parse(version.payload.data.toString('utf8'));
+    // Access the secret values
+    const credentials = await readConnectionSecret(secrets, credData.secretName);
+
+    // Credentials are only revealed once the reveal is on the audit log
+    await recordAudit(req, {
+      action: 'credential.reveal',
+      targetType: 'credential',
+      targetId: connectionId,
+      serviceId: connection.serviceId,
+      details: { fields: Object.keys(credentials), masked }
+    });
 
     // Merge credentials with metadata fields
-    const fullCredentials = {
-      ...credentials,
+    const fullCredentials = masked
+      ? maskCredentials(collector || { credentialFields: [] }, credentials)
+      : { ...credentials };
+
+    // Add the collector's metadata fields if they exist
+    for (const field of collector ? collector.metadataFields : []) {
+      if (credData[field.key]) {
+        fullCredentials[field.key] = credData[field.key];
+      }
+    }
+
+    res.json({
+      serviceId: connection.serviceId,
+      connectionId,
+      name: connection.name,
+      credentials: fullCredentials,
+      masked,
+      warning: masked
+        ? 'Secret values are masked. Sign in again to reveal them in full.'
+        : 'These credentials are displayed temporarily. Do not share them.'
+    });
+  } catch (error) {
+    if (error.status) {
+      if (error.retryAfterSeconds) {
+        res.set('Retry-After', String(error.retryAfterSeconds));
+      }
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error revealing credentials:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/credentials/:connectionId/versions - Secret versions of a connection, newest first, with masked values
+router.get('/:connectionId/versions', requireRole('admin'), async (req, res) => {
+  try {
+    const { connectionId } = req.params;
+    const { store, secrets } = req.app.locals;
+
+    const metadata = await getCredentialMetadata(store, connectionId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Credentials not found', connectionId });
+    }
+
+    const collector = getCollector(describeConnection(connectionId, metadata).serviceId);
+    const versions = await secrets.listVersions(metadata.secretName);
+
+    // Read oldest first, so each version can list the fields it changed
+    const described = [];
+    let previous = null;
+    for (const version of [...versions].reverse()) {
+      const credentials = version.state === 'enabled'
+        ? await readConnectionSecret(secrets, metadata.secretName, version.version)
+        : null;
+
+      described.push({
+        ...version,
+        current: version.version === versions[0].version,
+        credentials: credentials ? maskCredentials(collector || { credentialFields: [] }, credentials) : null,
+        // null when there is no earlier readable version to compare with
+        changedFields: credentials && previous
+          ? [...new Set([...Object.keys(previous), ...Object.keys(credentials)])]
+            .filter(key => previous[key] !== credentials[key])
+          : null
+      });
+
+      if (credentials) {
+        previous = credentials;
+      }
+    }
+
+    res.json({
+      connectionId,
+      secretName: metadata.secretName,
+      currentVersion: versions.length > 0 ? versions[0].version : null,
+      versions: described.reverse()
+    });
+  } catch (error) {
+    console.error('Error listing credential versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/credentials/:connectionId/versions/:version/restore - Make an earlier version current again
+router.post('/:connectionId/versions/:version/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const { connectionId, version } = req.params;
+    const { store, secrets } = req.app.locals;
+
+    const found = await findSecretVersion(req, res);
+    if (!found) return;
+    const { metadata, versions, target } = found;
+
+    if (target.state !== 'enabled') {
+      return res.status(400).json({ error: `Version ${version} is ${target.state}; enable it before restoring it`, connectionId });
+    }
+    if (target.version === versions[0].version) {
+      return res.status(400).json({ error: `Version ${version} is already the current version`, connectionId });
+    }
+
+    const serviceId = describeConnection(connectionId, metadata).serviceId;
+    const collector = getCollector(serviceId);
+    const credentials = await readConnectionSecret(secrets, metadata.secretName, version);
+    const current = await readCurrentSecret(secrets, metadata.secretName);
+
+    // Restoring stores the old values as a new version, so the history stays append-only
+    const saved = await saveConnectionSecret(secrets, connectionId, credentials);
+
+    const now = new Date().toISOString();
+    const updated = {
+      ...metadata,
+      // The version may have been saved under another credential type
+      credentialType: collector ? matchCredentialType(collector, credentials).id : metadata.credentialType,
+      secretVersion: saved.version,
+      restoredFromVersion: version,
+      // A restored key is at least as old as the version it came from
+      keyCreatedAt: !collector || hasKeyChanged(collector, current, credentials)
+        ? target.createdAt || now
+        : metadata.keyCreatedAt || metadata.lastUpdated,
+      lastUpdated: now
     };
+    await saveCredentialMetadata(store, connectionId, updated);
 
-    // Add metadata fields if they exist
-    if (accountId) fullCredentials.accountId = accountId;
-    if (billingAccountId) fullCredentials.billingAccountId = billingAccountId;
-    if (customerId) fullCredentials.customerId = customerId;
-    if (adminEmail) fullCredentials.adminEmail = adminEmail;
+    await safeRecordAudit(req, {
+      action: 'credential.restore',
+      targetType: 'credential',
+      targetId: connectionId,
+      serviceId,
+      before: metadata,
+      after: updated,
+      details: { fromVersion: version, version: saved.version }
+    });
 
     res.json({
+      success: true,
       serviceId,
-      credentials: fullCredentials,
-      warning: 'These credentials are displayed temporarily. Do not share them.'
+      connectionId,
+      version: saved.version,
+      restoredFromVersion: version,
+      message: `Version ${version} restored as version ${saved.version}`
     });
   } catch (error) {
-    console.error('Error revealing credentials:', error);
+    console.error('Error restoring credential version:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/credentials/:serviceId/test - Test credentials
-router.post('/:serviceId/test', async (req, res) => {
+// POST /api/credentials/:connectionId/versions/:version/disable - Disable an old version
+router.post('/:connectionId/versions/:version/disable', requireRole('admin'), (req, res) => setVersionState(req, res, 'disabled'));
+
+// POST /api/credentials/:connectionId/versions/:version/enable - Re-enable a disabled version
+router.post('/:connectionId/versions/:version/enable', requireRole('admin'), (req, res) => setVersionState(req, res, 'enabled'));
+
+// POST /api/credentials/:connectionId/test - Verify credentials against the provider before saving
+router.post('/:connectionId/test', requireRole('analyst'), async (req, res) => {
   try {
-    const { serviceId } = req.params;
-    const { credentials } = req.body;
+    const { connectionId } = req.params;
+    const serviceId = getConnectionServiceId(connectionId);
 
-    // In a real implementation, this would test the credentials against the service API
-    // For now, we'll just simulate a test
+    const collector = getCollector(serviceId);
+    if (!collector) {
+      return res.status(404).json({ error: 'Service not found', serviceId });
+    }
 
-    // Simulate delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (typeof collector.verifyCredentials !== 'function') {
+      return res.status(501).json({ error: `Credential verification not implemented for ${serviceId}`, serviceId });
+    }
+
+    const { credentials: submitted, metadata } = splitCredentialInput(collector, req.body.credentials || {});
+    const credentialType = getCredentialType(collector, req.body.credentialType);
+    metadata.credentialType = credentialType.id;
+
+    // Secret fields left empty while editing a connection keep their stored values
+    const stored = await getCredentialMetadata(req.app.locals.store, connectionId);
+    const credentials = stored
+      ? keepStoredSecrets(credentialType, await readCurrentSecret(req.app.locals.secrets, stored.secretName), submitted)
+      : submitted;
+
+    // Report empty required fields without calling the provider
+    const missingFields = [
+      ...credentialType.credentialFields
+        .filter(field => field.required && !credentials[field.key])
+        .map(field => field.label || field.key),
+      ...getMissingMetadata(collector, metadata),
+    ];
+
+    let result;
+    if (missingFields.length > 0) {
+      const checks = createCheckList();
+      checks.fail('fields', 'Required fields', `Missing ${missingFields.join(', ')}`);
+      result = checks.result();
+    } else {
+      result = await collector.verifyCredentials(credentials, metadata);
+    }
 
-    // Mock validation
-    const isValid = credentials && Object.keys(credentials).length > 0;
+    const failed = result.checks.filter(check => check.status === 'failed');
 
     res.json({
-      success: isValid,
+      success: result.valid,
       serviceId,
-      message: isValid ? 'Credentials are valid' : 'Invalid credentials',
-      tested: true
+      connectionId,
+      message: result.valid
+        ? 'Credentials are valid'
+        : failed.map(check => `${check.label}: ${check.message}`).join('; '),
+      tested: true,
+      ...result
     });
   } catch (error) {
     console.error('Error testing credentials:', error);
@@ -216,43 +477,52 @@ router.post('/:serviceId/test', async (req, res) => {
   }
 });
 
-// DELETE /api/credentials/:serviceId - Delete credentials
-router.delete('/:serviceId', async (req, res) => {
+// DELETE /api/credentials/:connectionId - Delete a connection's credentials
+router.delete('/:connectionId', requireRole('admin'), async (req, res) => {
   try {
-    const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
-    const secretManager = req.app.locals.secretManager;
-    const projectId = req.app.locals.projectId;
+    const { connectionId } = req.params;
+    const { store, secrets } = req.app.locals;
 
     // Get credential metadata
-    const doc = await firestore.collection('credentials').doc(serviceId).get();
+    const metadata = await getCredentialMetadata(store, connectionId);
+    let serviceId = getConnectionServiceId(connectionId);
 
-    if (doc.exists) {
-      const { secretName } = doc.data();
+    if (metadata) {
+      serviceId = describeConnection(connectionId, metadata).serviceId;
 
-      // Delete from Secret Manager
+      // Delete the secret values
       try {
-        await secretManager.deleteSecret({
-          name: `projects/${projectId}/secrets/${secretName}`
-        });
+        await secrets.delete(metadata.secretName);
       } catch (error) {
         console.error('Error deleting secret:', error);
         // Continue even if secret deletion fails
       }
 
-      // Delete from Firestore
-      await firestore.collection('credentials').doc(serviceId).delete();
+      // Delete the metadata
+      await deleteCredentialMetadata(store, connectionId);
 
-      // Disable the service when credentials are deleted
-      await firestore.collection('services').doc(serviceId).set({
-        enabled: false,
-        updatedAt: new Date().toISOString()
-      }, { merge: true });
+      await safeRecordAudit(req, {
+        action: 'credential.delete',
+        targetType: 'credential',
+        targetId: connectionId,
+        serviceId,
+        before: metadata
+      });
+
+      // Disable the service when its last connection is deleted
+      const remaining = await listConnections(store, serviceId);
+      if (remaining.length === 0) {
+        await updateServiceSettings(store, serviceId, {
+          enabled: false,
+          updatedAt: new Date().toISOString()
+        });
+      }
     }
 
     res.json({
       success: true,
       serviceId,
+      connectionId,
       message: 'Credentials deleted successfully'
     });
   } catch (error) {
@@ -261,4 +531,183 @@ router.delete('/:serviceId', async (req, res) => {
   }
 });
 
+/**
+ * Load a connection and one of its secret versions from the request params,
+ * or send a 400/404 response and return null
+ * @returns {Promise<Object|null>} { metadata, versions, target }
+ */
+async function findSecretVersion(req, res) {
+  const { connectionId, version } = req.params;
+  const { store, secrets } = req.app.locals;
+
+  if (!/^\d+$/.test(version)) {
+    res.status(400).json({ error: 'version must be a version number', connectionId });
+    return null;
+  }
+
+  const metadata = await getCredentialMetadata(store, connectionId);
+  if (!metadata) {
+    res.status(404).json({ error: 'Credentials not found', connectionId });
+    return null;
+  }
+
+  const versions = await secrets.listVersions(metadata.secretName);
+  const target = versions.find(item => item.version === version);
+  if (!target) {
+    res.status(404).json({ error: `Version ${version} not found`, connectionId });
+    return null;
+  }
+
+  return { metadata, versions, target };
+}
+
+/**
+ * Enable or disable a secret version. The current version can't be disabled,
+ * collections always read it.
+ */
+async function setVersionState(req, res, state) {
+  try {
+    const { connectionId, version } = req.params;
+
+    const found = await findSecretVersion(req, res);
+    if (!found) return;
+    const { metadata, versions, target } = found;
+
+    if (state === 'disabled' && target.version === versions[0].version) {
+      return res.status(400).json({
+        error: 'The current version cannot be disabled; restore or save another version first',
+        connectionId
+      });
+    }
+    if (target.state === 'destroyed') {
+      return res.status(400).json({ error: `Version ${version} is destroyed`, connectionId });
+    }
+
+    const secrets = req.app.locals.secrets;
+    if (state === 'disabled') {
+      await secrets.disableVersion(metadata.secretName, version);
+    } else {
+      await secrets.enableVersion(metadata.secretName, version);
+    }
+
+    const serviceId = describeConnection(connectionId, metadata).serviceId;
+    await safeRecordAudit(req, {
+      action: state === 'disabled' ? 'credential.disable_version' : 'credential.enable_version',
+      targetType: 'credential',
+      targetId: connectionId,
+      serviceId,
+      before: { version, state: target.state },
+      after: { version, state }
+    });
+
+    res.json({ success: true, serviceId, connectionId, version, state });
+  } catch (error) {
+    console.error('Error updating credential version:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Latest stored credential values, or null when they can't be read (e.g. the
+ * secret was deleted outside the app)
+ */
+async function readCurrentSecret(secrets, secretName) {
+  try {
+    return await readConnectionSecret(secrets, secretName);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fill secret fields that were submitted empty with their stored values.
+ * The edit form only receives masked secrets, so it sends them back empty
+ * unless the user typed a new value.
+ */
+function keepStoredSecrets(credentialType, stored, credentials) {
+  if (!stored) {
+    return credentials;
+  }
+
+  const filled = { ...credentials };
+  for (const field of credentialType.credentialFields) {
+    if (field.type !== 'text' && !filled[field.key] && stored[field.key]) {
+      filled[field.key] = stored[field.key];
+    }
+  }
+  return filled;
+}
+
+/**
+ * Store a connection's secret credentials as a new secret version and its
+ * metadata in storage, and enable the provider. The key's age only restarts
+ * when the key fields change, not when the same key is saved again.
+ * @throws {Error} With `status` 400 when a select metadata field is invalid
+ */
+async function saveConnection(appLocals, collector, connectionId, body) {
+  const { store, secrets } = appLocals;
+  const serviceId = collector.id;
+
+  // Metadata fields are stored with the connection, everything else is secret.
+  // They may be sent inside credentials or as top-level body fields.
+  const { credentials: submitted, metadata: submittedMetadata } = splitCredentialInput(collector, body.credentials);
+  for (const field of collector.metadataFields) {
+    if (body[field.key]) {
+      submittedMetadata[field.key] = body[field.key];
+    }
+  }
+
+  const invalid = getInvalidMetadata(collector, submittedMetadata);
+  if (invalid.length > 0) {
+    const error = new Error(invalid.join('; '));
+    error.status = 400;
+    throw error;
+  }
+
+  const credentialType = getCredentialType(collector, body.credentialType);
+  const existing = await getCredentialMetadata(store, connectionId);
+  const previous = existing ? await readCurrentSecret(secrets, existing.secretName) : null;
+  const credentials = keepStoredSecrets(credentialType, previous, submitted);
+
+  const { secretName, version } = await saveConnectionSecret(secrets, connectionId, credentials);
+
+  // Keep the existing name when the form doesn't send one
+  const name = body.name || (existing && existing.name) || collector.name;
+  const now = new Date().toISOString();
+
+  // Store metadata, including service-specific metadata fields. Fields the
+  // form didn't send are kept, so saving only credentials doesn't lose the
+  // billing account, export settings or tag keys; fields sent empty are cleared.
+  const kept = { ...existing };
+  delete kept.restoredFromVersion;
+  for (const field of collector.metadataFields) {
+    if ((body.credentials || {})[field.key] !== undefined || body[field.key] !== undefined) {
+      delete kept[field.key];
+    }
+  }
+
+  const metadata = {
+    ...kept,
+    ...submittedMetadata,
+    serviceId,
+    connectionId,
+    name,
+    credentialType: credentialType.id,
+    secretName,
+    secretVersion: version,
+    keyCreatedAt: hasKeyChanged(collector, previous, credentials)
+      ? now
+      : existing.keyCreatedAt || existing.lastUpdated || now,
+    lastUpdated: now
+  };
+
+  await saveCredentialMetadata(store, connectionId, metadata);
+
+  // Automatically enable the service when credentials are saved
+  await updateServiceSettings(store, serviceId, {
+    enabled: true,
+    updatedAt: new Date().toISOString()
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,53 @@
+// routes/forecasts.js - Cost forecasts with prediction intervals
+const express = require('express');
+const router = express.Router();
+const { getCollector } = require('../services/collector-registry');
+const { listForecasts, getLatestForecasts } = require('../services/forecast-store');
+
+const FORECAST_SCOPES = ['total', 'service'];
+
+// GET /api/forecasts/:serviceId - A connection's forecasts over time, and its latest ones
+router.get('/:serviceId', async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { scope, startDate, endDate } = req.query;
+    // Without a connectionId the provider's default connection is used
+    const connectionId = req.query.connectionId || serviceId;
+    const store = req.app.locals.store;
+
+    const collector = getCollector(serviceId);
+    if (!collector) {
+      return res.status(404).json({ error: 'Service not found', serviceId });
+    }
+    if (!collector.capabilities.forecast) {
+      return res.status(400).json({ error: `${collector.name} has no forecasts`, serviceId });
+    }
+    if (scope && !FORECAST_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Invalid scope. Must be: ${FORECAST_SCOPES.join(' or ')}` });
+    }
+
+    const [forecasts, latest] = await Promise.all([
+      listForecasts(store, {
+        serviceId,
+        connectionId,
+        scope,
+        startDate: startDate && new Date(startDate).toISOString(),
+        endDate: endDate && new Date(endDate).toISOString()
+      }),
+      getLatestForecasts(store, { serviceId, connectionId })
+    ]);
+
+    res.json({
+      serviceId,
+      connectionId,
+      forecasts,
+      count: forecasts.length,
+      latest
+    });
+  } catch (error) {
+    console.error(`Error fetching forecasts for ${req.params.serviceId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,16 +4,14 @@ const router = express.Router();
 
 router.get('/', async (req, res) => {
   try {
-    const firestore = req.app.locals.firestore;
-    const projectId = req.app.locals.projectId;
+    const { store, secrets, projectId } = req.app.locals;
 
-    // Test Firestore connection
-    let firestoreStatus = 'connected';
+    // Test the storage connection
+    let storageStatus = 'connected';
     try {
-      await firestore.collection('_health').doc('test').set({ timestamp: new Date() });
-      await firestore.collection('_health').doc('test').delete();
+      await store.check();
     } catch (error) {
-      firestoreStatus = `error: ${error.message}`;
+      storageStatus = `error: ${error.message}`;
     }
 
     res.json({
@@ -21,8 +19,9 @@ router.get('/', async (req, res) => {
       timestamp: new Date().toISOString(),
       projectId,
       services: {
-        firestore: firestoreStatus,
-        secretManager: 'available'
+        storage: storageStatus,
+        storageBackend: store.backend,
+        secretsBackend: secrets.backend
       }
     });
   } catch (error) {
@@ -1,17 +1,22 @@
 // routes/schedules.js - Schedule management endpoints
 const express = require('express');
 const router = express.Router();
+const { parseCron } = require('../services/cron');
+const { computeNextRun, acquireRun, runCollection } = require('../services/scheduler');
+const { getConnectionServiceId } = require('../services/connections');
+const { getSchedule, listSchedules, updateSchedule, deleteSchedule } = require('../services/schedule-store');
+const { requireRole } = require('../services/roles');
+const { safeRecordAudit } = require('../services/audit');
 
 // GET /api/schedules - Get all schedules
 router.get('/', async (req, res) => {
   try {
-    const firestore = req.app.locals.firestore;
+    const stored = await listSchedules(req.app.locals.store);
 
-    const snapshot = await firestore.collection('schedules').get();
-
-    const schedules = snapshot.docs.map(doc => ({
-      serviceId: doc.id,
-      ...doc.data()
+    const schedules = stored.map(({ connectionId, schedule }) => ({
+      serviceId: getConnectionServiceId(connectionId),
+      connectionId,
+      ...schedule
     }));
 
     res.json({ schedules });
@@ -21,17 +26,17 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/schedules/:serviceId - Get schedule for a service
-router.get('/:serviceId', async (req, res) => {
+// GET /api/schedules/:connectionId - Get schedule for a connection
+router.get('/:connectionId', async (req, res) => {
   try {
-    const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
-
-    const doc = await firestore.collection('schedules').doc(serviceId).get();
+    const { connectionId } = req.params;
+    const serviceId = getConnectionServiceId(connectionId);
+    const schedule = await getSchedule(req.app.locals.store, connectionId);
 
-    if (!doc.exists) {
+    if (!schedule) {
       return res.json({
         serviceId,
+        connectionId,
         enabled: false,
         frequency: 'daily',
         lastRun: null
@@ -40,7 +45,8 @@ router.get('/:serviceId', async (req, res) => {
 
     res.json({
       serviceId,
-      ...doc.data()
+      connectionId,
+      ...schedule
     });
   } catch (error) {
     console.error('Error fetching schedule:', error);
@@ -48,12 +54,13 @@ router.get('/:serviceId', async (req, res) => {
   }
 });
 
-// PUT /api/schedules/:serviceId - Update schedule for a service
-router.put('/:serviceId', async (req, res) => {
+// PUT /api/schedules/:connectionId - Update schedule for a connection
+router.put('/:connectionId', requireRole('admin'), async (req, res) => {
   try {
-    const { serviceId } = req.params;
+    const { connectionId } = req.params;
+    const serviceId = getConnectionServiceId(connectionId);
     const { enabled, frequency, customCron } = req.body;
-    const firestore = req.app.locals.firestore;
+    const store = req.app.locals.store;
 
     if (frequency && !['hourly', 'daily', 'weekly', 'custom'].includes(frequency)) {
       return res.status(400).json({
@@ -67,8 +74,19 @@ router.put('/:serviceId', async (req, res) => {
       });
     }
 
+    if (customCron) {
+      try {
+        parseCron(customCron);
+      } catch (error) {
+        return res.status(400).json({
+          error: `Invalid customCron: ${error.message}`
+        });
+      }
+    }
+
     const scheduleData = {
       serviceId,
+      connectionId,
       enabled: enabled !== undefined ? enabled : true,
       frequency: frequency || 'daily',
       updatedAt: new Date().toISOString()
@@ -78,14 +96,26 @@ router.put('/:serviceId', async (req, res) => {
       scheduleData.customCron = customCron;
     }
 
-    await firestore.collection('schedules').doc(serviceId).set(scheduleData, { merge: true });
+    // The in-process scheduler fires the schedule once nextRun has passed
+    scheduleData.nextRun = scheduleData.enabled ? computeNextRun(scheduleData) : null;
+
+    const before = await getSchedule(store, connectionId);
 
-    // In a real implementation, this would update Cloud Scheduler jobs
-    // For now, we just store the configuration
+    await updateSchedule(store, connectionId, scheduleData);
+
+    await safeRecordAudit(req, {
+      action: before ? 'schedule.update' : 'schedule.create',
+      targetType: 'schedule',
+      targetId: connectionId,
+      serviceId,
+      before,
+      after: { ...before, ...scheduleData }
+    });
 
     res.json({
       success: true,
       serviceId,
+      connectionId,
       schedule: scheduleData,
       message: 'Schedule updated successfully'
     });
@@ -95,17 +125,30 @@ router.put('/:serviceId', async (req, res) => {
   }
 });
 
-// DELETE /api/schedules/:serviceId - Delete schedule for a service
-router.delete('/:serviceId', async (req, res) => {
+// DELETE /api/schedules/:connectionId - Delete schedule for a connection
+router.delete('/:connectionId', requireRole('admin'), async (req, res) => {
   try {
-    const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
+    const { connectionId } = req.params;
+    const store = req.app.locals.store;
+
+    const existing = await getSchedule(store, connectionId);
 
-    await firestore.collection('schedules').doc(serviceId).delete();
+    await deleteSchedule(store, connectionId);
+
+    if (existing) {
+      await safeRecordAudit(req, {
+        action: 'schedule.delete',
+        targetType: 'schedule',
+        targetId: connectionId,
+        serviceId: getConnectionServiceId(connectionId),
+        before: existing
+      });
+    }
 
     res.json({
       success: true,
-      serviceId,
+      serviceId: getConnectionServiceId(connectionId),
+      connectionId,
       message: 'Schedule deleted successfully'
     });
   } catch (error) {
@@ -114,29 +157,44 @@ router.delete('/:serviceId', async (req, res) => {
   }
 });
 
-// POST /api/schedules/:serviceId/run - Manually trigger a scheduled job
-router.post('/:serviceId/run', async (req, res) => {
+// POST /api/schedules/:connectionId/run - Manually trigger a scheduled job
+router.post('/:connectionId/run', requireRole('analyst'), async (req, res) => {
+  const { connectionId } = req.params;
+  const serviceId = getConnectionServiceId(connectionId);
+
   try {
-    const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
+    const acquired = await acquireRun(req.app.locals.store, connectionId);
+    if (!acquired) {
+      return res.status(409).json({
+        error: 'A collection is already running for this connection',
+        serviceId,
+        connectionId
+      });
+    }
 
-    // Update last run timestamp
-    await firestore.collection('schedules').doc(serviceId).set({
-      lastRun: new Date().toISOString()
-    }, { merge: true });
+    // The outcome is recorded on the schedule when the run finishes
+    const { finished, ...run } = await runCollection(req.app.locals, connectionId, 'manual');
 
-    // In a real implementation, this would trigger the cost collection
-    // For now, we just acknowledge
+    await safeRecordAudit(req, {
+      action: 'schedule.run',
+      targetType: 'schedule',
+      targetId: connectionId,
+      serviceId,
+      details: { runId: run.runId }
+    });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      serviceId,
-      message: 'Job triggered successfully',
-      timestamp: new Date().toISOString()
+      message: run.alreadyQueued ? 'Cost collection already in progress' : 'Cost collection queued',
+      ...run
     });
   } catch (error) {
     console.error('Error running schedule:', error);
-    res.status(500).json({ error: error.message });
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, serviceId, connectionId, runId: error.runId });
+    }
+    res.status(500).json({ error: error.message, runId: error.runId });
   }
 });
 
@@ -2,43 +2,63 @@
 const express = require('express');
 const router = express.Router();
 
-// Supported services configuration
-const SUPPORTED_SERVICES = {
-  aws: { name: 'Amazon Web Services', icon: 'aws', color: '#FF9900' },
-  gcp: { name: 'Google Cloud Platform', icon: 'gcp', color: '#4285F4' },
-  atlassian: { name: 'Atlassian', icon: 'atlassian', color: '#0052CC' },
-  'google-workspace': { name: 'Google Workspace', icon: 'google', color: '#34A853' },
-  chatgpt: { name: 'ChatGPT', icon: 'openai', color: '#10A37F' },
-  cohere: { name: 'Cohere', icon: 'cohere', color: '#D18EE2' }
-};
+const { getSupportedServices } = require('../services/collector-registry');
+const { getCostConnectionId, listConnections } = require('../services/connections');
+const { listCosts } = require('../services/cost-store');
+const { getServiceSettings, listServiceSettings, updateServiceSettings } = require('../services/service-store');
+const { validateKeyRotationDays } = require('../services/credential-rotation');
+const { requireRole } = require('../services/roles');
+const { safeRecordAudit } = require('../services/audit');
+
+// Supported services configuration, derived from the collector registry
+const SUPPORTED_SERVICES = getSupportedServices();
 
 // GET /api/services - Get all services with their status
 router.get('/', async (req, res) => {
   try {
-    const firestore = req.app.locals.firestore;
+    const store = req.app.locals.store;
 
-    // Get all services from Firestore
-    const servicesSnapshot = await firestore.collection('services').get();
+    // Get all services with stored settings
+    const allSettings = await listServiceSettings(store);
+    const allConnections = await listConnections(store);
 
     const services = [];
-    for (const doc of servicesSnapshot.docs) {
-      const data = doc.data();
-      const serviceId = doc.id;
-
-      // Get latest cost for this service
-      const latestCostSnapshot = await firestore
-        .collection('costs')
-        .where('serviceId', '==', serviceId)
-        .orderBy('timestamp', 'desc')
-        .limit(1)
-        .get();
+    for (const { serviceId, settings: data } of allSettings) {
+      // Get the latest cost of each connection of this service
+      const latestCosts = await listCosts(store, { serviceId, limit: 50 });
+
+      const latestByConnection = {};
+      latestCosts.forEach(cost => {
+        const connectionId = getCostConnectionId(cost);
+        if (!latestByConnection[connectionId]) {
+          latestByConnection[connectionId] = cost;
+        }
+      });
 
-      const latestCost = latestCostSnapshot.empty ? null : latestCostSnapshot.docs[0].data();
+      const connections = allConnections
+        .filter(connection => connection.serviceId === serviceId)
+        .map(connection => {
+          const cost = latestByConnection[connection.connectionId];
+          return {
+            ...connection,
+            currentCost: cost ? cost.totalCost : 0,
+            latestCostTimestamp: cost ? cost.timestamp : null
+          };
+        });
+
+      // The service's current cost is the sum over its connections
+      const connectionCosts = Object.values(latestByConnection);
+      const latestCost = connectionCosts.length === 0 ? null : {
+        totalCost: connectionCosts.reduce((sum, cost) => sum + (cost.totalCost || 0), 0),
+        timestamp: connectionCosts.reduce((latest, cost) => cost.timestamp > latest ? cost.timestamp : latest, ''),
+        currency: connectionCosts[0].currency
+      };
 
       services.push({
         id: serviceId,
         ...SUPPORTED_SERVICES[serviceId],
         ...data,
+        connections,
         currentCost: latestCost ? latestCost.totalCost : 0,
         lastUpdated: latestCost ? latestCost.timestamp : null,
         latestCost: latestCost ? {
@@ -60,19 +80,21 @@ router.get('/', async (req, res) => {
 router.get('/:serviceId', async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const firestore = req.app.locals.firestore;
+    const store = req.app.locals.store;
 
     if (!SUPPORTED_SERVICES[serviceId]) {
       return res.status(404).json({ error: 'Service not found' });
     }
 
-    const serviceDoc = await firestore.collection('services').doc(serviceId).get();
+    const settings = await getServiceSettings(store, serviceId);
+    const connections = await listConnections(store, serviceId);
 
-    if (!serviceDoc.exists) {
+    if (!settings) {
       // Return default service info
       return res.json({
         id: serviceId,
         ...SUPPORTED_SERVICES[serviceId],
+        connections,
         configured: false
       });
     }
@@ -80,7 +102,8 @@ router.get('/:serviceId', async (req, res) => {
     res.json({
       id: serviceId,
       ...SUPPORTED_SERVICES[serviceId],
-      ...serviceDoc.data(),
+      ...settings,
+      connections,
       configured: true
     });
   } catch (error) {
@@ -90,11 +113,11 @@ router.get('/:serviceId', async (req, res) => {
 });
 
 // PUT /api/services/:serviceId - Update service configuration
-router.put('/:serviceId', async (req, res) => {
+router.put('/:serviceId', requireRole('admin'), async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const { billingCycleStart, predictedCost, enabled } = req.body;
-    const firestore = req.app.locals.firestore;
+    const { billingCycleStart, predictedCost, enabled, keyRotationDays } = req.body;
+    const store = req.app.locals.store;
 
     if (!SUPPORTED_SERVICES[serviceId]) {
       return res.status(404).json({ error: 'Service not found' });
@@ -116,7 +139,28 @@ router.put('/:serviceId', async (req, res) => {
       updateData.enabled = enabled;
     }
 
-    await firestore.collection('services').doc(serviceId).set(updateData, { merge: true });
+    // Age in days after which connections are reminded to rotate their key,
+    // null for the collector's default
+    if (keyRotationDays !== undefined) {
+      const invalid = validateKeyRotationDays(keyRotationDays);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      updateData.keyRotationDays = keyRotationDays;
+    }
+
+    const before = await getServiceSettings(store, serviceId);
+
+    await updateServiceSettings(store, serviceId, updateData);
+
+    await safeRecordAudit(req, {
+      action: 'service.update',
+      targetType: 'service',
+      targetId: serviceId,
+      serviceId,
+      before,
+      after: { ...before, ...updateData }
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,72 @@
+// routes/users.js - User role management endpoints (admin only)
+const express = require('express');
+const router = express.Router();
+const { ROLES, isValidRole, getRoleConfig, listUsers, getUser, setUserRole, requireRole } = require('../services/roles');
+const { safeRecordAudit } = require('../services/audit');
+
+router.use(requireRole('admin'));
+
+// GET /api/users - Users who have signed in, with their roles
+router.get('/', async (req, res) => {
+  try {
+    const users = await listUsers(req.app.locals.store);
+    res.json({
+      users,
+      roles: ROLES,
+      defaultRole: getRoleConfig().defaultRole,
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/users/:userId/role - Assign a role; null restores the default role
+router.put('/:userId/role', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const store = req.app.locals.store;
+
+    if (role !== null && !isValidRole(role)) {
+      return res.status(400).json({
+        error: `role must be one of ${ROLES.join(', ')}, or null`
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await getUser(store, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', userId });
+    }
+    if (user.roleSource === 'env') {
+      return res.status(400).json({
+        error: 'This user is an admin through AUTH_ADMIN_EMAILS; remove them there to change their role'
+      });
+    }
+
+    await setUserRole(store, userId, role, req.user.id);
+    const updated = await getUser(store, userId);
+
+    await safeRecordAudit(req, {
+      action: 'user.role',
+      targetType: 'user',
+      targetId: userId,
+      before: { role: user.role, roleSource: user.roleSource },
+      after: { role: updated.role, roleSource: updated.roleSource }
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      user: updated
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -17,13 +17,14 @@ async function deduplicateCosts() {
     const snapshot = await firestore.collection('costs').get();
     console.log(`Found ${snapshot.size} total cost records\n`);
 
-    // Group by serviceId + date
+    // Group by connection + date (records without connectionId belong to
+    // the default connection, whose ID is the serviceId)
     const recordsByKey = new Map();
 
     snapshot.forEach(doc => {
       const data = doc.data();
       const date = data.timestamp.split('T')[0];
-      const key = `${data.serviceId}_${date}`;
+      const key = `${data.connectionId || data.serviceId}_${date}`;
 
       if (!recordsByKey.has(key)) {
         recordsByKey.set(key, []);
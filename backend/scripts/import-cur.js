@@ -0,0 +1,93 @@
+// Script to import AWS Cost and Usage Report (CUR 2.0) exports into the
+// daily cost records of an AWS connection, instead of collecting them from
+// Cost Explorer. Reads .csv, .csv.gz and .parquet files.
+//
+//   node scripts/import-cur.js --path ./cur-export/data [--connection aws]
+//   node scripts/import-cur.js --bucket my-cur-bucket --prefix cur2/data/BILLING_PERIOD=2025-10/
+//   node scripts/import-cur.js --bucket cur --endpoint https://minio.example.com --region us-east-1
+//
+// Options:
+//   --connection <id>   AWS connection to import into (default: aws)
+//   --no-reconcile      Don't compare daily totals with Cost Explorer, e.g. without AWS access
+//   --dry-run           Read and reconcile without storing
+//
+// Buckets on AWS are read with the connection's credentials; S3-compatible
+// endpoints with the SDK's default credentials (AWS_ACCESS_KEY_ID, ...).
+// Storage and secrets follow the server's environment (STORAGE_BACKEND, ...).
+
+const { getStorageConfig, createStorage } = require('../services/storage');
+const { getSecretsConfig, createSecrets } = require('../services/secrets');
+const { importCur } = require('../services/cur-import');
+
+function parseArgs(argv) {
+  const options = { connection: 'aws', reconcile: true, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--no-reconcile') {
+      options.reconcile = false;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (['--path', '--bucket', '--prefix', '--region', '--endpoint', '--connection'].includes(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!options.path === !options.bucket) {
+    throw new Error('Give either --path or --bucket');
+  }
+  return options;
+}
+
+async function runImport() {
+  const options = parseArgs(process.argv.slice(2));
+  const source = options.path
+    ? { path: options.path }
+    : { bucket: options.bucket, prefix: options.prefix, region: options.region, endpoint: options.endpoint };
+
+  const store = createStorage(getStorageConfig());
+  const secrets = createSecrets(getSecretsConfig());
+
+  console.log(`Importing CUR files into ${options.connection}${options.dryRun ? ' (dry run)' : ''}...\n`);
+
+  const result = await importCur({ store, secrets }, {
+    connectionId: options.connection,
+    source,
+    reconcile: options.reconcile,
+    dryRun: options.dryRun,
+    onFile: name => console.log(`  Reading ${name}`),
+  });
+
+  console.log(`\n  Files: ${result.files}`);
+  console.log(`  Line items: ${result.lineItems}`);
+  if (result.skippedLineItems > 0) {
+    console.log(`  Skipped line items (no valid usage start date): ${result.skippedLineItems}`);
+  }
+  console.log(`  Days: ${result.days} (${result.startDate} to ${result.endDate})`);
+  console.log(`  New records: ${result.newRecords}`);
+  console.log(`  Updated records: ${result.updatedRecords}`);
+
+  if (result.reconciliation.length > 0) {
+    const mismatched = result.reconciliation.filter(day => !day.matched);
+    console.log(`\n  Reconciliation with Cost Explorer: ${result.reconciliation.length - mismatched.length} of ${result.reconciliation.length} days match`);
+    for (const day of mismatched) {
+      console.log(`    ${day.date}: CUR ${day.curTotal.toFixed(2)}, Cost Explorer ${day.costExplorerTotal.toFixed(2)} (${day.difference >= 0 ? '+' : ''}${day.difference.toFixed(2)})`);
+    }
+  }
+  for (const failure of result.partialFailures) {
+    console.log(`\n  ⚠️  Could not fetch ${failure.scope}: ${failure.message}`);
+  }
+  console.log('');
+}
+
+// Run the import
+runImport()
+  .then(() => {
+    console.log('✅ CUR import completed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ CUR import failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+// Script to re-encrypt the local secrets file under a new master key
+// Stop the server first: it keeps the old key in memory and would overwrite
+// the rotated file on its next write.
+//
+//   LOCAL_SECRETS_KEY=<current key> LOCAL_SECRETS_NEW_KEY=<new key> node scripts/rotate-secrets-key.js
+//
+// Then start the server with LOCAL_SECRETS_KEY set to the new key.
+
+const { getSecretsConfig, createSecrets } = require('../services/secrets');
+
+async function rotateSecretsKey() {
+  const config = getSecretsConfig();
+  if (config.backend !== 'local') {
+    throw new Error('Key rotation only applies to SECRETS_BACKEND=local; Secret Manager manages its own encryption keys');
+  }
+
+  const newMasterKey = process.env.LOCAL_SECRETS_NEW_KEY;
+  if (!newMasterKey) {
+    throw new Error('LOCAL_SECRETS_NEW_KEY is required');
+  }
+
+  console.log(`Rotating the master key of ${config.file}...\n`);
+
+  const secrets = createSecrets(config);
+  const result = await secrets.rotateKey(newMasterKey);
+
+  console.log(`  Secrets re-encrypted: ${result.secrets}`);
+  console.log(`  Versions re-encrypted: ${result.versions}\n`);
+}
+
+// Run the rotation
+rotateSecretsKey()
+  .then(() => {
+    console.log('✅ Key rotation completed; restart the server with LOCAL_SECRETS_KEY set to the new key');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+  });
@@ -3,8 +3,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const { Firestore } = require('@google-cloud/firestore');
-const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 
 const costRoutes = require('./routes/costs');
 const credentialRoutes = require('./routes/credentials');
@@ -13,36 +11,58 @@ const serviceRoutes = require('./routes/services');
 const backfillRoutes = require('./routes/backfill');
 const healthRoutes = require('./routes/health');
 const budgetRoutes = require('./routes/budgets');
+const commitmentRoutes = require('./routes/commitments');
+const forecastRoutes = require('./routes/forecasts');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const { createAuthenticator, requireAuth, requireStreamAuth } = require('./services/auth');
+const { startBackfillWorker } = require('./services/backfill-worker');
+const { startScheduler } = require('./services/scheduler');
+const { createCollectionQueue } = require('./services/collection-queue');
+const { getStorageConfig, createStorage } = require('./services/storage');
+const { getSecretsConfig, createSecrets } = require('./services/secrets');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 const PROJECT_ID = process.env.PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
 
-// Initialize Firestore
-const firestore = new Firestore({
-  projectId: PROJECT_ID,
-  ignoreUndefinedProperties: true
-});
+// Origins allowed to call the API, comma separated. Without FRONTEND_URL, only
+// the local frontend is allowed in development and no other origin in production.
+const ALLOWED_ORIGINS = (process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000'))
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
-// Initialize Secret Manager
-const secretManager = new SecretManagerServiceClient();
+// Documents are stored in Firestore or local JSON files (STORAGE_BACKEND), and
+// credential secrets in Secret Manager or a local encrypted file (SECRETS_BACKEND)
+const storageConfig = getStorageConfig();
+const secretsConfig = getSecretsConfig(process.env, storageConfig);
 
-// Make clients available to routes
-app.locals.firestore = firestore;
-app.locals.secretManager = secretManager;
+// Make storage available to routes
+app.locals.store = createStorage(storageConfig);
+app.locals.secrets = createSecrets(secretsConfig);
 app.locals.projectId = PROJECT_ID;
 
+// Cost collections requested by the API and the scheduler run in this queue
+app.locals.collectionQueue = createCollectionQueue(app.locals);
+
+// Verifies the identity of API callers (AUTH_PROVIDERS)
+app.locals.auth = createAuthenticator();
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors({
-  origin: process.env.FRONTEND_URL || '*',
+  origin: ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS : false,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan('combined')); // Logging
+// Logging, in the combined format with stream tokens redacted from URLs
+morgan.token('redacted-url', (req) => (req.originalUrl || req.url).replace(/([?&]streamToken=)[^&]*/g, '$1[REDACTED]'));
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :redacted-url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"'));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -60,14 +80,28 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
+// Public routes
 app.use('/api/health', healthRoutes);
+app.use('/api/auth', authRoutes);
+
+// The progress stream can also be opened with a stream token, as EventSource
+// can't send headers
+app.get('/api/costs/runs/events', requireStreamAuth);
+
+// Every other API route requires an authenticated caller
+app.use('/api', requireAuth);
+
+// Routes
 app.use('/api/costs', costRoutes);
 app.use('/api/credentials', credentialRoutes);
 app.use('/api/schedules', scheduleRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/backfill', backfillRoutes);
 app.use('/api/budgets', budgetRoutes);
+app.use('/api/commitments', commitmentRoutes);
+app.use('/api/forecasts', forecastRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -77,12 +111,17 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/api/health',
+      auth: '/api/auth',
       costs: '/api/costs',
       credentials: '/api/credentials',
       schedules: '/api/schedules',
       services: '/api/services',
       backfill: '/api/backfill',
-      budgets: '/api/budgets'
+      budgets: '/api/budgets',
+      commitments: '/api/commitments',
+      forecasts: '/api/forecasts',
+      users: '/api/users',
+      audit: '/api/audit'
     }
   });
 });
@@ -119,6 +158,12 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  if (app.locals.backfillWorker) {
+    app.locals.backfillWorker.stop();
+  }
+  if (app.locals.scheduler) {
+    app.locals.scheduler.stop();
+  }
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -129,7 +174,20 @@ process.on('SIGTERM', () => {
 const server = app.listen(PORT, () => {
   console.log(`Billing Manager API running on port ${PORT}`);
   console.log(`Project ID: ${PROJECT_ID}`);
+  console.log(`Storage: ${storageConfig.backend}${storageConfig.backend === 'local' ? ` (${storageConfig.dataDir})` : ''}`);
+  console.log(`Secrets: ${secretsConfig.backend}${secretsConfig.backend === 'local' ? ` (${secretsConfig.file})` : ''}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`Authentication: ${app.locals.auth.providers.join(', ')}`);
+
+  // Process backfill jobs in the background
+  if (process.env.BACKFILL_WORKER_ENABLED !== 'false') {
+    app.locals.backfillWorker = startBackfillWorker(app.locals);
+  }
+
+  // Run due collection schedules
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    app.locals.scheduler = startScheduler(app.locals);
+  }
 });
 
 module.exports = app;
@@ -1,6 +1,9 @@
 // services/anthropic-collector.js - Anthropic Claude API usage cost tracking
 
-const axios = require('axios');
+const { CHECK_TIMEOUT_MS, createCheckList } = require('./credential-checks');
+const { createHttpClient } = require('./http-client');
+
+const http = createHttpClient('anthropic');
 
 /**
  * Anthropic Claude model pricing (per 1M tokens in USD)
@@ -29,59 +32,34 @@ const ANTHROPIC_PRICING = {
 };
 
 /**
- * Get pricing for a model
- */
-function getModelPricing(modelId) {
-  // Try exact match first
-  if (ANTHROPIC_PRICING[modelId]) {
-    return ANTHROPIC_PRICING[modelId];
-  }
-
-  // Try to match by model family
-  for (const [key, value] of Object.entries(ANTHROPIC_PRICING)) {
-    if (modelId.includes(key) || key.includes(modelId)) {
-      return value;
-    }
-  }
-
-  // Default to Sonnet 4 pricing if unknown
-  console.warn(`Unknown Anthropic model: ${modelId}, using Sonnet 4 pricing as fallback`);
-  return { input: 3.00, output: 15.00, name: modelId };
-}
-
-/**
- * Make a minimal API call to check credentials and get account info
+ * Check credentials by listing available models. Unlike a messages call,
+ * listing models is free.
+ * @param {string} apiKey - Anthropic API key
+ * @param {Object} [options] - { timeout, retries }; verification passes short values
  */
-async function testAnthropicAPI(apiKey) {
+async function testAnthropicAPI(apiKey, { timeout, retries } = {}) {
   try {
-    // Make a minimal API call to verify credentials
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-haiku-20240307', // Cheapest model for testing
-        max_tokens: 10,
-        messages: [{
-          role: 'user',
-          content: 'Hi'
-        }]
-      },
+    const response = await http.get(
+      'https://api.anthropic.com/v1/models',
       {
         headers: {
           'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
-      }
+          'anthropic-version': '2023-06-01'
+        },
+        timeout
+      },
+      { retries }
     );
 
     return {
       valid: true,
-      usage: response.data.usage,
-      model: response.data.model
+      models: (response.data.data || []).map(model => model.id)
     };
   } catch (error) {
     if (error.response) {
-      throw new Error(`Anthropic API error: ${error.response.data.error?.message || error.response.statusText}`);
+      const apiError = new Error(`Anthropic API error: ${error.response.data.error?.message || error.response.statusText}`);
+      apiError.status = error.response.status;
+      throw apiError;
     }
     throw error;
   }
@@ -91,8 +69,8 @@ async function testAnthropicAPI(apiKey) {
  * Collect Anthropic API usage costs
  *
  * Note: Anthropic doesn't provide a public API to fetch historical usage data
- * for individual accounts. This collector provides estimated usage based on
- * a test API call and stores cumulative usage over time.
+ * for individual accounts. This collector checks the key with a free models
+ * call and records a zero-cost entry to show the service is configured.
  *
  * For accurate billing, check: https://console.anthropic.com/settings/billing
  *
@@ -119,14 +97,6 @@ async function collectAnthropicCosts(credentials) {
     const now = new Date();
     const today = now.toISOString().split('T')[0];
 
-    // Get pricing for the test model
-    const pricing = getModelPricing(testResult.model);
-
-    // Calculate cost from test call
-    const inputCost = (testResult.usage.input_tokens / 1000000) * pricing.input;
-    const outputCost = (testResult.usage.output_tokens / 1000000) * pricing.output;
-    const testCost = inputCost + outputCost;
-
     const costs = [{
       serviceId: 'anthropic',
       timestamp: new Date(today).toISOString(),
@@ -139,8 +109,7 @@ async function collectAnthropicCosts(credentials) {
         cost: 0,
         tags: {
           note: 'Individual accounts cannot fetch usage via API. Please check console.anthropic.com for accurate costs.',
-          test_call_cost: testCost.toFixed(6),
-          models_available: Object.keys(ANTHROPIC_PRICING).length
+          models_available: testResult.models.length
         }
       }],
       metadata: {
@@ -148,7 +117,6 @@ async function collectAnthropicCosts(credentials) {
         source: 'Anthropic API (Limited - No Usage API for Individual Accounts)',
         warning: 'This service requires Admin API keys for full usage tracking. Currently showing connection status only.',
         pricing_models: Object.keys(ANTHROPIC_PRICING).length,
-        test_model: pricing.name,
         console_url: 'https://console.anthropic.com/settings/billing'
       }
     }];
@@ -180,8 +148,56 @@ async function collectYesterdayCosts(credentials) {
   return collectAnthropicCosts(credentials);
 }
 
+/**
+ * Verify an Anthropic API key without incurring usage charges
+ * @param {Object} credentials - Anthropic API credentials {apiKey}
+ * @returns {Promise<Object>} Structured check results
+ */
+async function verifyAnthropicCredentials(credentials) {
+  const checks = createCheckList();
+
+  try {
+    const { models } = await testAnthropicAPI(credentials.apiKey, { timeout: CHECK_TIMEOUT_MS, retries: 0 });
+    checks.pass('api-key', 'Validate API key', `API key is valid (${models.length} models available)`);
+  } catch (error) {
+    checks.fail('api-key', 'Validate API key',
+      error.status === 401 ? 'Invalid Anthropic API key' : error.message);
+  }
+
+  return checks.result();
+}
+
+/**
+ * Collector descriptor registered by services/collector-registry.js
+ */
+const collector = {
+  id: 'anthropic',
+  name: 'Anthropic Claude',
+  icon: 'anthropic',
+  emoji: '🎭',
+  color: '#D97757',
+  dashboardUrl: 'https://console.anthropic.com/settings/billing',
+  credentialFields: [
+    { key: 'apiKey', label: 'API Key', type: 'password', required: true, helperText: 'Your Anthropic API key (starts with sk-ant-api...)' },
+  ],
+  capabilities: {
+    budgets: false,
+    forecast: false,
+    dateRange: false,
+  },
+  dateRangeUnsupportedReason: 'Anthropic individual accounts do not provide historical usage via API',
+  collectCurrent(credentials) {
+    return collectCurrentMonthCosts(credentials);
+  },
+  verifyCredentials(credentials) {
+    return verifyAnthropicCredentials(credentials);
+  },
+};
+
 module.exports = {
+  collector,
   collectAnthropicCosts,
   collectCurrentMonthCosts,
   collectYesterdayCosts,
+  verifyAnthropicCredentials,
 };
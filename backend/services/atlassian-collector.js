@@ -1,4 +1,7 @@
 // services/atlassian-collector.js - Atlassian subscription cost tracking
+const { CHECK_TIMEOUT_MS, createCheckList, describeHttpError } = require('./credential-checks');
+const { createHttpClient } = require('./http-client');
+const { toPartialFailure } = require('./retry');
 
 /**
  * Collect Atlassian subscription costs
@@ -10,8 +13,6 @@
 async function collectAtlassianCosts(credentials) {
   console.log('Collecting Atlassian costs...');
 
-  const axios = require('axios');
-
   try {
     const { email, apiToken, cloudId } = credentials;
 
@@ -26,6 +27,11 @@ async function collectAtlassianCosts(credentials) {
       'Content-Type': 'application/json'
     };
 
+    const http = createHttpClient('atlassian', { headers });
+
+    // Lookups that failed, even after retries; the estimate falls back to defaults
+    const partialFailures = [];
+
     // Get organization details
     let organizations = [];
 
@@ -36,14 +42,12 @@ async function collectAtlassianCosts(credentials) {
     } else {
       // Otherwise, try to fetch all organizations
       try {
-        const orgResponse = await axios.get(
-          'https://api.atlassian.com/admin/v1/orgs',
-          { headers }
-        );
+        const orgResponse = await http.get('https://api.atlassian.com/admin/v1/orgs');
         organizations = orgResponse.data.data || [];
         console.log(`Found ${organizations.length} organizations`);
       } catch (error) {
         console.log('Could not fetch organizations:', error.message);
+        partialFailures.push(toPartialFailure('organizations', error));
       }
     }
 
@@ -92,10 +96,7 @@ async function collectAtlassianCosts(credentials) {
       for (const org of organizations) {
         // Try to get products for this organization
         try {
-          const productsResponse = await axios.get(
-            `https://api.atlassian.com/admin/v1/orgs/${org.id}/products`,
-            { headers }
-          );
+          const productsResponse = await http.get(`https://api.atlassian.com/admin/v1/orgs/${org.id}/products`);
 
           const products = productsResponse.data.data || [];
 
@@ -106,13 +107,14 @@ async function collectAtlassianCosts(credentials) {
             // Get user count for this product
             let productUsers = 0;
             try {
-              const usersResponse = await axios.get(
+              const usersResponse = await http.get(
                 `https://api.atlassian.com/admin/v1/orgs/${org.id}/users`,
-                { headers, params: { product: productKey } }
+                { params: { product: productKey } }
               );
               productUsers = usersResponse.data.total || 10; // Default to 10 users if unavailable
             } catch (error) {
               productUsers = 10; // Default estimate
+              partialFailures.push(toPartialFailure(`users of ${productKey} in org ${org.id}`, error));
             }
 
             const productCost = pricing.basePrice * productUsers;
@@ -136,6 +138,7 @@ async function collectAtlassianCosts(credentials) {
           }
         } catch (error) {
           console.log(`Could not fetch products for org ${org.id}:`, error.message);
+          partialFailures.push(toPartialFailure(`products of org ${org.id}`, error));
         }
       }
     }
@@ -146,8 +149,7 @@ async function collectAtlassianCosts(credentials) {
       try {
         // Try to get user count from Jira API
         const jiraUrl = `https://${credentials.orgId}.atlassian.net/rest/api/3/users/search`;
-        const jiraResponse = await axios.get(jiraUrl, {
-          headers,
+        const jiraResponse = await http.get(jiraUrl, {
           params: { maxResults: 1000 }
         });
 
@@ -233,6 +235,7 @@ async function collectAtlassianCosts(credentials) {
         });
       } catch (jiraError) {
         console.log('Jira API fallback also failed:', jiraError.message);
+        partialFailures.push(toPartialFailure('Jira users', jiraError));
         // Fall through to default estimates below
       }
     }
@@ -287,6 +290,7 @@ async function collectAtlassianCosts(credentials) {
       success: true,
       costs,
       count: costs.length,
+      partialFailures,
       summary: {
         totalProducts: resources.length,
         totalUsers: userCount || 10,
@@ -324,8 +328,77 @@ async function collectYesterdayCosts(credentials) {
   return collectAtlassianCosts(credentials);
 }
 
+/**
+ * Verify Atlassian credentials against the organization admin API
+ * @param {Object} credentials - Atlassian API credentials {email, apiToken, orgId}
+ * @returns {Promise<Object>} Structured check results
+ */
+async function verifyAtlassianCredentials(credentials) {
+  const axios = require('axios');
+  const { email, apiToken, orgId } = credentials;
+  const checks = createCheckList();
+  checks.setIdentity(email || null);
+
+  const auth = Buffer.from(`${email}:${apiToken}`).toString('base64');
+
+  try {
+    const response = await axios.get('https://api.atlassian.com/admin/v1/orgs', {
+      headers: { 'Authorization': `Basic ${auth}`, 'Accept': 'application/json' },
+      timeout: CHECK_TIMEOUT_MS,
+    });
+    const organizations = response.data.data || [];
+    checks.pass('organizations', 'List organizations', `Token can read ${organizations.length} organization(s)`);
+
+    if (orgId && organizations.length > 0 && !organizations.some(org => org.id === orgId)) {
+      checks.warn('organization', 'Organization ID',
+        `Organization ${orgId} is not among the organizations this token can access`);
+    }
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 401) {
+      checks.fail('organizations', 'List organizations', `Email or API token rejected (${describeHttpError(error)})`);
+    } else {
+      checks.fail('organizations', 'List organizations', describeHttpError(error),
+        { permission: status === 403 ? 'Organization admin' : null });
+    }
+  }
+
+  return checks.result();
+}
+
+/**
+ * Collector descriptor registered by services/collector-registry.js
+ */
+const collector = {
+  id: 'atlassian',
+  name: 'Atlassian',
+  icon: 'atlassian',
+  emoji: '🔷',
+  color: '#0052CC',
+  dashboardUrl: 'https://admin.atlassian.com/',
+  credentialFields: [
+    { key: 'email', label: 'Email', type: 'text', required: true },
+    { key: 'apiToken', label: 'API Token', type: 'password', required: true },
+    { key: 'orgId', label: 'Organization ID', type: 'text', required: true },
+  ],
+  capabilities: {
+    budgets: false,
+    forecast: false,
+    dateRange: false,
+  },
+  dateRangeUnsupportedReason: 'Atlassian has no billing history API; costs are estimated from current subscriptions and user counts',
+  collectCurrent(credentials) {
+    return collectCurrentMonthCosts(credentials);
+  },
+  verifyCredentials(credentials) {
+    return verifyAtlassianCredentials(credentials);
+  },
+};
+
 module.exports = {
+  collector,
   collectAtlassianCosts,
   collectCurrentMonthCosts,
-  collectYesterdayCosts
+  collectYesterdayCosts,
+  verifyAtlassianCredentials
 };
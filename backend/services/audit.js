@@ -0,0 +1,158 @@
+// services/audit.js - Append-only audit trail of changes made through the API
+const AUDIT_COLLECTION = 'audit_log';
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never written to the audit log: the secret
+// credential fields (apiKey, apiToken, privateKey, secretAccessKey), session
+// tokens and passwords, and submitted credentials objects. Anchored to the
+// end of the key so metadata about secrets (secretName, secretVersion) and
+// usage counts (inputTokens) are kept.
+const SECRET_KEY_PATTERN = /(?:secret|password|private_?key|api_?key|access_?key|token|credentials)$/i;
+
+// What an entry is about
+const AUDIT_TARGET_TYPES = ['credential', 'schedule', 'service', 'cost', 'collection', 'backfill', 'user'];
+
+/**
+ * Copy a value with secrets replaced by [REDACTED]. Objects under a secret
+ * key keep their keys, so the log shows which fields changed.
+ */
+function redact(value, secret = false) {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secret));
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = redact(item, secret || SECRET_KEY_PATTERN.test(key));
+    }
+    return copy;
+  }
+  if (secret && value !== null && value !== undefined && value !== '') {
+    return REDACTED;
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Request details recorded with every entry
+ */
+function describeRequest(req) {
+  return {
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  };
+}
+
+function describeActor(user) {
+  if (!user) {
+    return { id: 'system', email: null, name: 'System', provider: null, role: null };
+  }
+  return {
+    id: user.id,
+    email: user.email || null,
+    name: user.name || null,
+    provider: user.provider || null,
+    role: user.role || null,
+  };
+}
+
+/**
+ * Append an entry to the audit log. Entries are created once and never
+ * updated or deleted by the API.
+ * @param {Object} req - Express request of the change, with req.user
+ * @param {Object} entry - { action, targetType, targetId, serviceId, before, after, details }
+ *   action is `${targetType}.${verb}`, e.g. credential.reveal
+ * @returns {Promise<Object>} The stored entry
+ */
+async function recordAudit(req, { action, targetType, targetId, serviceId = null, before = null, after = null, details = null }) {
+  if (!AUDIT_TARGET_TYPES.includes(targetType)) {
+    throw new Error(`Invalid audit target type: ${targetType}`);
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    action,
+    actor: describeActor(req.user),
+    actorId: req.user ? req.user.id : 'system',
+    targetType,
+    targetId,
+    serviceId,
+    before: redact(before),
+    after: redact(after),
+    details: redact(details),
+    request: describeRequest(req),
+  };
+
+  const id = await req.app.locals.store.add(AUDIT_COLLECTION, entry);
+  return { id, ...entry };
+}
+
+/**
+ * Record an entry for a change that already happened, without letting a
+ * storage error turn the response into a failure
+ */
+async function safeRecordAudit(req, entry) {
+  try {
+    await recordAudit(req, entry);
+  } catch (error) {
+    console.error(`Failed to record audit entry ${entry.action} ${entry.targetId}:`, error);
+  }
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} filters - { actorId, action, targetType, targetId, serviceId, startDate, endDate, limit, pageToken }
+ *   startDate and endDate are ISO dates or timestamps, endDate inclusive
+ * @returns {Promise<Object>} { entries, nextPageToken }
+ */
+async function listAuditEntries(store, { actorId, action, targetType, targetId, serviceId, startDate, endDate, limit = 50, pageToken } = {}) {
+  const where = [];
+
+  const equalities = { actorId, action, targetType, targetId, serviceId };
+  for (const [field, value] of Object.entries(equalities)) {
+    if (value) {
+      where.push([field, '==', value]);
+    }
+  }
+
+  if (startDate) {
+    where.push(['timestamp', '>=', startDate]);
+  }
+  if (endDate) {
+    // A date alone includes the whole day
+    where.push(['timestamp', '<=', endDate.length === 10 ? `${endDate}T23:59:59.999Z` : endDate]);
+  }
+
+  // The page token is the ID of the last entry of the previous page
+  if (pageToken && !(await store.get(AUDIT_COLLECTION, pageToken))) {
+    const error = new Error('Invalid pageToken');
+    error.status = 400;
+    throw error;
+  }
+
+  // Fetch one extra entry to know whether there is another page
+  const docs = await store.query(AUDIT_COLLECTION, {
+    where,
+    orderBy: [['timestamp', 'desc']],
+    startAfter: pageToken,
+    limit: limit + 1
+  });
+  const entries = docs.slice(0, limit).map(doc => ({ id: doc.id, ...doc.data }));
+
+  return {
+    entries,
+    nextPageToken: docs.length > limit ? entries[entries.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  AUDIT_TARGET_TYPES,
+  redact,
+  recordAudit,
+  safeRecordAudit,
+  listAuditEntries,
+};
@@ -0,0 +1,205 @@
+// services/auth-tokens.js - JSON Web Token signing and verification
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Accepted difference between our clock and the issuer's
+const CLOCK_SKEW_SECONDS = 60;
+
+// How long fetched signing keys are used before fetching them again
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+// Minimum time between fetches triggered by an unknown key ID
+const JWKS_REFETCH_MS = 30 * 1000;
+
+// Node digest and signature encoding for each supported JWT algorithm
+const ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * Create an error for the auth middleware to return as 401
+ */
+function authError(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+/**
+ * Whether a bearer token looks like a JWT rather than an opaque key
+ */
+function isJwt(token) {
+  return typeof token === 'string' && token.split('.').length === 3;
+}
+
+/**
+ * Split a JWT into its parts without verifying it
+ * @returns {Object} { header, payload, signingInput, signature }
+ * @throws {Error} With `status` 401 if the token is malformed
+ */
+function decodeJwt(token) {
+  if (!isJwt(token)) {
+    throw authError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  try {
+    return {
+      header: JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8')),
+      signingInput: `${encodedHeader}.${encodedPayload}`,
+      signature: Buffer.from(encodedSignature, 'base64url'),
+    };
+  } catch (error) {
+    throw authError('Malformed token');
+  }
+}
+
+/**
+ * Check the time, issuer and audience claims of a verified token
+ * @throws {Error} With `status` 401 describing the failed check
+ */
+function checkClaims(payload, { issuer, audience } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw authError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw authError('Token not yet valid');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW_SECONDS > now) {
+    throw authError('Token issued in the future');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw authError('Unexpected token issuer');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw authError('Unexpected token audience');
+    }
+  }
+}
+
+/**
+ * Sign a payload as an HS256 JWT
+ */
+function signHs256(payload, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT signed with signHs256
+ * @returns {Object} Payload
+ * @throws {Error} With `status` 401 if the signature or claims are invalid
+ */
+function verifyHs256(token, secret, expected) {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+  if (header.alg !== 'HS256') {
+    throw authError('Unexpected token algorithm');
+  }
+
+  const expectedSignature = crypto.createHmac('sha256', secret).update(signingInput).digest();
+  if (signature.length !== expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+    throw authError('Invalid token signature');
+  }
+
+  checkClaims(payload, expected);
+  return payload;
+}
+
+/**
+ * Fetch and cache the public keys an issuer signs tokens with
+ * @param {string} jwksUri - JSON Web Key Set URL
+ * @returns {Function} getKey(kid) resolving with a KeyObject, or null if unknown
+ */
+function createJwksClient(jwksUri) {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let fetching = null;
+
+  const refresh = async () => {
+    const response = await axios.get(jwksUri, { timeout: 10000 });
+    const next = new Map();
+    for (const jwk of response.data.keys || []) {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+      try {
+        next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.warn(`Ignoring unsupported signing key ${jwk.kid} from ${jwksUri}: ${error.message}`);
+      }
+    }
+    keys = next;
+    fetchedAt = Date.now();
+  };
+
+  const load = () => {
+    if (!fetching) {
+      fetching = refresh().finally(() => { fetching = null; });
+    }
+    return fetching;
+  };
+
+  return async (kid) => {
+    const age = Date.now() - fetchedAt;
+    // Keys rotate, so an unknown key ID triggers a fetch, at most every JWKS_REFETCH_MS
+    if (age > JWKS_CACHE_MS || (!keys.has(kid) && age > JWKS_REFETCH_MS)) {
+      await load();
+    }
+    return keys.get(kid) || null;
+  };
+}
+
+/**
+ * Verify a JWT signed with an issuer's asymmetric key
+ * @param {string} token - JWT
+ * @param {Function} getKey - From createJwksClient
+ * @param {Object} expected - { issuer, audience }
+ * @returns {Promise<Object>} Payload
+ * @throws {Error} With `status` 401 if the signature or claims are invalid
+ */
+async function verifyJwt(token, getKey, expected) {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw authError('Unexpected token algorithm');
+  }
+
+  const key = await getKey(header.kid);
+  if (!key) {
+    throw authError('Unknown token signing key');
+  }
+
+  const valid = crypto.verify(
+    algorithm.digest,
+    Buffer.from(signingInput),
+    algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+    signature
+  );
+  if (!valid) {
+    throw authError('Invalid token signature');
+  }
+
+  checkClaims(payload, expected);
+  return payload;
+}
+
+module.exports = {
+  authError,
+  isJwt,
+  decodeJwt,
+  checkClaims,
+  signHs256,
+  verifyHs256,
+  createJwksClient,
+  verifyJwt,
+};
@@ -0,0 +1,239 @@
+// services/auth-verifiers.js - Ways of proving who is calling the API
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  authError,
+  isJwt,
+  decodeJwt,
+  signHs256,
+  verifyHs256,
+  createJwksClient,
+  verifyJwt,
+} = require('./auth-tokens');
+const { ROLES, isValidRole } = require('./roles');
+
+const DEV_ISSUER = 'billing-manager-dev';
+const DEV_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+const FIREBASE_JWKS_URI = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+/**
+ * Each verifier turns the bearer token of a request into an identity:
+ *
+ *   {
+ *     id: 'oidc',
+ *     publicConfig: { type, ... },   // what the login page needs, no secrets
+ *     verify(token),                 // identity, or null if the token is not for this verifier
+ *   }
+ *
+ * An identity is { id, subject, email, emailVerified, name, provider, authTime }.
+ * emailVerified is true only when the provider vouches for the email, as only
+ * verified emails match AUTH_ADMIN_EMAILS. authTime is when the user last
+ * signed in, in seconds since the epoch, or null when the token doesn't
+ * say (API keys, OIDC tokens without auth_time). verify throws an error with `status`
+ * 401 when the token is for this verifier but invalid.
+ */
+
+/**
+ * OpenID Connect ID tokens from any compliant provider (Google, Okta,
+ * Auth0, Keycloak, ...). The login page runs the authorization code flow
+ * with PKCE against the issuer.
+ * @param {Object} options - { issuer, clientId, audience, jwksUri, name, scopes }
+ */
+function createOidcVerifier({ issuer, clientId, audience = clientId, jwksUri, name = 'Single Sign-On', scopes = 'openid email profile' }) {
+  if (!issuer || !audience) {
+    throw new Error('OIDC authentication requires AUTH_OIDC_ISSUER and AUTH_OIDC_CLIENT_ID');
+  }
+
+  let getKey = jwksUri ? createJwksClient(jwksUri) : null;
+
+  // Without an explicit JWKS URI, discover it from the issuer
+  const resolveKeys = async () => {
+    if (!getKey) {
+      const response = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, { timeout: 10000 });
+      getKey = createJwksClient(response.data.jwks_uri);
+    }
+    return getKey;
+  };
+
+  return {
+    id: 'oidc',
+    publicConfig: { type: 'oidc', name, issuer, clientId, scopes },
+    async verify(token) {
+      if (!isJwt(token) || decodeJwt(token).payload.iss !== issuer) {
+        return null;
+      }
+
+      const keys = await resolveKeys();
+      const payload = await verifyJwt(token, keys, { issuer, audience });
+      return {
+        id: `oidc:${payload.sub}`,
+        subject: payload.sub,
+        email: payload.email || null,
+        emailVerified: payload.email_verified === true,
+        name: payload.name || payload.email || payload.sub,
+        provider: 'oidc',
+        // Not iat, which is renewed whenever the token is refreshed. Providers
+        // only have to send auth_time when the sign-in asked for max_age.
+        authTime: payload.auth_time || null,
+      };
+    },
+  };
+}
+
+/**
+ * Firebase Authentication ID tokens. The login page signs in with email
+ * and password through the Firebase Auth REST API.
+ * @param {Object} options - { projectId, apiKey }; the web API key is public
+ */
+function createFirebaseVerifier({ projectId, apiKey }) {
+  if (!projectId) {
+    throw new Error('Firebase authentication requires AUTH_FIREBASE_PROJECT_ID or PROJECT_ID');
+  }
+
+  const issuer = `https://securetoken.google.com/${projectId}`;
+  const getKey = createJwksClient(FIREBASE_JWKS_URI);
+
+  return {
+    id: 'firebase',
+    publicConfig: { type: 'firebase', projectId, apiKey: apiKey || null },
+    async verify(token) {
+      if (!isJwt(token) || decodeJwt(token).payload.iss !== issuer) {
+        return null;
+      }
+
+      const payload = await verifyJwt(token, getKey, { issuer, audience: projectId });
+      if (!payload.sub) {
+        throw authError('Token has no subject');
+      }
+      return {
+        id: `firebase:${payload.sub}`,
+        subject: payload.sub,
+        email: payload.email || null,
+        emailVerified: payload.email_verified === true,
+        name: payload.name || payload.email || payload.sub,
+        provider: 'firebase',
+        authTime: payload.auth_time || null,
+      };
+    },
+  };
+}
+
+/**
+ * Static API keys for scripts and integrations, configured as
+ * AUTH_API_KEYS=name:key,name:key:role and sent as a bearer token or
+ * X-API-Key. Keys without a role get AUTH_DEFAULT_ROLE.
+ * @param {Object} options - { keys: 'name:key[:role],...' }
+ */
+function createApiKeyVerifier({ keys }) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+  const entries = String(keys || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const parts = entry.split(':');
+      const role = parts.length > 2 ? parts.pop() : null;
+      const [name, key] = [parts[0], parts.slice(1).join(':')];
+      if (!name || !key) {
+        throw new Error('AUTH_API_KEYS entries must be name:key or name:key:role');
+      }
+      if (role !== null && !isValidRole(role)) {
+        throw new Error(`AUTH_API_KEYS role for ${name} must be one of ${ROLES.join(', ')}`);
+      }
+      return { name, role, digest: digest(key) };
+    });
+
+  if (entries.length === 0) {
+    throw new Error('API key authentication requires AUTH_API_KEYS');
+  }
+
+  return {
+    id: 'api-key',
+    publicConfig: { type: 'api-key' },
+    async verify(token) {
+      if (isJwt(token)) {
+        return null;
+      }
+
+      // Compare digests so the comparison takes the same time for every key
+      const candidate = digest(token);
+      const match = entries.find(entry => crypto.timingSafeEqual(entry.digest, candidate));
+      if (!match) {
+        throw authError('Invalid API key');
+      }
+      return {
+        id: `api-key:${match.name}`,
+        subject: match.name,
+        email: null,
+        emailVerified: false,
+        name: match.name,
+        provider: 'api-key',
+        authTime: null,
+        ...(match.role ? { role: match.role, roleSource: 'env' } : {}),
+      };
+    },
+  };
+}
+
+/**
+ * Fake identity provider for local development: anyone can sign in as any
+ * email through POST /api/auth/dev/login, without network access. Refused
+ * in production.
+ * @param {Object} options - { secret, production }; secret signs the tokens
+ */
+function createDevVerifier({ secret, production }) {
+  if (production) {
+    throw new Error('The dev authentication provider cannot be used in production');
+  }
+
+  return {
+    id: 'dev',
+    publicConfig: { type: 'dev' },
+    /**
+     * Issue a token for any identity
+     * @returns {Object} { token, expiresAt }
+     */
+    issueToken({ email, name }) {
+      const now = Math.floor(Date.now() / 1000);
+      const exp = now + DEV_TOKEN_TTL_SECONDS;
+      const token = signHs256({ iss: DEV_ISSUER, sub: email, email, name: name || email, iat: now, exp }, secret);
+      return { token, expiresAt: new Date(exp * 1000).toISOString() };
+    },
+    async verify(token) {
+      if (!isJwt(token) || decodeJwt(token).payload.iss !== DEV_ISSUER) {
+        return null;
+      }
+
+      const payload = verifyHs256(token, secret, { issuer: DEV_ISSUER });
+      return {
+        id: `dev:${payload.sub}`,
+        subject: payload.sub,
+        email: payload.email,
+        // Anyone can sign in as any email; the provider is for development only
+        emailVerified: true,
+        name: payload.name,
+        provider: 'dev',
+        // Dev tokens are issued at sign-in and never refreshed
+        authTime: payload.iat,
+      };
+    },
+  };
+}
+
+// Verifier factories by AUTH_PROVIDERS name
+const VERIFIERS = {
+  oidc: createOidcVerifier,
+  firebase: createFirebaseVerifier,
+  'api-key': createApiKeyVerifier,
+  dev: createDevVerifier,
+};
+
+module.exports = {
+  VERIFIERS,
+  createOidcVerifier,
+  createFirebaseVerifier,
+  createApiKeyVerifier,
+  createDevVerifier,
+};
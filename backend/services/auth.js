@@ -0,0 +1,224 @@
+// services/auth.js - Authentication of API requests
+const crypto = require('crypto');
+const { VERIFIERS } = require('./auth-verifiers');
+const { authError, signHs256, verifyHs256 } = require('./auth-tokens');
+
+// Stream tokens let EventSource, which can't send headers, open
+// GET /api/costs/runs/events with a query parameter instead. Only that
+// route accepts them, through requireStreamAuth.
+const STREAM_TOKEN_ISSUER = 'billing-manager-stream';
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+// Reveal tokens allow one full credential reveal, see services/credential-reveal.js
+const REVEAL_TOKEN_ISSUER = 'billing-manager-reveal';
+const REVEAL_TOKEN_TTL_SECONDS = 60;
+
+/**
+ * Options of each verifier, from the environment
+ */
+function getVerifierOptions(env, secret) {
+  const production = env.NODE_ENV === 'production';
+
+  return {
+    oidc: {
+      issuer: env.AUTH_OIDC_ISSUER,
+      clientId: env.AUTH_OIDC_CLIENT_ID,
+      audience: env.AUTH_OIDC_AUDIENCE || env.AUTH_OIDC_CLIENT_ID,
+      jwksUri: env.AUTH_OIDC_JWKS_URI,
+      name: env.AUTH_OIDC_NAME,
+      scopes: env.AUTH_OIDC_SCOPES,
+    },
+    firebase: {
+      projectId: env.AUTH_FIREBASE_PROJECT_ID || env.PROJECT_ID || env.GOOGLE_CLOUD_PROJECT,
+      apiKey: env.AUTH_FIREBASE_API_KEY,
+    },
+    'api-key': {
+      keys: env.AUTH_API_KEYS,
+    },
+    dev: {
+      secret,
+      production,
+    },
+  };
+}
+
+/**
+ * Bearer token of a request, from the Authorization or X-API-Key header
+ */
+function getRequestToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Create the authenticator from the environment. AUTH_PROVIDERS lists the
+ * enabled verifiers (oidc, firebase, api-key, dev), tried in order. There is
+ * no default: without providers the app refuses to start rather than accept
+ * any caller, and the dev provider must be listed explicitly.
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { providers, middleware, streamMiddleware, authenticate, issueStreamToken,
+ *   issueRevealToken, verifyRevealToken, getVerifier, getPublicConfig }
+ * @throws {Error} If no provider is configured, or one is unknown or misconfigured
+ */
+function createAuthenticator(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const providers = (env.AUTH_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (providers.length === 0) {
+    throw new Error('AUTH_PROVIDERS is not set; list the authentication providers to enable (firebase, oidc, api-key, or dev for local development)');
+  }
+
+  const unknown = providers.filter(id => !VERIFIERS[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown authentication provider(s): ${unknown.join(', ')}`);
+  }
+
+  // Signs dev, stream and reveal tokens. Without a shared secret, tokens issued by
+  // one instance are rejected by the others.
+  const secret = env.AUTH_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+  if (!env.AUTH_SESSION_SECRET && production) {
+    console.warn('AUTH_SESSION_SECRET is not set; progress stream tokens only work on the instance that issued them');
+  }
+
+  const options = getVerifierOptions(env, secret);
+  const verifiers = providers.map(id => VERIFIERS[id](options[id]));
+
+  /**
+   * Identity of the caller
+   * @returns {Promise<Object>} { id, subject, email, name, provider }
+   * @throws {Error} With `status` 401 if the request is not authenticated
+   */
+  const authenticate = async (req) => {
+    const token = getRequestToken(req);
+
+    if (!token) {
+      throw authError('Authentication required');
+    }
+
+    for (const verifier of verifiers) {
+      const identity = await verifier.verify(token);
+      if (identity) {
+        return identity;
+      }
+    }
+    throw authError('Unsupported token');
+  };
+
+  /**
+   * Identity of the caller of an event stream: a stream token in the query,
+   * or the usual bearer token
+   */
+  const authenticateStream = async (req) => {
+    if (!getRequestToken(req) && req.query.streamToken) {
+      return verifyHs256(req.query.streamToken, secret, { issuer: STREAM_TOKEN_ISSUER }).identity;
+    }
+    return authenticate(req);
+  };
+
+  /**
+   * Express middleware setting req.user with the given authentication, or
+   * responding 401. Requests already authenticated by an earlier middleware
+   * are passed on.
+   */
+  const createMiddleware = (authenticateRequest) => async (req, res, next) => {
+    if (req.user) {
+      return next();
+    }
+
+    try {
+      req.user = await authenticateRequest(req);
+      next();
+    } catch (error) {
+      if (error.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: error.message });
+      }
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  const middleware = createMiddleware(authenticate);
+  const streamMiddleware = createMiddleware(authenticateStream);
+
+  /**
+   * Short-lived token for opening an event stream as the given identity
+   * @returns {Object} { token, expiresAt }
+   */
+  const issueStreamToken = (identity) => {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + STREAM_TOKEN_TTL_SECONDS;
+    const token = signHs256({ iss: STREAM_TOKEN_ISSUER, sub: identity.id, identity, iat: now, exp }, secret);
+    return { token, expiresAt: new Date(exp * 1000).toISOString() };
+  };
+
+  /**
+   * Short-lived token allowing the given identity one full reveal of a
+   * connection's credentials
+   * @returns {Object} { token, expiresAt }
+   */
+  const issueRevealToken = (identity, connectionId) => {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + REVEAL_TOKEN_TTL_SECONDS;
+    const jti = crypto.randomBytes(16).toString('hex');
+    const token = signHs256({ iss: REVEAL_TOKEN_ISSUER, sub: identity.id, connectionId, jti, iat: now, exp }, secret);
+    return { token, expiresAt: new Date(exp * 1000).toISOString() };
+  };
+
+  /**
+   * Check a token issued by issueRevealToken
+   * @returns {Object} Payload { sub, connectionId, jti, exp }
+   * @throws {Error} With `status` 401 if the token is invalid or expired
+   */
+  const verifyRevealToken = (token) => verifyHs256(token, secret, { issuer: REVEAL_TOKEN_ISSUER });
+
+  const getVerifier = (id) => verifiers.find(verifier => verifier.id === id) || null;
+
+  /**
+   * What the login page needs to know, without secrets
+   */
+  const getPublicConfig = () => ({
+    providers: verifiers.map(verifier => verifier.publicConfig),
+  });
+
+  return {
+    providers,
+    middleware,
+    streamMiddleware,
+    authenticate,
+    issueStreamToken,
+    issueRevealToken,
+    verifyRevealToken,
+    getVerifier,
+    getPublicConfig,
+  };
+}
+
+/**
+ * Express middleware requiring an authenticated request, using the
+ * authenticator in app.locals.auth
+ */
+function requireAuth(req, res, next) {
+  return req.app.locals.auth.middleware(req, res, next);
+}
+
+/**
+ * Like requireAuth, but also accepting a stream token in the query. Only
+ * for event stream routes.
+ */
+function requireStreamAuth(req, res, next) {
+  return req.app.locals.auth.streamMiddleware(req, res, next);
+}
+
+module.exports = {
+  createAuthenticator,
+  requireAuth,
+  requireStreamAuth,
+};
@@ -1,98 +1,596 @@
 // services/aws-collector.js - AWS Cost Explorer integration
-const { CostExplorerClient, GetCostAndUsageCommand, GetCostForecastCommand } = require('@aws-sdk/client-cost-explorer');
+const {
+  CostExplorerClient,
+  GetCostAndUsageCommand,
+  GetCostForecastCommand,
+  GetSavingsPlansCoverageCommand,
+  GetSavingsPlansUtilizationCommand,
+  GetReservationCoverageCommand,
+  GetReservationUtilizationCommand,
+} = require('@aws-sdk/client-cost-explorer');
 const { BudgetsClient, DescribeBudgetsCommand } = require('@aws-sdk/client-budgets');
+const {
+  OrganizationsClient,
+  ListAccountsCommand,
+  ListParentsCommand,
+  DescribeOrganizationalUnitCommand,
+} = require('@aws-sdk/client-organizations');
+const {
+  STSClient,
+  AssumeRoleCommand,
+  AssumeRoleWithWebIdentityCommand,
+  GetCallerIdentityCommand,
+} = require('@aws-sdk/client-sts');
+const { GoogleAuth } = require('google-auth-library');
+const { CHECK_TIMEOUT_MS, createCheckList } = require('./credential-checks');
+const { TIMEOUT_MS, withRetry, withFallback, withTimeout } = require('./retry');
+
+// Role the app itself signs in as before assuming connections' roles, using
+// a Google ID token of the service account it runs as (e.g. on Cloud Run).
+// Unset uses the SDK's default credential chain: environment variables,
+// shared config, or the EC2/ECS/EKS role.
+const SOURCE_ROLE_ARN = process.env.AWS_SOURCE_ROLE_ARN || '';
+const SOURCE_ROLE_AUDIENCE = process.env.AWS_SOURCE_ROLE_AUDIENCE || 'sts.amazonaws.com';
+
+const ROLE_SESSION_NAME = 'billing-manager';
+const ROLE_SESSION_SECONDS = 3600;
+
+// Assumed role credentials are reused until this close to expiring
+const ROLE_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const assumedRoles = new Map();
+const pendingRoles = new Map();
+
+// Account names and OU paths of an organization are looked up once per
+// connection for this long, so the collections of a run and the chunks of a
+// backfill don't list them again
+const ORGANIZATION_CACHE_MS = 15 * 60 * 1000;
+
+const organizationLookups = new Map();
+
+// Cost Explorer metrics a connection can report, with the matching forecast metric
+const COST_METRICS = {
+  UnblendedCost: 'UNBLENDED_COST',
+  AmortizedCost: 'AMORTIZED_COST',
+  NetUnblendedCost: 'NET_UNBLENDED_COST',
+  NetAmortizedCost: 'NET_AMORTIZED_COST',
+};
+const DEFAULT_COST_METRIC = 'UnblendedCost';
+
+// Charge categories costs are split into. RECORD_TYPE values not listed
+// here are matched by name, e.g. "Enterprise Discount Program Discount".
+const RECORD_TYPE_CHARGES = {
+  Usage: 'usage',
+  DiscountedUsage: 'usage',
+  SavingsPlanCoveredUsage: 'usage',
+  SavingsPlanNegation: 'usage',
+  Credit: 'credit',
+  Refund: 'refund',
+  Tax: 'tax',
+  RIFee: 'fee',
+  SavingsPlanRecurringFee: 'fee',
+  SavingsPlanUpfrontFee: 'fee',
+};
+
+// Tag value of spend without a cost allocation tag
+const UNTAGGED = 'untagged';
+
+// Hours of hourly costs fetched by each collection. Cost Explorer keeps
+// hourly data for the last 14 days.
+const HOURLY_MAX_HOURS = 14 * 24;
+const HOURLY_LOOKBACK_HOURS = Math.min(parseInt(process.env.AWS_HOURLY_LOOKBACK_HOURS || '48', 10), HOURLY_MAX_HOURS);
+
+// Confidence of forecast prediction intervals, in percent (51-99), and the
+// number of services with the most spend this month forecast on their own.
+// Cost Explorer rejects other intervals on every forecast request, so a bad
+// value stops the backend from starting instead.
+const FORECAST_PREDICTION_INTERVAL = parseInt(process.env.AWS_FORECAST_PREDICTION_INTERVAL || '80', 10);
+if (!(FORECAST_PREDICTION_INTERVAL >= 51 && FORECAST_PREDICTION_INTERVAL <= 99)) {
+  throw new Error('AWS_FORECAST_PREDICTION_INTERVAL must be a whole number from 51 to 99');
+}
+const FORECAST_SERVICES = parseInt(process.env.AWS_FORECAST_SERVICES || '5', 10);
+
+/**
+ * Temporary credentials of the app's own identity when AWS_SOURCE_ROLE_ARN
+ * is set, otherwise undefined for the SDK's default credential chain
+ */
+async function getSourceCredentials(region) {
+  if (!SOURCE_ROLE_ARN) {
+    return undefined;
+  }
+
+  return getCachedRole(`source:${SOURCE_ROLE_ARN}`, async () => {
+    const idTokenClient = await new GoogleAuth().getIdTokenClient(SOURCE_ROLE_AUDIENCE);
+    const webIdentityToken = await idTokenClient.idTokenProvider.fetchIdToken(SOURCE_ROLE_AUDIENCE);
+
+    // AssumeRoleWithWebIdentity is not signed, so the client needs no credentials
+    const stsClient = new STSClient({ region });
+    const response = await sendCredentialRequest(stsClient, new AssumeRoleWithWebIdentityCommand({
+      RoleArn: SOURCE_ROLE_ARN,
+      RoleSessionName: ROLE_SESSION_NAME,
+      WebIdentityToken: webIdentityToken,
+      DurationSeconds: ROLE_SESSION_SECONDS,
+    }));
+    return toTemporaryCredentials(response.Credentials);
+  });
+}
 
 /**
- * Collect AWS costs for a given date range
+ * Temporary credentials of a connection's role, assumed by the app's own
+ * identity. The external ID must match the role's trust policy.
+ */
+function assumeRole({ roleArn, externalId, region }) {
+  return getCachedRole(`${roleArn}|${externalId || ''}`, async () => {
+    const stsClient = new STSClient({
+      region: region || 'us-east-1',
+      credentials: await getSourceCredentials(region || 'us-east-1'),
+    });
+    const response = await sendCredentialRequest(stsClient, new AssumeRoleCommand({
+      RoleArn: roleArn,
+      RoleSessionName: ROLE_SESSION_NAME,
+      ExternalId: externalId || undefined,
+      DurationSeconds: ROLE_SESSION_SECONDS,
+    }));
+    return toTemporaryCredentials(response.Credentials);
+  });
+}
+
+/**
+ * Send an STS request made by a credential provider. Providers run inside
+ * the Cost Explorer call that needs the credentials, which already holds an
+ * AWS limiter slot, so the request bypasses send() and its limiter and
+ * relies on the SDK's own retries.
+ */
+function sendCredentialRequest(client, command) {
+  return withTimeout(signal => client.send(command, { abortSignal: signal }), TIMEOUT_MS, command.constructor.name);
+}
+
+/**
+ * Reuse assumed role credentials until they are about to expire. Clients
+ * asking for a role while it is being assumed share the same request.
+ */
+async function getCachedRole(key, assume) {
+  const cached = assumedRoles.get(key);
+  if (cached && cached.expiration.getTime() - Date.now() > ROLE_REFRESH_MARGIN_MS) {
+    return cached;
+  }
+
+  if (!pendingRoles.has(key)) {
+    const pending = assume()
+      .then(credentials => {
+        assumedRoles.set(key, credentials);
+        return credentials;
+      })
+      .finally(() => pendingRoles.delete(key));
+    pendingRoles.set(key, pending);
+  }
+  return pendingRoles.get(key);
+}
+
+/**
+ * SDK credentials from an STS response
+ */
+function toTemporaryCredentials(credentials) {
+  return {
+    accessKeyId: credentials.AccessKeyId,
+    secretAccessKey: credentials.SecretAccessKey,
+    sessionToken: credentials.SessionToken,
+    expiration: new Date(credentials.Expiration),
+  };
+}
+
+/**
+ * SDK client options. The SDK's own retries are turned off because calls go
+ * through send(), which retries with backoff under the AWS concurrency limit.
+ * Assumed roles are passed as a credential provider, so the role is only
+ * assumed when the client first sends a request.
+ */
+function getClientConfig(credentials) {
+  const { accessKeyId, secretAccessKey, region } = credentials;
+  return {
+    region: region || 'us-east-1',
+    credentials: credentials.credentialType === 'assume-role'
+      ? () => assumeRole(credentials)
+      : { accessKeyId, secretAccessKey },
+    maxAttempts: 1,
+  };
+}
+
+/**
+ * Stored credential values with the connection's settings kept in its
+ * metadata: credential type, cost metric, cost allocation tags and granularity
+ */
+function withConnectionSettings(credentials, metadata) {
+  return {
+    ...credentials,
+    credentialType: metadata.credentialType,
+    costMetric: metadata.costMetric,
+    costAllocationTags: metadata.costAllocationTags,
+    granularity: metadata.granularity,
+  };
+}
+
+/**
+ * Cost allocation tag keys of a connection, from its comma-separated setting
+ */
+function getCostAllocationTags(credentials) {
+  const keys = (credentials.costAllocationTags || '').split(',').map(key => key.trim()).filter(Boolean);
+  return [...new Set(keys)];
+}
+
+/**
+ * Cost Explorer metric of a connection
+ */
+function getCostMetric(credentials) {
+  return COST_METRICS[credentials.costMetric] ? credentials.costMetric : DEFAULT_COST_METRIC;
+}
+
+/**
+ * Charge category (usage, credit, refund, tax or fee) of a RECORD_TYPE value
+ */
+function getChargeCategory(recordType) {
+  if (RECORD_TYPE_CHARGES[recordType]) {
+    return RECORD_TYPE_CHARGES[recordType];
+  }
+  if (/credit|discount/i.test(recordType)) {
+    return 'credit';
+  }
+  if (/refund/i.test(recordType)) {
+    return 'refund';
+  }
+  if (/tax/i.test(recordType)) {
+    return 'tax';
+  }
+  if (/fee|upfront|support/i.test(recordType)) {
+    return 'fee';
+  }
+  return 'usage';
+}
+
+/**
+ * Send an SDK command with retries on throttling and transient errors. An
+ * attempt that times out is aborted before the next one starts.
+ * @param {Object} [options] - withRetry options, e.g. { retries, timeoutMs }
+ */
+function send(client, command, options = {}) {
+  return withRetry('aws', signal => client.send(command, { abortSignal: signal }), { label: command.constructor.name, ...options });
+}
+
+/**
+ * Fetch every page of a Cost Explorer GetCostAndUsage query. A day's groups
+ * can be split across pages, so results are merged by period start.
+ * @returns {Promise<Object>} { resultsByTime, dimensionValueAttributes }
+ */
+async function getCostAndUsagePages(client, input) {
+  const resultsByTime = new Map();
+  const dimensionValueAttributes = [];
+  let nextPageToken;
+
+  do {
+    const response = await send(client, new GetCostAndUsageCommand({ ...input, NextPageToken: nextPageToken }));
+
+    for (const result of response.ResultsByTime || []) {
+      const start = result.TimePeriod.Start;
+      const merged = resultsByTime.get(start);
+      if (merged) {
+        merged.Groups = [...(merged.Groups || []), ...(result.Groups || [])];
+      } else {
+        resultsByTime.set(start, { ...result, Groups: [...(result.Groups || [])] });
+      }
+    }
+    dimensionValueAttributes.push(...(response.DimensionValueAttributes || []));
+    nextPageToken = response.NextPageToken;
+  } while (nextPageToken);
+
+  return { resultsByTime: Array.from(resultsByTime.values()), dimensionValueAttributes };
+}
+
+/**
+ * Total and per service and account resources of one Cost Explorer period
+ * grouped by SERVICE and LINKED_ACCOUNT
+ * @returns {Object} { totalCost, resources }
+ */
+function getServiceResources(result, metric, accounts) {
+  let totalCost = 0;
+  const resources = [];
+
+  // Process each service and account
+  if (result.Groups.length > 0) {
+    for (const group of result.Groups) {
+      const [serviceName, accountId] = group.Keys;
+      const cost = parseFloat(group.Metrics[metric].Amount);
+
+      totalCost += cost;
+
+      if (cost > 0) {
+        resources.push({
+          resourceId: serviceName,
+          name: serviceName,
+          type: 'AWS Service',
+          cost: cost,
+          tags: {},
+          account: accounts[accountId] || { id: accountId, name: null, ouPath: null },
+        });
+      }
+    }
+  } else if (result.Total) {
+    // If no grouping, use total
+    totalCost = parseFloat(result.Total[metric].Amount);
+  }
+
+  return { totalCost, resources };
+}
+
+/**
+ * Daily charges split by record type
+ * @returns {Promise<Object>} { [YYYY-MM-DD]: { usage, credit, refund, tax, fee } }
+ */
+async function getChargesByRecordType(client, startDate, endDate, metric) {
+  const { resultsByTime } = await getCostAndUsagePages(client, {
+    TimePeriod: { Start: startDate, End: endDate },
+    Granularity: 'DAILY',
+    Metrics: [metric],
+    GroupBy: [{ Type: 'DIMENSION', Key: 'RECORD_TYPE' }],
+  });
+
+  const charges = {};
+  for (const result of resultsByTime) {
+    const day = { usage: 0, credit: 0, refund: 0, tax: 0, fee: 0 };
+    for (const group of result.Groups) {
+      day[getChargeCategory(group.Keys[0])] += parseFloat(group.Metrics[metric].Amount);
+    }
+    charges[result.TimePeriod.Start] = day;
+  }
+  return charges;
+}
+
+/**
+ * Daily totals of a Cost Explorer metric, e.g. to reconcile imported costs
+ * @returns {Promise<Object>} { [YYYY-MM-DD]: amount }
+ */
+async function getAWSDailyTotals(credentials, startDate, endDate, metric = getCostMetric(credentials)) {
+  const client = new CostExplorerClient(getClientConfig(credentials));
+  const { resultsByTime } = await getCostAndUsagePages(client, {
+    TimePeriod: { Start: startDate, End: endDate },
+    Granularity: 'DAILY',
+    Metrics: [metric],
+  });
+
+  return Object.fromEntries(resultsByTime.map(result =>
+    [result.TimePeriod.Start, parseFloat(result.Total?.[metric]?.Amount || 0)]));
+}
+
+/**
+ * Daily spend per service split by the values of one cost allocation tag.
+ * Cost Explorer reports tag groups as "key$value", with an empty value for
+ * spend without the tag.
+ * @returns {Promise<Object>} { [YYYY-MM-DD]: [resource] }
+ */
+async function getCostsByTag(client, startDate, endDate, metric, tagKey) {
+  const { resultsByTime } = await getCostAndUsagePages(client, {
+    TimePeriod: { Start: startDate, End: endDate },
+    Granularity: 'DAILY',
+    Metrics: [metric],
+    GroupBy: [
+      { Type: 'DIMENSION', Key: 'SERVICE' },
+      { Type: 'TAG', Key: tagKey },
+    ],
+  });
+
+  const costsByTag = {};
+  for (const result of resultsByTime) {
+    costsByTag[result.TimePeriod.Start] = result.Groups
+      .map(group => {
+        const [serviceName, tag] = group.Keys;
+        const value = tag.slice(tag.indexOf('$') + 1);
+        return {
+          resourceId: serviceName,
+          name: serviceName,
+          type: 'AWS Service',
+          cost: parseFloat(group.Metrics[metric].Amount),
+          tags: { [tagKey]: value || UNTAGGED },
+        };
+      })
+      .filter(resource => resource.cost > 0);
+  }
+  return costsByTag;
+}
+
+/**
+ * Lookups of a connection's organization made in the last
+ * ORGANIZATION_CACHE_MS, keyed by what was looked up
+ * @returns {Map<string, Promise>}
+ */
+function getOrganizationLookups(credentials) {
+  const key = credentials.credentialType === 'assume-role'
+    ? `${credentials.roleArn}|${credentials.externalId || ''}`
+    : credentials.accessKeyId;
+
+  const cached = organizationLookups.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.lookups;
+  }
+
+  const lookups = new Map();
+  organizationLookups.set(key, { lookups, expiresAt: Date.now() + ORGANIZATION_CACHE_MS });
+  return lookups;
+}
+
+/**
+ * Share a lookup with every caller until the cache expires; failed lookups
+ * are forgotten so the next collection tries again
+ */
+function remember(lookups, key, lookup) {
+  if (!lookups.has(key)) {
+    lookups.set(key, lookup().catch((error) => {
+      lookups.delete(key);
+      throw error;
+    }));
+  }
+  return lookups.get(key);
+}
+
+/**
+ * Names and OU paths of member accounts, keyed by account ID, from AWS
+ * Organizations. Only the management account or a delegated administrator
+ * can call it. Results are cached per connection (ORGANIZATION_CACHE_MS).
+ * @param {Object} credentials - AWS credentials
+ * @param {Array<string>} accountIds - Accounts to look up
+ * @returns {Promise<Object>} { [accountId]: { name, ouPath } }
+ */
+async function getOrganizationAccounts(credentials, accountIds) {
+  // Organizations is a global service served from us-east-1
+  const client = new OrganizationsClient({ ...getClientConfig(credentials), region: 'us-east-1' });
+  const lookups = getOrganizationLookups(credentials);
+
+  const names = await remember(lookups, 'accounts', async () => {
+    const result = {};
+    let nextToken;
+    do {
+      const response = await send(client, new ListAccountsCommand({ NextToken: nextToken }));
+      for (const account of response.Accounts || []) {
+        result[account.Id] = account.Name;
+      }
+      nextToken = response.NextToken;
+    } while (nextToken);
+    return result;
+  });
+
+  const getOUName = ouId => remember(lookups, `ou:${ouId}`, async () => {
+    const { OrganizationalUnit } = await send(client, new DescribeOrganizationalUnitCommand({ OrganizationalUnitId: ouId }));
+    return OrganizationalUnit.Name;
+  });
+
+  // Path of an account or OU from the root, sharing the walk up from each OU
+  const getOUPath = childId => remember(lookups, `path:${childId}`, async () => {
+    const { Parents } = await send(client, new ListParentsCommand({ ChildId: childId }));
+    const parent = (Parents || [])[0];
+    if (!parent || parent.Type !== 'ORGANIZATIONAL_UNIT') {
+      return 'Root';
+    }
+    const [parentPath, parentName] = await Promise.all([getOUPath(parent.Id), getOUName(parent.Id)]);
+    return `${parentPath}/${parentName}`;
+  });
+
+  const ouPaths = await Promise.all(accountIds.map(getOUPath));
+  return Object.fromEntries(accountIds.map((accountId, index) => [
+    accountId,
+    { name: names[accountId] || null, ouPath: ouPaths[index] },
+  ]));
+}
+
+/**
+ * Collect AWS costs for a given date range, by service and linked account.
+ * In an organization's management (payer) account, spend of every member
+ * account is broken down with the account's name and OU path. Each day's
+ * charges are also split into usage, credits, refunds, tax and fees, and
+ * grossCost excludes credits and refunds. For each configured cost
+ * allocation tag, tagResources holds the same spend split by service and
+ * tag value, with untagged spend under "untagged".
  * @param {Object} credentials - AWS credentials
  * @param {string} credentials.accessKeyId - AWS access key
  * @param {string} credentials.secretAccessKey - AWS secret access key
  * @param {string} credentials.region - AWS region
+ * @param {string} [credentials.costMetric] - Cost Explorer metric, UnblendedCost by default
+ * @param {string} [credentials.costAllocationTags] - Comma-separated cost allocation tag keys
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @returns {Promise<Object>} Cost data
  */
 async function collectAWSCosts(credentials, startDate, endDate) {
-  const { accessKeyId, secretAccessKey, region } = credentials;
-
   // Create Cost Explorer client
-  const client = new CostExplorerClient({
-    region: region || 'us-east-1',
-    credentials: {
-      accessKeyId,
-      secretAccessKey,
-    },
-  });
+  const client = new CostExplorerClient(getClientConfig(credentials));
+  const metric = getCostMetric(credentials);
+  const partialFailures = [];
 
   try {
     // Query cost and usage data
-    const command = new GetCostAndUsageCommand({
+    const { resultsByTime, dimensionValueAttributes } = await getCostAndUsagePages(client, {
       TimePeriod: {
         Start: startDate,
         End: endDate,
       },
       Granularity: 'DAILY',
-      Metrics: ['UnblendedCost'],
+      Metrics: [metric],
       GroupBy: [
         {
           Type: 'DIMENSION',
           Key: 'SERVICE',
         },
+        {
+          Type: 'DIMENSION',
+          Key: 'LINKED_ACCOUNT',
+        },
       ],
     });
 
-    const response = await client.send(command);
+    // Cost Explorer returns account names with the LINKED_ACCOUNT values
+    const accounts = {};
+    for (const { Value, Attributes } of dimensionValueAttributes) {
+      accounts[Value] = { id: Value, name: Attributes?.description || null, ouPath: null };
+    }
+
+    // Only a payer account sees more than one account; member accounts
+    // can't call Organizations
+    const accountIds = Object.keys(accounts);
+    if (accountIds.length > 1) {
+      const organization = await withFallback(getOrganizationAccounts(credentials, accountIds), {}, partialFailures, 'account names');
+      for (const [accountId, details] of Object.entries(organization)) {
+        accounts[accountId] = { ...accounts[accountId], name: details.name || accounts[accountId].name, ouPath: details.ouPath };
+      }
+    }
+
+    // Cost Explorer allows two GroupBy keys, so record types need their own query
+    const charges = await withFallback(getChargesByRecordType(client, startDate, endDate, metric), {}, partialFailures, 'record types');
+
+    // and so does each cost allocation tag
+    const tagKeys = getCostAllocationTags(credentials);
+    const tagCosts = await Promise.all(tagKeys.map(tagKey =>
+      withFallback(getCostsByTag(client, startDate, endDate, metric, tagKey), null, partialFailures, `tag ${tagKey}`)));
 
     // Process the response
     const costs = [];
 
-    if (response.ResultsByTime && response.ResultsByTime.length > 0) {
-      for (const result of response.ResultsByTime) {
-        const timestamp = result.TimePeriod.Start;
-        let totalCost = 0;
-        const resources = [];
-
-        // Process each service
-        if (result.Groups && result.Groups.length > 0) {
-          for (const group of result.Groups) {
-            const serviceName = group.Keys[0];
-            const cost = parseFloat(group.Metrics.UnblendedCost.Amount);
-
-            totalCost += cost;
-
-            if (cost > 0) {
-              resources.push({
-                resourceId: serviceName,
-                name: serviceName,
-                type: 'AWS Service',
-                cost: cost,
-                tags: {},
-              });
-            }
-          }
-        } else if (result.Total) {
-          // If no grouping, use total
-          totalCost = parseFloat(result.Total.UnblendedCost.Amount);
-        }
+    for (const result of resultsByTime) {
+      const timestamp = result.TimePeriod.Start;
+      const { totalCost, resources } = getServiceResources(result, metric, accounts);
 
-        costs.push({
-          serviceId: 'aws',
-          timestamp: new Date(timestamp).toISOString(),
-          totalCost: totalCost,
-          currency: 'USD',
-          resources: resources,
-          metadata: {
-            granularity: 'DAILY',
-            source: 'AWS Cost Explorer',
-          },
+      const dayCharges = charges[timestamp];
+
+      // Null when no tags are configured, and per tag when its query
+      // failed, so an update doesn't keep a stale split
+      let tagResources = null;
+      if (tagKeys.length > 0) {
+        tagResources = {};
+        tagKeys.forEach((tagKey, index) => {
+          tagResources[tagKey] = tagCosts[index] ? tagCosts[index][timestamp] || [] : null;
         });
       }
+
+      costs.push({
+        serviceId: 'aws',
+        timestamp: new Date(timestamp).toISOString(),
+        totalCost: totalCost,
+        // Null when the record types could not be fetched, so an update
+        // doesn't keep a stale split
+        charges: dayCharges || null,
+        grossCost: dayCharges ? dayCharges.usage + dayCharges.tax + dayCharges.fee : null,
+        currency: 'USD',
+        resources: resources,
+        tagResources,
+        metadata: {
+          granularity: 'DAILY',
+          source: 'AWS Cost Explorer',
+          costMetric: metric,
+        },
+      });
     }
 
     return {
       success: true,
       costs,
       count: costs.length,
+      partialFailures,
     };
   } catch (error) {
     console.error('Error fetching AWS costs:', error);
@@ -101,88 +599,401 @@ async function collectAWSCosts(credentials, startDate, endDate) {
 }
 
 /**
- * Get AWS Cost Forecast for the current month
+ * Whether a connection collects hourly costs next to the daily ones
  */
-async function getAWSForecast(credentials) {
-  const { accessKeyId, secretAccessKey, region, accountId } = credentials;
+function collectsHourlyCosts(credentials) {
+  return credentials.granularity === 'HOURLY';
+}
 
-  const client = new CostExplorerClient({
-    region: region || 'us-east-1',
-    credentials: { accessKeyId, secretAccessKey },
+/**
+ * Collect hourly costs by service and linked account for the last
+ * AWS_HOURLY_LOOKBACK_HOURS hours, up to the current hour. Hourly
+ * granularity has to be enabled in the account's Cost Explorer preferences;
+ * account names come from Cost Explorer only, without OU paths.
+ * @param {Object} credentials - AWS credentials
+ * @returns {Promise<Array<Object>>} One record per hour, with the start of the hour as timestamp
+ */
+async function collectAWSHourlyCosts(credentials) {
+  const client = new CostExplorerClient(getClientConfig(credentials));
+  const metric = getCostMetric(credentials);
+
+  // Cost Explorer takes hourly periods as yyyy-MM-ddThh:mm:ssZ
+  const end = new Date();
+  end.setUTCMinutes(0, 0, 0);
+  end.setUTCHours(end.getUTCHours() + 1);
+  const start = new Date(end.getTime() - HOURLY_LOOKBACK_HOURS * 60 * 60 * 1000);
+  const toPeriod = date => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const { resultsByTime, dimensionValueAttributes } = await getCostAndUsagePages(client, {
+    TimePeriod: { Start: toPeriod(start), End: toPeriod(end) },
+    Granularity: 'HOURLY',
+    Metrics: [metric],
+    GroupBy: [
+      { Type: 'DIMENSION', Key: 'SERVICE' },
+      { Type: 'DIMENSION', Key: 'LINKED_ACCOUNT' },
+    ],
   });
 
-  try {
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  const accounts = {};
+  for (const { Value, Attributes } of dimensionValueAttributes) {
+    accounts[Value] = { id: Value, name: Attributes?.description || null, ouPath: null };
+  }
 
-    const command = new GetCostForecastCommand({
-      TimePeriod: {
-        Start: startOfMonth.toISOString().split('T')[0],
-        End: endOfMonth.toISOString().split('T')[0],
+  return resultsByTime.map(result => {
+    const { totalCost, resources } = getServiceResources(result, metric, accounts);
+    return {
+      serviceId: 'aws',
+      timestamp: new Date(result.TimePeriod.Start).toISOString(),
+      totalCost,
+      currency: 'USD',
+      resources,
+      metadata: {
+        granularity: 'HOURLY',
+        source: 'AWS Cost Explorer',
+        costMetric: metric,
       },
-      Metric: 'UNBLENDED_COST',
-      Granularity: 'MONTHLY',
-    });
+    };
+  });
+}
+
+/**
+ * YYYY-MM-DD of a date in UTC
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Current month, quarter and year, each with an inclusive YYYY-MM-DD start
+ * and an exclusive end
+ */
+function getForecastPeriods(today) {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  const quarter = month - (month % 3);
+  const period = (startMonth, months) => ({
+    start: toDateString(new Date(Date.UTC(year, startMonth, 1))),
+    end: toDateString(new Date(Date.UTC(year, startMonth + months, 1))),
+  });
 
-    const response = await client.send(command);
+  return {
+    month: period(month, 1),
+    quarter: period(quarter, 3),
+    year: period(0, 12),
+  };
+}
+
+/**
+ * Spend of the year before today, in total and by service, summed over each
+ * forecast period
+ * @returns {Promise<Object>} { total: { month, quarter, year }, services: { [name]: { month, quarter, year } } }
+ */
+async function getForecastPeriodActuals(client, metric, periods, today) {
+  const actuals = { total: { month: 0, quarter: 0, year: 0 }, services: {} };
+  if (periods.year.start === today) {
+    return actuals;
+  }
 
-    if (response.Total && response.Total.Amount) {
-      return {
-        forecastedAmount: parseFloat(response.Total.Amount),
-        currency: response.Total.Unit || 'USD',
-      };
+  const { resultsByTime } = await getCostAndUsagePages(client, {
+    TimePeriod: { Start: periods.year.start, End: today },
+    Granularity: 'MONTHLY',
+    Metrics: [metric],
+    GroupBy: [{ Type: 'DIMENSION', Key: 'SERVICE' }],
+  });
+
+  for (const result of resultsByTime) {
+    for (const group of result.Groups) {
+      const service = group.Keys[0];
+      const cost = parseFloat(group.Metrics[metric].Amount);
+      if (!actuals.services[service]) {
+        actuals.services[service] = { month: 0, quarter: 0, year: 0 };
+      }
+
+      for (const [name, period] of Object.entries(periods)) {
+        if (result.TimePeriod.Start >= period.start) {
+          actuals.total[name] += cost;
+          actuals.services[service][name] += cost;
+        }
+      }
     }
-    return null;
-  } catch (error) {
-    console.error('Error fetching AWS forecast:', error);
-    return null;
   }
+
+  return actuals;
+}
+
+/**
+ * Forecast from today with prediction intervals, optionally for one service
+ * @returns {Promise<Array<Object>>} [{ date, mean, lower, upper }], one per period of the granularity
+ */
+async function getForecastResults(client, metric, startDate, endDate, granularity, service) {
+  const response = await send(client, new GetCostForecastCommand({
+    TimePeriod: { Start: startDate, End: endDate },
+    Metric: COST_METRICS[metric],
+    Granularity: granularity,
+    PredictionIntervalLevel: FORECAST_PREDICTION_INTERVAL,
+    Filter: service ? { Dimensions: { Key: 'SERVICE', Values: [service] } } : undefined,
+  }));
+
+  return (response.ForecastResultsByTime || []).map(result => ({
+    date: result.TimePeriod.Start,
+    mean: toNumber(result.MeanValue) || 0,
+    lower: toNumber(result.PredictionIntervalLowerBound),
+    upper: toNumber(result.PredictionIntervalUpperBound),
+  }));
+}
+
+/**
+ * Forecast totals of each period: spend so far plus the monthly forecasts
+ * for the rest of it. Interval bounds of the months are added up, which
+ * gives a wider interval than the period's own.
+ */
+function getPeriodForecasts(periods, actuals, monthlyResults) {
+  const forecasts = {};
+
+  for (const [name, { start, end }] of Object.entries(periods)) {
+    const results = monthlyResults.filter(result => result.date < end);
+    const sum = key => (results.every(result => result[key] !== null)
+      ? actuals[name] + results.reduce((total, result) => total + result[key], 0)
+      : null);
+
+    forecasts[name] = {
+      start,
+      end,
+      actual: actuals[name],
+      mean: sum('mean'),
+      lower: sum('lower'),
+      upper: sum('upper'),
+    };
+  }
+
+  return forecasts;
+}
+
+/**
+ * Forecast the current month, quarter and year with prediction intervals, in
+ * total and for the services with the most spend this month, plus a daily
+ * forecast for the rest of the month. Uses the connection's cost metric.
+ * @param {Object} credentials - AWS credentials
+ * @returns {Promise<Object>} { forecasts, partialFailures }, with forecasts as
+ *   entries for forecast-store.js made today
+ */
+async function fetchAWSForecasts(credentials) {
+  const client = new CostExplorerClient(getClientConfig(credentials));
+  const metric = getCostMetric(credentials);
+  const partialFailures = [];
+
+  const now = new Date();
+  const today = toDateString(now);
+  const periods = getForecastPeriods(now);
+
+  const [actuals, monthly, daily] = await Promise.all([
+    getForecastPeriodActuals(client, metric, periods, today),
+    getForecastResults(client, metric, today, periods.year.end, 'MONTHLY'),
+    getForecastResults(client, metric, today, periods.month.end, 'DAILY'),
+  ]);
+
+  const services = Object.entries(actuals.services)
+    .filter(([, serviceActuals]) => serviceActuals.month > 0)
+    .sort(([, a], [, b]) => b.month - a.month)
+    .slice(0, Math.max(FORECAST_SERVICES, 0))
+    .map(([service]) => service);
+  const serviceResults = await Promise.all(services.map(service =>
+    withFallback(getForecastResults(client, metric, today, periods.year.end, 'MONTHLY', service), null, partialFailures, `forecast ${service}`)));
+
+  const forecast = {
+    date: today,
+    costMetric: metric,
+    predictionIntervalLevel: FORECAST_PREDICTION_INTERVAL,
+    currency: 'USD',
+  };
+  const forecasts = [{
+    ...forecast,
+    scope: 'total',
+    periods: getPeriodForecasts(periods, actuals.total, monthly),
+    daily,
+  }];
+  services.forEach((service, index) => {
+    if (serviceResults[index]) {
+      forecasts.push({
+        ...forecast,
+        scope: 'service',
+        service,
+        periods: getPeriodForecasts(periods, actuals.services[service], serviceResults[index]),
+        daily: [],
+      });
+    }
+  });
+
+  return { forecasts, partialFailures };
 }
 
 /**
  * Get AWS Budgets
  */
 async function getAWSBudgets(credentials) {
-  const { accessKeyId, secretAccessKey, region, accountId } = credentials;
+  const { accountId } = credentials;
 
   if (!accountId) {
     console.warn('AWS Account ID not provided, skipping budget collection');
     return [];
   }
 
-  const client = new BudgetsClient({
-    region: region || 'us-east-1',
-    credentials: { accessKeyId, secretAccessKey },
+  const client = new BudgetsClient(getClientConfig(credentials));
+
+  const command = new DescribeBudgetsCommand({
+    AccountId: accountId,
   });
 
+  const response = await send(client, command);
+
+  if (response.Budgets && response.Budgets.length > 0) {
+    return response.Budgets.map(budget => ({
+      budgetName: budget.BudgetName,
+      budgetLimit: parseFloat(budget.BudgetLimit.Amount),
+      budgetType: budget.BudgetType,
+      timeUnit: budget.TimeUnit,
+      actualSpend: budget.CalculatedSpend?.ActualSpend
+        ? parseFloat(budget.CalculatedSpend.ActualSpend.Amount)
+        : 0,
+      forecastedSpend: budget.CalculatedSpend?.ForecastedSpend
+        ? parseFloat(budget.CalculatedSpend.ForecastedSpend.Amount)
+        : 0,
+      currency: budget.BudgetLimit.Unit || 'USD',
+    }));
+  }
+  return [];
+}
+
+/**
+ * Parse a Cost Explorer amount or percentage, null when it is missing
+ */
+function toNumber(value) {
+  return value === undefined || value === null || value === '' ? null : parseFloat(value);
+}
+
+/**
+ * Fetch every page of a Savings Plans or reservation query
+ * @param {string} listKey - Response field holding the results
+ * @param {string} tokenKey - Request and response field of the page token
+ */
+async function getCommitmentPages(client, Command, input, listKey, tokenKey) {
+  const results = [];
+  let token;
+
+  do {
+    const response = await send(client, new Command({ ...input, [tokenKey]: token }));
+    results.push(...(response[listKey] || []));
+    token = response[tokenKey];
+  } while (token);
+
+  return results;
+}
+
+/**
+ * Cost Explorer reports DataUnavailableException for an account without
+ * Savings Plans or reservations in the period
+ */
+async function unlessUnavailable(promise) {
   try {
-    const command = new DescribeBudgetsCommand({
-      AccountId: accountId,
-    });
+    return await promise;
+  } catch (error) {
+    if (error.name === 'DataUnavailableException') {
+      return [];
+    }
+    throw error;
+  }
+}
 
-    const response = await client.send(command);
+/**
+ * Daily Savings Plans and Reserved Instance coverage and utilization.
+ * unusedCommitment is the Savings Plans commitment not used, plus the
+ * amortized reservation fees of unused reserved hours.
+ * @param {Object} credentials - AWS credentials
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format, exclusive
+ * @returns {Promise<Array<Object>>} One entry per day, with savingsPlans and
+ *   reservations null when the account had none
+ */
+async function fetchAWSCommitments(credentials, startDate, endDate) {
+  const client = new CostExplorerClient(getClientConfig(credentials));
+  const input = { TimePeriod: { Start: startDate, End: endDate }, Granularity: 'DAILY' };
 
-    if (response.Budgets && response.Budgets.length > 0) {
-      return response.Budgets.map(budget => ({
-        budgetName: budget.BudgetName,
-        budgetLimit: parseFloat(budget.BudgetLimit.Amount),
-        budgetType: budget.BudgetType,
-        timeUnit: budget.TimeUnit,
-        actualSpend: budget.CalculatedSpend?.ActualSpend
-          ? parseFloat(budget.CalculatedSpend.ActualSpend.Amount)
-          : 0,
-        forecastedSpend: budget.CalculatedSpend?.ForecastedSpend
-          ? parseFloat(budget.CalculatedSpend.ForecastedSpend.Amount)
-          : 0,
-        currency: budget.BudgetLimit.Unit || 'USD',
-      }));
+  const [spCoverage, spUtilization, riCoverage, riUtilization] = await Promise.all([
+    unlessUnavailable(getCommitmentPages(client, GetSavingsPlansCoverageCommand, input, 'SavingsPlansCoverages', 'NextToken')),
+    unlessUnavailable(getCommitmentPages(client, GetSavingsPlansUtilizationCommand, input, 'SavingsPlansUtilizationsByTime', 'NextToken')),
+    unlessUnavailable(getCommitmentPages(client, GetReservationCoverageCommand, input, 'CoveragesByTime', 'NextPageToken')),
+    unlessUnavailable(getCommitmentPages(client, GetReservationUtilizationCommand, input, 'UtilizationsByTime', 'NextPageToken')),
+  ]);
+
+  const days = new Map();
+  const getDay = (timePeriod) => {
+    const date = timePeriod.Start;
+    if (!days.has(date)) {
+      days.set(date, { date, savingsPlans: null, reservations: null });
     }
-    return [];
-  } catch (error) {
-    console.error('Error fetching AWS budgets:', error);
-    return [];
+    return days.get(date);
+  };
+
+  for (const { TimePeriod, Coverage = {} } of spCoverage) {
+    const day = getDay(TimePeriod);
+    day.savingsPlans = {
+      ...day.savingsPlans,
+      coveragePercentage: toNumber(Coverage.CoveragePercentage),
+      coveredCost: toNumber(Coverage.SpendCoveredBySavingsPlans),
+      onDemandCost: toNumber(Coverage.OnDemandCost),
+    };
   }
+
+  for (const { TimePeriod, Utilization = {}, Savings = {} } of spUtilization) {
+    const day = getDay(TimePeriod);
+    day.savingsPlans = {
+      ...day.savingsPlans,
+      utilizationPercentage: toNumber(Utilization.UtilizationPercentage),
+      totalCommitment: toNumber(Utilization.TotalCommitment),
+      usedCommitment: toNumber(Utilization.UsedCommitment),
+      unusedCommitment: toNumber(Utilization.UnusedCommitment),
+      netSavings: toNumber(Savings.NetSavings),
+    };
+  }
+
+  for (const { TimePeriod, Total = {} } of riCoverage) {
+    const day = getDay(TimePeriod);
+    const hours = Total.CoverageHours || {};
+    day.reservations = {
+      ...day.reservations,
+      coveragePercentage: toNumber(hours.CoverageHoursPercentage),
+      reservedHours: toNumber(hours.ReservedHours),
+      onDemandHours: toNumber(hours.OnDemandHours),
+      onDemandCost: toNumber(Total.CoverageCost?.OnDemandCost),
+    };
+  }
+
+  for (const { TimePeriod, Total = {} } of riUtilization) {
+    const day = getDay(TimePeriod);
+    const purchasedHours = toNumber(Total.PurchasedHours);
+    const unusedHours = toNumber(Total.UnusedHours);
+    const amortizedFee = toNumber(Total.TotalAmortizedFee);
+    day.reservations = {
+      ...day.reservations,
+      utilizationPercentage: toNumber(Total.UtilizationPercentage),
+      purchasedHours,
+      unusedHours,
+      amortizedFee,
+      // Reservations are paid for by the hour, used or not
+      unusedCommitment: purchasedHours && amortizedFee !== null
+        ? amortizedFee * (unusedHours || 0) / purchasedHours
+        : null,
+      netSavings: toNumber(Total.NetRISavings),
+    };
+  }
+
+  return Array.from(days.values())
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      ...day,
+      unusedCommitment: (day.savingsPlans?.unusedCommitment || 0) + (day.reservations?.unusedCommitment || 0),
+      currency: 'USD',
+    }));
 }
 
 /**
@@ -197,18 +1008,19 @@ async function collectCurrentMonthCosts(credentials) {
   const startDate = startOfMonth.toISOString().split('T')[0];
   const endDate = tomorrow.toISOString().split('T')[0];
 
-  // Collect costs, forecast, and budgets in parallel
-  const [costsResult, forecast, budgets] = await Promise.all([
+  // Collect costs and budgets in parallel. Budgets are optional: their
+  // failure is reported, not fatal. Forecasts are fetched by fetchForecasts.
+  const partialFailures = [];
+  const [costsResult, budgets] = await Promise.all([
     collectAWSCosts(credentials, startDate, endDate),
-    getAWSForecast(credentials),
-    getAWSBudgets(credentials),
+    withFallback(getAWSBudgets(credentials), [], partialFailures, 'budgets'),
   ]);
+  costsResult.partialFailures = [...costsResult.partialFailures, ...partialFailures];
 
-  // Attach forecast and budgets to each cost entry
-  if (forecast || budgets.length > 0) {
+  // Attach budgets to each cost entry
+  if (budgets.length > 0) {
     costsResult.costs = costsResult.costs.map(cost => ({
       ...cost,
-      forecast: forecast,
       budgets: budgets,
     }));
   }
@@ -230,10 +1042,242 @@ async function collectYesterdayCosts(credentials) {
   return collectAWSCosts(credentials, startDate, endDate);
 }
 
+/**
+ * Fetch AWS budgets with notification thresholds and subscribers
+ * Resolves the account ID through STS, so no accountId is required
+ */
+async function fetchAWSBudgetDetails(credentials) {
+  const client = new BudgetsClient(getClientConfig(credentials));
+  const stsClient = new STSClient(getClientConfig(credentials));
+
+  const identity = await send(stsClient, new GetCallerIdentityCommand({}));
+  const accountId = identity.Account;
+
+  const command = new DescribeBudgetsCommand({
+    AccountId: accountId,
+  });
+
+  const response = await send(client, command);
+  const budgets = [];
+
+  if (response.Budgets) {
+    for (const budget of response.Budgets) {
+      const thresholds = [];
+
+      // Extract notification thresholds
+      if (budget.NotificationsWithSubscribers) {
+        for (const notif of budget.NotificationsWithSubscribers) {
+          thresholds.push({
+            threshold: notif.Notification.Threshold,
+            thresholdType: notif.Notification.ThresholdType,
+            comparisonOperator: notif.Notification.ComparisonOperator,
+            notificationType: notif.Notification.NotificationType,
+            subscribers: notif.Subscribers.map(sub => ({
+              type: sub.SubscriptionType,
+              address: sub.Address
+            }))
+          });
+        }
+      }
+
+      budgets.push({
+        serviceId: 'aws',
+        budgetName: budget.BudgetName,
+        budgetLimit: {
+          amount: parseFloat(budget.BudgetLimit?.Amount || 0),
+          currency: budget.BudgetLimit?.Unit || 'USD'
+        },
+        timeUnit: budget.TimeUnit,
+        budgetType: budget.BudgetType,
+        calculatedSpend: {
+          actualSpend: parseFloat(budget.CalculatedSpend?.ActualSpend?.Amount || 0),
+          forecastedSpend: parseFloat(budget.CalculatedSpend?.ForecastedSpend?.Amount || 0)
+        },
+        thresholds,
+        timePeriod: {
+          start: budget.TimePeriod?.Start,
+          end: budget.TimePeriod?.End
+        }
+      });
+    }
+  }
+
+  return budgets;
+}
+
+/**
+ * Verify AWS access keys or an assumed role with STS GetCallerIdentity,
+ * which needs no IAM permissions. Cost Explorer is not called because it
+ * charges per request.
+ * @param {Object} credentials - AWS credentials
+ * @param {string} [expectedAccountId] - Account ID stored for budgets
+ * @returns {Promise<Object>} Structured check results
+ */
+async function verifyAWSCredentials(credentials, expectedAccountId) {
+  const checks = createCheckList();
+  const assumesRole = credentials.credentialType === 'assume-role';
+  const subject = assumesRole ? 'Role' : 'Access key';
+
+  if (assumesRole) {
+    try {
+      await assumeRole(credentials);
+    } catch (error) {
+      if (error.name === 'CredentialsProviderError') {
+        checks.fail('assume-role', 'Assume role', `The app has no AWS identity to assume the role with (${error.message}). ` +
+          'Set AWS_SOURCE_ROLE_ARN, or give the app AWS credentials');
+      } else {
+        checks.fail('assume-role', 'Assume role', `${error.name}: ${error.message}. ` +
+          'Check that the role trusts the app\'s AWS identity with this external ID', { permission: 'sts:AssumeRole' });
+      }
+      return checks.result();
+    }
+    checks.pass('assume-role', 'Assume role', `Assumed ${credentials.roleArn}`);
+  }
+
+  const stsClient = new STSClient(getClientConfig(credentials));
+
+  let identity;
+  try {
+    // One retry on throttling, so the credential form still answers quickly
+    identity = await send(stsClient, new GetCallerIdentityCommand({}), { timeoutMs: CHECK_TIMEOUT_MS, retries: 1 });
+  } catch (error) {
+    checks.fail('identity', assumesRole ? 'Authenticate role' : 'Authenticate access key', `${error.name}: ${error.message}`);
+    return checks.result();
+  }
+
+  checks.setIdentity(identity.Arn);
+  checks.pass('identity', assumesRole ? 'Authenticate role' : 'Authenticate access key',
+    `Authenticated as ${identity.Arn} in account ${identity.Account}`);
+
+  if (expectedAccountId && expectedAccountId.replace(/-/g, '') !== identity.Account) {
+    checks.warn('account', 'Account ID',
+      `${subject} belongs to account ${identity.Account}, but the AWS Account ID field is ${expectedAccountId}`);
+  }
+
+  checks.skip('cost-explorer', 'Read Cost Explorer',
+    'Not checked because Cost Explorer charges per request; access is confirmed on the first collection',
+    { permission: 'ce:GetCostAndUsage' });
+
+  return checks.result();
+}
+
+/**
+ * Collector descriptor registered by services/collector-registry.js
+ */
+const collector = {
+  id: 'aws',
+  name: 'Amazon Web Services',
+  icon: 'aws',
+  emoji: '☁️',
+  color: '#FF9900',
+  dashboardUrl: 'https://console.aws.amazon.com/billing/home#/',
+  credentialTypes: [
+    {
+      id: 'access-key',
+      label: 'Access key',
+      description: 'Long-lived access key of an IAM user',
+      credentialFields: [
+        { key: 'accessKeyId', label: 'Access Key ID', type: 'text', required: true },
+        { key: 'secretAccessKey', label: 'Secret Access Key', type: 'password', required: true },
+        { key: 'region', label: 'Region', type: 'text', required: true, default: 'us-east-1' },
+      ],
+    },
+    {
+      id: 'assume-role',
+      label: 'Assume role',
+      description: 'The app\'s own AWS identity assumes a read-only billing role; no key is stored',
+      credentialFields: [
+        { key: 'roleArn', label: 'Role ARN', type: 'text', required: true, helperText: 'e.g. arn:aws:iam::123456789012:role/BillingReadOnly' },
+        { key: 'externalId', label: 'External ID', type: 'text', required: true, helperText: 'Must match the sts:ExternalId condition in the role\'s trust policy' },
+        { key: 'region', label: 'Region', type: 'text', required: true, default: 'us-east-1' },
+      ],
+    },
+  ],
+  metadataFields: [
+    { key: 'accountId', label: 'AWS Account ID (for budgets)', type: 'text', required: false, helperText: 'Required for AWS Budgets API (e.g., 016164185850)' },
+    {
+      key: 'costMetric',
+      label: 'Cost Metric',
+      type: 'select',
+      required: false,
+      default: DEFAULT_COST_METRIC,
+      options: [
+        { value: 'UnblendedCost', label: 'Unblended (charges as billed)' },
+        { value: 'AmortizedCost', label: 'Amortized (RI and Savings Plan fees spread over usage)' },
+        { value: 'NetUnblendedCost', label: 'Net unblended (after discounts)' },
+        { value: 'NetAmortizedCost', label: 'Net amortized (amortized, after discounts)' },
+      ],
+      helperText: 'Cost Explorer metric used for costs and forecasts',
+    },
+    {
+      key: 'costAllocationTags',
+      label: 'Cost Allocation Tags',
+      type: 'text',
+      required: false,
+      helperText: 'Comma-separated tag keys to break costs down by (e.g., team,env). Each must be activated in Billing; each costs one more Cost Explorer request',
+    },
+    {
+      key: 'granularity',
+      label: 'Granularity',
+      type: 'select',
+      required: false,
+      default: 'DAILY',
+      options: [
+        { value: 'DAILY', label: 'Daily' },
+        { value: 'HOURLY', label: 'Daily and hourly' },
+      ],
+      helperText: 'Hourly costs need hourly granularity enabled in the Cost Explorer preferences, and cost one more Cost Explorer request per collection',
+    },
+  ],
+  keyRotation: { fields: ['accessKeyId', 'secretAccessKey'], label: 'access key', maxAgeDays: 90 },
+  capabilities: {
+    budgets: true,
+    forecast: true,
+    dateRange: true,
+    commitments: true,
+    hourly: true,
+  },
+  collectCurrent(credentials, metadata) {
+    // Budgets need the account ID stored in the credential metadata
+    const { accountId } = metadata;
+    const awsCredentials = withConnectionSettings(credentials, metadata);
+    return collectCurrentMonthCosts(accountId ? { ...awsCredentials, accountId } : awsCredentials);
+  },
+  collectRange(credentials, metadata, startDate, endDate) {
+    return collectAWSCosts(withConnectionSettings(credentials, metadata), startDate, endDate);
+  },
+  fetchBudgets(credentials, metadata) {
+    return fetchAWSBudgetDetails(withConnectionSettings(credentials, metadata));
+  },
+  fetchForecasts(credentials, metadata) {
+    return fetchAWSForecasts(withConnectionSettings(credentials, metadata));
+  },
+  fetchCommitments(credentials, metadata, startDate, endDate) {
+    return fetchAWSCommitments(withConnectionSettings(credentials, metadata), startDate, endDate);
+  },
+  collectHourly(credentials, metadata) {
+    const awsCredentials = withConnectionSettings(credentials, metadata);
+    return collectsHourlyCosts(awsCredentials) ? collectAWSHourlyCosts(awsCredentials) : null;
+  },
+  verifyCredentials(credentials, metadata) {
+    return verifyAWSCredentials(withConnectionSettings(credentials, metadata), metadata.accountId);
+  },
+};
+
 module.exports = {
+  collector,
+  getClientConfig,
+  withConnectionSettings,
+  getChargeCategory,
   collectAWSCosts,
+  getAWSDailyTotals,
+  getOrganizationAccounts,
   collectCurrentMonthCosts,
   collectYesterdayCosts,
-  getAWSForecast,
+  fetchAWSForecasts,
   getAWSBudgets,
+  fetchAWSBudgetDetails,
+  fetchAWSCommitments,
+  collectAWSHourlyCosts,
+  verifyAWSCredentials,
 };
@@ -0,0 +1,382 @@
+// services/backfill-worker.js - Background processing of backfill jobs
+const os = require('os');
+const { getCollector, getMissingMetadata } = require('./collector-registry');
+const { loadConnectionCredentials } = require('./credential-store');
+const { storeCosts } = require('./cost-store');
+const { startRun, safeFinishRun } = require('./run-history');
+const { findJobsByStatus, updateJobAtomically } = require('./job-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POLL_INTERVAL_MS = parseInt(process.env.BACKFILL_POLL_INTERVAL_MS || '15000', 10);
+const CHUNK_DAYS = parseInt(process.env.BACKFILL_CHUNK_DAYS || '7', 10);
+
+// A running job whose heartbeat is older than this is assumed to belong to a
+// worker that died, and is picked up again from its last processed chunk
+const STALE_JOB_MS = parseInt(process.env.BACKFILL_STALE_JOB_MS || String(10 * 60 * 1000), 10);
+
+// Running jobs refresh their heartbeat this often, also while a chunk is
+// being collected, so a slow chunk doesn't make the job look stale
+const HEARTBEAT_INTERVAL_MS = Math.max(Math.floor(STALE_JOB_MS / 3), 1000);
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Split [startDate, endDate) into chunks of at most chunkDays days
+ * @returns {Array<Object>} [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', days }]
+ */
+function buildChunks(startDate, endDate, chunkDays = CHUNK_DAYS) {
+  const chunks = [];
+  let cursor = new Date(`${toDateString(new Date(startDate))}T00:00:00.000Z`);
+  const end = new Date(`${toDateString(new Date(endDate))}T00:00:00.000Z`);
+
+  while (cursor < end) {
+    const chunkEnd = new Date(Math.min(cursor.getTime() + chunkDays * DAY_MS, end.getTime()));
+    chunks.push({
+      start: toDateString(cursor),
+      end: toDateString(chunkEnd),
+      days: Math.round((chunkEnd - cursor) / DAY_MS),
+    });
+    cursor = chunkEnd;
+  }
+
+  return chunks;
+}
+
+// Job end dates are exclusive, run date ranges are inclusive
+function dayBefore(dateString) {
+  return toDateString(new Date(new Date(`${dateString}T00:00:00.000Z`).getTime() - DAY_MS));
+}
+
+function isStale(job) {
+  const heartbeat = job.heartbeatAt || job.startedAt;
+  return !heartbeat || Date.now() - new Date(heartbeat).getTime() > STALE_JOB_MS;
+}
+
+/**
+ * Atomically move a job to running so only one worker processes it
+ * @returns {Promise<Object|null>} Job data if claimed, null otherwise
+ */
+async function claimJob(store, jobId) {
+  return updateJobAtomically(store, jobId, (job) => {
+    const claimable = job.status === 'pending' || (job.status === 'running' && isStale(job));
+    if (!claimable) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    return {
+      status: 'running',
+      workerId: WORKER_ID,
+      startedAt: job.startedAt || now,
+      heartbeatAt: now,
+    };
+  });
+}
+
+/**
+ * Whether a job is still running on this worker: it was not cancelled, and
+ * not claimed by another worker after its heartbeat went stale
+ */
+function isOwnJob(job) {
+  return job.status === 'running' && job.workerId === WORKER_ID;
+}
+
+/**
+ * Update a job this worker still owns
+ * @returns {Promise<boolean>} False if the job was cancelled or taken over
+ */
+async function updateOwnJob(store, jobId, update) {
+  const job = await updateJobAtomically(store, jobId, current => (isOwnJob(current) ? update : null));
+  return Boolean(job);
+}
+
+/**
+ * Write the final status unless the job was cancelled or taken over in the meantime
+ */
+function finishJob(store, jobId, update) {
+  return updateOwnJob(store, jobId, update);
+}
+
+/**
+ * Refresh a job's heartbeat every HEARTBEAT_INTERVAL_MS until stopped
+ * @returns {Object} { stop(), isLost() } where isLost is true once the job is
+ *   no longer owned by this worker
+ */
+function startHeartbeat(store, jobId) {
+  let lost = false;
+  const interval = setInterval(async () => {
+    try {
+      lost = !await updateOwnJob(store, jobId, { heartbeatAt: new Date().toISOString() });
+      if (lost) {
+        clearInterval(interval);
+      }
+    } catch (error) {
+      console.error(`[backfill ${jobId}] Heartbeat failed:`, error.message);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  interval.unref();
+
+  return {
+    stop: () => clearInterval(interval),
+    isLost: () => lost,
+  };
+}
+
+/**
+ * Run a claimed backfill job and record it in collection_runs. A job resumed
+ * by another worker gets a new run covering the remaining chunks.
+ * @param {Object} appLocals - { store, secrets }
+ * @param {string} jobId - Backfill job ID
+ * @param {Object} job - Job data as claimed
+ */
+async function runJob(appLocals, jobId, job) {
+  const { store } = appLocals;
+  // Jobs created before connections existed ran against the default connection
+  const connectionId = job.connectionId || job.serviceId;
+
+  const run = await startRun(store, {
+    serviceId: job.serviceId,
+    connectionId,
+    trigger: 'backfill',
+    jobId,
+    startDate: job.startDate,
+    endDate: dayBefore(job.endDate),
+  });
+
+  // Totals of this run only; the job keeps totals across resumes
+  const attempt = {
+    costsCollected: 0,
+    newRecords: 0,
+    updatedRecords: 0,
+    warnings: [],
+    partialFailures: [],
+    startDate: null,
+    endDate: null,
+  };
+
+  const heartbeat = startHeartbeat(store, jobId);
+  try {
+    const outcome = await processJob(appLocals, jobId, job, attempt, heartbeat);
+    await safeFinishRun(store, run, { ...attempt, ...outcome });
+  } catch (error) {
+    await safeFinishRun(store, run, { ...attempt, status: 'error', error: error.message });
+    throw error;
+  } finally {
+    heartbeat.stop();
+  }
+}
+
+/**
+ * Process a claimed backfill job chunk by chunk
+ * @param {Object} attempt - Totals of the current run, updated after each chunk
+ * @param {Object} heartbeat - From startHeartbeat
+ * @returns {Promise<Object>} Run outcome: { status: 'success'|'error'|'cancelled', error }
+ */
+async function processJob(appLocals, jobId, job, attempt, heartbeat) {
+  const { store } = appLocals;
+  const { serviceId } = job;
+  const connectionId = job.connectionId || serviceId;
+
+  const fail = async (message) => {
+    console.error(`[backfill ${jobId}] Failed: ${message}`);
+    const failed = await finishJob(store, jobId, {
+      status: 'failed',
+      error: message,
+      completedAt: new Date().toISOString(),
+    });
+    return failed ? { status: 'error', error: message } : { status: 'cancelled' };
+  };
+
+  const collector = getCollector(serviceId);
+  if (!collector) {
+    return fail(`Cost collection not implemented for ${serviceId}`);
+  }
+
+  if (!collector.capabilities.dateRange) {
+    return fail(
+      `${collector.name} does not support historical backfill: ` +
+      (collector.dateRangeUnsupportedReason || 'only current-period collection is available')
+    );
+  }
+
+  const stored = await loadConnectionCredentials(appLocals, connectionId);
+  if (!stored) {
+    return fail('No credentials configured for this service');
+  }
+
+  const { metadata, credentials } = stored;
+  const missingMetadata = getMissingMetadata(collector, metadata);
+  if (missingMetadata.length > 0) {
+    return fail(`${collector.name} ${missingMetadata.join(' or ')} not configured`);
+  }
+
+  const chunks = buildChunks(job.startDate, job.endDate);
+  const totalDays = chunks.reduce((sum, chunk) => sum + chunk.days, 0);
+
+  // Resume after the last chunk a previous worker finished
+  let daysProcessed = 0;
+  const totals = {
+    costsCollected: job.costsCollected || 0,
+    newRecords: job.newRecords || 0,
+    updatedRecords: job.updatedRecords || 0,
+  };
+  const warnings = [...(job.warnings || [])];
+
+  for (const chunk of chunks) {
+    if (job.processedThrough && chunk.end <= job.processedThrough) {
+      daysProcessed += chunk.days;
+      continue;
+    }
+
+    // Honour DELETE /api/backfill/jobs/:jobId between chunks, and stop if
+    // another worker took the job over
+    if (heartbeat.isLost() || !await updateOwnJob(store, jobId, { heartbeatAt: new Date().toISOString() })) {
+      console.log(`[backfill ${jobId}] Stopped before ${chunk.start} (job is no longer running on ${WORKER_ID})`);
+      return { status: 'cancelled' };
+    }
+
+    console.log(`[backfill ${jobId}] ${connectionId} ${chunk.start} to ${chunk.end}`);
+    let result;
+    try {
+      result = await collector.collectRange(credentials, metadata, chunk.start, chunk.end);
+    } catch (error) {
+      return fail(`Collection failed for ${chunk.start} to ${chunk.end}: ${error.message}`);
+    }
+
+    // Leave the chunk to the worker that took the job over while it ran
+    if (heartbeat.isLost()) {
+      console.log(`[backfill ${jobId}] Stopped during ${chunk.start} (job is no longer running on ${WORKER_ID})`);
+      return { status: 'cancelled' };
+    }
+
+    const { newRecords, updatedRecords } = await storeCosts(store, { serviceId, connectionId }, result.costs);
+
+    daysProcessed += chunk.days;
+    totals.costsCollected += result.count || 0;
+    totals.newRecords += newRecords;
+    totals.updatedRecords += updatedRecords;
+    if (result.warning) {
+      warnings.push(`${chunk.start} to ${chunk.end}: ${result.warning}`);
+      attempt.warnings.push(`${chunk.start} to ${chunk.end}: ${result.warning}`);
+    }
+    for (const failure of result.partialFailures || []) {
+      attempt.partialFailures.push({ ...failure, scope: `${chunk.start} to ${chunk.end}: ${failure.scope}` });
+    }
+
+    attempt.costsCollected += result.count || 0;
+    attempt.newRecords += newRecords;
+    attempt.updatedRecords += updatedRecords;
+    attempt.startDate = attempt.startDate || chunk.start;
+    attempt.endDate = dayBefore(chunk.end);
+
+    const updated = await updateOwnJob(store, jobId, {
+      progress: totalDays > 0 ? Math.floor((daysProcessed / totalDays) * 100) : 100,
+      processedThrough: chunk.end,
+      heartbeatAt: new Date().toISOString(),
+      ...totals,
+      warnings,
+    });
+    if (!updated) {
+      console.log(`[backfill ${jobId}] Stopped after ${chunk.start} (job is no longer running on ${WORKER_ID})`);
+      return { status: 'cancelled' };
+    }
+  }
+
+  const completed = await finishJob(store, jobId, {
+    status: 'completed',
+    progress: 100,
+    completedAt: new Date().toISOString(),
+  });
+
+  if (!completed) {
+    return { status: 'cancelled' };
+  }
+
+  console.log(`[backfill ${jobId}] Completed: ${totals.newRecords} new, ${totals.updatedRecords} updated`);
+  return { status: 'success' };
+}
+
+/**
+ * Find jobs that are pending, or running with a stale heartbeat
+ */
+async function findClaimableJobs(store) {
+  const [pending, running] = await Promise.all([
+    findJobsByStatus(store, 'pending', 10),
+    findJobsByStatus(store, 'running', 10),
+  ]);
+
+  const jobs = [...pending, ...running.filter(isStale)];
+
+  // Oldest first
+  return jobs.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Start polling for backfill jobs. Jobs are processed one at a time.
+ * @param {Object} appLocals - { store, secrets }
+ * @returns {Object} { wake, stop }
+ */
+function startBackfillWorker(appLocals, { pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  const { store } = appLocals;
+  let busy = false;
+  let stopped = false;
+
+  const poll = async () => {
+    if (busy || stopped) return;
+    busy = true;
+
+    try {
+      const jobs = await findClaimableJobs(store);
+
+      for (const candidate of jobs) {
+        if (stopped) break;
+
+        const job = await claimJob(store, candidate.id);
+        if (!job) continue; // Claimed by another instance
+
+        console.log(`[backfill ${candidate.id}] Claimed by ${WORKER_ID}`);
+        try {
+          await runJob(appLocals, candidate.id, job);
+        } catch (error) {
+          console.error(`[backfill ${candidate.id}] Unexpected error:`, error);
+          await finishJob(store, candidate.id, {
+            status: 'failed',
+            error: error.message,
+            completedAt: new Date().toISOString(),
+          }).catch(() => {});
+        }
+      }
+    } catch (error) {
+      console.error('Error polling backfill jobs:', error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const interval = setInterval(poll, pollIntervalMs);
+  interval.unref();
+  poll();
+
+  console.log(`Backfill worker ${WORKER_ID} started (poll every ${pollIntervalMs}ms, ${CHUNK_DAYS}-day chunks)`);
+
+  return {
+    // Check for new jobs now instead of waiting for the next poll
+    wake: () => { poll(); },
+    stop: () => {
+      stopped = true;
+      clearInterval(interval);
+    },
+  };
+}
+
+module.exports = {
+  buildChunks,
+  claimJob,
+  runJob,
+  startBackfillWorker,
+};
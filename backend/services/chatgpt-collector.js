@@ -1,15 +1,17 @@
 // services/chatgpt-collector.js - OpenAI API usage cost tracking
+const { CHECK_TIMEOUT_MS, createCheckList, describeHttpError } = require('./credential-checks');
+const { createHttpClient } = require('./http-client');
+const { getErrorStatus, toPartialFailure } = require('./retry');
 
 /**
  * Collect OpenAI API usage costs
  * @param {Object} credentials - OpenAI API credentials {apiKey, organizationId}
+ * @param {Object} [options] - { onProgress } called after each day is fetched
  * @returns {Promise<Object>} Cost data
  */
-async function collectChatGPTCosts(credentials) {
+async function collectChatGPTCosts(credentials, { onProgress = () => {} } = {}) {
   console.log('Collecting OpenAI API costs...');
 
-  const axios = require('axios');
-
   try {
     const { apiKey, organizationId } = credentials;
 
@@ -26,6 +28,8 @@ async function collectChatGPTCosts(credentials) {
       headers['OpenAI-Organization'] = organizationId;
     }
 
+    const http = createHttpClient('chatgpt', { headers });
+
     // OpenAI model pricing (per 1K tokens in USD)
     const modelPricing = {
       'gpt-4': { input: 0.03, output: 0.06, name: 'GPT-4' },
@@ -53,55 +57,68 @@ async function collectChatGPTCosts(credentials) {
     const resources = [];
     const usageByModel = {};
 
-    try {
-      // Get usage for the last 7 days only (to avoid rate limits)
-      // OpenAI's free tier has strict rate limits
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - 7);
-
-      // OpenAI usage API requires checking each day individually
-      // Add delays to avoid rate limiting
-      const results = [];
-      for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-        const dateStr = d.toISOString().split('T')[0];
-        try {
-          const response = await axios.get(`https://api.openai.com/v1/usage?date=${dateStr}`, { headers });
-          results.push({ date: dateStr, data: response.data });
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 200));
-        } catch (error) {
-          console.log(`Could not fetch usage for ${dateStr}:`, error.message);
-          results.push({ date: dateStr, data: null });
+    // Days whose usage could not be fetched, even after retries
+    const partialFailures = [];
+
+    // Get usage for the last 7 days only (to avoid rate limits)
+    // OpenAI's free tier has strict rate limits
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - 7);
+
+    // OpenAI usage API requires checking each day individually
+    // Add delays to avoid rate limiting
+    const results = [];
+    const totalDays = 8;
+    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+      const dateStr = d.toISOString().split('T')[0];
+      try {
+        const response = await http.get('https://api.openai.com/v1/usage', { params: { date: dateStr } });
+        results.push({ date: dateStr, data: response.data });
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 200));
+      } catch (error) {
+        // A rejected key fails every day, so fail the collection instead
+        if (getErrorStatus(error) === 401) {
+          throw error;
         }
+        console.log(`Could not fetch usage for ${dateStr}:`, error.message);
+        partialFailures.push(toPartialFailure(`usage ${dateStr}`, error));
+        results.push({ date: dateStr, data: null });
       }
+      onProgress({
+        message: `Fetched usage for ${dateStr} (${results.length} of ${totalDays} days)`,
+        fraction: results.length / totalDays,
+      });
+    }
 
-      // Process usage data
-      for (const result of results) {
-        if (!result.data || !result.data.data) continue;
+    if (partialFailures.length === results.length) {
+      throw new Error(`Could not fetch usage for any day: ${partialFailures[0].message}`);
+    }
 
-        for (const usage of result.data.data) {
-          const modelId = usage.snapshot_id || 'unknown';
-          const inputTokens = usage.n_context_tokens_total || 0;
-          const outputTokens = usage.n_generated_tokens_total || 0;
+    // Process usage data
+    for (const result of results) {
+      if (!result.data || !result.data.data) continue;
 
-          if (!usageByModel[modelId]) {
-            usageByModel[modelId] = {
-              inputTokens: 0,
-              outputTokens: 0
-            };
-          }
+      for (const usage of result.data.data) {
+        const modelId = usage.snapshot_id || 'unknown';
+        const inputTokens = usage.n_context_tokens_total || 0;
+        const outputTokens = usage.n_generated_tokens_total || 0;
 
-          usageByModel[modelId].inputTokens += inputTokens;
-          usageByModel[modelId].outputTokens += outputTokens;
+        if (!usageByModel[modelId]) {
+          usageByModel[modelId] = {
+            inputTokens: 0,
+            outputTokens: 0
+          };
         }
-      }
 
-      console.log(`Found usage for ${Object.keys(usageByModel).length} models`);
-    } catch (error) {
-      console.log('Could not fetch usage data:', error.message);
+        usageByModel[modelId].inputTokens += inputTokens;
+        usageByModel[modelId].outputTokens += outputTokens;
+      }
     }
 
+    console.log(`Found usage for ${Object.keys(usageByModel).length} models`);
+
     // Calculate costs from actual usage
     if (Object.keys(usageByModel).length > 0) {
       for (const [modelId, usage] of Object.entries(usageByModel)) {
@@ -168,9 +185,10 @@ async function collectChatGPTCosts(credentials) {
       success: true,
       costs,
       count: costs.length,
-      warning: totalCost === 0
+      warning: totalCost === 0 && partialFailures.length === 0
         ? 'No OpenAI API usage detected in the last 7 days. If you have usage, check your OpenAI dashboard.'
         : undefined,
+      partialFailures,
       summary: {
         totalModels: resources.length,
         actualWeeklyCost: totalCost,
@@ -196,8 +214,8 @@ async function collectChatGPTCosts(credentials) {
 /**
  * Collect costs for the current month
  */
-async function collectCurrentMonthCosts(credentials) {
-  return collectChatGPTCosts(credentials);
+async function collectCurrentMonthCosts(credentials, options) {
+  return collectChatGPTCosts(credentials, options);
 }
 
 /**
@@ -207,8 +225,75 @@ async function collectYesterdayCosts(credentials) {
   return collectChatGPTCosts(credentials);
 }
 
+/**
+ * Verify an OpenAI key by reading today's usage, the endpoint collection
+ * relies on. Restricted keys without usage access are rejected with 403.
+ * @param {Object} credentials - OpenAI API credentials {apiKey, organizationId}
+ * @returns {Promise<Object>} Structured check results
+ */
+async function verifyChatGPTCredentials(credentials) {
+  const axios = require('axios');
+  const { apiKey, organizationId } = credentials;
+  const checks = createCheckList();
+
+  const headers = { 'Authorization': `Bearer ${apiKey}` };
+  if (organizationId) {
+    headers['OpenAI-Organization'] = organizationId;
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  try {
+    await axios.get(`https://api.openai.com/v1/usage?date=${today}`, { headers, timeout: CHECK_TIMEOUT_MS });
+    checks.pass('usage', 'Read usage', 'API key can read organization usage');
+  } catch (error) {
+    const status = error.response?.status;
+    const message = describeHttpError(error);
+    if (status === 401) {
+      checks.fail('usage', 'Read usage', `API key or organization rejected (${message})`);
+    } else if (status === 403) {
+      // e.g. "You have insufficient permissions for this operation. Missing scopes: api.usage.read"
+      const scope = (message.match(/Missing scopes?: ([\w.]+)/) || [])[1] || 'api.usage.read';
+      checks.fail('usage', 'Read usage', message, { permission: scope });
+    } else {
+      checks.fail('usage', 'Read usage', message);
+    }
+  }
+
+  return checks.result();
+}
+
+/**
+ * Collector descriptor registered by services/collector-registry.js
+ */
+const collector = {
+  id: 'chatgpt',
+  name: 'ChatGPT',
+  icon: 'openai',
+  emoji: '🤖',
+  color: '#10A37F',
+  dashboardUrl: 'https://platform.openai.com/usage',
+  credentialFields: [
+    { key: 'apiKey', label: 'API Key', type: 'password', required: true },
+    { key: 'organizationId', label: 'Organization ID', type: 'text', required: false },
+  ],
+  capabilities: {
+    budgets: false,
+    forecast: false,
+    dateRange: false,
+  },
+  dateRangeUnsupportedReason: 'The OpenAI collector only aggregates usage from the last 7 days',
+  collectCurrent(credentials, metadata, options) {
+    return collectCurrentMonthCosts(credentials, options);
+  },
+  verifyCredentials(credentials) {
+    return verifyChatGPTCredentials(credentials);
+  },
+};
+
 module.exports = {
+  collector,
   collectChatGPTCosts,
   collectCurrentMonthCosts,
-  collectYesterdayCosts
+  collectYesterdayCosts,
+  verifyChatGPTCredentials
 };
@@ -1,4 +1,6 @@
 // services/cohere-collector.js - Cohere API usage cost tracking
+const { CHECK_TIMEOUT_MS, createCheckList, describeHttpError } = require('./credential-checks');
+const { createHttpClient } = require('./http-client');
 
 /**
  * Collect Cohere API usage costs
@@ -8,8 +10,6 @@
 async function collectCohereCosts(credentials) {
   console.log('Collecting Cohere API costs...');
 
-  const axios = require('axios');
-
   try {
     const { apiKey } = credentials;
 
@@ -22,6 +22,8 @@ async function collectCohereCosts(credentials) {
       'Content-Type': 'application/json'
     };
 
+    const http = createHttpClient('cohere', { headers });
+
     // Cohere model pricing (per 1M tokens in USD)
     const modelPricing = {
       'command': { input: 1.0, output: 2.0, name: 'Command' },
@@ -41,11 +43,7 @@ async function collectCohereCosts(credentials) {
 
     // Try to verify the API key is valid
     try {
-      await axios.post(
-        'https://api.cohere.ai/v1/check-api-key',
-        {},
-        { headers }
-      );
+      await http.post('https://api.cohere.ai/v1/check-api-key', {});
       console.log('Cohere API key is valid');
     } catch (error) {
       if (error.response?.status === 401) {
@@ -125,8 +123,66 @@ async function collectYesterdayCosts(credentials) {
   return collectCohereCosts(credentials);
 }
 
+/**
+ * Verify a Cohere API key with the free check-api-key endpoint
+ * @param {Object} credentials - Cohere API credentials {apiKey}
+ * @returns {Promise<Object>} Structured check results
+ */
+async function verifyCohereCredentials(credentials) {
+  const axios = require('axios');
+  const checks = createCheckList();
+
+  try {
+    const response = await axios.post(
+      'https://api.cohere.ai/v1/check-api-key',
+      {},
+      { headers: { 'Authorization': `Bearer ${credentials.apiKey}` }, timeout: CHECK_TIMEOUT_MS }
+    );
+    if (response.data.valid === false) {
+      checks.fail('api-key', 'Validate API key', 'Cohere reports the API key as invalid');
+    } else {
+      checks.setIdentity(response.data.organization_id || null);
+      checks.pass('api-key', 'Validate API key', 'API key is valid');
+    }
+  } catch (error) {
+    checks.fail('api-key', 'Validate API key',
+      error.response?.status === 401 ? 'Invalid Cohere API key' : describeHttpError(error));
+  }
+
+  return checks.result();
+}
+
+/**
+ * Collector descriptor registered by services/collector-registry.js
+ */
+const collector = {
+  id: 'cohere',
+  name: 'Cohere',
+  icon: 'cohere',
+  emoji: '🧠',
+  color: '#D18EE2',
+  dashboardUrl: 'https://dashboard.cohere.com/billing',
+  credentialFields: [
+    { key: 'apiKey', label: 'API Key', type: 'password', required: true },
+  ],
+  capabilities: {
+    budgets: false,
+    forecast: false,
+    dateRange: false,
+  },
+  dateRangeUnsupportedReason: 'Cohere does not provide usage or billing data via API',
+  collectCurrent(credentials) {
+    return collectCurrentMonthCosts(credentials);
+  },
+  verifyCredentials(credentials) {
+    return verifyCohereCredentials(credentials);
+  },
+};
+
 module.exports = {
+  collector,
   collectCohereCosts,
   collectCurrentMonthCosts,
-  collectYesterdayCosts
+  collectYesterdayCosts,
+  verifyCohereCredentials
 };
@@ -0,0 +1,190 @@
+// services/collection-queue.js - In-process queue for cost collection runs
+const { EventEmitter } = require('events');
+const { resolveConnection, checkConnectionConfig, executeCollection } = require('./collection-runner');
+const { startRun, markRunStarted, safeFinishRun } = require('./run-history');
+
+const CONCURRENCY = parseInt(process.env.COLLECTION_CONCURRENCY || '2', 10);
+
+// Finished runs stay visible to progress subscribers for a while, so a client
+// that connects just after a fast run still sees its outcome
+const FINISHED_RUN_TTL_MS = 60 * 1000;
+
+/**
+ * Create the collection queue. Collections requested through the API and by
+ * the scheduler are recorded as 'queued' runs right away and executed in the
+ * background, at most `concurrency` at a time. Every state change is emitted
+ * as a progress event:
+ *
+ *   { runId, serviceId, connectionId, trigger, status, message, progress,
+ *     result, error, timestamp }
+ *
+ * where status is queued, running, success or error and progress is 0-100.
+ *
+ * @param {Object} appLocals - { store, secrets }
+ * @returns {Object} { enqueue, subscribe, getRuns }
+ */
+function createCollectionQueue(appLocals, { concurrency = CONCURRENCY } = {}) {
+  const { store } = appLocals;
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const pending = [];
+  const runs = new Map(); // runId -> entry, for queued, running and recently finished runs
+  const starting = new Map(); // connectionId -> promise of the entry being created
+  let active = 0;
+
+  const toEvent = (entry) => ({
+    runId: entry.runId,
+    serviceId: entry.serviceId,
+    connectionId: entry.connectionId,
+    trigger: entry.trigger,
+    status: entry.status,
+    message: entry.message,
+    progress: entry.progress,
+    result: entry.result,
+    error: entry.error,
+    timestamp: new Date().toISOString(),
+  });
+
+  const update = (entry, changes) => {
+    Object.assign(entry, changes);
+    events.emit('progress', toEvent(entry));
+  };
+
+  const finish = (entry, changes) => {
+    update(entry, changes);
+    setTimeout(() => runs.delete(entry.runId), FINISHED_RUN_TTL_MS).unref();
+  };
+
+  const execute = async (entry) => {
+    try {
+      await markRunStarted(store, entry.run);
+      update(entry, { status: 'running', message: 'Starting', progress: 0 });
+
+      const result = await executeCollection(appLocals, entry.context, ({ message, progress }) => {
+        update(entry, { message, progress });
+      });
+
+      finish(entry, { status: 'success', message: 'Completed', progress: 100, result });
+      entry.resolve(result);
+    } catch (error) {
+      error.runId = entry.runId;
+      finish(entry, { status: 'error', message: 'Failed', error: error.message });
+      entry.reject(error);
+    }
+  };
+
+  const pump = () => {
+    while (active < concurrency && pending.length > 0) {
+      const entry = pending.shift();
+      active += 1;
+      execute(entry).finally(() => {
+        active -= 1;
+        pump();
+      });
+    }
+  };
+
+  /**
+   * Queue a collection for a connection. A connection that already has a
+   * queued or running collection gets that run back instead of a second one.
+   * @param {string} connectionId - Connection identifier
+   * @param {Object} [options] - { trigger: 'manual' | 'schedule' }
+   * @returns {Promise<Object>} { runId, serviceId, connectionId, status, alreadyQueued, done }
+   *   where `done` resolves with the collection summary or rejects with its error
+   * @throws {Error} With `status` 400 for configuration problems
+   */
+  const enqueue = async (connectionId, { trigger = 'manual' } = {}) => {
+    const existing = Array.from(runs.values()).find(entry =>
+      entry.connectionId === connectionId && (entry.status === 'queued' || entry.status === 'running')
+    );
+    if (existing) {
+      return { ...describe(existing), alreadyQueued: true, done: existing.done };
+    }
+
+    // Another request for this connection is still creating its run
+    if (starting.has(connectionId)) {
+      const entry = await starting.get(connectionId);
+      return { ...describe(entry), alreadyQueued: true, done: entry.done };
+    }
+
+    const creating = createEntry(connectionId, trigger);
+    starting.set(connectionId, creating);
+    try {
+      const entry = await creating;
+      return { ...describe(entry), alreadyQueued: false, done: entry.done };
+    } finally {
+      starting.delete(connectionId);
+    }
+  };
+
+  const createEntry = async (connectionId, trigger) => {
+    const { serviceId, collector, metadata } = await resolveConnection(store, connectionId);
+    const run = await startRun(store, { serviceId, connectionId, trigger, status: 'queued' });
+
+    // Configuration problems fail the run right away instead of queueing it
+    try {
+      checkConnectionConfig(collector, metadata);
+    } catch (error) {
+      await safeFinishRun(store, run, { status: 'error', error: error.message });
+      error.runId = run.id;
+      throw error;
+    }
+
+    const entry = {
+      runId: run.id,
+      run,
+      serviceId,
+      connectionId,
+      trigger,
+      context: { connectionId, serviceId, collector, run },
+      result: null,
+      error: null,
+    };
+    entry.done = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Callers that only need the runId never await `done`
+    entry.done.catch(() => {});
+
+    runs.set(run.id, entry);
+    pending.push(entry);
+    update(entry, { status: 'queued', message: 'Waiting in queue', progress: 0 });
+    pump();
+
+    return entry;
+  };
+
+  const describe = (entry) => ({
+    runId: entry.runId,
+    serviceId: entry.serviceId,
+    connectionId: entry.connectionId,
+    trigger: entry.trigger,
+    status: entry.status,
+  });
+
+  /**
+   * Listen to progress events
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    events.on('progress', listener);
+    return () => events.off('progress', listener);
+  };
+
+  /**
+   * Current state of queued, running and recently finished runs, as progress events
+   */
+  const getRuns = () => Array.from(runs.values()).map(toEvent);
+
+  return {
+    enqueue,
+    subscribe,
+    getRuns,
+  };
+}
+
+module.exports = {
+  createCollectionQueue,
+};
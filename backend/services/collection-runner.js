@@ -0,0 +1,182 @@
+// services/collection-runner.js - Shared cost collection path
+const { getCollector, getMissingMetadata } = require('./collector-registry');
+const { getCredentialMetadata, loadConnectionCredentials } = require('./credential-store');
+const { storeCosts, storeHourlyCosts } = require('./cost-store');
+const { storeCommitments } = require('./commitment-store');
+const { storeForecasts } = require('./forecast-store');
+const { getConnectionServiceId } = require('./connections');
+const { safeFinishRun, getCostDateRange } = require('./run-history');
+const { withFallback } = require('./retry');
+
+/**
+ * Create an error carrying an HTTP status for the route to return
+ */
+function collectionError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Look up a connection's provider and credential metadata
+ * @returns {Promise<Object>} { serviceId, collector, metadata } where metadata is null without credentials
+ * @throws {Error} With `status` 400 if the provider has no collector
+ */
+async function resolveConnection(store, connectionId) {
+  const metadata = await getCredentialMetadata(store, connectionId);
+  const serviceId = (metadata && metadata.serviceId) || getConnectionServiceId(connectionId);
+
+  const collector = getCollector(serviceId);
+  if (!collector) {
+    throw collectionError(400, `Cost collection not implemented for ${serviceId}`);
+  }
+
+  return { serviceId, collector, metadata };
+}
+
+/**
+ * Check that a connection has credentials and the metadata its collector needs
+ * @throws {Error} With `status` 400 describing what is missing
+ */
+function checkConnectionConfig(collector, metadata) {
+  if (!metadata) {
+    throw collectionError(400, 'No credentials configured for this service');
+  }
+
+  const missingMetadata = getMissingMetadata(collector, metadata);
+  if (missingMetadata.length > 0) {
+    throw collectionError(400, `${collector.name} ${missingMetadata.join(' or ')} not configured`);
+  }
+}
+
+/**
+ * Fetch and store commitment coverage and utilization for the days a run
+ * collected costs for. Failures are recorded in partialFailures.
+ */
+async function collectCommitments(store, { serviceId, connectionId, collector }, { credentials, metadata }, costs, partialFailures) {
+  const { startDate, endDate } = getCostDateRange(costs);
+  if (!startDate) {
+    return;
+  }
+
+  // fetchCommitments takes an exclusive end date, like collectRange
+  const end = new Date(`${endDate}T00:00:00.000Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+
+  const commitments = await withFallback(
+    collector.fetchCommitments(credentials, metadata, startDate, end.toISOString().split('T')[0]),
+    [], partialFailures, 'commitments');
+  await storeCommitments(store, { serviceId, connectionId }, commitments);
+}
+
+/**
+ * Fetch and store the connection's forecasts made today. Failures, of all of
+ * them or of a part, are recorded in partialFailures.
+ */
+async function collectForecasts(store, { serviceId, connectionId, collector }, { credentials, metadata }, costs, partialFailures) {
+  const result = await withFallback(
+    collector.fetchForecasts(credentials, metadata, costs),
+    { forecasts: [], partialFailures: [] }, partialFailures, 'forecast');
+  partialFailures.push(...result.partialFailures);
+  await storeForecasts(store, { serviceId, connectionId }, result.forecasts);
+}
+
+/**
+ * Fetch and store the intraday costs of a connection that collects them.
+ * Failures are recorded in partialFailures.
+ */
+async function collectHourlyCosts(store, { serviceId, connectionId, collector }, { credentials, metadata }, partialFailures) {
+  const hourly = collector.collectHourly(credentials, metadata);
+  if (!hourly) {
+    return;
+  }
+
+  const costs = await withFallback(hourly, [], partialFailures, 'hourly costs');
+  await storeHourlyCosts(store, { serviceId, connectionId }, costs);
+}
+
+/**
+ * Collect current costs for a started run, store them with deduplication and
+ * record the outcome on the run. Called by the collection queue for API and
+ * scheduled collections.
+ * @param {Object} appLocals - { store, secrets }
+ * @param {Object} context - { connectionId, serviceId, collector, run }
+ * @param {Function} [onProgress] - Called with { message, progress } where progress is 0-100
+ * @returns {Promise<Object>} Collection summary, including the runId
+ * @throws {Error} Carrying the `runId`
+ */
+async function executeCollection(appLocals, { connectionId, serviceId, collector, run }, onProgress = () => {}) {
+  const { store } = appLocals;
+
+  try {
+    onProgress({ message: 'Loading credentials', progress: 5 });
+    const { metadata, credentials } = await loadConnectionCredentials(appLocals, connectionId);
+
+    // Collectors may report their own progress, mapped to 10-80%
+    onProgress({ message: `Collecting costs from ${collector.name}`, progress: 10 });
+    const result = await collector.collectCurrent(credentials, metadata, {
+      onProgress: ({ message, fraction }) => onProgress({
+        message,
+        progress: 10 + Math.round(Math.min(Math.max(fraction || 0, 0), 1) * 70),
+      }),
+    });
+
+    // Store costs in Firestore with deduplication
+    onProgress({ message: `Storing ${result.costs.length} cost record(s)`, progress: 90 });
+    const { newRecords, updatedRecords } = await storeCosts(store, { serviceId, connectionId }, result.costs);
+
+    // Parts the collector could not fetch even after retries, e.g. one day of usage
+    const partialFailures = result.partialFailures || [];
+
+    if (collector.capabilities.forecast) {
+      onProgress({ message: 'Forecasting costs', progress: 93 });
+      await collectForecasts(store, { serviceId, connectionId, collector }, { credentials, metadata }, result.costs, partialFailures);
+    }
+
+    if (collector.capabilities.commitments) {
+      onProgress({ message: 'Collecting commitment coverage and utilization', progress: 95 });
+      await collectCommitments(store, { serviceId, connectionId, collector }, { credentials, metadata }, result.costs, partialFailures);
+    }
+
+    if (collector.capabilities.hourly) {
+      onProgress({ message: 'Collecting hourly costs', progress: 97 });
+      await collectHourlyCosts(store, { serviceId, connectionId, collector }, { credentials, metadata }, partialFailures);
+    }
+
+    await safeFinishRun(store, run, {
+      status: 'success',
+      costsCollected: result.count,
+      newRecords,
+      updatedRecords,
+      warnings: [result.warning],
+      partialFailures,
+      ...getCostDateRange(result.costs),
+    });
+
+    return {
+      serviceId,
+      connectionId,
+      runId: run.id,
+      costsCollected: result.count,
+      newRecords,
+      updatedRecords,
+      timestamp: new Date().toISOString(),
+      warning: result.warning,
+      partialFailures
+    };
+  } catch (error) {
+    await safeFinishRun(store, run, {
+      status: 'error',
+      error: error.message,
+    });
+
+    error.runId = run.id;
+    throw error;
+  }
+}
+
+module.exports = {
+  resolveConnection,
+  checkConnectionConfig,
+  executeCollection,
+};
@@ -0,0 +1,236 @@
+// services/collector-registry.js - Registry of cost collectors
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Every module in this directory named `*-collector.js` that exports a
+ * `collector` descriptor is registered automatically. A descriptor looks like:
+ *
+ *   {
+ *     id: 'aws',                       // serviceId used across the API
+ *     name: 'Amazon Web Services',     // display metadata
+ *     icon: 'aws', emoji: '☁️', color: '#FF9900', dashboardUrl: '...',
+ *     credentialFields: [...],         // stored as secrets (services/secrets.js)
+ *     credentialTypes: [{ id, label, description, credentialFields }],  // optional, see below
+ *     metadataFields: [...],           // stored with the connection, not as secrets
+ *     keyRotation: { fields, label, maxAgeDays },  // optional, see credential-rotation.js
+ *     capabilities: { budgets, forecast, dateRange, commitments, hourly },
+ *     dateRangeUnsupportedReason: '...', // shown when backfill is requested
+ *     collectCurrent(credentials, metadata, { onProgress }),  // onProgress({ message, fraction }) is optional
+ *     collectRange(credentials, metadata, startDate, endDate),  // if dateRange
+ *     fetchBudgets(credentials, metadata),                      // if budgets
+ *     fetchForecasts(credentials, metadata, costs),  // if forecast; costs just collected, see forecast-store.js
+ *     fetchCommitments(credentials, metadata, startDate, endDate),  // if commitments, see commitment-store.js
+ *     collectHourly(credentials, metadata),  // if hourly; null when the connection doesn't collect hourly costs
+ *     verifyCredentials(credentials, metadata),  // cheap read-only check, see credential-checks.js
+ *   }
+ *
+ * Fields are { key, label, type, required, default, helperText }, where type
+ * is 'text', 'password', 'textarea', or 'select' with options [{ value, label }].
+ *
+ * Adding a provider means adding one collector file.
+ *
+ * Collectors that can authenticate in more than one way list credentialTypes
+ * instead of credentialFields, and the connection's choice is stored as its
+ * credentialType metadata. The first type is the default.
+ */
+
+const DEFAULT_CAPABILITIES = {
+  budgets: false,
+  forecast: false,
+  dateRange: false,
+  commitments: false,
+  hourly: false,
+};
+
+const collectors = new Map();
+
+function register(collector) {
+  if (!collector || !collector.id) {
+    throw new Error('Collector descriptor must have an id');
+  }
+  if (typeof collector.collectCurrent !== 'function') {
+    throw new Error(`Collector ${collector.id} must implement collectCurrent`);
+  }
+  if (collectors.has(collector.id)) {
+    throw new Error(`Collector ${collector.id} is already registered`);
+  }
+
+  const credentialTypes = collector.credentialTypes || null;
+
+  collectors.set(collector.id, {
+    credentialFields: credentialTypes ? credentialTypes[0].credentialFields : [],
+    metadataFields: [],
+    ...collector,
+    credentialTypes,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...collector.capabilities },
+  });
+}
+
+function loadCollectors() {
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('-collector.js'))
+    .sort();
+
+  for (const file of files) {
+    const { collector } = require(path.join(__dirname, file));
+    if (collector) {
+      register(collector);
+    }
+  }
+}
+
+loadCollectors();
+
+/**
+ * Get the collector descriptor for a service, or null if unsupported
+ */
+function getCollector(serviceId) {
+  return collectors.get(serviceId) || null;
+}
+
+/**
+ * Get all registered collector descriptors
+ */
+function getCollectors() {
+  return Array.from(collectors.values());
+}
+
+/**
+ * Serializable metadata for a collector (no functions), as exposed by the API
+ */
+function describeCollector(collector) {
+  const {
+    id,
+    name,
+    icon,
+    emoji,
+    color,
+    dashboardUrl,
+    credentialFields,
+    credentialTypes,
+    metadataFields,
+    keyRotation,
+    capabilities,
+    dateRangeUnsupportedReason,
+  } = collector;
+
+  return {
+    id,
+    name,
+    icon,
+    emoji,
+    color,
+    dashboardUrl,
+    credentialFields,
+    credentialTypes,
+    metadataFields,
+    keyRotation: keyRotation || null,
+    capabilities,
+    dateRangeUnsupportedReason,
+  };
+}
+
+/**
+ * Display metadata for all collectors keyed by serviceId
+ */
+function getSupportedServices() {
+  const services = {};
+  for (const collector of collectors.values()) {
+    services[collector.id] = describeCollector(collector);
+  }
+  return services;
+}
+
+/**
+ * Resolve a connection's credential type. Unknown values, such as the
+ * serviceId older clients sent, resolve to the default type.
+ * @returns {Object} { id, label, credentialFields }
+ */
+function getCredentialType(collector, credentialType) {
+  if (!collector.credentialTypes) {
+    return { id: credentialType || 'api-key', label: null, credentialFields: collector.credentialFields };
+  }
+  return collector.credentialTypes.find(type => type.id === credentialType) || collector.credentialTypes[0];
+}
+
+/**
+ * Credential type whose required fields are all set in stored credential
+ * values, e.g. when restoring a version saved under another type. When
+ * several match, the one with the most required fields wins.
+ */
+function matchCredentialType(collector, credentials) {
+  if (!collector.credentialTypes) {
+    return getCredentialType(collector);
+  }
+
+  const requiredKeys = type => type.credentialFields.filter(field => field.required).map(field => field.key);
+  const matches = collector.credentialTypes
+    .filter(type => requiredKeys(type).every(key => credentials[key]))
+    .sort((a, b) => requiredKeys(b).length - requiredKeys(a).length);
+  return matches[0] || collector.credentialTypes[0];
+}
+
+/**
+ * Credential fields of every credential type of a collector
+ */
+function getAllCredentialFields(collector) {
+  if (!collector.credentialTypes) {
+    return collector.credentialFields;
+  }
+  return collector.credentialTypes.flatMap(type => type.credentialFields);
+}
+
+/**
+ * Return the names of required metadata fields that are missing
+ */
+function getMissingMetadata(collector, metadata) {
+  return collector.metadataFields
+    .filter(field => field.required && !metadata[field.key])
+    .map(field => field.label || field.key);
+}
+
+/**
+ * Return messages for select metadata fields set to a value that is not one
+ * of their options
+ */
+function getInvalidMetadata(collector, metadata) {
+  return collector.metadataFields
+    .filter(field => field.options && metadata[field.key] !== undefined &&
+      !field.options.some(option => option.value === metadata[field.key]))
+    .map(field => `${field.label || field.key} must be one of ${field.options.map(option => option.value).join(', ')}`);
+}
+
+/**
+ * Split a submitted credential form into secret credentials and metadata
+ * according to the collector's declared metadata fields
+ */
+function splitCredentialInput(collector, input = {}) {
+  const credentials = { ...input };
+  const metadata = {};
+
+  for (const field of collector.metadataFields) {
+    if (credentials[field.key] !== undefined) {
+      if (credentials[field.key] !== '') {
+        metadata[field.key] = credentials[field.key];
+      }
+      delete credentials[field.key];
+    }
+  }
+
+  return { credentials, metadata };
+}
+
+module.exports = {
+  register,
+  getCollector,
+  getCollectors,
+  describeCollector,
+  getSupportedServices,
+  getCredentialType,
+  matchCredentialType,
+  getAllCredentialFields,
+  getMissingMetadata,
+  getInvalidMetadata,
+  splitCredentialInput,
+};
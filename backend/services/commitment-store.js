@@ -0,0 +1,76 @@
+// services/commitment-store.js - Daily commitment (Savings Plans, reservations) coverage and utilization
+const COMMITMENTS_COLLECTION = 'commitments';
+
+/**
+ * Document ID for a day of a connection's commitments, so that repeated
+ * collections replace the day instead of duplicating it
+ */
+function getCommitmentDocId(connectionId, date) {
+  return `${connectionId}_${date}`;
+}
+
+/**
+ * Store daily commitment entries returned by a collector's fetchCommitments
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} connection - { serviceId, connectionId } the entries belong to
+ * @param {Array<Object>} commitments - Entries with a YYYY-MM-DD `date`
+ * @returns {Promise<number>} Number of days stored
+ */
+async function storeCommitments(store, { serviceId, connectionId }, commitments) {
+  if (!commitments || commitments.length === 0) {
+    return 0;
+  }
+
+  const updatedAt = new Date().toISOString();
+  await store.batch(commitments.map(commitment => ({
+    type: 'set',
+    collection: COMMITMENTS_COLLECTION,
+    id: getCommitmentDocId(connectionId, commitment.date),
+    data: {
+      ...commitment,
+      serviceId,
+      connectionId,
+      timestamp: `${commitment.date}T00:00:00.000Z`,
+      updatedAt
+    }
+  })));
+
+  return commitments.length;
+}
+
+/**
+ * List daily commitment entries, oldest first
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} filters - { serviceId, connectionId, startDate, endDate }; dates are ISO timestamps
+ * @returns {Promise<Array<Object>>} Entries with their id
+ */
+async function listCommitments(store, { serviceId, connectionId, startDate, endDate } = {}) {
+  const where = [];
+
+  if (serviceId) {
+    where.push(['serviceId', '==', serviceId]);
+  }
+
+  if (connectionId) {
+    where.push(['connectionId', '==', connectionId]);
+  }
+
+  if (startDate) {
+    where.push(['timestamp', '>=', startDate]);
+  }
+
+  if (endDate) {
+    where.push(['timestamp', '<=', endDate]);
+  }
+
+  const docs = await store.query(COMMITMENTS_COLLECTION, {
+    where,
+    orderBy: [['timestamp', 'asc']]
+  });
+  return docs.map(doc => ({ id: doc.id, ...doc.data }));
+}
+
+module.exports = {
+  storeCommitments,
+  listCommitments,
+};
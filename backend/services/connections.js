@@ -0,0 +1,108 @@
+// services/connections.js - Named credential sets (connections) per provider
+const { getCollector, getCredentialType } = require('./collector-registry');
+const { listCredentialMetadata } = require('./credential-store');
+const { listServiceSettings } = require('./service-store');
+const { getKeyRotationPolicy, getKeyRotationStatus } = require('./credential-rotation');
+
+/**
+ * A connection is one credential set for a provider, e.g. a second AWS
+ * account. Its ID keys the credentials and schedules documents, tags
+ * collection runs and prefixes cost record IDs.
+ *
+ * The default connection of a provider has the serviceId as its ID, so data
+ * saved before connections existed (keyed by serviceId) keeps working.
+ * Additional connections are `${serviceId}_${slug}`. Service IDs never
+ * contain underscores, and slugs only use [a-z0-9-], which keeps the ID
+ * valid as part of a Secret Manager secret name.
+ */
+
+/**
+ * Resolve the provider a connection belongs to
+ */
+function getConnectionServiceId(connectionId) {
+  return String(connectionId).split('_')[0];
+}
+
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+/**
+ * Build the ID for a new connection from its display name
+ * @throws {Error} If the name has no usable characters
+ */
+function createConnectionId(serviceId, name) {
+  const slug = slugify(name);
+  if (!slug) {
+    throw new Error('Connection name must contain letters or digits');
+  }
+  return `${serviceId}_${slug}`;
+}
+
+/**
+ * Connection a stored cost record belongs to. Records collected before
+ * connections existed have no connectionId and belong to the default one.
+ */
+function getCostConnectionId(cost) {
+  return cost.connectionId || cost.serviceId;
+}
+
+/**
+ * Public view of a connection's credential metadata
+ * @param {Object} [settings] - Stored settings of the provider, for its key rotation policy
+ */
+function describeConnection(connectionId, metadata, settings = null) {
+  const serviceId = metadata.serviceId || getConnectionServiceId(connectionId);
+  const collector = getCollector(serviceId);
+  const credentialType = collector ? getCredentialType(collector, metadata.credentialType) : null;
+
+  return {
+    connectionId,
+    serviceId,
+    name: metadata.name || (collector ? collector.name : serviceId),
+    isDefault: connectionId === serviceId,
+    credentialType: credentialType ? credentialType.id : metadata.credentialType,
+    lastUpdated: metadata.lastUpdated,
+    secretVersion: metadata.secretVersion || null,
+    keyCreatedAt: metadata.keyCreatedAt || null,
+    keyRotation: getKeyRotationStatus(metadata, getKeyRotationPolicy(collector, settings, credentialType)),
+  };
+}
+
+/**
+ * List configured connections, optionally for one provider
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {string} [serviceId] - Only return connections of this provider
+ * @returns {Promise<Array<Object>>} Connections sorted by provider, default first
+ */
+async function listConnections(store, serviceId) {
+  const credentials = await listCredentialMetadata(store);
+  const settingsByService = {};
+  for (const { serviceId: id, settings } of await listServiceSettings(store)) {
+    settingsByService[id] = settings;
+  }
+
+  return credentials
+    .map(({ connectionId, metadata }) => {
+      const settings = settingsByService[metadata.serviceId || getConnectionServiceId(connectionId)];
+      return describeConnection(connectionId, metadata, settings);
+    })
+    .filter(connection => !serviceId || connection.serviceId === serviceId)
+    .sort((a, b) =>
+      a.serviceId.localeCompare(b.serviceId) ||
+      Number(b.isDefault) - Number(a.isDefault) ||
+      a.name.localeCompare(b.name)
+    );
+}
+
+module.exports = {
+  getConnectionServiceId,
+  createConnectionId,
+  getCostConnectionId,
+  describeConnection,
+  listConnections,
+};
@@ -0,0 +1,189 @@
+// services/cost-store.js - Deduplicated cost record storage
+const { getCostConnectionId } = require('./connections');
+
+const COSTS_COLLECTION = 'costs';
+
+// Intraday buckets are kept apart from the daily records, so totals over
+// costs don't count the same spend twice
+const HOURLY_COSTS_COLLECTION = 'hourly_costs';
+
+// Collection of each granularity costs can be listed at
+const COST_COLLECTIONS = {
+  day: COSTS_COLLECTION,
+  hour: HOURLY_COSTS_COLLECTION,
+};
+const COST_GRANULARITIES = Object.keys(COST_COLLECTIONS);
+
+/**
+ * Document ID for a cost record: composite key connectionId + date
+ * so that repeated collections update instead of duplicating.
+ * For the default connection this is `${serviceId}_${date}`.
+ */
+function getCostDocId(connectionId, cost) {
+  // Extract date from timestamp (YYYY-MM-DD)
+  const date = cost.timestamp.split('T')[0];
+  return `${connectionId}_${date}`;
+}
+
+/**
+ * Document ID for an hourly cost record: connectionId + YYYY-MM-DDTHH
+ */
+function getHourlyCostDocId(connectionId, cost) {
+  return `${connectionId}_${new Date(cost.timestamp).toISOString().slice(0, 13)}`;
+}
+
+/**
+ * Store collected costs with deduplication
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} connection - { serviceId, connectionId } the costs belong to
+ * @param {Array<Object>} costs - Cost records returned by a collector
+ * @returns {Promise<Object>} { newRecords, updatedRecords }
+ */
+async function storeCosts(store, { serviceId, connectionId }, costs) {
+  if (!costs || costs.length === 0) {
+    return { newRecords: 0, updatedRecords: 0 };
+  }
+
+  // First, check which records already exist (efficient batch check)
+  const docIds = costs.map(cost => getCostDocId(connectionId, cost));
+  const existingDocs = await store.getAll(COSTS_COLLECTION, docIds);
+  const existingDocIds = new Set(docIds.filter((id, i) => existingDocs[i]));
+
+  // Now batch write/update
+  const writes = [];
+  let newRecords = 0;
+  let updatedRecords = 0;
+
+  for (const cost of costs) {
+    const docId = getCostDocId(connectionId, cost);
+
+    if (existingDocIds.has(docId)) {
+      // Update existing record (keeps most recent data)
+      writes.push({
+        type: 'update',
+        collection: COSTS_COLLECTION,
+        id: docId,
+        data: {
+          ...cost,
+          serviceId,
+          connectionId,
+          updatedAt: new Date().toISOString()
+        }
+      });
+      updatedRecords++;
+    } else {
+      // Create new record
+      writes.push({
+        type: 'set',
+        collection: COSTS_COLLECTION,
+        id: docId,
+        data: {
+          ...cost,
+          serviceId,
+          connectionId,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      });
+      newRecords++;
+    }
+  }
+
+  await store.batch(writes);
+  console.log(`[${connectionId}] Deduplication: ${newRecords} new, ${updatedRecords} updated`);
+
+  return { newRecords, updatedRecords };
+}
+
+/**
+ * Store hourly cost records returned by a collector's collectHourly. Later
+ * collections of an hour replace it, as its spend keeps growing until
+ * Cost Explorer has processed all of its usage.
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} connection - { serviceId, connectionId } the costs belong to
+ * @param {Array<Object>} costs - Records with the start of their hour as `timestamp`
+ * @returns {Promise<number>} Number of hours stored
+ */
+async function storeHourlyCosts(store, { serviceId, connectionId }, costs) {
+  if (!costs || costs.length === 0) {
+    return 0;
+  }
+
+  const updatedAt = new Date().toISOString();
+  await store.batch(costs.map(cost => ({
+    type: 'set',
+    collection: HOURLY_COSTS_COLLECTION,
+    id: getHourlyCostDocId(connectionId, cost),
+    data: {
+      ...cost,
+      serviceId,
+      connectionId,
+      updatedAt
+    }
+  })));
+
+  return costs.length;
+}
+
+/**
+ * List cost records, newest first
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} filters - { serviceId, startDate, endDate, limit, granularity }; dates are
+ *   ISO timestamps, granularity is 'day' (default) or 'hour'
+ * @returns {Promise<Array<Object>>} Cost records with their id
+ */
+async function listCosts(store, { serviceId, startDate, endDate, limit, granularity = 'day' } = {}) {
+  const where = [];
+
+  if (serviceId) {
+    where.push(['serviceId', '==', serviceId]);
+  }
+
+  if (startDate) {
+    where.push(['timestamp', '>=', startDate]);
+  }
+
+  if (endDate) {
+    where.push(['timestamp', '<=', endDate]);
+  }
+
+  const docs = await store.query(COST_COLLECTIONS[granularity], {
+    where,
+    orderBy: [['timestamp', 'desc']],
+    limit
+  });
+  return docs.map(doc => ({ id: doc.id, ...doc.data }));
+}
+
+/**
+ * Most recent cost record of a connection, or null. Records of the default
+ * connection may predate the connectionId field, so the provider's latest
+ * records are filtered here rather than in the query.
+ */
+async function getLatestCost(store, serviceId, connectionId = serviceId) {
+  const costs = await listCosts(store, { serviceId, limit: 50 });
+  return costs.find(cost => getCostConnectionId(cost) === connectionId) || null;
+}
+
+/**
+ * Get a single cost record
+ * @returns {Promise<Object|null>} Cost record, or null if it doesn't exist
+ */
+function getCost(store, costId) {
+  return store.get(COSTS_COLLECTION, costId);
+}
+
+function deleteCost(store, costId) {
+  return store.delete(COSTS_COLLECTION, costId);
+}
+
+module.exports = {
+  COST_GRANULARITIES,
+  getCostDocId,
+  storeCosts,
+  storeHourlyCosts,
+  listCosts,
+  getLatestCost,
+  getCost,
+  deleteCost,
+};
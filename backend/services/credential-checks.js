@@ -0,0 +1,59 @@
+// services/credential-checks.js - Structured results for credential verification
+
+// Timeout for each verification request, so a hanging provider can't stall the form
+const CHECK_TIMEOUT_MS = 10000;
+
+/**
+ * Collects the outcome of individual credential checks. Collectors use it in
+ * their verifyCredentials implementation:
+ *
+ *   const checks = createCheckList();
+ *   checks.pass('identity', 'Authenticate', 'Authenticated as ...');
+ *   checks.fail('budgets', 'Read budgets', error.message, { permission: 'budgets:ViewBudget', required: false });
+ *   return checks.result();
+ */
+function createCheckList() {
+  const checks = [];
+  let identity = null;
+
+  const add = (status, id, label, message, { permission = null, required = true } = {}) => {
+    checks.push({ id, label, status, message, permission, required });
+  };
+
+  return {
+    pass: (id, label, message, options) => add('passed', id, label, message, options),
+    fail: (id, label, message, options) => add('failed', id, label, message, options),
+    warn: (id, label, message, options) => add('warning', id, label, message, { required: false, ...options }),
+    skip: (id, label, message, options) => add('skipped', id, label, message, { required: false, ...options }),
+    setIdentity: (value) => { identity = value; },
+    result: () => {
+      const failed = checks.filter(check => check.status === 'failed');
+      return {
+        valid: failed.every(check => !check.required),
+        identity,
+        checks,
+        missingPermissions: failed
+          .filter(check => check.permission)
+          .map(check => check.permission),
+      };
+    },
+  };
+}
+
+/**
+ * Summarise an axios error from a verification request
+ */
+function describeHttpError(error) {
+  if (error.response) {
+    const data = error.response.data || {};
+    const detail = data.error?.message || data.message || (typeof data.error === 'string' ? data.error : null);
+    return `HTTP ${error.response.status}${detail ? `: ${detail}` : ''}`;
+  }
+  return error.message;
+}
+
+module.exports = {
+  CHECK_TIMEOUT_MS,
+  createCheckList,
+  describeHttpError,
+};
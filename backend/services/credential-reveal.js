@@ -0,0 +1,105 @@
+// services/credential-reveal.js - Re-authentication, single-use tokens and rate limits for credential reveals
+const REVEAL_TOKENS_COLLECTION = 'reveal_tokens';
+const REVEAL_LIMITS_COLLECTION = 'reveal_limits';
+
+// How recently the user must have signed in to get a reveal token
+const REAUTH_MAX_AGE_SECONDS = parseInt(process.env.REVEAL_REAUTH_MAX_AGE_SECONDS || '300', 10);
+
+// Reveals (masked or full) allowed per user within the window
+const RATE_LIMIT = parseInt(process.env.REVEAL_RATE_LIMIT || '10', 10);
+const RATE_WINDOW_MS = parseInt(process.env.REVEAL_RATE_WINDOW_MS || String(60 * 60 * 1000), 10);
+
+function revealError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check that a user signed in recently enough to get a reveal token. The
+ * web app signs the user in again to satisfy this.
+ * @param {Object} user - req.user
+ * @throws {Error} With `status` 403, and `reauthenticate` set when signing in
+ *   again would help. Not 401, which would end the user's session.
+ */
+function checkRecentSignIn(user, now = Date.now()) {
+  if (!user.authTime && user.provider === 'api-key') {
+    throw revealError('This sign-in method cannot re-authenticate; sign in with another method to reveal full credentials', 403);
+  }
+
+  // A token without a sign-in time never counts as recent; signing in again
+  // with max_age makes OIDC providers include it
+  if (!user.authTime) {
+    const error = revealError('Sign in again to reveal full credentials', 403);
+    error.reauthenticate = true;
+    throw error;
+  }
+
+  const ageSeconds = Math.floor(now / 1000) - user.authTime;
+  if (ageSeconds > REAUTH_MAX_AGE_SECONDS) {
+    const error = revealError(`Sign in again to reveal full credentials; the last sign-in was ${Math.floor(ageSeconds / 60)} minutes ago`, 403);
+    error.reauthenticate = true;
+    throw error;
+  }
+}
+
+/**
+ * Mark a verified reveal token as used. Tokens are stored by ID, so a token
+ * is only accepted once, even across API instances.
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} payload - Result of verifyRevealToken
+ * @throws {Error} With `status` 403 if the token was already used
+ */
+async function consumeRevealToken(store, payload) {
+  try {
+    await store.create(REVEAL_TOKENS_COLLECTION, payload.jti, {
+      userId: payload.sub,
+      connectionId: payload.connectionId,
+      usedAt: new Date().toISOString(),
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+    });
+  } catch (error) {
+    if (error.code === 'already-exists') {
+      throw revealError('Reveal token already used', 403);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count a reveal against the user's limit
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @throws {Error} With `status` 429 and `retryAfterSeconds` when the limit is reached
+ */
+async function recordRevealAttempt(store, userId, now = Date.now()) {
+  const retryAfterMs = await store.runTransaction(async (transaction) => {
+    const limit = await transaction.get(REVEAL_LIMITS_COLLECTION, userId);
+    const recent = ((limit && limit.reveals) || [])
+      .map(timestamp => Date.parse(timestamp))
+      .filter(time => time > now - RATE_WINDOW_MS)
+      .sort((a, b) => a - b);
+
+    if (recent.length >= RATE_LIMIT) {
+      return recent[recent.length - RATE_LIMIT] + RATE_WINDOW_MS - now;
+    }
+
+    recent.push(now);
+    transaction.set(REVEAL_LIMITS_COLLECTION, userId, {
+      userId,
+      reveals: recent.map(time => new Date(time).toISOString()),
+    });
+    return 0;
+  });
+
+  if (retryAfterMs > 0) {
+    const error = revealError(`Too many credential reveals; try again in ${Math.ceil(retryAfterMs / 60000)} minutes`, 429);
+    error.retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    throw error;
+  }
+}
+
+module.exports = {
+  checkRecentSignIn,
+  consumeRevealToken,
+  recordRevealAttempt,
+};
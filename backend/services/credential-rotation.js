@@ -0,0 +1,109 @@
+// services/credential-rotation.js - Credential age and key rotation reminders
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collectors whose credentials are long-lived keys declare
+ *
+ *   keyRotation: { fields: ['accessKeyId', 'secretAccessKey'], label: 'access key', maxAgeDays: 90 }
+ *
+ * fields are the credential fields that make up the key, and maxAgeDays the
+ * default age after which the key should be rotated. A provider's service
+ * settings can override it with keyRotationDays (0 turns reminders off).
+ * Connections whose credential type has no key fields, such as an assumed
+ * role, have nothing to rotate.
+ */
+
+/**
+ * Credential fields whose change means a new key. Collectors without a
+ * rotation policy count every credential field.
+ */
+function getKeyFields(collector) {
+  return collector.keyRotation
+    ? collector.keyRotation.fields
+    : collector.credentialFields.map(field => field.key);
+}
+
+/**
+ * Whether two sets of credential values hold different keys
+ */
+function hasKeyChanged(collector, previous, credentials) {
+  if (!previous) {
+    return true;
+  }
+  return getKeyFields(collector).some(key => (previous[key] || '') !== (credentials[key] || ''));
+}
+
+/**
+ * Rotation policy of a provider
+ * @param {Object} collector - Collector descriptor (services/collector-registry.js)
+ * @param {Object} [settings] - Stored service settings (services/service-store.js)
+ * @param {Object} [credentialType] - Connection's credential type, from getCredentialType
+ * @returns {Object|null} { label, maxAgeDays }, or null when reminders are off
+ */
+function getKeyRotationPolicy(collector, settings, credentialType = null) {
+  if (!collector || !collector.keyRotation) {
+    return null;
+  }
+
+  if (credentialType) {
+    const typeFields = credentialType.credentialFields.map(field => field.key);
+    if (!collector.keyRotation.fields.every(key => typeFields.includes(key))) {
+      return null;
+    }
+  }
+
+  const configured = settings ? settings.keyRotationDays : undefined;
+  const maxAgeDays = configured === undefined || configured === null
+    ? collector.keyRotation.maxAgeDays
+    : configured;
+  if (!maxAgeDays) {
+    return null;
+  }
+
+  return { label: collector.keyRotation.label, maxAgeDays };
+}
+
+/**
+ * Age of a connection's key against its provider's rotation policy
+ * @param {Object} metadata - Stored credential metadata
+ * @param {Object|null} policy - Result of getKeyRotationPolicy
+ * @returns {Object|null} { label, keyCreatedAt, ageDays, maxAgeDays, due }, or null without a policy
+ */
+function getKeyRotationStatus(metadata, policy, now = new Date()) {
+  if (!policy) {
+    return null;
+  }
+
+  // Connections saved before key ages were recorded count from their last save
+  const keyCreatedAt = metadata.keyCreatedAt || metadata.lastUpdated || null;
+  const ageDays = keyCreatedAt ? Math.floor((now - new Date(keyCreatedAt)) / DAY_MS) : null;
+
+  return {
+    label: policy.label,
+    keyCreatedAt,
+    ageDays,
+    maxAgeDays: policy.maxAgeDays,
+    due: ageDays !== null && ageDays >= policy.maxAgeDays,
+  };
+}
+
+/**
+ * Check a keyRotationDays service setting
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateKeyRotationDays(value) {
+  if (value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < 0 || value > 3650) {
+    return 'keyRotationDays must be a whole number of days between 0 and 3650, or null for the default';
+  }
+  return null;
+}
+
+module.exports = {
+  hasKeyChanged,
+  getKeyRotationPolicy,
+  getKeyRotationStatus,
+  validateKeyRotationDays,
+};
@@ -0,0 +1,119 @@
+// services/credential-store.js - Stored connection credentials
+const { getAllCredentialFields } = require('./collector-registry');
+
+const CREDENTIALS_COLLECTION = 'credentials';
+
+/**
+ * Secret holding a connection's credential values. The document in the
+ * credentials collection only holds metadata and this name.
+ */
+function getSecretName(connectionId) {
+  return `${connectionId}-credentials`;
+}
+
+/**
+ * Stored metadata of a connection's credentials (never the secret values),
+ * or null if there are none
+ * @param {Object} store - Storage backend (services/storage.js)
+ */
+function getCredentialMetadata(store, connectionId) {
+  return store.get(CREDENTIALS_COLLECTION, connectionId);
+}
+
+/**
+ * Metadata of every configured connection
+ * @returns {Promise<Array<Object>>} [{ connectionId, metadata }]
+ */
+async function listCredentialMetadata(store) {
+  const docs = await store.query(CREDENTIALS_COLLECTION);
+  return docs.map(doc => ({ connectionId: doc.id, metadata: doc.data }));
+}
+
+function saveCredentialMetadata(store, connectionId, metadata) {
+  return store.set(CREDENTIALS_COLLECTION, connectionId, metadata);
+}
+
+function deleteCredentialMetadata(store, connectionId) {
+  return store.delete(CREDENTIALS_COLLECTION, connectionId);
+}
+
+/**
+ * Store a connection's secret credential values as a new secret version
+ * @param {Object} secrets - Secrets backend (services/secrets.js)
+ * @returns {Promise<Object>} { secretName, version }
+ */
+async function saveConnectionSecret(secrets, connectionId, credentials) {
+  const secretName = getSecretName(connectionId);
+  const version = await secrets.put(secretName, JSON.stringify(credentials));
+  return { secretName, version };
+}
+
+/**
+ * Read the secret credential values stored under a secret name
+ * @param {string} [version] - Secret version, the latest by default
+ */
+async function readConnectionSecret(secrets, secretName, version = 'latest') {
+  return JSON.parse(await secrets.access(secretName, version));
+}
+
+/**
+ * Show the last characters of a secret value so versions can be told apart.
+ * Short strings and non-string values (such as a parsed key file) are
+ * masked completely.
+ */
+function maskValue(value) {
+  if (typeof value !== 'string' || value.length < 12) {
+    return '••••';
+  }
+  return `••••${value.slice(-4)}`;
+}
+
+/**
+ * Copy of credential values that is safe to display: fields the collector
+ * declares as plain text (region, account email, access key ID) are kept,
+ * everything else is masked
+ * @param {Object} collector - Collector descriptor (services/collector-registry.js)
+ */
+function maskCredentials(collector, credentials) {
+  const plainFields = getAllCredentialFields(collector)
+    .filter(field => field.type === 'text')
+    .map(field => field.key);
+
+  const masked = {};
+  for (const [key, value] of Object.entries(credentials)) {
+    masked[key] = plainFields.includes(key) || value === '' || value === null ? value : maskValue(value);
+  }
+  return masked;
+}
+
+/**
+ * Load credential metadata and the secret payload for a connection
+ * @param {Object} appLocals - { store, secrets }
+ * @param {string} connectionId - Connection identifier (the serviceId for the default connection)
+ * @returns {Promise<Object|null>} { metadata, credentials } or null if not configured
+ */
+async function loadConnectionCredentials(appLocals, connectionId) {
+  const { store, secrets } = appLocals;
+
+  const metadata = await getCredentialMetadata(store, connectionId);
+  if (!metadata) {
+    return null;
+  }
+
+  const credentials = await readConnectionSecret(secrets, metadata.secretName);
+
+  return { metadata, credentials };
+}
+
+module.exports = {
+  getSecretName,
+  getCredentialMetadata,
+  listCredentialMetadata,
+  saveCredentialMetadata,
+  deleteCredentialMetadata,
+  saveConnectionSecret,
+  readConnectionSecret,
+  maskValue,
+  maskCredentials,
+  loadConnectionCredentials,
+};
@@ -0,0 +1,169 @@
+// services/cron.js - Minimal 5-field cron expression support (UTC)
+
+/**
+ * Cron expressions for the built-in schedule frequencies
+ */
+const FREQUENCY_CRON = {
+  hourly: '0 * * * *',
+  daily: '0 0 * * *',   // Midnight UTC
+  weekly: '0 0 * * 0',  // Sunday at midnight UTC
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!step || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name} "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression: minute hour day-of-month month day-of-week
+ * @param {string} expression - e.g. '0 6 * * 1-5'
+ * @returns {Object} Parsed schedule
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    restrictedDayOfMonth: parts[2] !== '*',
+    restrictedDayOfWeek: parts[4] !== '*',
+  };
+}
+
+function matchesDay(schedule, date) {
+  const domMatch = schedule.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.daysOfWeek.has(date.getUTCDay());
+
+  if (schedule.restrictedDayOfMonth && schedule.restrictedDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Compute the next time after `from` that matches a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start point (exclusive)
+ * @returns {Date} Next matching time (UTC, whole minute)
+ */
+function getNextCronTime(expression, from = new Date()) {
+  const schedule = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Search up to 5 years ahead (covers e.g. 29 Feb schedules)
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+/**
+ * Resolve the cron expression for a schedule's frequency settings
+ */
+function getScheduleCron({ frequency, customCron }) {
+  if (frequency === 'custom') {
+    return customCron;
+  }
+  return FREQUENCY_CRON[frequency || 'daily'];
+}
+
+module.exports = {
+  FREQUENCY_CRON,
+  parseCron,
+  getNextCronTime,
+  getScheduleCron,
+};
@@ -0,0 +1,416 @@
+// services/cur-import.js - AWS Cost and Usage Report (CUR 2.0) import
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { getClientConfig, withConnectionSettings, getChargeCategory, getAWSDailyTotals } = require('./aws-collector');
+const { loadConnectionCredentials } = require('./credential-store');
+const { storeCosts } = require('./cost-store');
+const { getConnectionServiceId } = require('./connections');
+const { startRun, safeFinishRun } = require('./run-history');
+const { withRetry, withFallback } = require('./retry');
+
+// Resources kept per day, by cost; the rest are added up into one row so a
+// day stays well under Firestore's 1 MiB document limit
+const MAX_RESOURCES_PER_DAY = parseInt(process.env.CUR_MAX_RESOURCES_PER_DAY || '500', 10);
+
+// Cost Explorer and the CUR round differently; days within a cent or 0.1%
+// of each other match
+const RECONCILE_ABSOLUTE_TOLERANCE = 0.01;
+const RECONCILE_RELATIVE_TOLERANCE = 0.001;
+
+// Imported costs are unblended, like Cost Explorer's UnblendedCost
+const COST_METRIC = 'UnblendedCost';
+
+// CUR 2.0 columns the import reads
+const COLUMNS = {
+  usageStart: 'line_item_usage_start_date',
+  accountId: 'line_item_usage_account_id',
+  accountName: 'line_item_usage_account_name',
+  lineItemType: 'line_item_line_item_type',
+  productCode: 'line_item_product_code',
+  usageType: 'line_item_usage_type',
+  resourceId: 'line_item_resource_id',
+  cost: 'line_item_unblended_cost',
+  currency: 'line_item_currency_code',
+  tags: 'resource_tags',
+};
+
+const CUR_FILE_PATTERN = /\.(csv|csv\.gz|parquet)$/i;
+
+/**
+ * Resource tags of a line item. CUR 2.0 keeps them in one map column (a
+ * JSON object in CSV files) with user-defined keys prefixed "user_".
+ */
+function parseTags(value) {
+  if (!value) {
+    return {};
+  }
+
+  let tags = value;
+  if (typeof tags === 'string') {
+    try {
+      tags = JSON.parse(tags);
+    } catch (error) {
+      return {};
+    }
+  }
+  if (tags instanceof Map) {
+    tags = Object.fromEntries(tags);
+  } else if (Array.isArray(tags)) {
+    tags = Object.fromEntries(tags.map(({ key, value: tagValue }) => [key, tagValue]));
+  }
+
+  const result = {};
+  for (const [key, tagValue] of Object.entries(tags || {})) {
+    if (tagValue !== null && tagValue !== undefined && tagValue !== '') {
+      result[key.startsWith('user_') ? key.slice('user_'.length) : key] = String(tagValue);
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse a cost, which is a string in CSV files and a number in Parquet files
+ */
+function parseCost(value) {
+  const cost = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(cost) ? cost : 0;
+}
+
+/**
+ * Aggregates CUR line items into the app's daily cost records for aws, with
+ * one resource per account, resource ID (or product without one) and usage
+ * type. Line items without a valid usage start date are skipped and counted.
+ */
+function createCurAggregator({ maxResources = MAX_RESOURCES_PER_DAY } = {}) {
+  const days = new Map();
+  let skippedRows = 0;
+
+  function getDay(date) {
+    if (!days.has(date)) {
+      days.set(date, {
+        totalCost: 0,
+        charges: { usage: 0, credit: 0, refund: 0, tax: 0, fee: 0 },
+        currency: null,
+        lineItems: 0,
+        resources: new Map(),
+      });
+    }
+    return days.get(date);
+  }
+
+  function add(row) {
+    const usageStart = row[COLUMNS.usageStart] ? new Date(row[COLUMNS.usageStart]) : null;
+    if (!usageStart || Number.isNaN(usageStart.getTime())) {
+      skippedRows++;
+      return;
+    }
+
+    const date = usageStart.toISOString().split('T')[0];
+    const cost = parseCost(row[COLUMNS.cost]);
+    const day = getDay(date);
+
+    day.lineItems++;
+    day.totalCost += cost;
+    day.charges[getChargeCategory(row[COLUMNS.lineItemType] || 'Usage')] += cost;
+    day.currency = day.currency || row[COLUMNS.currency] || null;
+
+    const accountId = row[COLUMNS.accountId] ? String(row[COLUMNS.accountId]) : null;
+    const productCode = row[COLUMNS.productCode] || 'Unknown';
+    const resourceId = row[COLUMNS.resourceId] || productCode;
+    const usageType = row[COLUMNS.usageType] || null;
+    const key = [accountId, resourceId, usageType].join('|');
+
+    if (!day.resources.has(key)) {
+      day.resources.set(key, {
+        resourceId,
+        name: resourceId,
+        type: productCode,
+        usageType,
+        cost: 0,
+        tags: {},
+        account: accountId ? { id: accountId, name: row[COLUMNS.accountName] || null, ouPath: null } : null,
+      });
+    }
+    const resource = day.resources.get(key);
+    resource.cost += cost;
+    // Line items of one resource can carry different tags, e.g. after a tag was added mid-day
+    Object.assign(resource.tags, parseTags(row[COLUMNS.tags]));
+  }
+
+  function toCosts() {
+    return Array.from(days.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, day]) => {
+        const resources = Array.from(day.resources.values()).sort((a, b) => b.cost - a.cost);
+        const kept = resources.slice(0, maxResources);
+        const rest = resources.slice(maxResources);
+        if (rest.length > 0) {
+          kept.push({
+            resourceId: 'other',
+            name: `${rest.length} other resources`,
+            type: 'Other',
+            usageType: null,
+            cost: rest.reduce((sum, resource) => sum + resource.cost, 0),
+            tags: {},
+            account: null,
+          });
+        }
+
+        return {
+          serviceId: 'aws',
+          timestamp: `${date}T00:00:00.000Z`,
+          totalCost: day.totalCost,
+          charges: day.charges,
+          grossCost: day.charges.usage + day.charges.tax + day.charges.fee,
+          currency: day.currency || 'USD',
+          resources: kept,
+          // Resources carry their own tags, so a Cost Explorer tag split of
+          // the same day would be stale
+          tagResources: null,
+          metadata: {
+            granularity: 'DAILY',
+            source: 'AWS CUR',
+            costMetric: COST_METRIC,
+            lineItems: day.lineItems,
+          },
+        };
+      });
+  }
+
+  return { add, toCosts, getSkippedRows: () => skippedRows };
+}
+
+/**
+ * CUR files under a local file or directory
+ * @returns {Promise<Array<Object>>} Files as { name, openStream(), getParquetFile() }
+ */
+async function listLocalFiles(target) {
+  const stats = await fs.promises.stat(target);
+  if (!stats.isDirectory()) {
+    return CUR_FILE_PATTERN.test(target) ? [toLocalFile(target)] : [];
+  }
+
+  const files = [];
+  const entries = await fs.promises.readdir(target, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listLocalFiles(entryPath));
+    } else if (CUR_FILE_PATTERN.test(entry.name)) {
+      files.push(toLocalFile(entryPath));
+    }
+  }
+  return files;
+}
+
+function toLocalFile(filePath) {
+  return {
+    name: filePath,
+    openStream: () => fs.createReadStream(filePath),
+    getParquetFile: async () => {
+      const { asyncBufferFromFile } = await import('hyparquet');
+      return asyncBufferFromFile(filePath);
+    },
+  };
+}
+
+/**
+ * CUR files under a prefix of an S3 or S3-compatible bucket
+ * @param {Object} source - { bucket, prefix, region, endpoint }
+ * @param {Object} clientConfig - S3 client options (credentials, region)
+ */
+async function listS3Files({ bucket, prefix = '', region, endpoint }, clientConfig) {
+  const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
+  const client = new S3Client({
+    ...clientConfig,
+    region: region || clientConfig.region || 'us-east-1',
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+  });
+  const send = (command) => withRetry('aws', signal => client.send(command, { abortSignal: signal }), { label: command.constructor.name });
+
+  const keys = [];
+  let continuationToken;
+  do {
+    const response = await send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken }));
+    keys.push(...(response.Contents || []).map(object => object.Key).filter(key => CUR_FILE_PATTERN.test(key)));
+    continuationToken = response.NextContinuationToken;
+  } while (continuationToken);
+
+  const getObject = (key) => send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+  return keys.sort().map(key => ({
+    name: `s3://${bucket}/${key}`,
+    openStream: async () => (await getObject(key)).Body,
+    // Parquet footers are read first, so the whole file is downloaded
+    getParquetFile: async () => {
+      const bytes = await (await getObject(key)).Body.transformToByteArray();
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    },
+  }));
+}
+
+/**
+ * Feed the rows of a CSV or gzipped CSV file to onRow
+ */
+async function readCsvFile(file, onRow) {
+  const { parse } = require('csv-parse');
+  const input = await file.openStream();
+  const parser = parse({ columns: true, skip_empty_lines: true, bom: true });
+
+  // pipeline destroys the parser on a read or gunzip error, which ends the loop below with it
+  const streams = /\.gz$/i.test(file.name) ? [input, zlib.createGunzip(), parser] : [input, parser];
+  pipeline(...streams, () => {});
+
+  for await (const row of parser) {
+    onRow(row);
+  }
+}
+
+/**
+ * Feed the rows of a Parquet file to onRow, one row group at a time
+ */
+async function readParquetFile(file, onRow) {
+  const { parquetMetadataAsync, parquetSchema, parquetReadObjects } = await import('hyparquet');
+  const parquetFile = await file.getParquetFile();
+  const metadata = await parquetMetadataAsync(parquetFile);
+
+  const available = new Set(parquetSchema(metadata).children.map(child => child.element.name));
+  const columns = Object.values(COLUMNS).filter(column => available.has(column));
+
+  let rowStart = 0;
+  for (const rowGroup of metadata.row_groups) {
+    const rowEnd = rowStart + Number(rowGroup.num_rows);
+    const rows = await parquetReadObjects({ file: parquetFile, metadata, columns, rowStart, rowEnd });
+    rows.forEach(onRow);
+    rowStart = rowEnd;
+  }
+}
+
+/**
+ * Compare imported daily totals with Cost Explorer's and record the result
+ * in each cost's metadata.reconciliation
+ * @returns {Promise<Array<Object>>} [{ date, curTotal, costExplorerTotal, difference, matched }]
+ */
+async function reconcileCosts(credentials, costs) {
+  if (costs.length === 0) {
+    return [];
+  }
+
+  const dates = costs.map(cost => cost.timestamp.split('T')[0]);
+  const end = new Date(`${dates[dates.length - 1]}T00:00:00.000Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  const totals = await getAWSDailyTotals(credentials, dates[0], end.toISOString().split('T')[0], COST_METRIC);
+
+  return costs.map((cost, index) => {
+    const costExplorerTotal = totals[dates[index]] ?? 0;
+    const difference = cost.totalCost - costExplorerTotal;
+    const matched = Math.abs(difference) <=
+      Math.max(RECONCILE_ABSOLUTE_TOLERANCE, Math.abs(costExplorerTotal) * RECONCILE_RELATIVE_TOLERANCE);
+
+    cost.metadata.reconciliation = { costExplorerTotal, difference, matched };
+    return { date: dates[index], curTotal: cost.totalCost, costExplorerTotal, difference, matched };
+  });
+}
+
+/**
+ * Import CUR 2.0 files into a connection's daily aws cost records. Days in
+ * the files replace the stored days, as a collection of the same days would.
+ * @param {Object} appLocals - { store, secrets }
+ * @param {Object} options
+ * @param {string} options.connectionId - AWS connection the costs belong to
+ * @param {Object} options.source - { path } for a local file or directory, or
+ *   { bucket, prefix, region, endpoint } for an S3 or S3-compatible bucket
+ * @param {boolean} [options.reconcile] - Compare daily totals with Cost Explorer (needs the connection's credentials)
+ * @param {boolean} [options.dryRun] - Aggregate and reconcile without storing
+ * @param {Function} [options.onFile] - Called with each file name before it is read
+ * @returns {Promise<Object>} { runId, files, lineItems, skippedLineItems, days,
+ *   startDate, endDate, newRecords, updatedRecords, reconciliation, partialFailures }
+ */
+async function importCur(appLocals, { connectionId, source, reconcile = true, dryRun = false, onFile = () => {} }) {
+  const { store } = appLocals;
+  if (getConnectionServiceId(connectionId) !== 'aws') {
+    throw new Error(`${connectionId} is not an AWS connection`);
+  }
+
+  const stored = await loadConnectionCredentials(appLocals, connectionId);
+  const credentials = stored ? withConnectionSettings(stored.credentials, stored.metadata) : null;
+
+  if (reconcile && !credentials) {
+    throw new Error(`${connectionId} has no credentials to reconcile with Cost Explorer; import without reconciling instead`);
+  }
+
+  // S3-compatible stores use the SDK's default credentials, not the connection's
+  const files = source.bucket
+    ? await listS3Files(source, credentials && !source.endpoint ? getClientConfig(credentials) : {})
+    : await listLocalFiles(source.path);
+  if (files.length === 0) {
+    throw new Error('No CUR files (.csv, .csv.gz or .parquet) found');
+  }
+
+  const run = dryRun ? null : await startRun(store, { serviceId: 'aws', connectionId, trigger: 'import' });
+
+  try {
+    const aggregator = createCurAggregator();
+    for (const file of files) {
+      onFile(file.name);
+      const read = /\.parquet$/i.test(file.name) ? readParquetFile : readCsvFile;
+      await read(file, row => aggregator.add(row));
+    }
+
+    const costs = aggregator.toCosts();
+    const partialFailures = [];
+    const reconciliation = reconcile
+      ? await withFallback(reconcileCosts(credentials, costs), [], partialFailures, 'reconciliation')
+      : [];
+
+    const { newRecords, updatedRecords } = dryRun
+      ? { newRecords: 0, updatedRecords: 0 }
+      : await storeCosts(store, { serviceId: 'aws', connectionId }, costs);
+
+    const mismatched = reconciliation.filter(day => !day.matched);
+    const result = {
+      runId: run ? run.id : null,
+      files: files.length,
+      lineItems: costs.reduce((sum, cost) => sum + cost.metadata.lineItems, 0),
+      skippedLineItems: aggregator.getSkippedRows(),
+      days: costs.length,
+      startDate: costs.length > 0 ? costs[0].timestamp.split('T')[0] : null,
+      endDate: costs.length > 0 ? costs[costs.length - 1].timestamp.split('T')[0] : null,
+      newRecords,
+      updatedRecords,
+      reconciliation,
+      partialFailures,
+    };
+
+    if (run) {
+      await safeFinishRun(store, run, {
+        status: 'success',
+        costsCollected: costs.length,
+        newRecords,
+        updatedRecords,
+        warnings: [
+          mismatched.length > 0 && `${mismatched.length} day(s) differ from Cost Explorer: ${mismatched.map(day => day.date).join(', ')}`,
+          result.skippedLineItems > 0 && `${result.skippedLineItems} line item(s) without a valid usage start date were skipped`,
+        ],
+        partialFailures,
+        startDate: result.startDate,
+        endDate: result.endDate,
+      });
+    }
+
+    return result;
+  } catch (error) {
+    if (run) {
+      await safeFinishRun(store, run, { status: 'error', error: error.message });
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  createCurAggregator,
+  reconcileCosts,
+  importCur,
+};
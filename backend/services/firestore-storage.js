@@ -0,0 +1,157 @@
+// services/firestore-storage.js - Document storage backed by Cloud Firestore
+const { Firestore } = require('@google-cloud/firestore');
+
+// Firestore limits a batch to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// gRPC status codes returned by Firestore
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+function normalizeError(error) {
+  if (error.code === NOT_FOUND) {
+    error.code = 'not-found';
+  } else if (error.code === ALREADY_EXISTS) {
+    error.code = 'already-exists';
+  }
+  return error;
+}
+
+/**
+ * Create the Firestore storage backend. See services/storage.js for the
+ * interface shared with the local backend.
+ * @param {Object} options - { projectId }
+ */
+function createFirestoreStorage({ projectId }) {
+  const firestore = new Firestore({
+    projectId,
+    ignoreUndefinedProperties: true
+  });
+
+  const ref = (collection, id) => firestore.collection(collection).doc(id);
+
+  function buildQuery(collection, { where = [], orderBy = [], limit } = {}) {
+    let query = firestore.collection(collection);
+    for (const [field, op, value] of where) {
+      query = query.where(field, op, value);
+    }
+    for (const [field, direction = 'asc'] of orderBy) {
+      query = query.orderBy(field, direction);
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+    return query;
+  }
+
+  function createTransaction(transaction) {
+    return {
+      async get(collection, id) {
+        const doc = await transaction.get(ref(collection, id));
+        return doc.exists ? doc.data() : null;
+      },
+      set(collection, id, data, { merge = false } = {}) {
+        transaction.set(ref(collection, id), data, { merge });
+      },
+      update(collection, id, data) {
+        transaction.update(ref(collection, id), data);
+      },
+      delete(collection, id) {
+        transaction.delete(ref(collection, id));
+      },
+    };
+  }
+
+  return {
+    backend: 'firestore',
+
+    async get(collection, id) {
+      const doc = await ref(collection, id).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async getAll(collection, ids) {
+      if (ids.length === 0) {
+        return [];
+      }
+      const docs = await firestore.getAll(...ids.map(id => ref(collection, id)));
+      return docs.map(doc => (doc.exists ? doc.data() : null));
+    },
+
+    async set(collection, id, data, { merge = false } = {}) {
+      await ref(collection, id).set(data, { merge });
+    },
+
+    async create(collection, id, data) {
+      try {
+        await ref(collection, id).create(data);
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async update(collection, id, data) {
+      try {
+        await ref(collection, id).update(data);
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async delete(collection, id) {
+      await ref(collection, id).delete();
+    },
+
+    async add(collection, data) {
+      const added = await firestore.collection(collection).add(data);
+      return added.id;
+    },
+
+    async query(collection, options = {}) {
+      let query = buildQuery(collection, options);
+
+      if (options.startAfter) {
+        const cursor = await ref(collection, options.startAfter).get();
+        if (!cursor.exists) {
+          const error = new Error(`Cursor document not found: ${collection}/${options.startAfter}`);
+          error.code = 'not-found';
+          throw error;
+        }
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+    },
+
+    async batch(writes) {
+      for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = firestore.batch();
+        for (const write of writes.slice(i, i + MAX_BATCH_WRITES)) {
+          const docRef = ref(write.collection, write.id);
+          if (write.type === 'delete') {
+            batch.delete(docRef);
+          } else if (write.type === 'update') {
+            batch.update(docRef, write.data);
+          } else {
+            batch.set(docRef, write.data, { merge: Boolean(write.merge) });
+          }
+        }
+        await batch.commit();
+      }
+    },
+
+    runTransaction(fn) {
+      return firestore.runTransaction(transaction => fn(createTransaction(transaction)));
+    },
+
+    async check() {
+      await ref('_health', 'test').set({ timestamp: new Date() });
+      await ref('_health', 'test').delete();
+    },
+  };
+}
+
+module.exports = {
+  createFirestoreStorage,
+};
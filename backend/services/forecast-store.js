@@ -0,0 +1,112 @@
+// services/forecast-store.js - Cost forecasts, one entry per connection, scope and day made
+const FORECASTS_COLLECTION = 'forecasts';
+
+// Scope of a forecast of all of a connection's spend; per service forecasts
+// have scope 'service' and the service name
+const TOTAL_SCOPE = 'total';
+
+/**
+ * Document ID for the forecast a connection made on a day, so that repeated
+ * collections on a day replace it while earlier days are kept
+ */
+function getForecastDocId(connectionId, forecast) {
+  const scope = forecast.scope === TOTAL_SCOPE ? TOTAL_SCOPE : encodeURIComponent(forecast.service);
+  return `${connectionId}_${forecast.date}_${scope}`;
+}
+
+/**
+ * Store forecasts returned by a collector's fetchForecasts
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} connection - { serviceId, connectionId } the forecasts belong to
+ * @param {Array<Object>} forecasts - Entries with the YYYY-MM-DD `date` they were made on,
+ *   a `scope` ('total' or 'service') and the `service` of per service forecasts
+ * @returns {Promise<number>} Number of forecasts stored
+ */
+async function storeForecasts(store, { serviceId, connectionId }, forecasts) {
+  if (!forecasts || forecasts.length === 0) {
+    return 0;
+  }
+
+  const updatedAt = new Date().toISOString();
+  await store.batch(forecasts.map(forecast => ({
+    type: 'set',
+    collection: FORECASTS_COLLECTION,
+    id: getForecastDocId(connectionId, forecast),
+    data: {
+      service: null,
+      ...forecast,
+      serviceId,
+      connectionId,
+      timestamp: `${forecast.date}T00:00:00.000Z`,
+      updatedAt
+    }
+  })));
+
+  return forecasts.length;
+}
+
+/**
+ * List forecasts, oldest first
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} filters - { serviceId, connectionId, scope, startDate, endDate }; dates are ISO timestamps
+ * @returns {Promise<Array<Object>>} Forecasts with their id
+ */
+async function listForecasts(store, { serviceId, connectionId, scope, startDate, endDate } = {}) {
+  const where = [];
+
+  if (serviceId) {
+    where.push(['serviceId', '==', serviceId]);
+  }
+
+  if (connectionId) {
+    where.push(['connectionId', '==', connectionId]);
+  }
+
+  if (scope) {
+    where.push(['scope', '==', scope]);
+  }
+
+  if (startDate) {
+    where.push(['timestamp', '>=', startDate]);
+  }
+
+  if (endDate) {
+    where.push(['timestamp', '<=', endDate]);
+  }
+
+  const docs = await store.query(FORECASTS_COLLECTION, {
+    where,
+    orderBy: [['timestamp', 'asc']]
+  });
+  return docs.map(doc => ({ id: doc.id, ...doc.data }));
+}
+
+/**
+ * Forecasts a connection made on the last day it made any, total first
+ * @returns {Promise<Array<Object>>} Empty without forecasts
+ */
+async function getLatestForecasts(store, { serviceId, connectionId }) {
+  const [latest] = await store.query(FORECASTS_COLLECTION, {
+    where: [['serviceId', '==', serviceId], ['connectionId', '==', connectionId], ['scope', '==', TOTAL_SCOPE]],
+    orderBy: [['timestamp', 'desc']],
+    limit: 1
+  });
+  if (!latest) {
+    return [];
+  }
+
+  const forecasts = await listForecasts(store, {
+    serviceId,
+    connectionId,
+    startDate: latest.data.timestamp,
+    endDate: latest.data.timestamp
+  });
+  return forecasts.sort((a, b) => (a.scope === TOTAL_SCOPE ? -1 : 0) - (b.scope === TOTAL_SCOPE ? -1 : 0));
+}
+
+module.exports = {
+  TOTAL_SCOPE,
+  storeForecasts,
+  listForecasts,
+  getLatestForecasts,
+};
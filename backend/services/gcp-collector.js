@@ -1,47 +1,359 @@
 // services/gcp-collector.js - GCP Cloud Billing integration
 const { BigQuery } = require('@google-cloud/bigquery');
 const { BudgetServiceClient } = require('@google-cloud/billing-budgets');
+const { GoogleAuth, Impersonated } = require('google-auth-library');
+const { createCheckList } = require('./credential-checks');
+const { withRetry, withFallback, isTransientError } = require('./retry');
+
+// Where the billing export is looked for when a connection doesn't say.
+// Without an export table, the dataset's gcp_billing_export_* tables are searched.
+const DEFAULT_EXPORT_DATASET_ID = 'billing_data';
+const EXPORT_TABLE_PREFIX = 'gcp_billing_export_';
+
+// Identifiers a billing export table reference is built from; they are
+// interpolated into queries, so anything else is rejected. Project IDs may
+// be domain-scoped (example.com:project).
+const PROJECT_ID_PATTERN = /^(?:[a-z0-9][a-z0-9.-]*[a-z0-9]:)?[a-z][a-z0-9-]{4,28}[a-z0-9]$/;
+const DATASET_ID_PATTERN = /^[A-Za-z0-9_]{1,1024}$/;
+const TABLE_ID_PATTERN = /^[A-Za-z0-9_-]{1,1024}$/;
+
+// The detailed usage cost export, with a row per resource
+const RESOURCE_EXPORT_PATTERN = /gcp_billing_export_resource_v1_/;
+
+// Resources kept per day, by cost; the rest are added up into one row so a
+// day stays well under Firestore's 1 MiB document limit
+const MAX_RESOURCES_PER_DAY = parseInt(process.env.GCP_MAX_RESOURCES_PER_DAY || '500', 10);
+
+// Billing export queries over a month of data can take longer than a plain API call
+const QUERY_TIMEOUT_MS = 120000;
+
+const CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+
+let applicationDefault = null;
+const impersonatedClients = new Map();
+
+/**
+ * Application Default Credentials: the service account the app runs as
+ * (e.g. the Cloud Run service identity), or GOOGLE_APPLICATION_CREDENTIALS
+ */
+function getApplicationDefault() {
+  if (!applicationDefault) {
+    applicationDefault = new GoogleAuth({ scopes: [CLOUD_PLATFORM_SCOPE] });
+  }
+  return applicationDefault;
+}
+
+/**
+ * Auth client that impersonates a service account with the app's own
+ * credentials. The app's identity needs roles/iam.serviceAccountTokenCreator
+ * on the target service account.
+ */
+function getImpersonatedClient(targetPrincipal) {
+  if (!impersonatedClients.has(targetPrincipal)) {
+    const client = getApplicationDefault().getClient().then(sourceClient => new Impersonated({
+      sourceClient,
+      targetPrincipal,
+      targetScopes: [CLOUD_PLATFORM_SCOPE],
+      lifetime: 3600,
+      delegates: [],
+    }));
+    // Don't keep a failed lookup of the app's credentials
+    client.catch(() => impersonatedClients.delete(targetPrincipal));
+    impersonatedClients.set(targetPrincipal, client);
+  }
+  return impersonatedClients.get(targetPrincipal);
+}
+
+/**
+ * Google Cloud client options for a connection's credential type: a pasted
+ * service account key, the app's own Application Default Credentials, or a
+ * service account impersonated with them
+ */
+async function getClientOptions(credentials) {
+  const projectId = credentials.project_id;
+  switch (credentials.credentialType) {
+    case 'adc':
+      return { projectId };
+    case 'impersonation':
+      return { projectId, authClient: await getImpersonatedClient(credentials.targetServiceAccount) };
+    default:
+      return { projectId, credentials };
+  }
+}
+
+/**
+ * Email of the service account a connection's requests are made as, or null
+ * when it can't be determined
+ */
+async function getServiceAccountEmail(credentials) {
+  switch (credentials.credentialType) {
+    case 'adc': {
+      const { client_email: clientEmail } = await getApplicationDefault().getCredentials().catch(() => ({}));
+      return clientEmail || null;
+    }
+    case 'impersonation':
+      return credentials.targetServiceAccount || null;
+    default:
+      return credentials.client_email || null;
+  }
+}
+
+/**
+ * Where a connection's billing export lives: its export settings, or the
+ * dataset billing_data in the credentials' project
+ * Note: projectId here is where the BigQuery dataset lives, NOT which projects to track
+ * @returns {Object} { projectId, datasetId, tableId, location }; tableId and location may be null
+ */
+function getExportSettings(credentials) {
+  return {
+    projectId: credentials.exportProjectId || credentials.project_id,
+    datasetId: credentials.exportDataset || DEFAULT_EXPORT_DATASET_ID,
+    tableId: credentials.exportTable || null,
+    location: credentials.exportLocation || null,
+  };
+}
+
+/**
+ * Check the export project, dataset and table are valid BigQuery identifiers
+ * @throws {Error} Naming the invalid setting
+ */
+function checkExportIdentifiers({ projectId, datasetId, tableId }) {
+  if (!PROJECT_ID_PATTERN.test(projectId || '')) {
+    throw new Error(`Invalid BigQuery project ID for the billing export: ${projectId}`);
+  }
+  if (!DATASET_ID_PATTERN.test(datasetId)) {
+    throw new Error(`Invalid BigQuery dataset ID for the billing export: ${datasetId}`);
+  }
+  if (tableId && !TABLE_ID_PATTERN.test(tableId)) {
+    throw new Error(`Invalid BigQuery table ID for the billing export: ${tableId}`);
+  }
+}
+
+/**
+ * Name of the standard billing export table of a billing account
+ */
+function getBillingExportTableId(billingAccountId) {
+  return `${EXPORT_TABLE_PREFIX}v1_${billingAccountId.replace(/-/g, '_')}`;
+}
+
+/**
+ * Console steps to configure the billing export a connection looks for
+ */
+function getExportInstructions(credentials, billingAccountId) {
+  const { projectId, datasetId } = getExportSettings(credentials);
+  return `Please configure billing export:\n` +
+    `1. Go to: https://console.cloud.google.com/billing/${billingAccountId}/export\n` +
+    `2. Click "Edit settings" for BigQuery Export\n` +
+    `3. Set Project: ${projectId}\n` +
+    `4. Set Dataset: ${datasetId}\n` +
+    `5. Wait 24-48 hours for data to populate`;
+}
+
+/**
+ * Error with setup instructions for a missing export dataset or table; other
+ * errors are returned as they are
+ */
+function describeMissingExport(error, credentials, billingAccountId) {
+  if (error.code !== 404 && !/not found/i.test(error.message)) {
+    return error;
+  }
+  return new Error(`BigQuery billing export table not found (${error.message}). ${getExportInstructions(credentials, billingAccountId)}`);
+}
+
+/**
+ * Find a connection's billing export table and the location to query it in.
+ * Without a configured table, the dataset's gcp_billing_export_* tables are
+ * listed, preferring the billing account's detailed (resource) export, then
+ * its standard export. Tables of other billing accounts are never picked.
+ * Without a configured location, the dataset's is used.
+ * @param {BigQuery} bigquery - Client for the connection
+ * @returns {Promise<Object>} { tableRef, location, discovered, tables } where tables are the
+ *   export tables found in the dataset, empty when the table is configured
+ * @throws {Error} If a setting is not a valid identifier, or with `code` 404 when
+ *   the dataset has no export table of the billing account
+ */
+async function resolveBillingExportTable(bigquery, credentials, billingAccountId) {
+  const { projectId, datasetId, tableId, location } = getExportSettings(credentials);
+  checkExportIdentifiers({ projectId, datasetId, tableId });
+
+  const resolved = table => ({
+    tableRef: `${projectId}.${datasetId}.${table.tableId}`,
+    location: table.location,
+    discovered: !tableId,
+    tables: table.tables || [],
+  });
+
+  if (tableId && location) {
+    return resolved({ tableId, location });
+  }
+
+  const dataset = bigquery.dataset(datasetId, { projectId });
+  const [metadata] = await withRetry('gcp', () => dataset.getMetadata(), { label: 'Get billing export dataset' });
+  const datasetLocation = location || metadata.location;
+
+  if (tableId) {
+    return resolved({ tableId, location: datasetLocation });
+  }
+
+  const [datasetTables] = await withRetry('gcp', () => dataset.getTables(), { label: 'List billing export tables' });
+  const tables = datasetTables.map(table => table.id).filter(id => id.startsWith(EXPORT_TABLE_PREFIX)).sort();
+  const standardTable = getBillingExportTableId(billingAccountId);
+  const resourceTable = standardTable.replace(`${EXPORT_TABLE_PREFIX}v1_`, `${EXPORT_TABLE_PREFIX}resource_v1_`);
+  const found = [resourceTable, standardTable].find(id => tables.includes(id));
+
+  if (!found) {
+    const error = new Error(
+      `Not found: no ${EXPORT_TABLE_PREFIX}* table of billing account ${billingAccountId} in dataset ${projectId}.${datasetId}` +
+      (tables.length > 0 ? `; found ${tables.join(', ')}, set Export Table to use one of them` : ''));
+    error.code = 404;
+    throw error;
+  }
+
+  return resolved({ tableId: found, location: datasetLocation, tables });
+}
+
+/**
+ * User labels of an export row, from the JSON of its labels column
+ * @returns {Object} { [key]: value }
+ */
+function parseLabels(labelsJson) {
+  try {
+    const labels = JSON.parse(labelsJson || '[]') || [];
+    return Object.fromEntries(labels.map(({ key, value }) => [key, value]));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * A cost resource from a billing export row. Rows of the detailed export
+ * name the resource they are for; the rest are reported per project and
+ * service, and by region, SKU (in the standard export) and labels, so each
+ * row gets its own resource ID. User labels are the resource's tags, next to
+ * the project, region and SKU under a "gcp:" prefix, which label keys can't
+ * contain, so a label such as "region" is not overwritten.
+ */
+function toExportResource(row) {
+  const labels = parseLabels(row.labels_json);
+  const tags = {
+    ...labels,
+    'gcp:project_id': row.project_id,
+    'gcp:project_name': row.project_name,
+  };
+  if (row.region) {
+    tags['gcp:region'] = row.region;
+  }
+  if (row.sku_description) {
+    tags['gcp:sku'] = row.sku_description;
+  }
+
+  if (row.resource_name) {
+    return {
+      resourceId: row.resource_global_name || row.resource_name,
+      name: row.resource_name,
+      type: row.service_name,
+      cost: row.cost,
+      tags,
+    };
+  }
+
+  const labelPairs = Object.entries(labels)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join(',');
+  return {
+    resourceId: [`${row.project_id}-${row.service_name}`, row.region, row.sku_description, labelPairs]
+      .filter(Boolean)
+      .join('/'),
+    name: row.service_name,
+    type: 'GCP Service',
+    cost: row.cost,
+    tags,
+  };
+}
+
+/**
+ * Add a resource to a day's resources by ID. A resource whose labels changed
+ * during the day has a row per label set, which are added up.
+ */
+function addResource(resources, resource) {
+  const existing = resources.get(resource.resourceId);
+  if (!existing) {
+    resources.set(resource.resourceId, resource);
+    return;
+  }
+
+  existing.cost += resource.cost;
+  Object.assign(existing.tags, resource.tags);
+}
+
+/**
+ * Keep a day's most costly resources, adding up the rest into one row
+ */
+function limitResources(resources, maxResources = MAX_RESOURCES_PER_DAY) {
+  if (resources.length <= maxResources) {
+    return resources;
+  }
+
+  const sorted = [...resources].sort((a, b) => b.cost - a.cost);
+  const rest = sorted.slice(maxResources);
+  return [
+    ...sorted.slice(0, maxResources),
+    {
+      resourceId: 'other',
+      name: `${rest.length} other resources`,
+      type: 'Other',
+      cost: rest.reduce((sum, resource) => sum + resource.cost, 0),
+      tags: {},
+    },
+  ];
+}
 
 /**
  * Collect GCP costs for a given date range using BigQuery export
  *
  * IMPORTANT: This collects costs for ALL projects under your billing account,
- * not just the project specified in credentials. The projectId in credentials
- * is only used to identify where the BigQuery billing export dataset lives.
+ * not just the project specified in credentials. The export project and dataset
+ * are only used to identify where the BigQuery billing export table lives.
  *
  * The BigQuery billing export table automatically aggregates costs from all
  * projects linked to your billing account.
  *
  * Note: This requires Cloud Billing export to BigQuery to be set up
- * @param {Object} credentials - GCP service account credentials
+ * @param {Object} credentials - GCP service account credentials with the connection's export settings
  * @param {string} billingAccountId - GCP billing account ID
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @returns {Promise<Object>} Cost data
  */
 async function collectGCPCostsFromBigQuery(credentials, billingAccountId, startDate, endDate) {
+  // Retries go through withRetry instead of the client's own
   const bigquery = new BigQuery({
-    credentials,
-    projectId: credentials.project_id,
+    ...await getClientOptions(credentials),
+    autoRetry: false,
   });
 
-  // The billing export table name format
-  // Note: projectId here is where the BigQuery dataset lives, NOT which projects to track
   // The table automatically contains costs from ALL projects under the billing account
-  const projectId = credentials.project_id;
-  const datasetId = 'billing_data';
-  const tableId = `gcp_billing_export_v1_${billingAccountId.replace(/-/g, '_')}`;
-  const tableRef = `${projectId}.${datasetId}.${tableId}`;
+  const { tableRef, location } = await resolveBillingExportTable(bigquery, credentials, billingAccountId)
+    .catch(error => { throw describeMissingExport(error, credentials, billingAccountId); });
 
-  // Query to get daily costs grouped by service and project
+  // Query to get daily costs grouped by service, project, region and labels,
+  // and by resource in the detailed export or SKU in the standard one.
   // This shows costs from ALL projects under the billing account
+  const detailed = RESOURCE_EXPORT_PATTERN.test(tableRef);
+  const detailColumns = detailed
+    ? ['resource.name as resource_name', 'resource.global_name as resource_global_name']
+    : ['sku.description as sku_description'];
+  const detailKeys = detailColumns.map(column => column.split(' as ')[1]);
   const query = `
     SELECT
       DATE(usage_start_time) as usage_date,
       project.id as project_id,
       project.name as project_name,
       service.description as service_name,
-      sku.description as sku_description,
+      ${detailColumns.join(',\n      ')},
+      location.region as region,
+      TO_JSON_STRING(labels) as labels_json,
       SUM(cost) as cost,
       currency
     FROM
@@ -49,9 +361,10 @@ async function collectGCPCostsFromBigQuery(credentials, billingAccountId, startD
     WHERE
       DATE(usage_start_time) >= @startDate
       AND DATE(usage_start_time) < @endDate
+      AND billing_account_id = @billingAccountId
       AND cost > 0
     GROUP BY
-      usage_date, project_id, project_name, service_name, sku_description, currency
+      usage_date, project_id, project_name, service_name, ${detailKeys.join(', ')}, region, labels_json, currency
     ORDER BY
       usage_date, cost DESC
   `;
@@ -61,12 +374,16 @@ async function collectGCPCostsFromBigQuery(credentials, billingAccountId, startD
     params: {
       startDate: startDate,
       endDate: endDate,
+      billingAccountId: billingAccountId,
     },
-    location: 'US',
+    location,
   };
 
   try {
-    const [rows] = await bigquery.query(options);
+    const [rows] = await withRetry('gcp', () => bigquery.query(options), {
+      label: 'Billing export query',
+      timeoutMs: QUERY_TIMEOUT_MS,
+    });
 
     // Group by date
     const costsByDate = {};
@@ -77,22 +394,12 @@ async function collectGCPCostsFromBigQuery(credentials, billingAccountId, startD
         costsByDate[dateStr] = {
           totalCost: 0,
           currency: row.currency,
-          resources: [],
+          resources: new Map(),
         };
       }
 
       costsByDate[dateStr].totalCost += row.cost;
-      costsByDate[dateStr].resources.push({
-        resourceId: `${row.project_id}-${row.service_name}`,
-        name: row.service_name,
-        type: 'GCP Service',
-        cost: row.cost,
-        tags: {
-          project_id: row.project_id,
-          project_name: row.project_name,
-          sku: row.sku_description,
-        },
-      });
+      addResource(costsByDate[dateStr].resources, toExportResource(row));
     });
 
     // Convert to array format
@@ -103,10 +410,10 @@ async function collectGCPCostsFromBigQuery(credentials, billingAccountId, startD
         timestamp: new Date(dateStr).toISOString(),
         totalCost: data.totalCost,
         currency: data.currency,
-        resources: data.resources,
+        resources: limitResources(Array.from(data.resources.values())),
         metadata: {
           granularity: 'DAILY',
-          source: 'GCP BigQuery Billing Export',
+          source: detailed ? 'GCP BigQuery Detailed Billing Export' : 'GCP BigQuery Billing Export',
           billingAccountId: billingAccountId,
         },
       });
@@ -119,17 +426,7 @@ async function collectGCPCostsFromBigQuery(credentials, billingAccountId, startD
     };
   } catch (error) {
     // If the table doesn't exist or query fails, return helpful error
-    if (error.message.includes('Not found: Table') || error.message.includes('not found')) {
-      throw new Error(
-        `BigQuery billing export table not found. Please configure billing export:\n` +
-        `1. Go to: https://console.cloud.google.com/billing/${billingAccountId}/export\n` +
-        `2. Click "Edit settings" for BigQuery Export\n` +
-        `3. Set Project: ${projectId}\n` +
-        `4. Set Dataset: ${datasetId}\n` +
-        `5. Wait 24-48 hours for data to populate`
-      );
-    }
-    throw error;
+    throw describeMissingExport(error, credentials, billingAccountId);
   }
 }
 
@@ -149,6 +446,12 @@ async function collectGCPCosts(credentials, billingAccountId, startDate, endDate
     // Try to collect from BigQuery export first
     return await collectGCPCostsFromBigQuery(credentials, billingAccountId, startDate, endDate);
   } catch (error) {
+    // Rate limits and outages that outlast the retries fail the collection;
+    // $0 placeholders would overwrite costs already stored for these days
+    if (isTransientError(error)) {
+      throw new Error(`GCP billing export query failed after ${error.attempts || 1} attempt(s): ${error.message}`);
+    }
+
     console.log('BigQuery collection failed, returning placeholder data:', error.message);
 
     // Fall back to placeholder data
@@ -192,43 +495,35 @@ async function getGCPBudgets(credentials, billingAccountId) {
     return [];
   }
 
-  try {
-    const budgetClient = new BudgetServiceClient({
-      credentials,
-      projectId: credentials.project_id,
-    });
+  const budgetClient = new BudgetServiceClient(await getClientOptions(credentials));
 
-    const parent = `billingAccounts/${billingAccountId}`;
-    const [budgets] = await budgetClient.listBudgets({ parent });
+  const parent = `billingAccounts/${billingAccountId}`;
+  const [budgets] = await withRetry('gcp', () => budgetClient.listBudgets({ parent }), { label: 'List budgets' });
 
-    if (!budgets || budgets.length === 0) {
-      return [];
-    }
-
-    return budgets.map(budget => {
-      // Extract budget details
-      const budgetAmount = budget.amount?.specifiedAmount?.units
-        ? parseInt(budget.amount.specifiedAmount.units)
-        : 0;
-
-      // GCP budgets don't directly provide actual/forecasted spend in the budget object
-      // We'll need to get this from the cost data or use budget thresholds
-      // For now, return the budget structure and we'll attach actual spend later
-      return {
-        budgetName: budget.displayName || budget.name?.split('/').pop() || 'Unnamed Budget',
-        budgetLimit: budgetAmount,
-        budgetType: 'COST',
-        timeUnit: 'MONTHLY', // Most GCP budgets are monthly
-        currency: budget.amount?.specifiedAmount?.currencyCode || 'USD',
-        // These will be populated from actual cost data
-        actualSpend: 0,
-        forecastedSpend: 0,
-      };
-    });
-  } catch (error) {
-    console.error('Error fetching GCP budgets:', error);
+  if (!budgets || budgets.length === 0) {
     return [];
   }
+
+  return budgets.map(budget => {
+    // Extract budget details
+    const budgetAmount = budget.amount?.specifiedAmount?.units
+      ? parseInt(budget.amount.specifiedAmount.units)
+      : 0;
+
+    // GCP budgets don't directly provide actual/forecasted spend in the budget object
+    // We'll need to get this from the cost data or use budget thresholds
+    // For now, return the budget structure and we'll attach actual spend later
+    return {
+      budgetName: budget.displayName || budget.name?.split('/').pop() || 'Unnamed Budget',
+      budgetLimit: budgetAmount,
+      budgetType: 'COST',
+      timeUnit: 'MONTHLY', // Most GCP budgets are monthly
+      currency: budget.amount?.specifiedAmount?.currencyCode || 'USD',
+      // These will be populated from actual cost data
+      actualSpend: 0,
+      forecastedSpend: 0,
+    };
+  });
 }
 
 /**
@@ -259,6 +554,49 @@ async function getGCPForecast(credentials, billingAccountId, currentMonthSpend)
   }
 }
 
+/**
+ * The linear forecast of the current month as a forecast-store.js entry,
+ * from the month's costs collected so far. GCP has no prediction intervals.
+ * @returns {Promise<Object>} { forecasts, partialFailures }
+ */
+async function fetchGCPForecasts(credentials, billingAccountId, costs) {
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  const toDate = date => date.toISOString().split('T')[0];
+
+  const monthSpend = (costs || [])
+    .filter(cost => new Date(cost.timestamp) >= monthStart)
+    .reduce((sum, cost) => sum + (cost.totalCost || 0), 0);
+  const forecast = await getGCPForecast(credentials, billingAccountId, monthSpend);
+  if (!forecast) {
+    return { forecasts: [], partialFailures: [] };
+  }
+
+  return {
+    forecasts: [{
+      date: toDate(now),
+      scope: 'total',
+      costMetric: null,
+      predictionIntervalLevel: null,
+      method: forecast.method,
+      currency: forecast.currency,
+      periods: {
+        month: {
+          start: toDate(monthStart),
+          end: toDate(monthEnd),
+          actual: monthSpend,
+          mean: forecast.forecastedAmount,
+          lower: null,
+          upper: null,
+        },
+      },
+      daily: [],
+    }],
+    partialFailures: [],
+  };
+}
+
 /**
  * Collect costs for the current month to date
  */
@@ -271,11 +609,14 @@ async function collectCurrentMonthCosts(credentials, billingAccountId) {
   const startDate = startOfMonth.toISOString().split('T')[0];
   const endDate = tomorrow.toISOString().split('T')[0];
 
-  // Collect costs, budgets in parallel
+  // Collect costs, budgets in parallel. Budgets are optional: their
+  // failure is reported, not fatal.
+  const partialFailures = [];
   const [costsResult, budgets] = await Promise.all([
     collectGCPCosts(credentials, billingAccountId, startDate, endDate),
-    getGCPBudgets(credentials, billingAccountId),
+    withFallback(getGCPBudgets(credentials, billingAccountId), [], partialFailures, 'budgets'),
   ]);
+  costsResult.partialFailures = partialFailures;
 
   // Calculate total current month spend for forecasting
   const totalMonthSpend = costsResult.costs.reduce((sum, cost) => sum + (cost.totalCost || 0), 0);
@@ -291,11 +632,10 @@ async function collectCurrentMonthCosts(credentials, billingAccountId) {
     });
   }
 
-  // Attach forecast and budgets to each cost entry
-  if (forecast || budgets.length > 0) {
+  // Attach budgets to each cost entry; the forecast is stored by fetchForecasts
+  if (budgets.length > 0) {
     costsResult.costs = costsResult.costs.map(cost => ({
       ...cost,
-      forecast: forecast,
       budgets: budgets,
     }));
   }
@@ -317,10 +657,205 @@ async function collectYesterdayCosts(credentials, billingAccountId) {
   return collectGCPCosts(credentials, billingAccountId, startDate, endDate);
 }
 
+/**
+ * Fetch GCP budgets with threshold rules and notification settings
+ */
+async function fetchGCPBudgetDetails(credentials, billingAccountId) {
+  const client = new BudgetServiceClient(await getClientOptions(credentials));
+
+  const [budgetsList] = await withRetry('gcp', () => client.listBudgets({
+    parent: `billingAccounts/${billingAccountId}`,
+  }), { label: 'List budgets' });
+
+  const budgets = [];
+
+  for (const budget of budgetsList) {
+    const amount = budget.amount?.specifiedAmount
+      ? {
+          amount: parseFloat(budget.amount.specifiedAmount.units || 0),
+          currency: budget.amount.specifiedAmount.currencyCode || 'USD'
+        }
+      : null;
+
+    const thresholds = (budget.thresholdRules || []).map(rule => ({
+      threshold: rule.thresholdPercent * 100, // Convert to percentage
+      spendBasis: rule.spendBasis
+    }));
+
+    // Extract notification channels
+    const notificationChannels = budget.notificationsRule?.monitoringNotificationChannels || [];
+
+    budgets.push({
+      serviceId: 'gcp',
+      budgetName: budget.displayName || 'Unnamed Budget',
+      budgetLimit: amount,
+      calendarPeriod: budget.budgetFilter?.calendarPeriod,
+      thresholds,
+      notificationChannels,
+      disableDefaultIamRecipients: budget.notificationsRule?.disableDefaultIamRecipients || false,
+      pubsubTopic: budget.notificationsRule?.pubsubTopic,
+      schemaVersion: budget.notificationsRule?.schemaVersion
+    });
+  }
+
+  return budgets;
+}
+
+/**
+ * Accept both a pasted service account JSON key (snake_case) and the
+ * credential form fields (camelCase). The connection's credential type and
+ * export settings are kept in its metadata.
+ */
+function toServiceAccountCredentials(credentials, metadata = {}) {
+  return {
+    ...credentials,
+    credentialType: metadata.credentialType,
+    exportProjectId: metadata.exportProjectId,
+    exportDataset: metadata.exportDataset,
+    exportTable: metadata.exportTable,
+    exportLocation: metadata.exportLocation,
+    project_id: credentials.project_id || credentials.projectId,
+    client_email: credentials.client_email || credentials.clientEmail,
+    private_key: credentials.private_key || credentials.privateKey,
+  };
+}
+
+/**
+ * Verify a service account by finding the billing export table, then
+ * dry-running a query against it. Dry runs are free and check both job and
+ * table permissions.
+ */
+async function verifyGCPCredentials(credentials, billingAccountId) {
+  const checks = createCheckList();
+  checks.setIdentity(await getServiceAccountEmail(credentials));
+
+  if (!billingAccountId) {
+    checks.fail('billing-account', 'Billing account', 'Billing Account ID is required to locate the export table');
+    return checks.result();
+  }
+
+  let table = null;
+  try {
+    const bigquery = new BigQuery(await getClientOptions(credentials));
+    table = await resolveBillingExportTable(bigquery, credentials, billingAccountId);
+    const others = table.tables.filter(id => !table.tableRef.endsWith(`.${id}`));
+    checks.pass('export-table', 'Find billing export table',
+      `${table.discovered ? 'Found' : 'Using'} ${table.tableRef} in ${table.location}` +
+      (RESOURCE_EXPORT_PATTERN.test(table.tableRef) ? ' (detailed export, costs per resource)' : '') +
+      (others.length > 0 ? `; other export tables: ${others.join(', ')}` : ''));
+
+    const [job] = await bigquery.createQueryJob({
+      query: `SELECT cost FROM \`${table.tableRef}\` LIMIT 1`,
+      location: table.location,
+      dryRun: true,
+    });
+    const bytes = job.metadata?.statistics?.totalBytesProcessed;
+    checks.pass('bigquery-export', 'Query billing export',
+      `Dry run against ${table.tableRef} succeeded${bytes ? ` (${bytes} bytes would be scanned)` : ''}`);
+  } catch (error) {
+    const message = error.message || String(error);
+    const [id, label] = table
+      ? ['bigquery-export', 'Query billing export']
+      : ['export-table', 'Find billing export table'];
+    if (/invalid_grant|invalid_client|private key|PEM|default credentials/i.test(message)) {
+      checks.fail('authenticate', 'Authenticate service account', message);
+    } else if (/iam\.serviceAccounts\.getAccessToken/.test(message)) {
+      checks.fail('authenticate', 'Impersonate service account',
+        `${message}. Grant the app's service account Service Account Token Creator on ${credentials.targetServiceAccount}`,
+        { permission: 'iam.serviceAccounts.getAccessToken' });
+    } else if (error.code === 404 || /Not found/i.test(message)) {
+      checks.fail(id, label, `${message}. ${getExportInstructions(credentials, billingAccountId)}`);
+    } else {
+      // e.g. "User does not have bigquery.jobs.create permission in project ..."
+      const permission = (message.match(/bigquery\.[a-zA-Z]+\.[a-zA-Z]+/) || [])[0] ||
+        (/permission/i.test(message) ? (table ? 'bigquery.jobs.create' : 'bigquery.tables.list') : null);
+      checks.fail(id, label, message, { permission });
+    }
+  }
+
+  return checks.result();
+}
+
+const EXPORT_PROJECT_FIELD = { key: 'projectId', label: 'BigQuery Project ID', type: 'text', required: true, helperText: 'The project BigQuery queries run in, and where your billing export is configured unless Export Project ID is set. Costs from ALL projects under your billing account will be tracked.' };
+
+/**
+ * Collector descriptor registered by services/collector-registry.js
+ */
+const collector = {
+  id: 'gcp',
+  name: 'Google Cloud Platform',
+  icon: 'gcp',
+  emoji: '🔵',
+  color: '#4285F4',
+  dashboardUrl: 'https://console.cloud.google.com/billing',
+  credentialTypes: [
+    {
+      id: 'service-account-key',
+      label: 'Service account key',
+      description: 'Long-lived JSON key of a service account',
+      credentialFields: [
+        EXPORT_PROJECT_FIELD,
+        { key: 'clientEmail', label: 'Service Account Email', type: 'text', required: true, helperText: 'From your service account JSON key file' },
+        { key: 'privateKey', label: 'Private Key', type: 'textarea', required: true, helperText: 'From your service account JSON key file (including BEGIN/END lines)' },
+      ],
+    },
+    {
+      id: 'adc',
+      label: 'Application Default Credentials',
+      description: 'Uses the service account the app runs as; no key is stored',
+      credentialFields: [EXPORT_PROJECT_FIELD],
+    },
+    {
+      id: 'impersonation',
+      label: 'Service account impersonation',
+      description: 'The app\'s service account impersonates a billing service account; no key is stored',
+      credentialFields: [
+        EXPORT_PROJECT_FIELD,
+        { key: 'targetServiceAccount', label: 'Service Account Email', type: 'text', required: true, helperText: 'Grant the app\'s service account Service Account Token Creator on this account' },
+      ],
+    },
+  ],
+  metadataFields: [
+    { key: 'billingAccountId', label: 'Billing Account ID', type: 'text', required: true, helperText: 'Required to track costs across ALL projects (e.g., 01ABC2-34DEF5-6789GH). Find at console.cloud.google.com/billing' },
+    { key: 'exportProjectId', label: 'Export Project ID', type: 'text', required: false, helperText: 'Project of the billing export dataset, if not the BigQuery project above' },
+    { key: 'exportDataset', label: 'Export Dataset', type: 'text', required: false, default: DEFAULT_EXPORT_DATASET_ID, helperText: `Dataset the billing export writes to (default ${DEFAULT_EXPORT_DATASET_ID})` },
+    { key: 'exportTable', label: 'Export Table', type: 'text', required: false, helperText: `Leave empty to find the ${EXPORT_TABLE_PREFIX}* table in the dataset, preferring this billing account's detailed (resource) export for costs per resource` },
+    { key: 'exportLocation', label: 'Export Location', type: 'text', required: false, helperText: 'BigQuery location of the dataset (e.g., US, EU, europe-west1). Leave empty to use the dataset\'s' },
+  ],
+  keyRotation: { fields: ['clientEmail', 'privateKey'], label: 'service account key', maxAgeDays: 90 },
+  capabilities: {
+    budgets: true,
+    forecast: true,
+    dateRange: true,
+  },
+  collectCurrent(credentials, metadata) {
+    return collectCurrentMonthCosts(toServiceAccountCredentials(credentials, metadata), metadata.billingAccountId);
+  },
+  collectRange(credentials, metadata, startDate, endDate) {
+    return collectGCPCosts(toServiceAccountCredentials(credentials, metadata), metadata.billingAccountId, startDate, endDate);
+  },
+  fetchBudgets(credentials, metadata) {
+    return fetchGCPBudgetDetails(toServiceAccountCredentials(credentials, metadata), metadata.billingAccountId);
+  },
+  fetchForecasts(credentials, metadata, costs) {
+    return fetchGCPForecasts(toServiceAccountCredentials(credentials, metadata), metadata.billingAccountId, costs);
+  },
+  verifyCredentials(credentials, metadata) {
+    return verifyGCPCredentials(toServiceAccountCredentials(credentials, metadata), metadata.billingAccountId);
+  },
+};
+
 module.exports = {
+  collector,
   collectGCPCosts,
   collectCurrentMonthCosts,
   collectYesterdayCosts,
   getGCPBudgets,
   getGCPForecast,
+  fetchGCPForecasts,
+  fetchGCPBudgetDetails,
+  verifyGCPCredentials,
+  getExportSettings,
+  resolveBillingExportTable,
+  toServiceAccountCredentials,
 };
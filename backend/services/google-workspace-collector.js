@@ -1,4 +1,8 @@
 // services/google-workspace-collector.js - Google Workspace License Management integration
+const { createCheckList } = require('./credential-checks');
+const { withRetry } = require('./retry');
+
+const LICENSING_SCOPE = 'https://www.googleapis.com/auth/apps.licensing';
 
 /**
  * Collect Google Workspace license costs
@@ -18,7 +22,7 @@ async function collectGoogleWorkspaceCosts(credentials, customerId, adminEmail)
     const client = new JWT({
       email: credentials.client_email,
       key: credentials.private_key,
-      scopes: ['https://www.googleapis.com/auth/apps.licensing'],
+      scopes: [LICENSING_SCOPE],
       subject: adminEmail, // Impersonate the admin user
     });
 
@@ -26,11 +30,11 @@ async function collectGoogleWorkspaceCosts(credentials, customerId, adminEmail)
     const licensing = google.licensing({ version: 'v1', auth: client });
 
     // Get all license assignments for this customer
-    const response = await licensing.licenseAssignments.listForProduct({
+    const response = await withRetry('google-workspace', signal => licensing.licenseAssignments.listForProduct({
       productId: 'Google-Apps',
       customerId: customerId,
       maxResults: 1000,
-    });
+    }, { signal }), { label: 'List license assignments' });
 
     const licenses = response.data.items || [];
 
@@ -168,8 +172,105 @@ async function collectYesterdayCosts(credentials, customerId, adminEmail) {
   return collectGoogleWorkspaceCosts(credentials, customerId, adminEmail);
 }
 
+/**
+ * Verify domain-wide delegation by listing a single license assignment
+ * @param {Object} credentials - Google Workspace service account credentials
+ * @param {string} customerId - Google Workspace customer ID
+ * @param {string} adminEmail - Admin email for domain-wide delegation
+ * @returns {Promise<Object>} Structured check results
+ */
+async function verifyGoogleWorkspaceCredentials(credentials, customerId, adminEmail) {
+  const { google } = require('googleapis');
+  const { JWT } = require('google-auth-library');
+  const checks = createCheckList();
+  checks.setIdentity(credentials.client_email || null);
+
+  const client = new JWT({
+    email: credentials.client_email,
+    key: credentials.private_key,
+    scopes: [LICENSING_SCOPE],
+    subject: adminEmail,
+  });
+
+  try {
+    await client.authorize();
+  } catch (error) {
+    const message = error.response?.data?.error_description || error.message;
+    if (/unauthorized_client/.test(error.message) || /unauthorized_client/.test(error.response?.data?.error || '')) {
+      checks.fail('delegation', 'Domain-wide delegation',
+        `Service account is not authorized for ${LICENSING_SCOPE} in the Admin console (${message})`,
+        { permission: LICENSING_SCOPE });
+    } else {
+      checks.fail('delegation', 'Domain-wide delegation', `Could not impersonate ${adminEmail}: ${message}`);
+    }
+    return checks.result();
+  }
+  checks.pass('delegation', 'Domain-wide delegation', `Impersonating ${adminEmail}`);
+
+  try {
+    const licensing = google.licensing({ version: 'v1', auth: client });
+    await licensing.licenseAssignments.listForProduct({
+      productId: 'Google-Apps',
+      customerId,
+      maxResults: 1,
+    });
+    checks.pass('licensing', 'Read license assignments', `Licensing API readable for customer ${customerId}`);
+  } catch (error) {
+    const status = error.code || error.response?.status;
+    checks.fail('licensing', 'Read license assignments', error.message,
+      { permission: status === 403 ? 'Admin role with License Management privilege' : null });
+  }
+
+  return checks.result();
+}
+
+/**
+ * Accept both a pasted service account JSON key and the credential form fields
+ */
+function toServiceAccount(credentials) {
+  return {
+    ...credentials,
+    client_email: credentials.client_email || credentials.clientEmail,
+    private_key: credentials.private_key || credentials.privateKey,
+  };
+}
+
+/**
+ * Collector descriptor registered by services/collector-registry.js
+ */
+const collector = {
+  id: 'google-workspace',
+  name: 'Google Workspace',
+  icon: 'google',
+  emoji: '📧',
+  color: '#34A853',
+  dashboardUrl: 'https://admin.google.com/ac/billing',
+  credentialFields: [
+    { key: 'clientEmail', label: 'Service Account Email', type: 'text', required: true, helperText: 'Service account with domain-wide delegation' },
+    { key: 'privateKey', label: 'Private Key', type: 'textarea', required: true },
+  ],
+  metadataFields: [
+    { key: 'adminEmail', label: 'Admin Email', type: 'text', required: true },
+    { key: 'customerId', label: 'Customer ID', type: 'text', required: true },
+  ],
+  capabilities: {
+    budgets: false,
+    forecast: false,
+    dateRange: false,
+  },
+  dateRangeUnsupportedReason: 'The Licensing API only reports current license assignments, so past periods cannot be reconstructed',
+  collectCurrent(credentials, metadata) {
+    return collectCurrentMonthCosts(toServiceAccount(credentials), metadata.customerId, metadata.adminEmail);
+  },
+  verifyCredentials(credentials, metadata) {
+    return verifyGoogleWorkspaceCredentials(toServiceAccount(credentials), metadata.customerId, metadata.adminEmail);
+  },
+};
+
 module.exports = {
+  collector,
   collectGoogleWorkspaceCosts,
   collectCurrentMonthCosts,
   collectYesterdayCosts,
+  verifyGoogleWorkspaceCredentials,
 };
@@ -0,0 +1,36 @@
+// services/http-client.js - Shared HTTP client for the axios-based collectors
+const axios = require('axios');
+const { TIMEOUT_MS, withRetry } = require('./retry');
+
+/**
+ * Create an HTTP client for a provider. Requests time out after
+ * PROVIDER_TIMEOUT_MS, share the provider's concurrency limit and are retried
+ * on rate limits and transient errors (see services/retry.js).
+ *
+ *   const http = createHttpClient('chatgpt', { headers });
+ *   const response = await http.get('https://api.openai.com/v1/usage', { params: { date } });
+ *
+ * @param {string} provider - Service ID
+ * @param {Object} [defaults] - axios defaults for every request, e.g. headers
+ * @returns {Object} { request, get, post }, each accepting retry options last
+ */
+function createHttpClient(provider, { timeout = TIMEOUT_MS, ...defaults } = {}) {
+  const instance = axios.create({ timeout, ...defaults });
+
+  const request = (config, options = {}) => withRetry(provider, () => instance.request(config), {
+    label: `${(config.method || 'get').toUpperCase()} ${config.url.split('?')[0]}`,
+    // axios enforces the timeout itself and aborts the request
+    timeoutMs: null,
+    ...options,
+  });
+
+  return {
+    request,
+    get: (url, config = {}, options) => request({ ...config, method: 'get', url }, options),
+    post: (url, data, config = {}, options) => request({ ...config, method: 'post', url, data }, options),
+  };
+}
+
+module.exports = {
+  createHttpClient,
+};
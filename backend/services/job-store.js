@@ -0,0 +1,90 @@
+// services/job-store.js - Backfill jobs
+const JOBS_COLLECTION = 'backfill-jobs';
+
+/**
+ * Get a backfill job
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @returns {Promise<Object|null>} Job, or null if it doesn't exist
+ */
+function getJob(store, jobId) {
+  return store.get(JOBS_COLLECTION, jobId);
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { serviceId, connectionId, status, limit }
+ * @returns {Promise<Array<Object>>} Jobs with their id
+ */
+async function listJobs(store, { serviceId, connectionId, status, limit = 50 } = {}) {
+  const where = [];
+
+  if (serviceId) {
+    where.push(['serviceId', '==', serviceId]);
+  }
+
+  if (connectionId) {
+    where.push(['connectionId', '==', connectionId]);
+  }
+
+  if (status) {
+    where.push(['status', '==', status]);
+  }
+
+  const docs = await store.query(JOBS_COLLECTION, {
+    where,
+    orderBy: [['createdAt', 'desc']],
+    limit
+  });
+  return docs.map(doc => ({ id: doc.id, ...doc.data }));
+}
+
+/**
+ * Jobs with a status, in no particular order
+ * @returns {Promise<Array<Object>>} Jobs with their id
+ */
+async function findJobsByStatus(store, status, limit) {
+  const docs = await store.query(JOBS_COLLECTION, { where: [['status', '==', status]], limit });
+  return docs.map(doc => ({ id: doc.id, ...doc.data }));
+}
+
+function createJob(store, jobId, job) {
+  return store.set(JOBS_COLLECTION, jobId, job);
+}
+
+function updateJob(store, jobId, fields) {
+  return store.update(JOBS_COLLECTION, jobId, fields);
+}
+
+function deleteJob(store, jobId) {
+  return store.delete(JOBS_COLLECTION, jobId);
+}
+
+/**
+ * Read and update a job atomically
+ * @param {Function} fn - Receives the job and returns the fields to update,
+ *   or null to leave it unchanged. May run more than once.
+ * @returns {Promise<Object|null>} The job as read, if it was updated
+ */
+function updateJobAtomically(store, jobId, fn) {
+  return store.runTransaction(async (transaction) => {
+    const job = await transaction.get(JOBS_COLLECTION, jobId);
+    const fields = job ? fn(job) : null;
+
+    if (!fields) {
+      return null;
+    }
+
+    transaction.update(JOBS_COLLECTION, jobId, fields);
+    return job;
+  });
+}
+
+module.exports = {
+  getJob,
+  listJobs,
+  findJobsByStatus,
+  createJob,
+  updateJob,
+  deleteJob,
+  updateJobAtomically,
+};
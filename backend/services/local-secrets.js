@@ -0,0 +1,282 @@
+// services/local-secrets.js - Secrets in a local encrypted file, for running without Secret Manager
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+const FILE_FORMAT_VERSION = 2;
+
+// Encrypted with the master key to tell a wrong key from a corrupted secret
+const KEY_CHECK_VALUE = 'billing-manager-local-secrets';
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'not-found';
+  return error;
+}
+
+function disabled(message) {
+  const error = new Error(message);
+  error.code = 'failed-precondition';
+  return error;
+}
+
+/**
+ * Derive the encryption key from a master key and the file's salt
+ */
+function deriveKey(masterKey, salt) {
+  return crypto.scryptSync(masterKey, Buffer.from(salt, 'base64'), 32);
+}
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function createContents(masterKey) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  return {
+    version: FILE_FORMAT_VERSION,
+    salt,
+    keyCheck: encrypt(deriveKey(masterKey, salt), KEY_CHECK_VALUE),
+    keyRotatedAt: null,
+    secrets: {},
+  };
+}
+
+/**
+ * Upgrade a file written before version history: each secret held only its
+ * latest value, which becomes version 1
+ */
+function upgradeContents(contents, key) {
+  if (contents.version === FILE_FORMAT_VERSION) {
+    return contents;
+  }
+
+  // These files have no key check value, so check the key on a secret
+  const [first] = Object.values(contents.secrets || {});
+  if (first) {
+    try {
+      decrypt(key, first);
+    } catch (error) {
+      throw new Error('LOCAL_SECRETS_KEY does not match the key the secrets file was encrypted with');
+    }
+  }
+
+  const secrets = {};
+  for (const [name, secret] of Object.entries(contents.secrets || {})) {
+    secrets[name] = {
+      createdAt: secret.createdAt,
+      versions: [{
+        version: 1,
+        createdAt: secret.updatedAt || secret.createdAt,
+        iv: secret.iv,
+        tag: secret.tag,
+        data: secret.data,
+      }],
+    };
+  }
+
+  return {
+    version: FILE_FORMAT_VERSION,
+    salt: contents.salt,
+    keyCheck: encrypt(key, KEY_CHECK_VALUE),
+    keyRotatedAt: null,
+    secrets,
+  };
+}
+
+function checkKey(contents, key) {
+  let valid = false;
+  try {
+    valid = decrypt(key, contents.keyCheck) === KEY_CHECK_VALUE;
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new Error('LOCAL_SECRETS_KEY does not match the key the secrets file was encrypted with');
+  }
+}
+
+/**
+ * Create the local secrets backend. Every version of every secret is
+ * encrypted with AES-256-GCM under a key derived from the master key, and
+ * the file is only readable by its owner. Losing the master key makes the
+ * secrets unreadable. See services/secrets.js for the interface shared with
+ * the Secret Manager backend.
+ * @param {Object} options - { file, masterKey }
+ */
+function createLocalSecrets({ file, masterKey }) {
+  if (!masterKey) {
+    throw new Error('LOCAL_SECRETS_KEY is required for the local secrets backend');
+  }
+
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+    contents = createContents(masterKey);
+  }
+
+  let key = deriveKey(masterKey, contents.salt);
+  if (contents.keyCheck) {
+    checkKey(contents, key);
+  }
+  contents = upgradeContents(contents, key);
+
+  let saving = Promise.resolve();
+
+  function save() {
+    const run = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(contents, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tmpFile, file);
+    });
+    saving = run.catch(() => {});
+    return run;
+  }
+
+  function getSecret(name) {
+    const secret = contents.secrets[name];
+    if (!secret) {
+      throw notFound(`Secret not found: ${name}`);
+    }
+    return secret;
+  }
+
+  function getVersion(name, version) {
+    const { versions } = getSecret(name);
+    const found = version === 'latest'
+      ? versions[versions.length - 1]
+      : versions.find(item => item.version === Number(version));
+    if (!found) {
+      throw notFound(`Secret version not found: ${name} version ${version}`);
+    }
+    return found;
+  }
+
+  return {
+    backend: 'local',
+
+    async access(name, version = 'latest') {
+      const found = getVersion(name, version);
+      if (found.state === 'disabled') {
+        throw disabled(`Secret version is disabled: ${name} version ${found.version}`);
+      }
+      try {
+        return decrypt(key, found);
+      } catch (error) {
+        throw new Error(`Cannot decrypt secret ${name} version ${found.version}`);
+      }
+    },
+
+    async put(name, value) {
+      const now = new Date().toISOString();
+      const secret = contents.secrets[name] || { createdAt: now, versions: [] };
+      const latest = secret.versions[secret.versions.length - 1];
+
+      secret.versions.push({
+        version: latest ? latest.version + 1 : 1,
+        createdAt: now,
+        ...encrypt(key, value),
+      });
+      contents.secrets[name] = secret;
+
+      await save();
+      return String(latest ? latest.version + 1 : 1);
+    },
+
+    async listVersions(name) {
+      return getSecret(name).versions
+        .map(({ version, createdAt, state }) => ({ version: String(version), createdAt, state: state || 'enabled' }))
+        .reverse();
+    },
+
+    async disableVersion(name, version) {
+      getVersion(name, version).state = 'disabled';
+      await save();
+    },
+
+    async enableVersion(name, version) {
+      getVersion(name, version).state = 'enabled';
+      await save();
+    },
+
+    async delete(name) {
+      getSecret(name);
+      delete contents.secrets[name];
+      await save();
+    },
+
+    /**
+     * Re-encrypt every version of every secret under a new master key. The
+     * file is replaced in one write, so it is never left half rotated. Other
+     * processes using the old key must be restarted with the new one.
+     * @returns {Promise<Object>} { secrets, versions } counts re-encrypted
+     */
+    async rotateKey(newMasterKey) {
+      if (!newMasterKey) {
+        throw new Error('A new master key is required');
+      }
+      if (newMasterKey === masterKey) {
+        throw new Error('The new master key must differ from the current one');
+      }
+
+      const salt = crypto.randomBytes(16).toString('base64');
+      const newKey = deriveKey(newMasterKey, salt);
+      const secrets = {};
+      let versions = 0;
+
+      // Decrypt everything before changing anything, so a corrupted version
+      // fails the rotation instead of being lost
+      for (const [name, secret] of Object.entries(contents.secrets)) {
+        secrets[name] = {
+          ...secret,
+          versions: secret.versions.map(item => {
+            versions++;
+            let value;
+            try {
+              value = decrypt(key, item);
+            } catch (error) {
+              throw new Error(`Cannot decrypt secret ${name} version ${item.version}; rotation aborted`);
+            }
+            return { ...item, ...encrypt(newKey, value) };
+          }),
+        };
+      }
+
+      contents = {
+        ...contents,
+        salt,
+        keyCheck: encrypt(newKey, KEY_CHECK_VALUE),
+        keyRotatedAt: new Date().toISOString(),
+        secrets,
+      };
+      key = newKey;
+      masterKey = newMasterKey;
+      await save();
+
+      return { secrets: Object.keys(secrets).length, versions };
+    },
+  };
+}
+
+module.exports = {
+  createLocalSecrets,
+};
@@ -0,0 +1,301 @@
+// services/local-storage.js - Document storage in local JSON files, for running without GCP
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A transaction whose reads were changed by another write is retried, like Firestore does
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const COMPARISONS = {
+  '==': (a, b) => compareValues(a, b) === 0,
+  '!=': (a, b) => compareValues(a, b) !== 0,
+  '<': (a, b) => compareValues(a, b) < 0,
+  '<=': (a, b) => compareValues(a, b) <= 0,
+  '>': (a, b) => compareValues(a, b) > 0,
+  '>=': (a, b) => compareValues(a, b) >= 0,
+  'in': (a, b) => b.some(item => compareValues(a, item) === 0),
+  'array-contains': (a, b) => Array.isArray(a) && a.some(item => compareValues(item, b) === 0),
+};
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  if (typeof a !== typeof b) {
+    return typeof a < typeof b ? -1 : 1;
+  }
+  if (typeof a === 'object') {
+    return compareValues(JSON.stringify(a), JSON.stringify(b));
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Stored values are plain JSON, so callers never share objects with the store
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// set with merge: nested objects are merged, everything else is replaced
+function mergeData(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeData(merged[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function notFound(collection, id) {
+  const error = new Error(`Document not found: ${collection}/${id}`);
+  error.code = 'not-found';
+  return error;
+}
+
+function createId() {
+  return crypto.randomBytes(15).toString('base64').replace(/[+/=]/g, '').slice(0, 20);
+}
+
+/**
+ * Create the local storage backend. Each collection is a JSON file in the
+ * data directory, held in memory and rewritten after every change. Meant
+ * for a single process on a laptop, not for several instances. See
+ * services/storage.js for the interface shared with the Firestore backend.
+ * @param {Object} options - { dataDir }
+ */
+function createLocalStorage({ dataDir }) {
+  const collections = new Map();
+  // Bumped on every write, so transactions can detect concurrent changes
+  const versions = new Map();
+  let transactionLock = Promise.resolve();
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const getFile = collection => path.join(dataDir, `${collection}.json`);
+  const getVersion = (collection, id) => versions.get(`${collection}/${id}`) || 0;
+
+  function load(collection) {
+    if (!collections.has(collection)) {
+      let docs = {};
+      try {
+        docs = JSON.parse(fs.readFileSync(getFile(collection), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Cannot read ${getFile(collection)}: ${error.message}`);
+        }
+      }
+      collections.set(collection, {
+        docs: new Map(Object.entries(docs)),
+        queued: null,
+        flushed: Promise.resolve(),
+      });
+    }
+    return collections.get(collection);
+  }
+
+  /**
+   * Write a collection to disk. Changes made while a write is waiting are
+   * saved by that same write.
+   */
+  function persist(collection) {
+    const state = load(collection);
+    if (!state.queued) {
+      state.queued = state.flushed.then(async () => {
+        state.queued = null;
+        const file = getFile(collection);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(Object.fromEntries(state.docs), null, 2));
+        await fs.promises.rename(tmpFile, file);
+      });
+      state.flushed = state.queued.catch(() => {});
+    }
+    return state.queued;
+  }
+
+  // Apply a write in memory, without persisting it
+  function applyWrite({ type, collection, id, data, merge }) {
+    const { docs } = load(collection);
+
+    if (type === 'delete') {
+      docs.delete(id);
+    } else if (type === 'update') {
+      if (!docs.has(id)) {
+        throw notFound(collection, id);
+      }
+      docs.set(id, { ...docs.get(id), ...clone(data) });
+    } else if (type === 'create') {
+      if (docs.has(id)) {
+        const error = new Error(`Document already exists: ${collection}/${id}`);
+        error.code = 'already-exists';
+        throw error;
+      }
+      docs.set(id, clone(data));
+    } else {
+      docs.set(id, merge && docs.has(id) ? mergeData(docs.get(id), clone(data)) : clone(data));
+    }
+
+    versions.set(`${collection}/${id}`, getVersion(collection, id) + 1);
+  }
+
+  async function write(writes) {
+    // Check every update target first so a failing batch changes nothing
+    for (const { type, collection, id } of writes) {
+      if (type === 'update' && !load(collection).docs.has(id)) {
+        throw notFound(collection, id);
+      }
+    }
+    writes.forEach(applyWrite);
+    await Promise.all([...new Set(writes.map(item => item.collection))].map(persist));
+  }
+
+  function matches(data, where) {
+    return where.every(([field, op, value]) => {
+      const comparison = COMPARISONS[op];
+      if (!comparison) {
+        throw new Error(`Unsupported query operator: ${op}`);
+      }
+      return data[field] !== undefined && comparison(data[field], value);
+    });
+  }
+
+  function compareDocs(a, b, orderBy) {
+    for (const [field, direction = 'asc'] of orderBy) {
+      const result = compareValues(a.data[field], b.data[field]);
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return compareValues(a.id, b.id);
+  }
+
+  async function runTransactionAttempt(fn) {
+    const reads = new Map();
+    const writes = [];
+
+    const transaction = {
+      async get(collection, id) {
+        const key = `${collection}/${id}`;
+        if (!reads.has(key)) {
+          reads.set(key, getVersion(collection, id));
+        }
+        const data = load(collection).docs.get(id);
+        return data ? clone(data) : null;
+      },
+      set(collection, id, data, { merge = false } = {}) {
+        writes.push({ type: 'set', collection, id, data, merge });
+      },
+      update(collection, id, data) {
+        writes.push({ type: 'update', collection, id, data });
+      },
+      delete(collection, id) {
+        writes.push({ type: 'delete', collection, id });
+      },
+    };
+
+    const result = await fn(transaction);
+
+    const conflicted = [...reads].some(([key, version]) => (versions.get(key) || 0) !== version);
+    if (conflicted) {
+      return { conflicted };
+    }
+
+    await write(writes);
+    return { result };
+  }
+
+  return {
+    backend: 'local',
+
+    async get(collection, id) {
+      const data = load(collection).docs.get(id);
+      return data ? clone(data) : null;
+    },
+
+    async getAll(collection, ids) {
+      const { docs } = load(collection);
+      return ids.map(id => (docs.has(id) ? clone(docs.get(id)) : null));
+    },
+
+    set(collection, id, data, { merge = false } = {}) {
+      return write([{ type: 'set', collection, id, data, merge }]);
+    },
+
+    create(collection, id, data) {
+      return write([{ type: 'create', collection, id, data }]);
+    },
+
+    update(collection, id, data) {
+      return write([{ type: 'update', collection, id, data }]);
+    },
+
+    delete(collection, id) {
+      return write([{ type: 'delete', collection, id }]);
+    },
+
+    async add(collection, data) {
+      const id = createId();
+      await write([{ type: 'create', collection, id, data }]);
+      return id;
+    },
+
+    async query(collection, { where = [], orderBy = [], limit, startAfter } = {}) {
+      const { docs } = load(collection);
+
+      let results = [...docs]
+        .map(([id, data]) => ({ id, data }))
+        .filter(doc => matches(doc.data, where))
+        // Like Firestore, ordering by a field leaves out documents without it
+        .filter(doc => orderBy.every(([field]) => doc.data[field] !== undefined))
+        .sort((a, b) => compareDocs(a, b, orderBy));
+
+      if (startAfter) {
+        if (!docs.has(startAfter)) {
+          throw notFound(collection, startAfter);
+        }
+        const cursor = { id: startAfter, data: docs.get(startAfter) };
+        results = results.filter(doc => compareDocs(doc, cursor, orderBy) > 0);
+      }
+
+      if (limit) {
+        results = results.slice(0, limit);
+      }
+
+      return results.map(doc => ({ id: doc.id, data: clone(doc.data) }));
+    },
+
+    batch(writes) {
+      return write(writes);
+    },
+
+    /**
+     * Transactions run one at a time. Reads see committed data; writes are
+     * applied when the function returns, unless a document it read was
+     * changed meanwhile, in which case the function runs again.
+     */
+    runTransaction(fn) {
+      const run = transactionLock.then(async () => {
+        for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+          const { conflicted, result } = await runTransactionAttempt(fn);
+          if (!conflicted) {
+            return result;
+          }
+        }
+        throw new Error(`Transaction failed after ${MAX_TRANSACTION_ATTEMPTS} attempts because of concurrent changes`);
+      });
+      transactionLock = run.catch(() => {});
+      return run;
+    },
+
+    async check() {
+      await fs.promises.access(dataDir, fs.constants.W_OK);
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+};
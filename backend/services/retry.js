@@ -0,0 +1,258 @@
+// services/retry.js - Retries, backoff, timeouts and concurrency limits for provider calls
+
+const MAX_RETRIES = parseInt(process.env.PROVIDER_MAX_RETRIES || '4', 10);
+const BASE_DELAY_MS = parseInt(process.env.PROVIDER_RETRY_BASE_MS || '500', 10);
+const MAX_DELAY_MS = parseInt(process.env.PROVIDER_RETRY_MAX_MS || '30000', 10);
+const TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS || '30000', 10);
+const DEFAULT_CONCURRENCY = parseInt(process.env.PROVIDER_CONCURRENCY || '4', 10);
+
+// Providers with stricter rate limits than the default concurrency allows
+const PROVIDER_CONCURRENCY = {
+  chatgpt: 1,
+  aws: 2,
+};
+
+// HTTP statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network errors worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+// gRPC status codes used by the Google Cloud client libraries:
+// DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, UNAVAILABLE
+const RETRYABLE_GRPC_CODES = [4, 8, 14];
+
+// AWS SDK error names for throttling and transient failures
+const RETRYABLE_AWS_ERRORS = [
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'RequestLimitExceeded',
+  'LimitExceededException',
+  'ServiceUnavailable',
+  'ServiceUnavailableException',
+  'InternalServerError',
+];
+
+// BigQuery and Google API error reasons for rate limits and backend errors
+const RETRYABLE_GOOGLE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'backendError', 'internalError'];
+
+const limiters = new Map();
+
+/**
+ * Create a limiter that runs at most `concurrency` functions at a time
+ * @returns {Function} run(fn) resolving with fn's result
+ */
+function createLimiter(concurrency) {
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active += 1;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Limiter shared by every call to a provider, across connections
+ */
+function getProviderLimiter(provider) {
+  if (!limiters.has(provider)) {
+    limiters.set(provider, createLimiter(PROVIDER_CONCURRENCY[provider] || DEFAULT_CONCURRENCY));
+  }
+  return limiters.get(provider);
+}
+
+/**
+ * HTTP status of a failed call, for axios, gaxios and AWS SDK errors
+ */
+function getErrorStatus(error) {
+  return error.response?.status || error.$metadata?.httpStatusCode || null;
+}
+
+/**
+ * Whether a failed provider call is worth retrying
+ */
+function isTransientError(error) {
+  if (!error) return false;
+
+  const status = getErrorStatus(error) || (typeof error.code === 'number' && error.code >= 400 ? error.code : null);
+  if (status && RETRYABLE_STATUSES.includes(status)) return true;
+
+  if (RETRYABLE_CODES.includes(error.code)) return true;
+  if (typeof error.code === 'number' && RETRYABLE_GRPC_CODES.includes(error.code)) return true;
+
+  if (error.$retryable || RETRYABLE_AWS_ERRORS.includes(error.name)) return true;
+
+  const reasons = (error.errors || []).map(item => item.reason);
+  return reasons.some(reason => RETRYABLE_GOOGLE_REASONS.includes(reason));
+}
+
+/**
+ * Delay requested by the provider through a Retry-After header, in
+ * seconds or as an HTTP date
+ * @returns {number|null} Milliseconds, or null when there is no usable header
+ */
+function getRetryAfterMs(error) {
+  const headers = error.response?.headers || error.$response?.headers || {};
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'] || headers['Retry-After'];
+
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Exponential backoff with jitter for the given attempt (1-based)
+ */
+function getBackoffMs(attempt, baseDelayMs = BASE_DELAY_MS) {
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_DELAY_MS);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Short description of a provider error, for logs and partial failures
+ */
+function describeError(error) {
+  const status = getErrorStatus(error);
+  const data = error.response?.data || {};
+  const detail = data.error?.message || data.message || (typeof data.error === 'string' ? data.error : null);
+
+  if (status) {
+    return `HTTP ${status}: ${detail || error.message}`;
+  }
+  return error.name && error.name !== 'Error' ? `${error.name}: ${error.message}` : error.message;
+}
+
+/**
+ * Call fn with an AbortSignal and reject when it takes longer than
+ * timeoutMs. The signal is aborted on timeout, so calls that accept it
+ * (abortSignal for the AWS SDK, signal for googleapis) are cancelled
+ * instead of running on next to their retry.
+ * @param {Function} fn - Receives the AbortSignal and returns a promise
+ */
+function withTimeout(fn, timeoutMs, label) {
+  const controller = new AbortController();
+  const call = Promise.resolve().then(() => fn(controller.signal));
+  if (!timeoutMs) return call;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      // Reject before aborting, so the call's abort error doesn't win the race
+      reject(error);
+      controller.abort(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([call, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call a provider with retries. Each attempt waits for a slot in the
+ * provider's limiter; throttling and transient errors are retried with
+ * exponential backoff, honouring Retry-After.
+ *
+ *   const response = await withRetry('aws', signal => client.send(command, { abortSignal: signal }), { label: 'GetCostAndUsage' });
+ *
+ * @param {string} provider - Service ID, used for the concurrency limit and logs
+ * @param {Function} fn - Makes the call and returns a promise. Receives an
+ *   AbortSignal, aborted when the attempt times out.
+ * @param {Object} [options] - { label, retries, timeoutMs, isRetryable }
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} The last error, with `attempts` set
+ */
+async function withRetry(provider, fn, {
+  label = 'request',
+  retries = MAX_RETRIES,
+  timeoutMs = TIMEOUT_MS,
+  isRetryable = isTransientError,
+} = {}) {
+  const limit = getProviderLimiter(provider);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await limit(() => withTimeout(fn, timeoutMs, label));
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = Math.min(Math.max(getRetryAfterMs(error) || 0, getBackoffMs(attempt)), MAX_DELAY_MS);
+      console.warn(`[${provider}] ${label} failed (${describeError(error)}), retry ${attempt} of ${retries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Describe a part of a collection that failed while the rest succeeded.
+ * Collectors return these as `partialFailures` instead of skipping the gap
+ * silently; they are recorded on the collection run.
+ * @param {string} scope - What could not be collected, e.g. 'usage 2025-01-31'
+ * @param {Error} error - Last error for that part
+ * @returns {Object} { scope, message, attempts }
+ */
+function toPartialFailure(scope, error) {
+  return {
+    scope,
+    message: describeError(error),
+    attempts: error.attempts || 1,
+  };
+}
+
+/**
+ * Resolve an optional part of a collection (a forecast, budgets), falling
+ * back to a default value and recording a partial failure when it fails
+ * @param {Promise} promise - The optional call
+ * @param {*} fallback - Value to use when it fails
+ * @param {Array} partialFailures - Failures of the collection, appended to
+ * @param {string} scope - What could not be collected
+ */
+async function withFallback(promise, fallback, partialFailures, scope) {
+  try {
+    return await promise;
+  } catch (error) {
+    console.error(`Could not fetch ${scope}:`, error.message);
+    partialFailures.push(toPartialFailure(scope, error));
+    return fallback;
+  }
+}
+
+module.exports = {
+  TIMEOUT_MS,
+  createLimiter,
+  getProviderLimiter,
+  getErrorStatus,
+  isTransientError,
+  getRetryAfterMs,
+  getBackoffMs,
+  describeError,
+  withTimeout,
+  withRetry,
+  toPartialFailure,
+  withFallback,
+};
@@ -0,0 +1,199 @@
+// services/roles.js - Roles of signed-in users and route authorization
+
+/**
+ * Roles, from least to most privileged. Each role can do everything the
+ * roles before it can:
+ * - viewer: read costs, runs, budgets, schedules and connection metadata
+ * - analyst: also trigger collections, backfills and schedule runs, and test credentials
+ * - admin: also manage credentials, schedules, services, cost records and user roles
+ */
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+const USERS_COLLECTION = 'users';
+
+// Role assignments are cached briefly so every request doesn't read storage
+const ROLE_CACHE_MS = 30 * 1000;
+
+const cache = new Map();
+
+function getRoleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+function isValidRole(role) {
+  return getRoleRank(role) >= 0;
+}
+
+/**
+ * Whether a role includes the permissions of another
+ */
+function hasRole(role, required) {
+  return isValidRole(role) && getRoleRank(role) >= getRoleRank(required);
+}
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Role settings from the environment: AUTH_ADMIN_EMAILS are always admins,
+ * which bootstraps the first admin, and users without an assigned role get
+ * AUTH_DEFAULT_ROLE
+ */
+function getRoleConfig(env = process.env) {
+  const defaultRole = env.AUTH_DEFAULT_ROLE || 'viewer';
+  if (!isValidRole(defaultRole)) {
+    throw new Error(`AUTH_DEFAULT_ROLE must be one of ${ROLES.join(', ')}`);
+  }
+  return {
+    adminEmails: parseList(env.AUTH_ADMIN_EMAILS),
+    defaultRole,
+  };
+}
+
+/**
+ * Resolve the role of an identity. AUTH_ADMIN_EMAILS only match emails the
+ * identity provider has verified, so an account claiming an admin's address
+ * doesn't become admin.
+ * @returns {Promise<Object>} { role, source } where source is env, assigned or default
+ */
+async function resolveRole(store, identity, config = getRoleConfig()) {
+  if (identity.email && identity.emailVerified === true && config.adminEmails.includes(identity.email.toLowerCase())) {
+    return { role: 'admin', source: 'env' };
+  }
+
+  const cached = cache.get(identity.id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const user = await store.get(USERS_COLLECTION, identity.id);
+  const assigned = user ? user.role : null;
+  const value = isValidRole(assigned)
+    ? { role: assigned, source: 'assigned' }
+    : { role: config.defaultRole, source: 'default' };
+
+  cache.set(identity.id, { value, expiresAt: Date.now() + ROLE_CACHE_MS });
+  return value;
+}
+
+/**
+ * Record that a user signed in, so admins can find them to assign a role
+ */
+async function recordUser(store, identity) {
+  await store.set(USERS_COLLECTION, identity.id, {
+    userId: identity.id,
+    email: identity.email || null,
+    emailVerified: identity.emailVerified === true,
+    name: identity.name || null,
+    provider: identity.provider,
+    lastSeenAt: new Date().toISOString(),
+  }, { merge: true });
+}
+
+async function describeUser(store, userId, data, config) {
+  const { role, source } = await resolveRole(store, { id: userId, email: data.email, emailVerified: data.emailVerified }, config);
+  return {
+    userId,
+    email: data.email || null,
+    emailVerified: data.emailVerified === true,
+    name: data.name || null,
+    provider: data.provider || null,
+    role,
+    roleSource: source,
+    lastSeenAt: data.lastSeenAt || null,
+    roleUpdatedAt: data.roleUpdatedAt || null,
+    roleUpdatedBy: data.roleUpdatedBy || null,
+  };
+}
+
+/**
+ * Known users with their effective role
+ */
+async function listUsers(store, config = getRoleConfig()) {
+  const docs = await store.query(USERS_COLLECTION);
+
+  const users = [];
+  for (const doc of docs) {
+    users.push(await describeUser(store, doc.id, doc.data, config));
+  }
+
+  return users.sort((a, b) => (a.email || a.userId).localeCompare(b.email || b.userId));
+}
+
+/**
+ * A known user with their effective role, or null
+ */
+async function getUser(store, userId, config = getRoleConfig()) {
+  const data = await store.get(USERS_COLLECTION, userId);
+  return data ? describeUser(store, userId, data, config) : null;
+}
+
+/**
+ * Assign a role to a user, or remove the assignment with role null so the
+ * user gets the default role
+ */
+async function setUserRole(store, userId, role, updatedBy) {
+  await store.set(USERS_COLLECTION, userId, {
+    userId,
+    role: role || null,
+    roleUpdatedAt: new Date().toISOString(),
+    roleUpdatedBy: updatedBy,
+  }, { merge: true });
+  cache.delete(userId);
+}
+
+/**
+ * Express middleware setting req.user.role, for routes behind requireAuth
+ */
+async function attachRole(req, res, next) {
+  if (req.user && !req.user.role) {
+    try {
+      const { role, source } = await resolveRole(req.app.locals.store, req.user);
+      req.user.role = role;
+      req.user.roleSource = source;
+    } catch (error) {
+      console.error('Error resolving user role:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+  next();
+}
+
+/**
+ * Express middleware allowing only users with at least the given role
+ * @param {string} required - viewer, analyst or admin
+ */
+function requireRole(required) {
+  if (!isValidRole(required)) {
+    throw new Error(`Unknown role: ${required}`);
+  }
+
+  return (req, res, next) => attachRole(req, res, () => {
+    if (!hasRole(req.user && req.user.role, required)) {
+      return res.status(403).json({
+        error: `This action requires the ${required} role`,
+        role: req.user ? req.user.role : null,
+        requiredRole: required,
+      });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasRole,
+  getRoleConfig,
+  resolveRole,
+  recordUser,
+  listUsers,
+  getUser,
+  setUserRole,
+  attachRole,
+  requireRole,
+};
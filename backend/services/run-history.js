@@ -0,0 +1,215 @@
+// services/run-history.js - Append-only history of collection runs
+const RUNS_COLLECTION = 'collection_runs';
+
+// What started a run
+const RUN_TRIGGERS = ['manual', 'schedule', 'backfill', 'import'];
+
+/**
+ * Record the start of a collection run. Every collection (manual, scheduled,
+ * a backfill job or a CUR import) writes its own document in collection_runs,
+ * which is never overwritten by later runs.
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} run - { serviceId, connectionId, trigger, startDate, endDate, jobId, status }.
+ *   Runs waiting in the collection queue start as 'queued', see markRunStarted.
+ * @returns {Promise<Object>} { id, startedAt } to pass to finishRun
+ */
+async function startRun(store, { serviceId, connectionId, trigger, startDate = null, endDate = null, jobId = null, status = 'running' }) {
+  if (!RUN_TRIGGERS.includes(trigger)) {
+    throw new Error(`Invalid run trigger: ${trigger}`);
+  }
+
+  const startedAt = new Date();
+  const id = await store.add(RUNS_COLLECTION, {
+    serviceId,
+    connectionId,
+    trigger,
+    jobId,
+    status,
+    queuedAt: startedAt.toISOString(),
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    startDate,
+    endDate,
+    costsCollected: 0,
+    newRecords: 0,
+    updatedRecords: 0,
+    warnings: [],
+    partialFailures: [],
+    error: null,
+  });
+
+  return { id, startedAt };
+}
+
+/**
+ * Move a queued run to running. The duration is measured from here, so it
+ * excludes the time spent waiting in the queue.
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} run - Value returned by startRun, updated in place
+ */
+async function markRunStarted(store, run) {
+  run.startedAt = new Date();
+  await store.update(RUNS_COLLECTION, run.id, {
+    status: 'running',
+    startedAt: run.startedAt.toISOString(),
+  });
+}
+
+/**
+ * Record the outcome of a run started with startRun
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} run - Value returned by startRun
+ * @param {Object} outcome - { status: 'success'|'error'|'cancelled', costsCollected,
+ *   newRecords, updatedRecords, warnings, partialFailures, error, startDate, endDate }.
+ *   partialFailures lists the parts of a successful run that could not be
+ *   collected, as { scope, message, attempts }.
+ */
+async function finishRun(store, run, outcome) {
+  const finishedAt = new Date();
+  const update = {
+    status: outcome.status,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - run.startedAt,
+    costsCollected: outcome.costsCollected || 0,
+    newRecords: outcome.newRecords || 0,
+    updatedRecords: outcome.updatedRecords || 0,
+    warnings: (outcome.warnings || []).filter(Boolean),
+    partialFailures: outcome.partialFailures || [],
+    error: outcome.error || null,
+  };
+
+  // Only overwrite the requested range when the collected range is known
+  if (outcome.startDate) update.startDate = outcome.startDate;
+  if (outcome.endDate) update.endDate = outcome.endDate;
+
+  await store.update(RUNS_COLLECTION, run.id, update);
+}
+
+/**
+ * Record a run outcome without letting a storage error hide the
+ * collection result or error
+ */
+async function safeFinishRun(store, run, outcome) {
+  try {
+    await finishRun(store, run, outcome);
+  } catch (error) {
+    console.error(`Failed to record collection run ${run.id}:`, error);
+  }
+}
+
+/**
+ * Dates covered by a set of cost records
+ * @returns {Object} { startDate, endDate } as YYYY-MM-DD, null when there are no costs
+ */
+function getCostDateRange(costs) {
+  const dates = (costs || [])
+    .map(cost => cost.timestamp && String(cost.timestamp).split('T')[0])
+    .filter(Boolean)
+    .sort();
+
+  return {
+    startDate: dates[0] || null,
+    endDate: dates[dates.length - 1] || null,
+  };
+}
+
+/**
+ * List runs, newest first, one page at a time
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @param {Object} options - { serviceId, connectionId, limit, pageToken }
+ * @returns {Promise<Object>} { runs, nextPageToken }
+ */
+async function listRuns(store, { serviceId, connectionId, limit = 20, pageToken } = {}) {
+  const where = [];
+
+  if (serviceId) {
+    where.push(['serviceId', '==', serviceId]);
+  }
+
+  if (connectionId) {
+    where.push(['connectionId', '==', connectionId]);
+  }
+
+  // The page token is the ID of the last run of the previous page
+  if (pageToken && !(await store.get(RUNS_COLLECTION, pageToken))) {
+    const error = new Error('Invalid pageToken');
+    error.status = 400;
+    throw error;
+  }
+
+  // Fetch one extra run to know whether there is another page
+  const docs = await store.query(RUNS_COLLECTION, {
+    where,
+    orderBy: [['startedAt', 'desc']],
+    startAfter: pageToken,
+    limit: limit + 1
+  });
+  const runs = docs.slice(0, limit).map(doc => ({ id: doc.id, ...doc.data }));
+
+  return {
+    runs,
+    nextPageToken: docs.length > limit ? runs[runs.length - 1].id : null,
+  };
+}
+
+/**
+ * Get a single run
+ * @returns {Promise<Object|null>} Run, or null if it doesn't exist
+ */
+async function getRun(store, runId) {
+  const run = await store.get(RUNS_COLLECTION, runId);
+  return run ? { id: runId, ...run } : null;
+}
+
+/**
+ * Collection status of a connection, derived from its latest finished run
+ * @returns {Promise<Object|null>} Status, or null if the connection never ran
+ */
+async function getLatestRunStatus(store, connectionId) {
+  const docs = await store.query(RUNS_COLLECTION, {
+    where: [['connectionId', '==', connectionId]],
+    orderBy: [['startedAt', 'desc']],
+    limit: 10
+  });
+
+  const runs = docs.map(doc => ({ id: doc.id, ...doc.data }));
+  const latest = runs.find(run => run.status === 'success' || run.status === 'error');
+  if (!latest) {
+    return null;
+  }
+
+  const partialFailures = latest.partialFailures || [];
+  const warnings = [
+    ...(latest.warnings || []),
+    ...partialFailures.map(failure => `Could not collect ${failure.scope}: ${failure.message}`),
+  ];
+
+  return {
+    serviceId: latest.serviceId,
+    connectionId,
+    status: latest.status,
+    lastRun: latest.finishedAt || latest.startedAt,
+    costsCollected: latest.costsCollected,
+    warning: warnings.length > 0 ? warnings.join('; ') : null,
+    partialFailures: partialFailures.length,
+    error: latest.error,
+    runId: latest.id,
+    trigger: latest.trigger,
+    durationMs: latest.durationMs,
+    // A newer run is queued or still in progress
+    running: runs[0].status === 'queued' || runs[0].status === 'running',
+  };
+}
+
+module.exports = {
+  RUN_TRIGGERS,
+  startRun,
+  markRunStarted,
+  finishRun,
+  safeFinishRun,
+  getCostDateRange,
+  listRuns,
+  getRun,
+  getLatestRunStatus,
+};
@@ -0,0 +1,59 @@
+// services/schedule-store.js - Collection schedules, keyed by connection
+const SCHEDULES_COLLECTION = 'schedules';
+
+/**
+ * Stored schedule of a connection, or null if it has none
+ * @param {Object} store - Storage backend (services/storage.js)
+ */
+function getSchedule(store, connectionId) {
+  return store.get(SCHEDULES_COLLECTION, connectionId);
+}
+
+/**
+ * List schedules, optionally only the enabled ones
+ * @returns {Promise<Array<Object>>} [{ connectionId, schedule }]
+ */
+async function listSchedules(store, { enabled } = {}) {
+  const where = enabled === undefined ? [] : [['enabled', '==', enabled]];
+  const docs = await store.query(SCHEDULES_COLLECTION, { where });
+  return docs.map(doc => ({ connectionId: doc.id, schedule: doc.data }));
+}
+
+/**
+ * Merge fields into a connection's schedule, creating it if needed
+ */
+function updateSchedule(store, connectionId, fields) {
+  return store.set(SCHEDULES_COLLECTION, connectionId, fields, { merge: true });
+}
+
+function deleteSchedule(store, connectionId) {
+  return store.delete(SCHEDULES_COLLECTION, connectionId);
+}
+
+/**
+ * Read and update a schedule atomically
+ * @param {Function} fn - Receives the schedule ({} if none) and returns the
+ *   fields to merge into it, or null to leave it unchanged. May run more than once.
+ * @returns {Promise<boolean>} Whether the schedule was updated
+ */
+function updateScheduleAtomically(store, connectionId, fn) {
+  return store.runTransaction(async (transaction) => {
+    const schedule = await transaction.get(SCHEDULES_COLLECTION, connectionId);
+    const fields = fn(schedule || {});
+
+    if (!fields) {
+      return false;
+    }
+
+    transaction.set(SCHEDULES_COLLECTION, connectionId, fields, { merge: true });
+    return true;
+  });
+}
+
+module.exports = {
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  updateScheduleAtomically,
+};
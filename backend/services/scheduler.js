@@ -0,0 +1,240 @@
+// services/scheduler.js - In-process scheduler for the schedules collection
+const os = require('os');
+const { getNextCronTime, getScheduleCron } = require('./cron');
+const { listSchedules, updateSchedule, updateScheduleAtomically } = require('./schedule-store');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '60000', 10);
+
+// A run that has not finished after this long is assumed to belong to an
+// instance that died, and no longer blocks new runs
+const RUN_LOCK_TIMEOUT_MS = parseInt(process.env.SCHEDULER_RUN_LOCK_TIMEOUT_MS || String(15 * 60 * 1000), 10);
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+/**
+ * Compute the next run time for a schedule's frequency settings
+ * @returns {string} ISO timestamp
+ * @throws {Error} If the schedule's cron expression is invalid
+ */
+function computeNextRun(schedule, from = new Date()) {
+  return getNextCronTime(getScheduleCron(schedule), from).toISOString();
+}
+
+function isLocked(schedule) {
+  return Boolean(schedule.runningSince) &&
+    Date.now() - new Date(schedule.runningSince).getTime() < RUN_LOCK_TIMEOUT_MS;
+}
+
+/**
+ * Atomically take the run lock on a schedule. For scheduled runs the
+ * observed nextRun must still be current, and it is advanced in the same
+ * transaction, so a due run fires once even with several instances polling.
+ * @returns {Promise<boolean>} Whether this instance should run the collection
+ */
+async function acquireRun(store, connectionId, { expectedNextRun } = {}) {
+  return updateScheduleAtomically(store, connectionId, (schedule) => {
+    if (isLocked(schedule)) {
+      return null;
+    }
+
+    const update = {
+      runningSince: new Date().toISOString(),
+      runningOn: INSTANCE_ID,
+    };
+
+    if (expectedNextRun !== undefined) {
+      if (!schedule.enabled || schedule.nextRun !== expectedNextRun) {
+        return null;
+      }
+      update.nextRun = computeNextRun(schedule);
+    }
+
+    return update;
+  });
+}
+
+// Schedules with a run in progress refresh their lock this often, so a long
+// collection is never taken for one of a dead instance
+const LOCK_REFRESH_MS = Math.max(Math.floor(RUN_LOCK_TIMEOUT_MS / 3), 1000);
+
+/**
+ * Record a finished run on the schedule and release its run lock
+ * @param {Object} settled - { result } or { error } of the collection
+ * @returns {Promise<Object>} Run outcome as recorded on the schedule
+ */
+async function recordOutcome(store, connectionId, trigger, startedAt, { result, error }) {
+  const outcome = {
+    lastRun: startedAt.toISOString(),
+    lastTrigger: trigger,
+  };
+
+  if (error) {
+    console.error(`[scheduler] ${connectionId} collection failed:`, error.message);
+    Object.assign(outcome, {
+      lastStatus: 'error',
+      lastRunId: error.runId || null,
+      lastError: error.message,
+      lastWarning: null,
+      lastResult: null,
+    });
+  } else {
+    Object.assign(outcome, {
+      lastStatus: 'success',
+      lastRunId: result.runId,
+      lastError: null,
+      lastWarning: result.warning || null,
+      lastResult: {
+        costsCollected: result.costsCollected,
+        newRecords: result.newRecords,
+        updatedRecords: result.updatedRecords,
+        partialFailures: (result.partialFailures || []).length,
+      },
+    });
+  }
+
+  outcome.lastDurationMs = Date.now() - startedAt.getTime();
+
+  await updateSchedule(store, connectionId, {
+    ...outcome,
+    runningSince: null,
+    runningOn: null,
+  });
+
+  return outcome;
+}
+
+/**
+ * Refresh the run lock of a schedule until stopped
+ * @returns {Function} Stop refreshing
+ */
+function keepRunLock(store, connectionId) {
+  const interval = setInterval(() => {
+    updateScheduleAtomically(store, connectionId, schedule => (
+      schedule.runningOn === INSTANCE_ID ? { runningSince: new Date().toISOString() } : null
+    )).catch((error) => {
+      console.error(`[scheduler] Could not refresh the run lock of ${connectionId}:`, error.message);
+    });
+  }, LOCK_REFRESH_MS);
+  interval.unref();
+
+  return () => clearInterval(interval);
+}
+
+/**
+ * Queue a collection on the same queue as POST /api/costs/collect. The
+ * outcome is recorded on the schedule, and the run lock released, when the
+ * collection finishes. The caller must hold the run lock.
+ * @param {Object} appLocals - { store, secrets, collectionQueue }
+ * @param {string} connectionId - Connection identifier (schedules are keyed by connection)
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Promise<Object>} The queued run, { runId, serviceId, connectionId,
+ *   status, alreadyQueued, finished }, where `finished` resolves with the
+ *   outcome recorded on the schedule
+ * @throws {Error} If the collection could not be queued, with `status` 400
+ *   for configuration problems; the failure is recorded on the schedule
+ */
+async function runCollection(appLocals, connectionId, trigger) {
+  const { store } = appLocals;
+  const startedAt = new Date();
+
+  let queued;
+  try {
+    queued = await appLocals.collectionQueue.enqueue(connectionId, { trigger });
+  } catch (error) {
+    await recordOutcome(store, connectionId, trigger, startedAt, { error });
+    throw error;
+  }
+
+  const { done, ...run } = queued;
+  const stopLock = keepRunLock(store, connectionId);
+  const finished = done
+    .then(result => ({ result }), error => ({ error }))
+    .then((settled) => {
+      stopLock();
+      return recordOutcome(store, connectionId, trigger, startedAt, settled);
+    })
+    .catch((error) => {
+      console.error(`[scheduler] Could not record the outcome of ${connectionId}:`, error.message);
+      return null;
+    });
+
+  return { ...run, finished };
+}
+
+/**
+ * Check all enabled schedules once and queue the ones that are due. Runs are
+ * not waited for, so a slow provider doesn't hold up the other schedules.
+ * @returns {Promise<Array<Promise>>} Outcomes of the queued runs, as `finished`
+ */
+async function runDueSchedules(appLocals) {
+  const { store } = appLocals;
+  const schedules = await listSchedules(store, { enabled: true });
+  const now = new Date();
+  const started = [];
+
+  for (const { connectionId, schedule } of schedules) {
+    try {
+      if (!schedule.nextRun) {
+        // Schedules saved before the scheduler existed have no nextRun yet
+        await updateSchedule(store, connectionId, { nextRun: computeNextRun(schedule, now) });
+        continue;
+      }
+
+      if (new Date(schedule.nextRun) > now) {
+        continue;
+      }
+
+      const acquired = await acquireRun(store, connectionId, { expectedNextRun: schedule.nextRun });
+      if (!acquired) {
+        continue; // Another instance fired it, or a run is already in progress
+      }
+
+      console.log(`[scheduler] Running ${connectionId} (due ${schedule.nextRun})`);
+      const { finished } = await runCollection(appLocals, connectionId, 'schedule');
+      started.push(finished);
+    } catch (error) {
+      console.error(`[scheduler] Error processing schedule ${connectionId}:`, error);
+    }
+  }
+
+  return started;
+}
+
+/**
+ * Start polling the schedules collection
+ * @param {Object} appLocals - { store, secrets, collectionQueue }
+ * @returns {Object} { stop }
+ */
+function startScheduler(appLocals, { pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  let busy = false;
+
+  const poll = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await runDueSchedules(appLocals);
+    } catch (error) {
+      console.error('Error polling schedules:', error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const interval = setInterval(poll, pollIntervalMs);
+  interval.unref();
+  poll();
+
+  console.log(`Scheduler ${INSTANCE_ID} started (poll every ${pollIntervalMs}ms)`);
+
+  return {
+    stop: () => clearInterval(interval),
+  };
+}
+
+module.exports = {
+  computeNextRun,
+  acquireRun,
+  runCollection,
+  runDueSchedules,
+  startScheduler,
+};
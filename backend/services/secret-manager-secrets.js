@@ -0,0 +1,117 @@
+// services/secret-manager-secrets.js - Secrets stored in Google Secret Manager
+const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+
+// gRPC status codes returned for missing secrets and disabled versions
+const NOT_FOUND = 5;
+const FAILED_PRECONDITION = 9;
+
+function normalizeError(error) {
+  if (error.code === NOT_FOUND) {
+    error.code = 'not-found';
+  } else if (error.code === FAILED_PRECONDITION) {
+    error.code = 'failed-precondition';
+  }
+  return error;
+}
+
+// Version resource names end in /versions/<number>
+function getVersionId(versionName) {
+  return versionName.split('/').pop();
+}
+
+/**
+ * Create the Secret Manager secrets backend. See services/secrets.js for the
+ * interface shared with the local backend. Secret Manager encrypts secrets
+ * with Google-managed or customer-managed keys, so there is no rotateKey.
+ * @param {Object} options - { projectId }
+ */
+function createSecretManagerSecrets({ projectId }) {
+  const secretManager = new SecretManagerServiceClient();
+  const getSecretPath = name => `projects/${projectId}/secrets/${name}`;
+
+  return {
+    backend: 'secret-manager',
+
+    async access(name, version = 'latest') {
+      try {
+        const [secretVersion] = await secretManager.accessSecretVersion({
+          name: `${getSecretPath(name)}/versions/${version}`
+        });
+        return secretVersion.payload.data.toString('utf8');
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async put(name, value) {
+      try {
+        // Check if secret exists
+        await secretManager.getSecret({ name: getSecretPath(name) });
+      } catch (error) {
+        if (error.code !== NOT_FOUND) {
+          throw error;
+        }
+        await secretManager.createSecret({
+          parent: `projects/${projectId}`,
+          secretId: name,
+          secret: {
+            replication: {
+              automatic: {}
+            }
+          }
+        });
+      }
+
+      const [version] = await secretManager.addSecretVersion({
+        parent: getSecretPath(name),
+        payload: {
+          data: Buffer.from(value, 'utf8')
+        }
+      });
+      return getVersionId(version.name);
+    },
+
+    async listVersions(name) {
+      try {
+        const [versions] = await secretManager.listSecretVersions({ parent: getSecretPath(name) });
+        return versions.map(version => ({
+          version: getVersionId(version.name),
+          createdAt: version.createTime
+            ? new Date(Number(version.createTime.seconds) * 1000).toISOString()
+            : null,
+          state: String(version.state).toLowerCase(),
+        }));
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async disableVersion(name, version) {
+      try {
+        await secretManager.disableSecretVersion({ name: `${getSecretPath(name)}/versions/${version}` });
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async enableVersion(name, version) {
+      try {
+        await secretManager.enableSecretVersion({ name: `${getSecretPath(name)}/versions/${version}` });
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async delete(name) {
+      try {
+        await secretManager.deleteSecret({ name: getSecretPath(name) });
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createSecretManagerSecrets,
+};
@@ -0,0 +1,59 @@
+// services/secrets.js - Select the secrets backend (SECRETS_BACKEND)
+const path = require('path');
+const { createSecretManagerSecrets } = require('./secret-manager-secrets');
+const { createLocalSecrets } = require('./local-secrets');
+const { getStorageConfig } = require('./storage');
+
+/**
+ * Both backends implement the same interface. Secrets are UTF-8 strings
+ * identified by name, and every put adds a numbered version:
+ * - access(name, version = 'latest') → value; fails with code 'not-found',
+ *   or 'failed-precondition' when the version is disabled
+ * - put(name, value) → create the secret if needed, store the value as a
+ *   new version and return its version number as a string
+ * - listVersions(name) → [{ version, createdAt, state }], newest first;
+ *   state is 'enabled' or 'disabled' ('destroyed' in Secret Manager)
+ * - disableVersion(name, version), enableVersion(name, version)
+ * - delete(name) → delete the secret and all its versions; fails with
+ *   code 'not-found'
+ * The local backend also has rotateKey(newMasterKey), see
+ * scripts/rotate-secrets-key.js.
+ */
+const SECRETS_BACKENDS = ['secret-manager', 'local'];
+
+/**
+ * Secrets settings from the environment. Without SECRETS_BACKEND, local
+ * storage keeps its secrets locally too.
+ * @param {Object} env - Environment variables
+ * @param {Object} storageConfig - Result of getStorageConfig
+ * @returns {Object} { backend, projectId, file, masterKey }
+ */
+function getSecretsConfig(env = process.env, storageConfig = getStorageConfig(env)) {
+  const backend = env.SECRETS_BACKEND || (storageConfig.backend === 'local' ? 'local' : 'secret-manager');
+  if (!SECRETS_BACKENDS.includes(backend)) {
+    throw new Error(`SECRETS_BACKEND must be one of ${SECRETS_BACKENDS.join(', ')}`);
+  }
+
+  return {
+    backend,
+    projectId: storageConfig.projectId,
+    file: path.resolve(env.LOCAL_SECRETS_FILE || path.join(storageConfig.dataDir, 'secrets.json')),
+    masterKey: env.LOCAL_SECRETS_KEY,
+  };
+}
+
+/**
+ * Create the configured secrets backend
+ */
+function createSecrets(config = getSecretsConfig()) {
+  if (config.backend === 'local') {
+    return createLocalSecrets({ file: config.file, masterKey: config.masterKey });
+  }
+  return createSecretManagerSecrets({ projectId: config.projectId });
+}
+
+module.exports = {
+  SECRETS_BACKENDS,
+  getSecretsConfig,
+  createSecrets,
+};
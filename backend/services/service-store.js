@@ -0,0 +1,33 @@
+// services/service-store.js - Per-provider service settings
+const SERVICES_COLLECTION = 'services';
+
+/**
+ * Stored settings of a provider (enabled, billingCycleStart, predictedCost),
+ * or null if none were saved
+ * @param {Object} store - Storage backend (services/storage.js)
+ */
+function getServiceSettings(store, serviceId) {
+  return store.get(SERVICES_COLLECTION, serviceId);
+}
+
+/**
+ * Settings of every provider that has any
+ * @returns {Promise<Array<Object>>} [{ serviceId, settings }]
+ */
+async function listServiceSettings(store) {
+  const docs = await store.query(SERVICES_COLLECTION);
+  return docs.map(doc => ({ serviceId: doc.id, settings: doc.data }));
+}
+
+/**
+ * Merge changed settings into a provider's stored settings
+ */
+function updateServiceSettings(store, serviceId, settings) {
+  return store.set(SERVICES_COLLECTION, serviceId, settings, { merge: true });
+}
+
+module.exports = {
+  getServiceSettings,
+  listServiceSettings,
+  updateServiceSettings,
+};
@@ -0,0 +1,18 @@
+// services/status-store.js - Collection statuses written before run history existed
+const STATUS_COLLECTION = 'collection_status';
+
+/**
+ * Legacy statuses keyed by connectionId. Current statuses are derived from
+ * collection runs (see getLatestRunStatus in run-history.js); these only
+ * cover connections that haven't run since.
+ * @param {Object} store - Storage backend (services/storage.js)
+ * @returns {Promise<Object>} Status documents keyed by connectionId
+ */
+async function listLegacyStatuses(store) {
+  const docs = await store.query(STATUS_COLLECTION);
+  return Object.fromEntries(docs.map(doc => [doc.id, doc.data]));
+}
+
+module.exports = {
+  listLegacyStatuses,
+};
@@ -0,0 +1,61 @@
+// services/storage.js - Select the document storage backend (STORAGE_BACKEND)
+const path = require('path');
+const { createFirestoreStorage } = require('./firestore-storage');
+const { createLocalStorage } = require('./local-storage');
+
+/**
+ * Both backends implement the same document storage interface. Documents are
+ * plain JSON objects identified by collection and ID:
+ * - get(collection, id) → data or null
+ * - getAll(collection, ids) → array of data or null, in the order of ids
+ * - set(collection, id, data, { merge }) → create or replace, or merge into the document
+ * - create(collection, id, data) → fails with code 'already-exists'
+ * - update(collection, id, fields) → fails with code 'not-found'
+ * - delete(collection, id)
+ * - add(collection, data) → new document ID
+ * - query(collection, { where, orderBy, limit, startAfter }) → [{ id, data }]
+ *   where is [[field, op, value]], orderBy is [[field, 'asc'|'desc']] and
+ *   startAfter is a document ID; fails with code 'not-found' when it doesn't exist
+ * - batch([{ type: 'set'|'update'|'delete', collection, id, data, merge }])
+ * - runTransaction(fn) → fn receives { get, set, update, delete } and may run more than once
+ * - check() → fails when the backend is unreachable
+ *
+ * Routes and services don't use the backend directly, only through the
+ * *-store.js modules and run-history.js.
+ */
+const STORAGE_BACKENDS = ['firestore', 'local'];
+
+const DEFAULT_LOCAL_DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Storage settings from the environment
+ * @returns {Object} { backend, projectId, dataDir }
+ */
+function getStorageConfig(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'firestore';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  return {
+    backend,
+    projectId: env.PROJECT_ID || env.GOOGLE_CLOUD_PROJECT,
+    dataDir: path.resolve(env.LOCAL_DATA_DIR || DEFAULT_LOCAL_DATA_DIR),
+  };
+}
+
+/**
+ * Create the configured storage backend
+ */
+function createStorage(config = getStorageConfig()) {
+  if (config.backend === 'local') {
+    return createLocalStorage({ dataDir: config.dataDir });
+  }
+  return createFirestoreStorage({ projectId: config.projectId });
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageConfig,
+  createStorage,
+};
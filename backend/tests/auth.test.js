@@ -0,0 +1,189 @@
+// tests/auth.test.js - Token verification, verifiers and the auth middleware
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const { signHs256, verifyHs256, checkClaims } = require('../services/auth-tokens');
+const { createApiKeyVerifier, createDevVerifier, createOidcVerifier } = require('../services/auth-verifiers');
+const { createAuthenticator, requireAuth, requireStreamAuth } = require('../services/auth');
+
+const SECRET = 'test-session-secret';
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('HS256 tokens', () => {
+  test('verify the tokens they sign', () => {
+    const token = signHs256({ iss: 'test', sub: 'user', exp: now() + 60 }, SECRET);
+    expect(verifyHs256(token, SECRET, { issuer: 'test' })).toMatchObject({ iss: 'test', sub: 'user' });
+  });
+
+  test('reject another secret and a changed payload', () => {
+    const token = signHs256({ iss: 'test', sub: 'user', exp: now() + 60 }, SECRET);
+    expect(() => verifyHs256(token, 'other-secret', { issuer: 'test' })).toThrow('Invalid token signature');
+
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ iss: 'test', sub: 'admin', exp: now() + 60 })).toString('base64url');
+    expect(() => verifyHs256(`${header}.${forged}.${signature}`, SECRET, { issuer: 'test' })).toThrow('Invalid token signature');
+  });
+
+  test('reject expired tokens, beyond the clock skew', () => {
+    const token = signHs256({ iss: 'test', exp: now() - 120 }, SECRET);
+    expect(() => verifyHs256(token, SECRET, { issuer: 'test' })).toThrow('Token expired');
+
+    const withinSkew = signHs256({ iss: 'test', exp: now() - 10 }, SECRET);
+    expect(verifyHs256(withinSkew, SECRET, { issuer: 'test' }).iss).toBe('test');
+  });
+
+  test('reject tokens of another issuer', () => {
+    const token = signHs256({ iss: 'billing-manager-stream', exp: now() + 60 }, SECRET);
+    expect(() => verifyHs256(token, SECRET, { issuer: 'billing-manager-reveal' })).toThrow('Unexpected token issuer');
+  });
+
+  test('reject unsigned tokens', () => {
+    const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ iss: 'test', exp: now() + 60 })).toString('base64url');
+    const error = (() => {
+      try {
+        verifyHs256(`${header}.${payload}.`, SECRET, { issuer: 'test' });
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    })();
+    expect(error).toMatchObject({ message: 'Unexpected token algorithm', status: 401 });
+  });
+
+  test('check the audience', () => {
+    expect(() => checkClaims({ exp: now() + 60, aud: ['a', 'b'] }, { audience: 'b' })).not.toThrow();
+    expect(() => checkClaims({ exp: now() + 60, aud: 'a' }, { audience: 'b' })).toThrow('Unexpected token audience');
+  });
+});
+
+describe('API key verifier', () => {
+  const verifier = createApiKeyVerifier({ keys: 'ci:first-key:analyst, deploy:second-key' });
+
+  test('identifies the caller by key, with its role', async () => {
+    expect(await verifier.verify('first-key')).toMatchObject({
+      id: 'api-key:ci',
+      provider: 'api-key',
+      role: 'analyst',
+      emailVerified: false,
+      authTime: null,
+    });
+    const withoutRole = await verifier.verify('second-key');
+    expect(withoutRole.id).toBe('api-key:deploy');
+    expect(withoutRole).not.toHaveProperty('role');
+  });
+
+  test('rejects unknown keys of any length', async () => {
+    await expect(verifier.verify('first-keY')).rejects.toMatchObject({ status: 401, message: 'Invalid API key' });
+    await expect(verifier.verify('x')).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('leaves JWTs to the other verifiers', async () => {
+    expect(await verifier.verify(signHs256({ exp: now() + 60 }, SECRET))).toBeNull();
+  });
+
+  test('requires keys with a valid role', () => {
+    expect(() => createApiKeyVerifier({ keys: '' })).toThrow('AUTH_API_KEYS');
+    expect(() => createApiKeyVerifier({ keys: 'ci:key:owner' })).toThrow('must be one of');
+  });
+});
+
+describe('dev verifier', () => {
+  test('is refused in production', () => {
+    expect(() => createDevVerifier({ secret: SECRET, production: true })).toThrow('cannot be used in production');
+    expect(() => createAuthenticator({ AUTH_PROVIDERS: 'dev', NODE_ENV: 'production', AUTH_SESSION_SECRET: SECRET }))
+      .toThrow('cannot be used in production');
+  });
+
+  test('verifies the tokens it issues', async () => {
+    const verifier = createDevVerifier({ secret: SECRET, production: false });
+    const { token } = verifier.issueToken({ email: 'jane@example.com' });
+    expect(await verifier.verify(token)).toMatchObject({ id: 'dev:jane@example.com', provider: 'dev', emailVerified: true });
+  });
+});
+
+describe('OIDC verifier', () => {
+  const issuer = 'https://issuer.example.com';
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const signRs256 = (payload) => {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', kid: 'key-1' })).toString('base64url');
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), privateKey).toString('base64url');
+    return `${header}.${body}.${signature}`;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }] } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes the sign-in time from auth_time only', async () => {
+    const verifier = createOidcVerifier({ issuer, clientId: 'app', jwksUri: `${issuer}/jwks` });
+    const claims = { iss: issuer, aud: 'app', sub: 'u1', email: 'a@example.com', iat: now(), exp: now() + 60 };
+
+    expect(await verifier.verify(signRs256({ ...claims, auth_time: now() - 3600 }))).toMatchObject({
+      id: 'oidc:u1',
+      authTime: now() - 3600,
+      emailVerified: false,
+    });
+    // A refreshed token has a new iat, which is not a new sign-in
+    expect((await verifier.verify(signRs256(claims))).authTime).toBeNull();
+  });
+
+  test('rejects tokens for another audience', async () => {
+    const verifier = createOidcVerifier({ issuer, clientId: 'app', jwksUri: `${issuer}/jwks` });
+    const token = signRs256({ iss: issuer, aud: 'other-app', sub: 'u1', exp: now() + 60 });
+    await expect(verifier.verify(token)).rejects.toMatchObject({ status: 401, message: 'Unexpected token audience' });
+  });
+});
+
+describe('createAuthenticator', () => {
+  test('requires AUTH_PROVIDERS', () => {
+    expect(() => createAuthenticator({})).toThrow('AUTH_PROVIDERS is not set');
+    expect(() => createAuthenticator({ AUTH_PROVIDERS: 'ldap' })).toThrow('Unknown authentication provider(s): ldap');
+  });
+});
+
+describe('requireAuth and requireStreamAuth', () => {
+  const auth = createAuthenticator({ AUTH_PROVIDERS: 'dev,api-key', AUTH_API_KEYS: 'ci:ci-key', AUTH_SESSION_SECRET: SECRET });
+  const app = express();
+  app.locals.auth = auth;
+  app.get('/api/costs/runs/events', requireStreamAuth, (req, res) => res.json({ userId: req.user.id }));
+  app.get('/api/costs', requireAuth, (req, res) => res.json({ userId: req.user.id }));
+
+  const devToken = auth.getVerifier('dev').issueToken({ email: 'jane@example.com' }).token;
+
+  test('accept a valid bearer token or API key', async () => {
+    await request(app).get('/api/costs').set('Authorization', `Bearer ${devToken}`)
+      .expect(200, { userId: 'dev:jane@example.com' });
+    await request(app).get('/api/costs').set('X-API-Key', 'ci-key').expect(200, { userId: 'api-key:ci' });
+    await request(app).get('/api/costs/runs/events').set('Authorization', `Bearer ${devToken}`).expect(200);
+  });
+
+  test('reject requests without a token', async () => {
+    const response = await request(app).get('/api/costs').expect(401);
+    expect(response.body).toEqual({ error: 'Authentication required' });
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    await request(app).get('/api/costs/runs/events').expect(401);
+  });
+
+  test('reject invalid tokens', async () => {
+    await request(app).get('/api/costs').set('Authorization', `Bearer ${devToken}x`).expect(401);
+    await request(app).get('/api/costs').set('Authorization', 'Bearer wrong-key').expect(401);
+    const foreign = signHs256({ iss: 'billing-manager-dev', sub: 'x', exp: now() + 60 }, 'other-secret');
+    await request(app).get('/api/costs').set('Authorization', `Bearer ${foreign}`).expect(401);
+  });
+
+  test('accept stream tokens only on the event stream', async () => {
+    const { token } = auth.issueStreamToken({ id: 'dev:jane@example.com' });
+    await request(app).get('/api/costs/runs/events').query({ streamToken: token })
+      .expect(200, { userId: 'dev:jane@example.com' });
+    await request(app).get('/api/costs').query({ streamToken: token }).expect(401);
+    await request(app).get('/api/costs/runs/events').query({ streamToken: `${token}x` }).expect(401);
+  });
+});
@@ -0,0 +1,73 @@
+// tests/aws-collector.test.js - AWS collector configuration and credential checks
+process.env.PROVIDER_RETRY_BASE_MS = '1';
+
+const { STSClient } = require('@aws-sdk/client-sts');
+const { verifyAWSCredentials } = require('../services/aws-collector');
+
+describe('AWS_FORECAST_PREDICTION_INTERVAL', () => {
+  const original = process.env.AWS_FORECAST_PREDICTION_INTERVAL;
+
+  const load = (value) => {
+    process.env.AWS_FORECAST_PREDICTION_INTERVAL = value;
+    let collector;
+    jest.isolateModules(() => {
+      collector = require('../services/aws-collector');
+    });
+    return collector;
+  };
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.AWS_FORECAST_PREDICTION_INTERVAL;
+    } else {
+      process.env.AWS_FORECAST_PREDICTION_INTERVAL = original;
+    }
+  });
+
+  test.each(['51', '80', '99'])('accepts %s', (value) => {
+    expect(load(value).collector.id).toBe('aws');
+  });
+
+  test.each(['50', '100', '0', 'high'])('refuses to load with %s', (value) => {
+    expect(() => load(value)).toThrow('AWS_FORECAST_PREDICTION_INTERVAL must be a whole number from 51 to 99');
+  });
+});
+
+describe('verifyAWSCredentials', () => {
+  const credentials = { credentialType: 'access-key', accessKeyId: 'AKIA', secretAccessKey: 'secret', region: 'us-east-1' };
+  const identity = { Arn: 'arn:aws:iam::111111111111:user/billing', Account: '111111111111' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends the identity check with a timeout signal and retries throttling once', async () => {
+    const throttled = Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+    const send = jest.spyOn(STSClient.prototype, 'send')
+      .mockRejectedValueOnce(throttled)
+      .mockResolvedValueOnce(identity);
+
+    const result = await verifyAWSCredentials(credentials, '1111-1111-1111');
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[0][1].abortSignal).toBeInstanceOf(AbortSignal);
+    expect(result.checks.find(check => check.id === 'identity')).toMatchObject({ status: 'passed' });
+  });
+
+  test('fails the identity check without retrying a rejected key', async () => {
+    const rejected = Object.assign(new Error('The security token included in the request is invalid'), { name: 'InvalidClientTokenId' });
+    const send = jest.spyOn(STSClient.prototype, 'send').mockRejectedValue(rejected);
+
+    const result = await verifyAWSCredentials(credentials);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(result.checks.find(check => check.id === 'identity')).toMatchObject({
+      status: 'failed',
+      message: 'InvalidClientTokenId: The security token included in the request is invalid',
+    });
+  });
+});
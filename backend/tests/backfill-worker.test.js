@@ -0,0 +1,239 @@
+// tests/backfill-worker.test.js - Backfill chunking, claims, heartbeats, resume and cancellation
+// Short enough for the heartbeat to tick during a test
+process.env.BACKFILL_STALE_JOB_MS = '3000';
+process.env.BACKFILL_CHUNK_DAYS = '7';
+
+const { register } = require('../services/collector-registry');
+const { buildChunks, claimJob, runJob } = require('../services/backfill-worker');
+const { createJob, getJob, updateJob } = require('../services/job-store');
+const { saveCredentialMetadata, saveConnectionSecret } = require('../services/credential-store');
+const { createTestBackends } = require('./helpers');
+
+const SERVICE_ID = 'fake-backfill';
+
+const collectRange = jest.fn();
+
+register({
+  id: SERVICE_ID,
+  name: 'Fake Backfill Provider',
+  credentialFields: [{ key: 'apiKey', label: 'API key', type: 'password', required: true }],
+  metadataFields: [],
+  capabilities: { dateRange: true },
+  collectCurrent: async () => ({ costs: [], count: 0 }),
+  collectRange: (...args) => collectRange(...args),
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One cost record per chunk, dated on its first day
+function chunkResult(credentials, metadata, start) {
+  return { costs: [{ timestamp: `${start}T00:00:00.000Z`, totalCost: 1, currency: 'USD' }], count: 1 };
+}
+
+let backends;
+
+beforeEach(async () => {
+  backends = createTestBackends();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  collectRange.mockReset();
+  collectRange.mockImplementation(async (...args) => chunkResult(...args));
+
+  const { secretName } = await saveConnectionSecret(backends.secrets, SERVICE_ID, { apiKey: 'key' });
+  await saveCredentialMetadata(backends.store, SERVICE_ID, { secretName });
+});
+
+afterEach(() => {
+  backends.cleanup();
+  jest.restoreAllMocks();
+});
+
+async function createPendingJob(jobId, fields = {}) {
+  await createJob(backends.store, jobId, {
+    serviceId: SERVICE_ID,
+    connectionId: SERVICE_ID,
+    startDate: '2025-01-01',
+    endDate: '2025-01-20',
+    status: 'pending',
+    progress: 0,
+    createdAt: new Date().toISOString(),
+    ...fields,
+  });
+}
+
+async function claimAndRun(jobId) {
+  const job = await claimJob(backends.store, jobId);
+  await runJob(backends, jobId, job);
+  return getJob(backends.store, jobId);
+}
+
+async function getRuns(jobId) {
+  const docs = await backends.store.query('collection_runs', { where: [['jobId', '==', jobId]] });
+  return docs.map(doc => doc.data);
+}
+
+describe('buildChunks', () => {
+  test('splits a range into chunks of at most seven days', () => {
+    expect(buildChunks('2025-01-01', '2025-01-20')).toEqual([
+      { start: '2025-01-01', end: '2025-01-08', days: 7 },
+      { start: '2025-01-08', end: '2025-01-15', days: 7 },
+      { start: '2025-01-15', end: '2025-01-20', days: 5 },
+    ]);
+  });
+
+  test('uses whole UTC days and returns nothing for an empty range', () => {
+    expect(buildChunks('2025-01-01T18:00:00Z', '2025-01-03', 30)).toEqual([{ start: '2025-01-01', end: '2025-01-03', days: 2 }]);
+    expect(buildChunks('2025-01-05', '2025-01-05')).toEqual([]);
+  });
+});
+
+describe('claimJob', () => {
+  test('claims a pending job once', async () => {
+    await createPendingJob('job-1');
+
+    const [first, second] = await Promise.all([claimJob(backends.store, 'job-1'), claimJob(backends.store, 'job-1')]);
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(await getJob(backends.store, 'job-1')).toMatchObject({ status: 'running', heartbeatAt: expect.any(String) });
+  });
+
+  test('leaves running jobs with a recent heartbeat to their worker', async () => {
+    await createPendingJob('job-1', { status: 'running', workerId: 'other-worker', heartbeatAt: new Date().toISOString() });
+    expect(await claimJob(backends.store, 'job-1')).toBeNull();
+  });
+
+  test('takes over running jobs with a stale heartbeat', async () => {
+    const startedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    await createPendingJob('job-1', {
+      status: 'running',
+      workerId: 'other-worker',
+      startedAt,
+      heartbeatAt: new Date(Date.now() - 5000).toISOString(),
+    });
+
+    expect(await claimJob(backends.store, 'job-1')).not.toBeNull();
+    const job = await getJob(backends.store, 'job-1');
+    expect(job.workerId).not.toBe('other-worker');
+    expect(job.startedAt).toBe(startedAt);
+  });
+
+  test('does not claim finished or cancelled jobs', async () => {
+    await createPendingJob('job-1', { status: 'cancelled' });
+    await createPendingJob('job-2', { status: 'completed' });
+    expect(await claimJob(backends.store, 'job-1')).toBeNull();
+    expect(await claimJob(backends.store, 'job-2')).toBeNull();
+  });
+});
+
+describe('runJob', () => {
+  test('collects the range chunk by chunk and completes the job', async () => {
+    await createPendingJob('job-1');
+
+    const job = await claimAndRun('job-1');
+
+    expect(collectRange.mock.calls.map(([, , start, end]) => [start, end])).toEqual([
+      ['2025-01-01', '2025-01-08'],
+      ['2025-01-08', '2025-01-15'],
+      ['2025-01-15', '2025-01-20'],
+    ]);
+    expect(job).toMatchObject({
+      status: 'completed',
+      progress: 100,
+      processedThrough: '2025-01-20',
+      costsCollected: 3,
+      newRecords: 3,
+    });
+    expect(await getRuns('job-1')).toEqual([
+      expect.objectContaining({ status: 'success', trigger: 'backfill', costsCollected: 3, startDate: '2025-01-01', endDate: '2025-01-19' }),
+    ]);
+  });
+
+  test('resumes after the last processed chunk, keeping the totals', async () => {
+    await createPendingJob('job-1', {
+      status: 'running',
+      workerId: 'dead-worker',
+      heartbeatAt: new Date(Date.now() - 5000).toISOString(),
+      processedThrough: '2025-01-08',
+      costsCollected: 1,
+      newRecords: 1,
+      updatedRecords: 0,
+    });
+
+    const job = await claimAndRun('job-1');
+
+    expect(collectRange.mock.calls.map(([, , start]) => start)).toEqual(['2025-01-08', '2025-01-15']);
+    expect(job).toMatchObject({ status: 'completed', costsCollected: 3, newRecords: 3 });
+    // The resumed run only counts its own chunks
+    expect((await getRuns('job-1'))[0]).toMatchObject({ costsCollected: 2, startDate: '2025-01-08' });
+  });
+
+  test('stops between chunks when the job is cancelled', async () => {
+    await createPendingJob('job-1');
+    collectRange.mockImplementationOnce(async (...args) => {
+      await updateJob(backends.store, 'job-1', { status: 'cancelled', cancelledAt: new Date().toISOString() });
+      return chunkResult(...args);
+    });
+
+    const job = await claimAndRun('job-1');
+
+    expect(collectRange).toHaveBeenCalledTimes(1);
+    expect(job.status).toBe('cancelled');
+    expect(job.processedThrough).toBeUndefined();
+    expect((await getRuns('job-1'))[0].status).toBe('cancelled');
+  });
+
+  test('fails the job when a chunk fails', async () => {
+    await createPendingJob('job-1');
+    collectRange
+      .mockImplementationOnce(async (...args) => chunkResult(...args))
+      .mockRejectedValueOnce(new Error('Throttled'));
+
+    const job = await claimAndRun('job-1');
+
+    expect(job).toMatchObject({
+      status: 'failed',
+      error: 'Collection failed for 2025-01-08 to 2025-01-15: Throttled',
+      processedThrough: '2025-01-08',
+    });
+    expect((await getRuns('job-1'))[0].status).toBe('error');
+  });
+
+  test('refreshes the heartbeat while a chunk is collected', async () => {
+    await createPendingJob('job-1', { endDate: '2025-01-02' });
+    const heartbeats = [];
+    collectRange.mockImplementationOnce(async (...args) => {
+      heartbeats.push((await getJob(backends.store, 'job-1')).heartbeatAt);
+      await wait(1300);
+      heartbeats.push((await getJob(backends.store, 'job-1')).heartbeatAt);
+      return chunkResult(...args);
+    });
+
+    expect((await claimAndRun('job-1')).status).toBe('completed');
+    expect(heartbeats[1] > heartbeats[0]).toBe(true);
+  });
+
+  test('leaves a chunk to the worker that took the job over while it ran', async () => {
+    await createPendingJob('job-1');
+    collectRange.mockImplementationOnce(async (...args) => {
+      await updateJob(backends.store, 'job-1', { workerId: 'other-worker', heartbeatAt: new Date().toISOString() });
+      // Long enough for the heartbeat to notice
+      await wait(1300);
+      return chunkResult(...args);
+    });
+
+    const job = await claimAndRun('job-1');
+
+    expect(collectRange).toHaveBeenCalledTimes(1);
+    expect(job).toMatchObject({ status: 'running', workerId: 'other-worker' });
+    expect(job.processedThrough).toBeUndefined();
+    expect(await backends.store.get('costs', `${SERVICE_ID}_2025-01-01`)).toBeNull();
+  });
+
+  test('fails jobs of connections without credentials', async () => {
+    await createPendingJob('job-1', { connectionId: 'missing-connection' });
+
+    const job = await claimAndRun('job-1');
+
+    expect(job).toMatchObject({ status: 'failed', error: 'No credentials configured for this service' });
+    expect(collectRange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+// tests/costs.test.js - Resource costs by tag
+const express = require('express');
+const request = require('supertest');
+const { createAuthenticator, requireAuth } = require('../services/auth');
+const { storeCosts } = require('../services/cost-store');
+const { createTestBackends } = require('./helpers');
+
+function costExplorerRecord(timestamp, tagResources) {
+  return {
+    serviceId: 'aws',
+    timestamp,
+    totalCost: 10,
+    currency: 'USD',
+    resources: [
+      { resourceId: 'Amazon EC2', name: 'Amazon EC2', type: 'AWS Service', cost: 6, tags: {}, account: { id: '111111111111', name: 'Production', ouPath: null } },
+      { resourceId: 'Amazon S3', name: 'Amazon S3', type: 'AWS Service', cost: 4, tags: {}, account: { id: '111111111111', name: 'Production', ouPath: null } },
+    ],
+    tagResources,
+    metadata: { granularity: 'DAILY', source: 'AWS Cost Explorer', costMetric: 'UnblendedCost' },
+  };
+}
+
+const tagRow = (service, tags, cost) => ({ resourceId: service, name: service, type: 'AWS Service', cost, tags });
+
+describe('GET /api/costs/:serviceId/resources', () => {
+  let backends;
+  let app;
+
+  const get = query => request(app).get('/api/costs/aws/resources').set('X-API-Key', 'viewer-key').query(query);
+
+  beforeEach(async () => {
+    backends = createTestBackends();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.locals.store = backends.store;
+    app.locals.auth = createAuthenticator({ AUTH_PROVIDERS: 'api-key', AUTH_API_KEYS: 'viewer:viewer-key:viewer' });
+    app.use('/api', requireAuth);
+    app.use('/api/costs', require('../routes/costs'));
+
+    await storeCosts(backends.store, { serviceId: 'aws', connectionId: 'aws' }, [
+      costExplorerRecord('2025-01-01T00:00:00.000Z', {
+        team: [tagRow('Amazon EC2', { team: 'web' }, 5), tagRow('Amazon EC2', { team: 'untagged' }, 1), tagRow('Amazon S3', { team: 'data' }, 4)],
+        env: [tagRow('Amazon EC2', { env: 'prod' }, 6), tagRow('Amazon S3', { env: 'prod' }, 4)],
+      }),
+      // Collected before the tags were configured
+      costExplorerRecord('2025-01-02T00:00:00.000Z', null),
+    ]);
+  });
+
+  afterEach(() => {
+    backends.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('filters Cost Explorer spend by a tag through its split', async () => {
+    const response = await get({ tags: JSON.stringify({ team: 'web' }) }).expect(200);
+
+    expect(response.body.resources).toEqual([
+      expect.objectContaining({ resourceId: 'Amazon EC2', totalCost: 5, tags: { team: 'web' } }),
+    ]);
+    expect(response.body.tagKeys).toEqual(['env', 'team']);
+  });
+
+  test('filters the split broken down by', async () => {
+    const response = await get({ tagKey: 'team', tags: JSON.stringify({ team: 'data' }) }).expect(200);
+    expect(response.body.resources.map(resource => [resource.resourceId, resource.totalCost])).toEqual([['Amazon S3', 4]]);
+  });
+
+  test('rejects filters on several tags or another tag than tagKey', async () => {
+    await get({ tags: JSON.stringify({ team: 'web', env: 'prod' }) }).expect(400);
+    await get({ tagKey: 'env', tags: JSON.stringify({ team: 'web' }) }).expect(400);
+  });
+
+  test('rejects invalid tag filters', async () => {
+    await get({ tags: '{team' }).expect(400, { error: 'tags must be a JSON object of tag filters' });
+  });
+
+  test('reports service rows without a tag filter', async () => {
+    const response = await get({}).expect(200);
+    expect(response.body.resources.map(resource => [resource.resourceId, resource.totalCost])).toEqual([
+      ['Amazon EC2', 12],
+      ['Amazon S3', 8],
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+// tests/credentials.test.js - Saving connection credentials and metadata
+const express = require('express');
+const request = require('supertest');
+const { createAuthenticator, requireAuth } = require('../services/auth');
+const { getCredentialMetadata, readConnectionSecret } = require('../services/credential-store');
+const { createTestBackends } = require('./helpers');
+
+describe('POST /api/credentials/:connectionId', () => {
+  let backends;
+  let app;
+
+  const save = body => request(app).post('/api/credentials/aws').set('X-API-Key', 'admin-key').send(body);
+
+  beforeEach(() => {
+    backends = createTestBackends();
+    app = express();
+    app.use(express.json());
+    app.locals.store = backends.store;
+    app.locals.secrets = backends.secrets;
+    app.locals.auth = createAuthenticator({ AUTH_PROVIDERS: 'api-key', AUTH_API_KEYS: 'admin:admin-key:admin' });
+    app.use('/api', requireAuth);
+    app.use('/api/credentials', require('../routes/credentials'));
+  });
+
+  afterEach(() => {
+    backends.cleanup();
+  });
+
+  test('keeps metadata fields the request leaves out', async () => {
+    await save({
+      credentials: { accessKeyId: 'AKIAOLD', secretAccessKey: 'old-secret', region: 'us-east-1' },
+      accountId: '111111111111',
+      costAllocationTags: 'team,env',
+      granularity: 'HOURLY',
+    }).expect(200);
+
+    await save({ credentials: { accessKeyId: 'AKIANEW', secretAccessKey: 'new-secret', region: 'eu-west-1' } }).expect(200);
+
+    expect(await getCredentialMetadata(backends.store, 'aws')).toMatchObject({
+      accountId: '111111111111',
+      costAllocationTags: 'team,env',
+      granularity: 'HOURLY',
+      secretVersion: '2',
+    });
+  });
+
+  test('replaces metadata fields the request sends and clears those sent empty', async () => {
+    await save({
+      credentials: { accessKeyId: 'AKIA', secretAccessKey: 'secret', region: 'us-east-1', accountId: '111111111111', costAllocationTags: 'team' },
+    }).expect(200);
+
+    await save({
+      credentials: { accessKeyId: 'AKIA', secretAccessKey: '', region: 'us-east-1', accountId: '222222222222', costAllocationTags: '' },
+    }).expect(200);
+
+    const metadata = await getCredentialMetadata(backends.store, 'aws');
+    expect(metadata.accountId).toBe('222222222222');
+    expect(metadata).not.toHaveProperty('costAllocationTags');
+    // The secret sent empty keeps its stored value
+    expect(await readConnectionSecret(backends.secrets, metadata.secretName)).toMatchObject({ secretAccessKey: 'secret' });
+  });
+});
@@ -0,0 +1,71 @@
+// tests/cron.test.js - Cron parsing and next run times
+const { FREQUENCY_CRON, parseCron, getNextCronTime, getScheduleCron } = require('../services/cron');
+
+const next = (expression, from) => getNextCronTime(expression, new Date(from)).toISOString();
+
+describe('getNextCronTime', () => {
+  test('runs hourly schedules at the top of the next hour', () => {
+    expect(next(FREQUENCY_CRON.hourly, '2025-01-01T10:15:30.000Z')).toBe('2025-01-01T11:00:00.000Z');
+    expect(next(FREQUENCY_CRON.hourly, '2025-01-01T23:00:00.000Z')).toBe('2025-01-02T00:00:00.000Z');
+  });
+
+  test('runs daily schedules at midnight UTC, after the start point', () => {
+    expect(next(FREQUENCY_CRON.daily, '2025-01-01T23:59:59.000Z')).toBe('2025-01-02T00:00:00.000Z');
+    expect(next(FREQUENCY_CRON.daily, '2025-01-02T00:00:00.000Z')).toBe('2025-01-03T00:00:00.000Z');
+  });
+
+  test('runs weekly schedules on Sunday', () => {
+    // 2025-01-01 is a Wednesday
+    expect(next(FREQUENCY_CRON.weekly, '2025-01-01T08:00:00.000Z')).toBe('2025-01-05T00:00:00.000Z');
+    expect(next(FREQUENCY_CRON.weekly, '2025-01-05T00:00:00.000Z')).toBe('2025-01-12T00:00:00.000Z');
+  });
+
+  test('handles steps, ranges and lists in custom expressions', () => {
+    expect(next('*/15 9-17 * * 1-5', '2025-01-01T09:07:00.000Z')).toBe('2025-01-01T09:15:00.000Z');
+    // Friday evening to Monday morning
+    expect(next('*/15 9-17 * * 1-5', '2025-01-03T17:50:00.000Z')).toBe('2025-01-06T09:00:00.000Z');
+    expect(next('0 6,18 * * *', '2025-01-01T06:00:00.000Z')).toBe('2025-01-01T18:00:00.000Z');
+    expect(next('30 2 * * MON-FRI', '2025-01-04T00:00:00.000Z')).toBe('2025-01-06T02:30:00.000Z');
+  });
+
+  test('skips months without the day of month', () => {
+    expect(next('0 0 31 * *', '2025-01-31T12:00:00.000Z')).toBe('2025-03-31T00:00:00.000Z');
+    expect(next('0 0 29 2 *', '2025-03-01T00:00:00.000Z')).toBe('2028-02-29T00:00:00.000Z');
+    expect(next('0 0 1 JAN *', '2025-12-31T12:00:00.000Z')).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 15th or any Monday
+    expect(next('0 0 15 * 1', '2025-01-02T00:00:00.000Z')).toBe('2025-01-06T00:00:00.000Z');
+    expect(next('0 0 15 * 1', '2025-01-13T00:00:00.000Z')).toBe('2025-01-15T00:00:00.000Z');
+  });
+
+  test('treats day of week 7 as Sunday', () => {
+    expect(next('0 0 * * 7', '2025-01-01T00:00:00.000Z')).toBe('2025-01-05T00:00:00.000Z');
+  });
+
+  test('fails for dates that never exist', () => {
+    expect(() => getNextCronTime('0 0 30 2 *', new Date('2025-01-01T00:00:00.000Z'))).toThrow('never matches');
+  });
+});
+
+describe('parseCron', () => {
+  test.each([
+    ['0 0 * *', '5 fields'],
+    ['60 * * * *', 'out of range'],
+    ['* 24 * * *', 'out of range'],
+    ['*/0 * * * *', 'Invalid step'],
+    ['0 0 5-1 * *', 'Invalid range'],
+    ['0 0 * FOO *', 'Invalid month value'],
+  ])('rejects "%s"', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('getScheduleCron', () => {
+  test('maps frequencies to cron expressions, daily by default', () => {
+    expect(getScheduleCron({ frequency: 'hourly' })).toBe(FREQUENCY_CRON.hourly);
+    expect(getScheduleCron({})).toBe(FREQUENCY_CRON.daily);
+    expect(getScheduleCron({ frequency: 'custom', customCron: '5 4 * * *' })).toBe('5 4 * * *');
+  });
+});
@@ -0,0 +1,166 @@
+// tests/cur-import.test.js - CUR aggregation, file formats and reconciliation
+const path = require('path');
+
+jest.mock('../services/aws-collector', () => ({
+  ...jest.requireActual('../services/aws-collector'),
+  getAWSDailyTotals: jest.fn(),
+}));
+
+const { getAWSDailyTotals } = require('../services/aws-collector');
+const { createCurAggregator, reconcileCosts, importCur } = require('../services/cur-import');
+const { createLocalStorage } = require('../services/local-storage');
+const { listCosts } = require('../services/cost-store');
+const { createTempDir } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'cur');
+
+function lineItem(fields = {}) {
+  return {
+    line_item_usage_start_date: '2025-01-01T00:00:00Z',
+    line_item_usage_account_id: '111111111111',
+    line_item_usage_account_name: 'Production',
+    line_item_line_item_type: 'Usage',
+    line_item_product_code: 'AmazonEC2',
+    line_item_usage_type: 'BoxUsage:t3.micro',
+    line_item_resource_id: 'i-0123456789abcdef0',
+    line_item_unblended_cost: '1',
+    line_item_currency_code: 'USD',
+    resource_tags: '{}',
+    ...fields,
+  };
+}
+
+describe('createCurAggregator', () => {
+  test('splits line items into charge categories', () => {
+    const aggregator = createCurAggregator();
+    aggregator.add(lineItem({ line_item_unblended_cost: '10' }));
+    aggregator.add(lineItem({ line_item_line_item_type: 'SavingsPlanCoveredUsage', line_item_unblended_cost: '2' }));
+    aggregator.add(lineItem({ line_item_line_item_type: 'Credit', line_item_unblended_cost: '-3' }));
+    aggregator.add(lineItem({ line_item_line_item_type: 'Refund', line_item_unblended_cost: '-1' }));
+    aggregator.add(lineItem({ line_item_line_item_type: 'Tax', line_item_unblended_cost: '1.5' }));
+    aggregator.add(lineItem({ line_item_line_item_type: 'RIFee', line_item_unblended_cost: '4' }));
+
+    const [cost] = aggregator.toCosts();
+    expect(cost.charges).toEqual({ usage: 12, credit: -3, refund: -1, tax: 1.5, fee: 4 });
+    expect(cost.totalCost).toBeCloseTo(13.5);
+    expect(cost.grossCost).toBeCloseTo(17.5);
+    expect(cost.metadata.lineItems).toBe(6);
+  });
+
+  test('keeps the most expensive resources and sums the rest into other', () => {
+    const aggregator = createCurAggregator({ maxResources: 2 });
+    ['i-a', 'i-b', 'i-c', 'i-d'].forEach((resourceId, index) => {
+      aggregator.add(lineItem({ line_item_resource_id: resourceId, line_item_unblended_cost: String(index + 1) }));
+    });
+
+    const [cost] = aggregator.toCosts();
+    expect(cost.resources.map(resource => [resource.resourceId, resource.cost])).toEqual([
+      ['i-d', 4],
+      ['i-c', 3],
+      ['other', 3],
+    ]);
+    expect(cost.resources[2]).toMatchObject({ name: '2 other resources', type: 'Other', account: null });
+  });
+
+  test('merges the tags of every line item of a resource', () => {
+    const aggregator = createCurAggregator();
+    aggregator.add(lineItem({ resource_tags: '{"user_team":"web"}' }));
+    aggregator.add(lineItem({ resource_tags: '{"user_env":"prod","aws_createdBy":"alice"}' }));
+    aggregator.add(lineItem({ resource_tags: '' }));
+
+    const [cost] = aggregator.toCosts();
+    expect(cost.resources).toHaveLength(1);
+    expect(cost.resources[0].tags).toEqual({ team: 'web', env: 'prod', aws_createdBy: 'alice' });
+  });
+
+  test('skips and counts line items without a valid usage start date', () => {
+    const aggregator = createCurAggregator();
+    aggregator.add(lineItem());
+    aggregator.add(lineItem({ line_item_usage_start_date: 'not-a-date' }));
+    aggregator.add(lineItem({ line_item_usage_start_date: '' }));
+
+    expect(aggregator.toCosts()).toHaveLength(1);
+    expect(aggregator.getSkippedRows()).toBe(2);
+  });
+});
+
+describe('importCur', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+  });
+
+  afterEach(() => {
+    tempDir.cleanup();
+  });
+
+  test.each(['cur-2025-01.csv', 'cur-2025-01.csv.gz', 'cur-2025-01.parquet'])('imports %s', async (fileName) => {
+    const store = createLocalStorage({ dataDir: tempDir.dir });
+
+    const result = await importCur({ store, secrets: null }, {
+      connectionId: 'aws',
+      source: { path: path.join(FIXTURES, fileName) },
+      reconcile: false,
+    });
+
+    expect(result).toMatchObject({
+      files: 1,
+      lineItems: 7,
+      skippedLineItems: 1,
+      days: 2,
+      startDate: '2025-01-01',
+      endDate: '2025-01-02',
+      newRecords: 2,
+    });
+
+    const costs = await listCosts(store, { serviceId: 'aws' });
+    const byDate = Object.fromEntries(costs.map(cost => [cost.timestamp.split('T')[0], cost]));
+
+    expect(byDate['2025-01-01'].totalCost).toBeCloseTo(2.55);
+    expect(byDate['2025-01-01'].charges).toMatchObject({ usage: 3.25, credit: -1, tax: 0.3 });
+    expect(byDate['2025-01-02'].charges).toMatchObject({ usage: 2, refund: -0.5 });
+
+    const instance = byDate['2025-01-01'].resources.find(resource => resource.resourceId === 'i-0123456789abcdef0');
+    expect(instance).toMatchObject({
+      type: 'AmazonEC2',
+      usageType: 'BoxUsage:t3.micro',
+      cost: 3,
+      tags: { team: 'web', env: 'prod' },
+      account: { id: '111111111111', name: 'Production', ouPath: null },
+    });
+  });
+});
+
+describe('reconcileCosts', () => {
+  afterEach(() => {
+    getAWSDailyTotals.mockReset();
+  });
+
+  test('compares daily totals with Cost Explorer within the tolerance', async () => {
+    getAWSDailyTotals.mockResolvedValue({ '2025-01-01': 100.05, '2025-01-02': 50 });
+
+    const aggregator = createCurAggregator();
+    aggregator.add(lineItem({ line_item_usage_start_date: '2025-01-01T00:00:00Z', line_item_unblended_cost: '100' }));
+    aggregator.add(lineItem({ line_item_usage_start_date: '2025-01-02T00:00:00Z', line_item_unblended_cost: '49' }));
+    aggregator.add(lineItem({ line_item_usage_start_date: '2025-01-03T00:00:00Z', line_item_unblended_cost: '0.005' }));
+    const costs = aggregator.toCosts();
+
+    const credentials = { accessKeyId: 'key' };
+    const reconciliation = await reconcileCosts(credentials, costs);
+
+    expect(getAWSDailyTotals).toHaveBeenCalledWith(credentials, '2025-01-01', '2025-01-04', 'UnblendedCost');
+    expect(reconciliation.map(day => [day.date, day.costExplorerTotal, day.matched])).toEqual([
+      ['2025-01-01', 100.05, true],
+      ['2025-01-02', 50, false],
+      ['2025-01-03', 0, true],
+    ]);
+    expect(reconciliation[1].difference).toBeCloseTo(-1);
+    expect(costs[1].metadata.reconciliation).toEqual({ costExplorerTotal: 50, difference: -1, matched: false });
+  });
+
+  test('does not call Cost Explorer without costs', async () => {
+    expect(await reconcileCosts({}, [])).toEqual([]);
+    expect(getAWSDailyTotals).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+// tests/helpers.js - Shared setup for the backend tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../services/local-storage');
+const { createLocalSecrets } = require('../services/local-secrets');
+
+/**
+ * A temporary directory, removed by the returned cleanup function
+ * @returns {Object} { dir, cleanup }
+ */
+function createTempDir(prefix = 'billing-manager-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Local storage and secrets backends in a temporary directory
+ * @returns {Object} { store, secrets, dir, cleanup }
+ */
+function createTestBackends() {
+  const { dir, cleanup } = createTempDir();
+  return {
+    store: createLocalStorage({ dataDir: dir }),
+    secrets: createLocalSecrets({ file: path.join(dir, 'secrets.json'), masterKey: 'test-master-key' }),
+    dir,
+    cleanup,
+  };
+}
+
+module.exports = {
+  createTempDir,
+  createTestBackends,
+};
@@ -0,0 +1,191 @@
+// tests/local-secrets.test.js - Local secrets encryption, file upgrade and key rotation
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { createLocalSecrets } = require('../services/local-secrets');
+const { createTempDir } = require('./helpers');
+
+const ROTATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'rotate-secrets-key.js');
+
+/**
+ * A secrets file as written before version history: one value per secret
+ * and no key check value
+ */
+function writeVersion1File(file, masterKey, values) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = crypto.scryptSync(masterKey, Buffer.from(salt, 'base64'), 32);
+  const secrets = {};
+  for (const [name, value] of Object.entries(values)) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    secrets[name] = {
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-02-01T00:00:00.000Z',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+  fs.writeFileSync(file, JSON.stringify({ salt, secrets }));
+}
+
+describe('local secrets', () => {
+  let tempDir;
+  let file;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    file = path.join(tempDir.dir, 'secrets.json');
+  });
+
+  afterEach(() => {
+    tempDir.cleanup();
+  });
+
+  test('keep every version, encrypted, in a file only the owner can read', async () => {
+    const secrets = createLocalSecrets({ file, masterKey: 'key-1' });
+    expect(await secrets.put('aws-credentials', '{"secretAccessKey":"first"}')).toBe('1');
+    expect(await secrets.put('aws-credentials', '{"secretAccessKey":"second"}')).toBe('2');
+
+    const reopened = createLocalSecrets({ file, masterKey: 'key-1' });
+    expect(await reopened.access('aws-credentials')).toBe('{"secretAccessKey":"second"}');
+    expect(await reopened.access('aws-credentials', '1')).toBe('{"secretAccessKey":"first"}');
+
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('secretAccessKey');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+
+  test('refuse disabled versions until they are enabled again', async () => {
+    const secrets = createLocalSecrets({ file, masterKey: 'key-1' });
+    await secrets.put('aws-credentials', 'first');
+    await secrets.put('aws-credentials', 'second');
+
+    await secrets.disableVersion('aws-credentials', '1');
+    await expect(secrets.access('aws-credentials', '1')).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect((await secrets.listVersions('aws-credentials')).map(item => [item.version, item.state]))
+      .toEqual([['2', 'enabled'], ['1', 'disabled']]);
+
+    await secrets.enableVersion('aws-credentials', '1');
+    expect(await secrets.access('aws-credentials', '1')).toBe('first');
+  });
+
+  test('refuse a wrong master key, even for a file without secrets', async () => {
+    await createLocalSecrets({ file, masterKey: 'key-1' }).put('aws-credentials', 'value');
+    expect(() => createLocalSecrets({ file, masterKey: 'key-2' })).toThrow('LOCAL_SECRETS_KEY does not match');
+
+    const emptyFile = path.join(tempDir.dir, 'empty.json');
+    const empty = createLocalSecrets({ file: emptyFile, masterKey: 'key-1' });
+    await empty.put('a', 'value');
+    await empty.delete('a');
+    expect(() => createLocalSecrets({ file: emptyFile, masterKey: 'key-2' })).toThrow('LOCAL_SECRETS_KEY does not match');
+  });
+
+  test('upgrade a version 1 file, keeping each value as version 1', async () => {
+    writeVersion1File(file, 'key-1', { 'aws-credentials': 'aws-value', 'gcp-credentials': 'gcp-value' });
+
+    const secrets = createLocalSecrets({ file, masterKey: 'key-1' });
+    expect(await secrets.access('aws-credentials', '1')).toBe('aws-value');
+    expect(await secrets.listVersions('gcp-credentials')).toEqual([
+      { version: '1', createdAt: '2025-02-01T00:00:00.000Z', state: 'enabled' },
+    ]);
+
+    // The upgrade is saved with the next write, with a key check value
+    expect(await secrets.put('aws-credentials', 'aws-value-2')).toBe('2');
+    const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(contents.version).toBe(2);
+    expect(contents.keyCheck).toEqual(expect.objectContaining({ iv: expect.any(String), tag: expect.any(String) }));
+    expect(() => createLocalSecrets({ file, masterKey: 'key-2' })).toThrow('LOCAL_SECRETS_KEY does not match');
+    expect(await createLocalSecrets({ file, masterKey: 'key-1' }).access('gcp-credentials')).toBe('gcp-value');
+  });
+
+  test('refuse to upgrade a version 1 file with a wrong master key', () => {
+    writeVersion1File(file, 'key-1', { 'aws-credentials': 'aws-value' });
+    expect(() => createLocalSecrets({ file, masterKey: 'key-2' })).toThrow('LOCAL_SECRETS_KEY does not match');
+  });
+
+  test('re-encrypt every version under a new master key', async () => {
+    const secrets = createLocalSecrets({ file, masterKey: 'key-1' });
+    await secrets.put('aws-credentials', 'first');
+    await secrets.put('aws-credentials', 'second');
+    await secrets.put('gcp-credentials', 'gcp');
+    await secrets.disableVersion('aws-credentials', '1');
+
+    expect(await secrets.rotateKey('key-2')).toEqual({ secrets: 2, versions: 3 });
+    expect(await secrets.access('aws-credentials')).toBe('second');
+
+    expect(() => createLocalSecrets({ file, masterKey: 'key-1' })).toThrow('LOCAL_SECRETS_KEY does not match');
+    const rotated = createLocalSecrets({ file, masterKey: 'key-2' });
+    expect(await rotated.access('gcp-credentials')).toBe('gcp');
+    await expect(rotated.access('aws-credentials', '1')).rejects.toMatchObject({ code: 'failed-precondition' });
+    await rotated.enableVersion('aws-credentials', '1');
+    expect(await rotated.access('aws-credentials', '1')).toBe('first');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).keyRotatedAt).toEqual(expect.any(String));
+  });
+
+  test('refuse to rotate to a missing or unchanged key', async () => {
+    const secrets = createLocalSecrets({ file, masterKey: 'key-1' });
+    await expect(secrets.rotateKey('')).rejects.toThrow('A new master key is required');
+    await expect(secrets.rotateKey('key-1')).rejects.toThrow('must differ');
+  });
+
+  test('leave the file unchanged when a version cannot be decrypted', async () => {
+    const secrets = createLocalSecrets({ file, masterKey: 'key-1' });
+    await secrets.put('aws-credentials', 'value');
+
+    const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    contents.secrets['aws-credentials'].versions[0].data = Buffer.from('corrupted').toString('base64');
+    fs.writeFileSync(file, JSON.stringify(contents));
+    const before = fs.readFileSync(file, 'utf8');
+
+    const corrupted = createLocalSecrets({ file, masterKey: 'key-1' });
+    await expect(corrupted.rotateKey('key-2')).rejects.toThrow('Cannot decrypt secret aws-credentials version 1; rotation aborted');
+    expect(fs.readFileSync(file, 'utf8')).toBe(before);
+  });
+});
+
+describe('scripts/rotate-secrets-key.js', () => {
+  let tempDir;
+  let file;
+
+  const rotate = (env) => spawnSync(process.execPath, [ROTATE_SCRIPT], {
+    env: { PATH: process.env.PATH, SECRETS_BACKEND: 'local', LOCAL_SECRETS_FILE: file, ...env },
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    file = path.join(tempDir.dir, 'secrets.json');
+  });
+
+  afterEach(() => {
+    tempDir.cleanup();
+  });
+
+  test('rotates the key of the configured file', async () => {
+    await createLocalSecrets({ file, masterKey: 'key-1' }).put('aws-credentials', 'value');
+
+    const result = rotate({ LOCAL_SECRETS_KEY: 'key-1', LOCAL_SECRETS_NEW_KEY: 'key-2' });
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('Versions re-encrypted: 1');
+    expect(await createLocalSecrets({ file, masterKey: 'key-2' }).access('aws-credentials')).toBe('value');
+  });
+
+  test('fails without a new key or with a wrong current key', async () => {
+    await createLocalSecrets({ file, masterKey: 'key-1' }).put('aws-credentials', 'value');
+    const before = fs.readFileSync(file, 'utf8');
+
+    const withoutNewKey = rotate({ LOCAL_SECRETS_KEY: 'key-1' });
+    expect(withoutNewKey.status).toBe(1);
+    expect(withoutNewKey.stderr).toContain('LOCAL_SECRETS_NEW_KEY is required');
+
+    const wrongKey = rotate({ LOCAL_SECRETS_KEY: 'key-3', LOCAL_SECRETS_NEW_KEY: 'key-2' });
+    expect(wrongKey.status).toBe(1);
+    expect(wrongKey.stderr).toContain('LOCAL_SECRETS_KEY does not match');
+
+    expect(fs.readFileSync(file, 'utf8')).toBe(before);
+  });
+});
@@ -0,0 +1,85 @@
+// tests/retry.test.js - Timeouts and retries of provider calls
+process.env.PROVIDER_RETRY_BASE_MS = '1';
+
+const { withTimeout, withRetry } = require('../services/retry');
+
+// A call that only settles when its signal is aborted, like an SDK request
+function hangingCall(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('withTimeout', () => {
+  test('aborts the call when it times out', async () => {
+    let signal;
+    await expect(withTimeout((callSignal) => {
+      signal = callSignal;
+      return hangingCall(callSignal);
+    }, 20, 'GetCostAndUsage')).rejects.toMatchObject({
+      code: 'ETIMEDOUT',
+      message: 'GetCostAndUsage timed out after 20ms',
+    });
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('leaves calls that finish in time alone', async () => {
+    let signal;
+    expect(await withTimeout(async (callSignal) => {
+      signal = callSignal;
+      return 'done';
+    }, 1000, 'call')).toBe('done');
+    expect(signal.aborted).toBe(false);
+  });
+
+  test('passes a signal without a timeout', async () => {
+    expect(await withTimeout(signal => Promise.resolve(signal instanceof AbortSignal), null, 'call')).toBe(true);
+  });
+});
+
+describe('withRetry', () => {
+  test('aborts a timed-out attempt before retrying with a new signal', async () => {
+    const signals = [];
+    const fn = jest.fn((signal) => {
+      signals.push(signal);
+      if (signals.length === 1) {
+        return hangingCall(signal);
+      }
+      expect(signals[0].aborted).toBe(true);
+      return Promise.resolve('ok');
+    });
+
+    expect(await withRetry('retry-test', fn, { timeoutMs: 20, label: 'call' })).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(signals[1]).not.toBe(signals[0]);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  test('gives up after the retries, with the timeout error', async () => {
+    const fn = jest.fn(hangingCall);
+
+    await expect(withRetry('retry-test', fn, { timeoutMs: 10, retries: 2, label: 'call' }))
+      .rejects.toMatchObject({ code: 'ETIMEDOUT', attempts: 3 });
+    expect(fn.mock.calls.every(([signal]) => signal.aborted)).toBe(true);
+  });
+
+  test('does not retry errors that are not transient', async () => {
+    const error = Object.assign(new Error('Access denied'), { name: 'AccessDeniedException' });
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(withRetry('retry-test', fn, { label: 'call' })).rejects.toMatchObject({ attempts: 1 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,167 @@
+// tests/roles.test.js - Role ranking, role resolution and route authorization
+const express = require('express');
+const request = require('supertest');
+const { hasRole, resolveRole, setUserRole, requireRole, getRoleConfig } = require('../services/roles');
+const { createAuthenticator, requireAuth } = require('../services/auth');
+const { createTestBackends } = require('./helpers');
+
+const config = getRoleConfig({ AUTH_ADMIN_EMAILS: 'Root@Example.com', AUTH_DEFAULT_ROLE: 'viewer' });
+
+describe('hasRole', () => {
+  test('ranks viewer below analyst below admin', () => {
+    expect(hasRole('admin', 'viewer')).toBe(true);
+    expect(hasRole('admin', 'admin')).toBe(true);
+    expect(hasRole('analyst', 'viewer')).toBe(true);
+    expect(hasRole('analyst', 'admin')).toBe(false);
+    expect(hasRole('viewer', 'analyst')).toBe(false);
+  });
+
+  test('grants nothing to unknown roles', () => {
+    expect(hasRole('owner', 'viewer')).toBe(false);
+    expect(hasRole(undefined, 'viewer')).toBe(false);
+  });
+
+  test('requireRole rejects unknown roles', () => {
+    expect(() => requireRole('owner')).toThrow('Unknown role: owner');
+  });
+});
+
+describe('getRoleConfig', () => {
+  test('rejects an unknown default role', () => {
+    expect(() => getRoleConfig({ AUTH_DEFAULT_ROLE: 'owner' })).toThrow('AUTH_DEFAULT_ROLE');
+  });
+});
+
+describe('resolveRole', () => {
+  let backends;
+
+  beforeEach(() => {
+    backends = createTestBackends();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    backends.cleanup();
+  });
+
+  test('makes verified AUTH_ADMIN_EMAILS admins', async () => {
+    expect(await resolveRole(backends.store, { id: 'oidc:root', email: 'root@example.com', emailVerified: true }, config))
+      .toEqual({ role: 'admin', source: 'env' });
+  });
+
+  test('ignores AUTH_ADMIN_EMAILS the provider has not verified', async () => {
+    expect(await resolveRole(backends.store, { id: 'oidc:claimed', email: 'root@example.com', emailVerified: false }, config))
+      .toEqual({ role: 'viewer', source: 'default' });
+    expect(await resolveRole(backends.store, { id: 'oidc:unknown', email: 'root@example.com' }, config))
+      .toEqual({ role: 'viewer', source: 'default' });
+  });
+
+  test('uses assigned roles, ignoring invalid ones', async () => {
+    await backends.store.set('users', 'oidc:analyst', { role: 'analyst' });
+    await backends.store.set('users', 'oidc:invalid', { role: 'owner' });
+
+    expect(await resolveRole(backends.store, { id: 'oidc:analyst' }, config)).toEqual({ role: 'analyst', source: 'assigned' });
+    expect(await resolveRole(backends.store, { id: 'oidc:invalid' }, config)).toEqual({ role: 'viewer', source: 'default' });
+  });
+
+  test('caches roles for 30 seconds', async () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    await backends.store.set('users', 'oidc:cached', { role: 'analyst' });
+    await resolveRole(backends.store, { id: 'oidc:cached' }, config);
+
+    await backends.store.set('users', 'oidc:cached', { role: 'admin' });
+    now.mockReturnValue(start + 29 * 1000);
+    expect((await resolveRole(backends.store, { id: 'oidc:cached' }, config)).role).toBe('analyst');
+
+    now.mockReturnValue(start + 31 * 1000);
+    expect((await resolveRole(backends.store, { id: 'oidc:cached' }, config)).role).toBe('admin');
+  });
+
+  test('forgets the cached role when a role is assigned', async () => {
+    await resolveRole(backends.store, { id: 'oidc:promoted' }, config);
+
+    await setUserRole(backends.store, 'oidc:promoted', 'admin', 'oidc:root');
+    expect(await resolveRole(backends.store, { id: 'oidc:promoted' }, config)).toEqual({ role: 'admin', source: 'assigned' });
+  });
+});
+
+describe('route authorization', () => {
+  let backends;
+  let app;
+
+  const keys = { viewer: 'viewer-key', analyst: 'analyst-key', admin: 'admin-key' };
+  const as = (role, test) => test.set('X-API-Key', keys[role]);
+
+  beforeEach(() => {
+    backends = createTestBackends();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.locals.store = backends.store;
+    app.locals.secrets = backends.secrets;
+    app.locals.collectionQueue = {
+      enqueue: jest.fn().mockRejectedValue(Object.assign(new Error('No credentials configured for aws'), { status: 400 })),
+    };
+    app.locals.auth = createAuthenticator({
+      AUTH_PROVIDERS: 'api-key',
+      AUTH_API_KEYS: Object.entries(keys).map(([role, key]) => `${role}:${key}:${role}`).join(','),
+    });
+    app.use('/api', requireAuth);
+    app.use('/api/costs', require('../routes/costs'));
+    app.use('/api/credentials', require('../routes/credentials'));
+    app.use('/api/schedules', require('../routes/schedules'));
+    app.use('/api/services', require('../routes/services'));
+    app.use('/api/backfill', require('../routes/backfill'));
+    app.use('/api/users', require('../routes/users'));
+    app.use('/api/audit', require('../routes/audit'));
+  });
+
+  afterEach(() => {
+    backends.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['put', '/api/schedules/aws', 'admin'],
+    ['delete', '/api/schedules/aws', 'admin'],
+    ['post', '/api/schedules/aws/run', 'analyst'],
+    ['post', '/api/credentials/aws', 'admin'],
+    ['post', '/api/credentials/aws/test', 'analyst'],
+    ['delete', '/api/credentials/aws', 'admin'],
+    ['post', '/api/credentials/aws/reveal', 'admin'],
+    ['put', '/api/services/aws', 'admin'],
+    ['post', '/api/costs/collect', 'analyst'],
+    ['delete', '/api/costs/some-cost', 'admin'],
+    ['post', '/api/backfill', 'analyst'],
+    ['get', '/api/users', 'admin'],
+    ['get', '/api/audit', 'admin'],
+  ])('%s %s is refused to viewers', async (method, path, requiredRole) => {
+    const response = await as('viewer', request(app)[method](path).send({})).expect(403);
+    expect(response.body).toEqual({
+      error: `This action requires the ${requiredRole} role`,
+      role: 'viewer',
+      requiredRole,
+    });
+  });
+
+  test('analysts can run schedules but not change them', async () => {
+    await as('analyst', request(app).put('/api/schedules/aws').send({ enabled: false })).expect(403);
+    await as('analyst', request(app).post('/api/schedules/aws/run'))
+      .expect(400, { error: 'No credentials configured for aws', serviceId: 'aws', connectionId: 'aws' });
+    expect(app.locals.collectionQueue.enqueue).toHaveBeenCalledWith('aws', { trigger: 'manual' });
+  });
+
+  test('admins get through', async () => {
+    await as('admin', request(app).put('/api/schedules/aws').send({ enabled: false, frequency: 'daily' })).expect(200);
+    await as('admin', request(app).put('/api/services/aws').send({ predictedCost: 100 })).expect(200);
+
+    const response = await as('admin', request(app).get('/api/users')).expect(200);
+    expect(response.body.roles).toEqual(['viewer', 'analyst', 'admin']);
+  });
+
+  test('viewers can read', async () => {
+    await as('viewer', request(app).get('/api/schedules')).expect(200);
+    await as('viewer', request(app).get('/api/services')).expect(200);
+  });
+});
@@ -0,0 +1,174 @@
+// tests/scheduler.test.js - Schedule run locks and due runs
+const os = require('os');
+const { acquireRun, runDueSchedules, computeNextRun } = require('../services/scheduler');
+const { getSchedule, updateSchedule } = require('../services/schedule-store');
+const { createTestBackends } = require('./helpers');
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+/**
+ * A collection queue whose runs finish when the test resolves them
+ */
+function createFakeQueue() {
+  const runs = [];
+  const enqueue = jest.fn(async (connectionId, { trigger }) => {
+    const run = { runId: `run-${runs.length + 1}`, connectionId, trigger };
+    run.done = new Promise((resolve, reject) => {
+      run.resolve = resolve;
+      run.reject = reject;
+    });
+    runs.push(run);
+    return { runId: run.runId, serviceId: connectionId, connectionId, trigger, status: 'queued', alreadyQueued: false, done: run.done };
+  });
+  return { enqueue, runs };
+}
+
+let backends;
+
+beforeEach(() => {
+  backends = createTestBackends();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  backends.cleanup();
+  jest.restoreAllMocks();
+});
+
+describe('acquireRun', () => {
+  test('takes the lock of an idle schedule', async () => {
+    const { store } = backends;
+    await updateSchedule(store, 'aws', { enabled: true, frequency: 'daily' });
+
+    expect(await acquireRun(store, 'aws')).toBe(true);
+    expect(await getSchedule(store, 'aws')).toMatchObject({ runningOn: INSTANCE_ID, runningSince: expect.any(String) });
+  });
+
+  test('refuses a lock that is held', async () => {
+    const { store } = backends;
+    await updateSchedule(store, 'aws', { enabled: true, runningSince: minutesAgo(5), runningOn: 'other-instance' });
+
+    expect(await acquireRun(store, 'aws')).toBe(false);
+    expect((await getSchedule(store, 'aws')).runningOn).toBe('other-instance');
+  });
+
+  test('takes over a stale lock', async () => {
+    const { store } = backends;
+    await updateSchedule(store, 'aws', { enabled: true, runningSince: minutesAgo(20), runningOn: 'dead-instance' });
+
+    expect(await acquireRun(store, 'aws')).toBe(true);
+    expect((await getSchedule(store, 'aws')).runningOn).toBe(INSTANCE_ID);
+  });
+
+  test('fires a due run once and advances nextRun', async () => {
+    const { store } = backends;
+    const nextRun = '2025-01-01T00:00:00.000Z';
+    await updateSchedule(store, 'aws', { enabled: true, frequency: 'hourly', nextRun });
+
+    const attempts = await Promise.all([
+      acquireRun(store, 'aws', { expectedNextRun: nextRun }),
+      acquireRun(store, 'aws', { expectedNextRun: nextRun }),
+    ]);
+
+    expect(attempts.filter(Boolean)).toHaveLength(1);
+    expect(new Date((await getSchedule(store, 'aws')).nextRun).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('skips runs of disabled schedules and runs already fired', async () => {
+    const { store } = backends;
+    await updateSchedule(store, 'aws', { enabled: false, nextRun: '2025-01-01T00:00:00.000Z' });
+    await updateSchedule(store, 'gcp', { enabled: true, nextRun: '2025-01-02T00:00:00.000Z' });
+
+    expect(await acquireRun(store, 'aws', { expectedNextRun: '2025-01-01T00:00:00.000Z' })).toBe(false);
+    expect(await acquireRun(store, 'gcp', { expectedNextRun: '2025-01-01T00:00:00.000Z' })).toBe(false);
+  });
+});
+
+describe('runDueSchedules', () => {
+  test('queues every due schedule without waiting for earlier runs', async () => {
+    const { store } = backends;
+    const collectionQueue = createFakeQueue();
+    const future = computeNextRun({ frequency: 'daily' });
+    await updateSchedule(store, 'aws', { enabled: true, frequency: 'hourly', nextRun: '2025-01-01T00:00:00.000Z' });
+    await updateSchedule(store, 'gcp', { enabled: true, frequency: 'hourly', nextRun: '2025-01-01T00:00:00.000Z' });
+    await updateSchedule(store, 'openai', { enabled: true, frequency: 'daily', nextRun: future });
+    await updateSchedule(store, 'cohere', { enabled: false, frequency: 'hourly', nextRun: '2025-01-01T00:00:00.000Z' });
+
+    const finished = await runDueSchedules({ store, collectionQueue });
+
+    // Neither run has finished, yet both were queued
+    expect(collectionQueue.enqueue.mock.calls.map(([connectionId]) => connectionId).sort()).toEqual(['aws', 'gcp']);
+    expect(collectionQueue.enqueue).toHaveBeenCalledWith('aws', { trigger: 'schedule' });
+    expect((await getSchedule(store, 'aws')).runningOn).toBe(INSTANCE_ID);
+
+    const [awsRun, gcpRun] = ['aws', 'gcp'].map(id => collectionQueue.runs.find(run => run.connectionId === id));
+    awsRun.resolve({ runId: awsRun.runId, costsCollected: 3, newRecords: 2, updatedRecords: 1, warning: 'careful' });
+    const error = new Error('boom');
+    error.runId = gcpRun.runId;
+    gcpRun.reject(error);
+    await Promise.all(finished);
+
+    expect(await getSchedule(store, 'aws')).toMatchObject({
+      runningSince: null,
+      runningOn: null,
+      lastTrigger: 'schedule',
+      lastStatus: 'success',
+      lastRunId: awsRun.runId,
+      lastWarning: 'careful',
+      lastResult: { costsCollected: 3, newRecords: 2, updatedRecords: 1, partialFailures: 0 },
+    });
+    expect(await getSchedule(store, 'gcp')).toMatchObject({
+      runningSince: null,
+      lastStatus: 'error',
+      lastRunId: gcpRun.runId,
+      lastError: 'boom',
+    });
+    expect((await getSchedule(store, 'openai')).nextRun).toBe(future);
+  });
+
+  test('does not fire a run twice when instances poll together', async () => {
+    const { store } = backends;
+    const collectionQueue = createFakeQueue();
+    await updateSchedule(store, 'aws', { enabled: true, frequency: 'hourly', nextRun: '2025-01-01T00:00:00.000Z' });
+
+    const polls = await Promise.all([
+      runDueSchedules({ store, collectionQueue }),
+      runDueSchedules({ store, collectionQueue }),
+    ]);
+    // A later poll sees the advanced nextRun
+    polls.push(await runDueSchedules({ store, collectionQueue }));
+
+    expect(collectionQueue.enqueue).toHaveBeenCalledTimes(1);
+    collectionQueue.runs[0].resolve({ runId: 'run-1' });
+    await Promise.all(polls.flat());
+  });
+
+  test('gives schedules saved without a nextRun their first run time', async () => {
+    const { store } = backends;
+    const collectionQueue = createFakeQueue();
+    await updateSchedule(store, 'aws', { enabled: true, frequency: 'weekly' });
+
+    await runDueSchedules({ store, collectionQueue });
+
+    expect(collectionQueue.enqueue).not.toHaveBeenCalled();
+    const { nextRun } = await getSchedule(store, 'aws');
+    expect(new Date(nextRun).getUTCDay()).toBe(0);
+  });
+
+  test('records a run that could not be queued and releases its lock', async () => {
+    const { store } = backends;
+    const error = Object.assign(new Error('No credentials configured for this service'), { status: 400, runId: 'run-x' });
+    const collectionQueue = { enqueue: jest.fn().mockRejectedValue(error) };
+    await updateSchedule(store, 'aws', { enabled: true, frequency: 'hourly', nextRun: '2025-01-01T00:00:00.000Z' });
+
+    expect(await runDueSchedules({ store, collectionQueue })).toEqual([]);
+    expect(await getSchedule(store, 'aws')).toMatchObject({
+      runningSince: null,
+      lastStatus: 'error',
+      lastRunId: 'run-x',
+      lastError: 'No credentials configured for this service',
+    });
+  });
+});
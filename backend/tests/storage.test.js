@@ -0,0 +1,152 @@
+// tests/storage.test.js - Local storage transactions and writes, Firestore batch chunking
+const mockCommits = [];
+
+jest.mock('@google-cloud/firestore', () => ({
+  Firestore: jest.fn().mockImplementation(() => ({
+    collection: (collection) => ({ doc: (id) => ({ path: `${collection}/${id}` }) }),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data, options) => writes.push(['set', ref.path, options]),
+        update: (ref) => writes.push(['update', ref.path]),
+        delete: (ref) => writes.push(['delete', ref.path]),
+        commit: async () => {
+          mockCommits.push(writes);
+        },
+      };
+    },
+  })),
+}));
+
+const { createLocalStorage } = require('../services/local-storage');
+const { createFirestoreStorage } = require('../services/firestore-storage');
+const { createTempDir } = require('./helpers');
+
+describe('local storage', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = createTempDir();
+    store = createLocalStorage({ dataDir: tempDir.dir });
+  });
+
+  afterEach(() => {
+    tempDir.cleanup();
+  });
+
+  test('keeps documents across instances', async () => {
+    await store.set('runs', 'a', { status: 'running', progress: { done: 1 } });
+    await store.set('runs', 'a', { progress: { total: 2 } }, { merge: true });
+
+    const reopened = createLocalStorage({ dataDir: tempDir.dir });
+    expect(await reopened.get('runs', 'a')).toEqual({ status: 'running', progress: { done: 1, total: 2 } });
+  });
+
+  test('creates a document only once', async () => {
+    await store.create('tokens', 'jti', { used: true });
+    await expect(store.create('tokens', 'jti', { used: true })).rejects.toMatchObject({ code: 'already-exists' });
+  });
+
+  test('applies a batch with a missing update target not at all', async () => {
+    await expect(store.batch([
+      { type: 'set', collection: 'runs', id: 'a', data: { status: 'done' } },
+      { type: 'update', collection: 'runs', id: 'missing', data: { status: 'done' } },
+    ])).rejects.toMatchObject({ code: 'not-found' });
+
+    expect(await store.get('runs', 'a')).toBeNull();
+  });
+
+  test('commits the writes of a transaction when it returns', async () => {
+    await store.set('counters', 'runs', { value: 1 });
+
+    const result = await store.runTransaction(async (transaction) => {
+      const counter = await transaction.get('counters', 'runs');
+      transaction.set('counters', 'runs', { value: counter.value + 1 });
+      expect(await store.get('counters', 'runs')).toEqual({ value: 1 });
+      return counter.value + 1;
+    });
+
+    expect(result).toBe(2);
+    expect(await store.get('counters', 'runs')).toEqual({ value: 2 });
+  });
+
+  test('runs a transaction again when a document it read changes', async () => {
+    await store.set('counters', 'runs', { value: 1 });
+
+    let attempts = 0;
+    const result = await store.runTransaction(async (transaction) => {
+      attempts++;
+      const counter = await transaction.get('counters', 'runs');
+      if (attempts === 1) {
+        await store.set('counters', 'runs', { value: 10 });
+      }
+      transaction.set('counters', 'runs', { value: counter.value + 1 });
+      return counter.value + 1;
+    });
+
+    expect(attempts).toBe(2);
+    expect(result).toBe(11);
+    expect(await store.get('counters', 'runs')).toEqual({ value: 11 });
+  });
+
+  test('gives up after five conflicting attempts, without writing', async () => {
+    await store.set('counters', 'runs', { value: 1 });
+
+    let attempts = 0;
+    await expect(store.runTransaction(async (transaction) => {
+      attempts++;
+      await transaction.get('counters', 'runs');
+      await store.set('counters', 'runs', { value: 100 + attempts });
+      transaction.set('counters', 'runs', { value: 0 });
+    })).rejects.toThrow('Transaction failed after 5 attempts');
+
+    expect(attempts).toBe(5);
+    expect(await store.get('counters', 'runs')).toEqual({ value: 105 });
+  });
+
+  test('loses no concurrent increments', async () => {
+    await store.set('counters', 'runs', { value: 0 });
+
+    const increment = () => store.runTransaction(async (transaction) => {
+      const counter = await transaction.get('counters', 'runs');
+      await new Promise(resolve => setImmediate(resolve));
+      transaction.set('counters', 'runs', { value: counter.value + 1 });
+    });
+    await Promise.all([increment(), increment(), increment()]);
+
+    expect(await store.get('counters', 'runs')).toEqual({ value: 3 });
+  });
+
+  test('keeps running transactions after one fails', async () => {
+    await expect(store.runTransaction(async () => {
+      throw new Error('failed');
+    })).rejects.toThrow('failed');
+
+    expect(await store.runTransaction(async () => 'next')).toBe('next');
+  });
+});
+
+describe('Firestore storage', () => {
+  beforeEach(() => {
+    mockCommits.length = 0;
+  });
+
+  test('commits batches of at most 500 writes', async () => {
+    const store = createFirestoreStorage({ projectId: 'test' });
+    const writes = Array.from({ length: 1201 }, (_, index) => ({
+      type: 'set', collection: 'costs', id: `cost-${index}`, data: { index }, merge: index === 0,
+    }));
+
+    await store.batch(writes);
+
+    expect(mockCommits.map(commit => commit.length)).toEqual([500, 500, 201]);
+    expect(mockCommits[0][0]).toEqual(['set', 'costs/cost-0', { merge: true }]);
+    expect(mockCommits[2][200]).toEqual(['set', 'costs/cost-1200', { merge: false }]);
+  });
+
+  test('commits nothing for an empty batch', async () => {
+    await createFirestoreStorage({ projectId: 'test' }).batch([]);
+    expect(mockCommits).toEqual([]);
+  });
+});
@@ -10,6 +10,9 @@ import CredentialManager from './components/CredentialManager';
 import ScheduleManager from './components/ScheduleManager';
 import BackfillManager from './components/BackfillManager';
 import Settings from './components/Settings';
+import AuditLog from './components/AuditLog';
+import Login from './components/Login';
+import RequireAuth from './components/RequireAuth';
 
 // Dark theme configuration
 const darkTheme = createTheme({
@@ -94,12 +97,17 @@ function App() {
       <CssBaseline />
       <Router>
         <Routes>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/service/:serviceId" element={<ServiceDetail />} />
-          <Route path="/credentials" element={<CredentialManager />} />
-          <Route path="/schedules" element={<ScheduleManager />} />
-          <Route path="/backfill" element={<BackfillManager />} />
-          <Route path="/settings" element={<Settings />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/login/callback" element={<Login />} />
+          <Route element={<RequireAuth />}>
+            <Route path="/" element={<Dashboard />} />
+            <Route path="/service/:serviceId" element={<ServiceDetail />} />
+            <Route path="/credentials" element={<CredentialManager />} />
+            <Route path="/schedules" element={<ScheduleManager />} />
+            <Route path="/backfill" element={<BackfillManager />} />
+            <Route path="/settings" element={<Settings />} />
+            <Route path="/audit" element={<AuditLog />} />
+          </Route>
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </Router>
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import {
+  AppBar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Collapse,
+  Container,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Toolbar,
+  Typography,
+  Alert,
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  KeyboardArrowDown as KeyboardArrowDownIcon,
+  KeyboardArrowUp as KeyboardArrowUpIcon,
+  Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import apiService from '../services/api';
+
+const TARGET_TYPES = ['credential', 'schedule', 'service', 'cost', 'collection', 'backfill', 'user'];
+
+const EMPTY_FILTERS = { targetType: '', action: '', targetId: '', actorId: '', startDate: '', endDate: '' };
+
+const ACTION_COLORS = {
+  reveal: 'warning',
+  delete: 'error',
+  cancel: 'error',
+  create: 'success',
+  restore: 'warning',
+  disable_version: 'error',
+};
+
+const getActionColor = (action) => ACTION_COLORS[action.split('.')[1]] || 'default';
+
+// Fields whose value differs between before and after
+const getChangedFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key =>
+    key !== 'updatedAt' &&
+    JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key])
+  );
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditEntryRow = ({ entry }) => {
+  const [open, setOpen] = useState(false);
+  const changed = getChangedFields(entry.before, entry.after);
+
+  return (
+    <>
+      <TableRow hover>
+        <TableCell padding="checkbox">
+          <IconButton size="small" onClick={() => setOpen(!open)}>
+            {open ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+          </IconButton>
+        </TableCell>
+        <TableCell>
+          <Typography variant="body2">{new Date(entry.timestamp).toLocaleString()}</Typography>
+        </TableCell>
+        <TableCell>
+          <Typography variant="body2">{entry.actor.name || entry.actor.id}</Typography>
+          {entry.actor.email && entry.actor.email !== entry.actor.name && (
+            <Typography variant="caption" color="text.secondary">{entry.actor.email}</Typography>
+          )}
+        </TableCell>
+        <TableCell>
+          <Chip label={entry.action} size="small" color={getActionColor(entry.action)} />
+        </TableCell>
+        <TableCell>
+          <Typography variant="body2">{entry.targetId}</Typography>
+          <Typography variant="caption" color="text.secondary">{entry.targetType}</Typography>
+        </TableCell>
+        <TableCell>
+          <Typography variant="body2" color="text.secondary">
+            {changed.length > 0 ? changed.join(', ') : '—'}
+          </Typography>
+        </TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell colSpan={6} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+          <Collapse in={open} timeout="auto" unmountOnExit>
+            <Box sx={{ py: 2 }}>
+              {changed.length > 0 && (
+                <Table size="small" sx={{ mb: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Field</TableCell>
+                      <TableCell>Before</TableCell>
+                      <TableCell>After</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {changed.map(key => (
+                      <TableRow key={key}>
+                        <TableCell>{key}</TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>{formatValue((entry.before || {})[key])}</TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>{formatValue((entry.after || {})[key])}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              {entry.details && (
+                <Typography variant="body2" sx={{ mb: 1 }}>
+                  <strong>Details:</strong> {formatValue(entry.details)}
+                </Typography>
+              )}
+              <Typography variant="caption" color="text.secondary" display="block">
+                {entry.request.method} {entry.request.path} from {entry.request.ip || 'unknown address'}
+                {entry.actor.role && ` as ${entry.actor.role}`}
+              </Typography>
+              {entry.request.userAgent && (
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {entry.request.userAgent}
+                </Typography>
+              )}
+            </Box>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </>
+  );
+};
+
+const AuditLog = () => {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [nextPageToken, setNextPageToken] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  // Only send the filters that are set
+  const getParams = (activeFilters) =>
+    Object.fromEntries(Object.entries(activeFilters).filter(([, value]) => value));
+
+  const loadEntries = async (activeFilters = filters) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await apiService.getAuditLog(getParams(activeFilters));
+      setEntries(data.entries);
+      setNextPageToken(data.nextPageToken);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await apiService.getAuditLog({ ...getParams(filters), pageToken: nextPageToken });
+      setEntries([...entries, ...data.entries]);
+      setNextPageToken(data.nextPageToken);
+    } catch (err) {
+      toast.error('Failed to load more entries: ' + err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleFilterChange = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    loadEntries(EMPTY_FILTERS);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh' }}>
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton
+            color="inherit"
+            aria-label="back"
+            onClick={() => navigate('/')}
+            edge="start"
+            sx={{ mr: 2 }}
+          >
+            <ArrowBackIcon />
+          </IconButton>
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Audit Log
+          </Typography>
+          <Button
+            color="inherit"
+            startIcon={<RefreshIcon />}
+            onClick={() => loadEntries()}
+          >
+            Refresh
+          </Button>
+        </Toolbar>
+      </AppBar>
+
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4, flexGrow: 1 }}>
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Who changed or revealed credentials, schedules, services, cost records, backfills and roles. Secret values are never recorded.
+            </Typography>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6} md={2}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Target</InputLabel>
+                  <Select value={filters.targetType} label="Target" onChange={handleFilterChange('targetType')}>
+                    <MenuItem value="">All</MenuItem>
+                    {TARGET_TYPES.map(type => (
+                      <MenuItem key={type} value={type}>{type}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={6} md={2}>
+                <TextField fullWidth size="small" label="Action" placeholder="credential.reveal" value={filters.action} onChange={handleFilterChange('action')} />
+              </Grid>
+              <Grid item xs={12} sm={6} md={2}>
+                <TextField fullWidth size="small" label="Target ID" value={filters.targetId} onChange={handleFilterChange('targetId')} />
+              </Grid>
+              <Grid item xs={12} sm={6} md={2}>
+                <TextField fullWidth size="small" label="User ID" placeholder="firebase:..." value={filters.actorId} onChange={handleFilterChange('actorId')} />
+              </Grid>
+              <Grid item xs={6} md={2}>
+                <TextField fullWidth size="small" type="date" label="From" InputLabelProps={{ shrink: true }} value={filters.startDate} onChange={handleFilterChange('startDate')} />
+              </Grid>
+              <Grid item xs={6} md={2}>
+                <TextField fullWidth size="small" type="date" label="To" InputLabelProps={{ shrink: true }} value={filters.endDate} onChange={handleFilterChange('endDate')} />
+              </Grid>
+            </Grid>
+            <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+              <Button variant="contained" onClick={() => loadEntries()}>
+                Apply Filters
+              </Button>
+              <Button onClick={handleClearFilters}>
+                Clear
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '300px' }}>
+            <CircularProgress />
+          </Box>
+        ) : entries.length === 0 ? (
+          !error && (
+            <Alert severity="info">
+              No audit entries match these filters.
+            </Alert>
+          )
+        ) : (
+          <>
+            <TableContainer component={Paper}>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell padding="checkbox" />
+                    <TableCell>Time</TableCell>
+                    <TableCell>User</TableCell>
+                    <TableCell>Action</TableCell>
+                    <TableCell>Target</TableCell>
+                    <TableCell>Changed</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entries.map(entry => (
+                    <AuditEntryRow key={entry.id} entry={entry} />
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            {nextPageToken && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                <Button onClick={handleLoadMore} disabled={loadingMore}>
+                  {loadingMore ? <CircularProgress size={20} /> : 'Load More'}
+                </Button>
+              </Box>
+            )}
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default AuditLog;
@@ -41,13 +41,16 @@ import {
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import apiService from '../services/api';
+import { hasRole, useCurrentUser } from '../services/auth';
 
 const BackfillManager = () => {
   const navigate = useNavigate();
+  const user = useCurrentUser();
+  const canBackfill = hasRole(user, 'analyst');
   const [loading, setLoading] = useState(true);
   const [services, setServices] = useState([]);
   const [jobs, setJobs] = useState([]);
-  const [selectedService, setSelectedService] = useState('');
+  const [selectedConnection, setSelectedConnection] = useState('');
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [creating, setCreating] = useState(false);
@@ -93,7 +96,7 @@ const BackfillManager = () => {
   };
 
   const handleCreateBackfill = async () => {
-    if (!selectedService || !startDate || !endDate) {
+    if (!selectedConnection || !startDate || !endDate) {
       toast.error('Please fill in all fields');
       return;
     }
@@ -113,9 +116,10 @@ const BackfillManager = () => {
 
     setCreating(true);
     try {
-      await apiService.createBackfillJob(selectedService, startDate, endDate);
+      const option = connectionOptions.find(o => o.connectionId === selectedConnection);
+      await apiService.createBackfillJob(option.serviceId, startDate, endDate, selectedConnection);
       toast.success('Backfill job created successfully');
-      setSelectedService('');
+      setSelectedConnection('');
       setStartDate('');
       setEndDate('');
       loadJobs();
@@ -130,8 +134,8 @@ const BackfillManager = () => {
     if (!selectedJob) return;
 
     try {
-      await apiService.deleteBackfillJob(selectedJob.id);
-      toast.success('Backfill job deleted successfully');
+      const response = await apiService.deleteBackfillJob(selectedJob.id);
+      toast.success(response.message || 'Backfill job deleted successfully');
       setDeleteDialogOpen(false);
       setSelectedJob(null);
       loadJobs();
@@ -150,11 +154,29 @@ const BackfillManager = () => {
         return 'primary';
       case 'pending':
         return 'warning';
+      case 'cancelled':
+        return 'default';
       default:
         return 'default';
     }
   };
 
+  // One option per connection (account) of each enabled service
+  const connectionOptions = services.flatMap(service => {
+    const serviceName = service.name || service.id.toUpperCase();
+    const connections = service.connections || [];
+    return connections.map(connection => ({
+      serviceId: service.id,
+      connectionId: connection.connectionId,
+      label: connections.length > 1 ? `${serviceName} - ${connection.name}` : serviceName,
+    }));
+  });
+
+  const getJobLabel = (job) => {
+    const option = connectionOptions.find(o => o.connectionId === (job.connectionId || job.serviceId));
+    return option?.label || services.find(s => s.id === job.serviceId)?.name || job.serviceId.toUpperCase();
+  };
+
   const getServiceIcon = (serviceId) => {
     const icons = {
       aws: '☁️',
@@ -240,15 +262,15 @@ const BackfillManager = () => {
                     <FormControl fullWidth>
                       <InputLabel>Service</InputLabel>
                       <Select
-                        value={selectedService}
-                        onChange={(e) => setSelectedService(e.target.value)}
+                        value={selectedConnection}
+                        onChange={(e) => setSelectedConnection(e.target.value)}
                         label="Service"
                       >
-                        {services.map((service) => (
-                          <MenuItem key={service.id} value={service.id}>
+                        {connectionOptions.map((option) => (
+                          <MenuItem key={option.connectionId} value={option.connectionId}>
                             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                              <span>{getServiceIcon(service.id)}</span>
-                              {service.name || service.id.toUpperCase()}
+                              <span>{getServiceIcon(option.serviceId)}</span>
+                              {option.label}
                             </Box>
                           </MenuItem>
                         ))}
@@ -289,7 +311,7 @@ const BackfillManager = () => {
                       size="large"
                       startIcon={creating ? <CircularProgress size={20} color="inherit" /> : <CloudDownloadIcon />}
                       onClick={handleCreateBackfill}
-                      disabled={creating || !selectedService || !startDate || !endDate}
+                      disabled={creating || !canBackfill || !selectedConnection || !startDate || !endDate}
                       sx={{ height: '56px' }}
                     >
                       Start Backfill
@@ -335,7 +357,7 @@ const BackfillManager = () => {
                           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                             <span>{getServiceIcon(job.serviceId)}</span>
                             <Typography variant="body2">
-                              {services.find(s => s.id === job.serviceId)?.name || job.serviceId.toUpperCase()}
+                              {getJobLabel(job)}
                             </Typography>
                           </Box>
                         </TableCell>
@@ -350,6 +372,11 @@ const BackfillManager = () => {
                             color={getStatusColor(job.status)}
                             size="small"
                           />
+                          {job.error && (
+                            <Typography variant="caption" display="block" color="error" sx={{ mt: 0.5, maxWidth: 280 }}>
+                              {job.error}
+                            </Typography>
+                          )}
                         </TableCell>
                         <TableCell>
                           <Box sx={{ width: '100%', minWidth: 150 }}>
@@ -379,11 +406,11 @@ const BackfillManager = () => {
                           <IconButton
                             size="small"
                             color="error"
+                            disabled={!canBackfill}
                             onClick={() => {
                               setSelectedJob(job);
                               setDeleteDialogOpen(true);
                             }}
-                            disabled={job.status === 'running'}
                           >
                             <DeleteIcon />
                           </IconButton>
@@ -406,16 +433,18 @@ const BackfillManager = () => {
 
       {/* Delete Confirmation Dialog */}
       <Dialog open={deleteDialogOpen} onClose={() => setDeleteDialogOpen(false)}>
-        <DialogTitle>Delete Backfill Job</DialogTitle>
+        <DialogTitle>{selectedJob?.status === 'running' ? 'Cancel' : 'Delete'} Backfill Job</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete this backfill job? This will not delete the imported cost data.
+            {selectedJob?.status === 'running'
+              ? 'Are you sure you want to cancel this backfill job? It will stop after the current chunk. Cost data imported so far is kept.'
+              : 'Are you sure you want to delete this backfill job? This will not delete the imported cost data.'}
           </DialogContentText>
         </DialogContent>
         <DialogActions>
-          <Button onClick={() => setDeleteDialogOpen(false)}>Cancel</Button>
+          <Button onClick={() => setDeleteDialogOpen(false)}>Close</Button>
           <Button onClick={handleDeleteJob} color="error" variant="contained">
-            Delete
+            {selectedJob?.status === 'running' ? 'Cancel Job' : 'Delete'}
           </Button>
         </DialogActions>
       </Dialog>
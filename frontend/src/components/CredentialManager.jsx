@@ -14,13 +14,18 @@ import {
   DialogContent,
   DialogContentText,
   DialogTitle,
+  FormControl,
   Grid,
   IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
   TextField,
   Toolbar,
   Typography,
   Alert,
   InputAdornment,
+  Divider,
 } from '@mui/material';
 import {
   ArrowBack as ArrowBackIcon,
@@ -31,90 +36,126 @@ import {
   VisibilityOff as VisibilityOffIcon,
   Check as CheckIcon,
   PlayArrow as PlayArrowIcon,
+  History as HistoryIcon,
+  Restore as RestoreIcon,
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import apiService from '../services/api';
+import {
+  getSession,
+  hasRole,
+  setSessionUser,
+  signInWithDevToken,
+  signInWithFirebase,
+  startOidcSignIn,
+  useCurrentUser,
+} from '../services/auth';
+
+// Selected credential type of a service, or null for services with a
+// single set of credential fields. Unknown types resolve to the default.
+const getCredentialType = (service, typeId) => {
+  const types = service?.credentialTypes || [];
+  return types.find(type => type.id === typeId) || types[0] || null;
+};
+
+// Form fields for a service: secret credentials of the selected credential
+// type followed by metadata fields
+const getCredentialFields = (service, typeId) => {
+  if (!service) return [];
+  const credentialFields = (getCredentialType(service, typeId) || service).credentialFields || [];
+  return [...credentialFields, ...(service.metadataFields || [])];
+};
 
-const SUPPORTED_SERVICES = [
-  { id: 'aws', name: 'Amazon Web Services (AWS)', icon: '☁️' },
-  { id: 'gcp', name: 'Google Cloud Platform (GCP)', icon: '🔵' },
-  { id: 'atlassian', name: 'Atlassian', icon: '🔷' },
-  { id: 'google-workspace', name: 'Google Workspace', icon: '📧' },
-  { id: 'chatgpt', name: 'ChatGPT', icon: '🤖' },
-  { id: 'cohere', name: 'Cohere', icon: '🧠' },
-  { id: 'anthropic', name: 'Anthropic Claude', icon: '🎭' },
-];
-
-const CREDENTIAL_FIELDS = {
-  aws: [
-    { key: 'accessKeyId', label: 'Access Key ID', type: 'text', required: true },
-    { key: 'secretAccessKey', label: 'Secret Access Key', type: 'password', required: true },
-    { key: 'region', label: 'Region', type: 'text', required: true, default: 'us-east-1' },
-    { key: 'accountId', label: 'AWS Account ID (for budgets)', type: 'text', required: false, helperText: 'Required for AWS Budgets API (e.g., 016164185850)' },
-  ],
-  gcp: [
-    { key: 'projectId', label: 'BigQuery Export Project ID', type: 'text', required: true, helperText: 'The project where your BigQuery billing export is configured. Costs from ALL projects under your billing account will be tracked.' },
-    { key: 'clientEmail', label: 'Service Account Email', type: 'text', required: true, helperText: 'From your service account JSON key file' },
-    { key: 'privateKey', label: 'Private Key', type: 'textarea', required: true, helperText: 'From your service account JSON key file (including BEGIN/END lines)' },
-    { key: 'billingAccountId', label: 'Billing Account ID', type: 'text', required: true, helperText: 'Required to track costs across ALL projects (e.g., 01ABC2-34DEF5-6789GH). Find at console.cloud.google.com/billing' },
-  ],
-  atlassian: [
-    { key: 'email', label: 'Email', type: 'text', required: true },
-    { key: 'apiToken', label: 'API Token', type: 'password', required: true },
-    { key: 'orgId', label: 'Organization ID', type: 'text', required: true },
-  ],
-  'google-workspace': [
-    { key: 'adminEmail', label: 'Admin Email', type: 'text', required: true },
-    { key: 'customerId', label: 'Customer ID', type: 'text', required: true },
-    { key: 'privateKey', label: 'Private Key', type: 'textarea', required: true },
-  ],
-  chatgpt: [
-    { key: 'apiKey', label: 'API Key', type: 'password', required: true },
-    { key: 'organizationId', label: 'Organization ID', type: 'text', required: false },
-  ],
-  cohere: [
-    { key: 'apiKey', label: 'API Key', type: 'password', required: true },
-  ],
-  anthropic: [
-    { key: 'apiKey', label: 'API Key', type: 'password', required: true, helperText: 'Your Anthropic API key (starts with sk-ant-api...)' },
-  ],
+const CHECK_STATUS_ICONS = {
+  passed: '✅',
+  failed: '❌',
+  warning: '⚠️',
+  skipped: '➖',
 };
 
+// Revealed credentials are cleared from the screen after this long
+const REVEAL_DISPLAY_SECONDS = 30;
+
+// Secret fields are masked by the API and left empty in the edit form
+const isSecretField = (field) => !['text', 'select'].includes(field.type);
+
+// Connections whose key is older than their provider's rotation policy
+const getRotationDue = (credentials) =>
+  Object.values(credentials).flat().filter(connection => connection.keyRotation?.due);
+
+const formatKeyAge = (keyRotation) =>
+  keyRotation.ageDays === null ? 'unknown age' : `${keyRotation.ageDays} days old`;
+
 const CredentialManager = () => {
   const navigate = useNavigate();
+  const user = useCurrentUser();
+  // Adding, editing, revealing and deleting credentials is for admins
+  const canManage = hasRole(user, 'admin');
   const [loading, setLoading] = useState(true);
   const [services, setServices] = useState([]);
+  const [supportedServices, setSupportedServices] = useState([]);
   const [credentials, setCredentials] = useState({});
   const [dialogOpen, setDialogOpen] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [revealDialogOpen, setRevealDialogOpen] = useState(false);
   const [selectedService, setSelectedService] = useState(null);
+  // Connection being edited, revealed or deleted; null while adding a new one
+  const [selectedConnection, setSelectedConnection] = useState(null);
+  const [connectionName, setConnectionName] = useState('');
+  const [credentialType, setCredentialType] = useState(null);
   const [formData, setFormData] = useState({});
   const [revealedData, setRevealedData] = useState(null);
+  const [revealMasked, setRevealMasked] = useState(true);
+  const [revealCountdown, setRevealCountdown] = useState(0);
+  const [revealing, setRevealing] = useState(false);
+  const [reauthOpen, setReauthOpen] = useState(false);
+  const [reauthPassword, setReauthPassword] = useState('');
+  const [reauthBusy, setReauthBusy] = useState(false);
+  // Masked current values of secret fields, shown while editing
+  const [maskedSecrets, setMaskedSecrets] = useState({});
   const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
   const [saving, setSaving] = useState(false);
   const [showPassword, setShowPassword] = useState({});
+  const [versionsDialogOpen, setVersionsDialogOpen] = useState(false);
+  const [versionsData, setVersionsData] = useState(null);
+  const [versionAction, setVersionAction] = useState(null);
+  const [policyDialogOpen, setPolicyDialogOpen] = useState(false);
+  const [policyDays, setPolicyDays] = useState('');
 
   useEffect(() => {
     loadData();
   }, []);
 
+  // Count down while credentials are shown, then clear them
+  useEffect(() => {
+    if (!revealDialogOpen) return undefined;
+    if (revealCountdown <= 0) {
+      handleCloseReveal();
+      return undefined;
+    }
+    const timer = setTimeout(() => setRevealCountdown(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [revealDialogOpen, revealCountdown]);
+
   const loadData = async () => {
     setLoading(true);
     try {
-      const [servicesData, credentialsData] = await Promise.all([
+      const [servicesData, credentialsData, supportedData] = await Promise.all([
         apiService.getServices(),
         apiService.getCredentials(),
+        apiService.getSupportedServices(),
       ]);
       // Extract services array from response
       setServices(Array.isArray(servicesData) ? servicesData : (servicesData.services || []));
+      setSupportedServices(Object.values(supportedData.services || {}));
 
-      // Convert credentials array to object keyed by serviceId
+      // Group connections by serviceId
       const credMap = {};
       const credArray = Array.isArray(credentialsData) ? credentialsData : (credentialsData.credentials || []);
       credArray.forEach(cred => {
-        credMap[cred.serviceId] = cred;
+        credMap[cred.serviceId] = [...(credMap[cred.serviceId] || []), cred];
       });
       setCredentials(credMap);
     } catch (err) {
@@ -124,19 +165,38 @@ const CredentialManager = () => {
     }
   };
 
-  const handleOpenDialog = async (serviceId = null) => {
+  const handleOpenDialog = async (serviceId, connection = null) => {
     setSelectedService(serviceId);
+    setSelectedConnection(connection);
+    setConnectionName(connection ? connection.name : '');
+    const typeId = getCredentialType(getServiceInfo(serviceId), connection?.credentialType)?.id || null;
+    setCredentialType(typeId);
 
-    if (serviceId && credentials[serviceId]) {
-      // Editing existing credential - load actual values
+    setMaskedSecrets({});
+    if (connection) {
+      // Editing existing credential - load plain values; secret fields start
+      // empty and keep their stored value unless a new one is typed
       try {
-        const response = await apiService.revealCredential(serviceId);
-        const actualCredentials = response.credentials || response;
-        setFormData(actualCredentials);
+        const response = await apiService.revealCredential(connection.connectionId);
+        const values = { ...response.credentials };
+        const masked = {};
+        const service = getServiceInfo(serviceId);
+        ((getCredentialType(service, typeId) || service).credentialFields || []).filter(isSecretField).forEach(field => {
+          masked[field.key] = values[field.key];
+          values[field.key] = '';
+        });
+        // Settings added after the connection was saved start at their default
+        getCredentialFields(service, typeId).forEach(field => {
+          if (field.type === 'select' && !values[field.key]) {
+            values[field.key] = field.default || '';
+          }
+        });
+        setMaskedSecrets(masked);
+        setFormData(values);
       } catch (err) {
         // If reveal fails, use empty form
         toast.error('Failed to load credentials: ' + err.message);
-        const fields = CREDENTIAL_FIELDS[serviceId] || [];
+        const fields = getCredentialFields(getServiceInfo(serviceId), typeId);
         const initialData = {};
         fields.forEach(field => {
           initialData[field.key] = '';
@@ -145,7 +205,7 @@ const CredentialManager = () => {
       }
     } else {
       // Adding new credential - initialize with defaults
-      const fields = CREDENTIAL_FIELDS[serviceId] || [];
+      const fields = getCredentialFields(getServiceInfo(serviceId), typeId);
       const initialData = {};
       fields.forEach(field => {
         initialData[field.key] = field.default || '';
@@ -153,14 +213,34 @@ const CredentialManager = () => {
       setFormData(initialData);
     }
     setShowPassword({});
+    setTestResult(null);
     setDialogOpen(true);
   };
 
   const handleCloseDialog = () => {
     setDialogOpen(false);
     setSelectedService(null);
+    setSelectedConnection(null);
+    setConnectionName('');
+    setCredentialType(null);
     setFormData({});
+    setMaskedSecrets({});
     setShowPassword({});
+    setTestResult(null);
+  };
+
+  // Switching credential type keeps values of fields both types share
+  const handleCredentialTypeChange = (typeId) => {
+    const fields = getCredentialFields(getServiceInfo(selectedService), typeId);
+    setCredentialType(typeId);
+    setFormData(prev => {
+      const values = {};
+      fields.forEach(field => {
+        values[field.key] = prev[field.key] ?? (maskedSecrets[field.key] ? '' : field.default || '');
+      });
+      return values;
+    });
+    setTestResult(null);
   };
 
   const handleFieldChange = (key, value) => {
@@ -174,9 +254,15 @@ const CredentialManager = () => {
     if (!selectedService) return;
 
     setTesting(true);
+    setTestResult(null);
     try {
-      await apiService.testCredential(selectedService, formData);
-      toast.success('Credentials are valid!');
+      const result = await apiService.testCredential(selectedConnection?.connectionId || selectedService, formData, credentialType || undefined);
+      setTestResult(result);
+      if (result.success) {
+        toast.success('Credentials are valid!');
+      } else {
+        toast.error('Credential test failed');
+      }
     } catch (err) {
       toast.error('Credential test failed: ' + err.message);
     } finally {
@@ -189,7 +275,14 @@ const CredentialManager = () => {
 
     setSaving(true);
     try {
-      await apiService.saveCredential(selectedService, formData, selectedService);
+      if (selectedConnection) {
+        await apiService.saveCredential(selectedConnection.connectionId, formData, credentialType || undefined, connectionName || undefined);
+      } else if (isAdditionalConnection) {
+        await apiService.createConnection(selectedService, connectionName, formData, credentialType || undefined);
+      } else {
+        // First connection of a provider is its default connection
+        await apiService.saveCredential(selectedService, formData, credentialType || undefined, connectionName || undefined);
+      }
       toast.success('Credentials saved successfully');
       handleCloseDialog();
       loadData();
@@ -201,31 +294,167 @@ const CredentialManager = () => {
   };
 
   const handleDelete = async () => {
-    if (!selectedService) return;
+    if (!selectedConnection) return;
 
     try {
-      await apiService.deleteCredential(selectedService);
+      await apiService.deleteCredential(selectedConnection.connectionId);
       toast.success('Credentials deleted successfully');
       setDeleteDialogOpen(false);
       setSelectedService(null);
+      setSelectedConnection(null);
       loadData();
     } catch (err) {
       toast.error('Failed to delete credentials: ' + err.message);
     }
   };
 
-  const handleReveal = async (serviceId) => {
+  const showRevealed = (response) => {
+    setRevealedData(response.credentials);
+    setRevealMasked(response.masked);
+    setRevealCountdown(REVEAL_DISPLAY_SECONDS);
+    setRevealDialogOpen(true);
+  };
+
+  const handleCloseReveal = () => {
+    setRevealDialogOpen(false);
+    setRevealedData(null);
+    setRevealCountdown(0);
+  };
+
+  // Secret values are masked until the user asks for the full values
+  const handleReveal = async (serviceId, connection) => {
     setSelectedService(serviceId);
+    setSelectedConnection(connection);
     try {
-      const response = await apiService.revealCredential(serviceId);
-      // Extract credentials from response
-      setRevealedData(response.credentials || response);
-      setRevealDialogOpen(true);
+      showRevealed(await apiService.revealCredential(connection.connectionId));
     } catch (err) {
       toast.error('Failed to reveal credentials: ' + err.message);
     }
   };
 
+  // A full reveal needs a single-use token, only issued after a recent sign-in
+  const handleRevealFull = async () => {
+    setRevealing(true);
+    try {
+      const { token } = await apiService.getRevealToken(selectedConnection.connectionId);
+      showRevealed(await apiService.revealCredential(selectedConnection.connectionId, token));
+    } catch (err) {
+      if (err.data?.reauthenticate) {
+        setReauthPassword('');
+        setReauthOpen(true);
+      } else {
+        toast.error('Failed to reveal credentials: ' + err.message);
+      }
+    } finally {
+      setRevealing(false);
+    }
+  };
+
+  // Sign in again with the current provider, then retry the full reveal
+  const handleReauthenticate = async () => {
+    const session = getSession();
+    setReauthBusy(true);
+    try {
+      const { providers } = await apiService.getAuthConfig();
+      const provider = providers.find(p => p.type === session?.provider);
+      if (!provider) {
+        throw new Error('This sign-in method cannot re-authenticate');
+      }
+
+      if (provider.type === 'oidc') {
+        // Leaves the app; the user reveals again after coming back
+        await startOidcSignIn(provider, '/credentials', { reauthenticate: true });
+        return;
+      }
+      if (provider.type === 'firebase') {
+        await signInWithFirebase(provider, user.email, reauthPassword);
+      } else if (provider.type === 'dev') {
+        signInWithDevToken(await apiService.devLogin(user.email, user.name));
+      } else {
+        throw new Error('This sign-in method cannot re-authenticate');
+      }
+
+      // The new session has no role until the API resolves it
+      const { user: signedIn } = await apiService.getCurrentUser();
+      setSessionUser(signedIn);
+      setReauthOpen(false);
+      await handleRevealFull();
+    } catch (err) {
+      toast.error('Could not sign in again: ' + err.message);
+    } finally {
+      setReauthBusy(false);
+    }
+  };
+
+  const loadVersions = async (connectionId) => {
+    try {
+      setVersionsData(await apiService.getCredentialVersions(connectionId));
+    } catch (err) {
+      toast.error('Failed to load versions: ' + err.message);
+    }
+  };
+
+  const handleOpenVersions = async (serviceId, connection) => {
+    setSelectedService(serviceId);
+    setSelectedConnection(connection);
+    setVersionsData(null);
+    setVersionsDialogOpen(true);
+    await loadVersions(connection.connectionId);
+  };
+
+  const handleCloseVersions = () => {
+    setVersionsDialogOpen(false);
+    setVersionsData(null);
+  };
+
+  // action is restore, disable or enable
+  const handleVersionAction = async (version, action) => {
+    const { connectionId } = selectedConnection;
+    setVersionAction(`${version}-${action}`);
+    try {
+      if (action === 'restore') {
+        const result = await apiService.restoreCredentialVersion(connectionId, version);
+        toast.success(result.message);
+        loadData();
+      } else if (action === 'disable') {
+        await apiService.disableCredentialVersion(connectionId, version);
+        toast.success(`Version ${version} disabled`);
+      } else {
+        await apiService.enableCredentialVersion(connectionId, version);
+        toast.success(`Version ${version} enabled`);
+      }
+      await loadVersions(connectionId);
+    } catch (err) {
+      toast.error(`Failed to ${action} version ${version}: ` + err.message);
+    } finally {
+      setVersionAction(null);
+    }
+  };
+
+  const getRotationDays = (serviceId) => {
+    const configured = services.find(s => s.id === serviceId)?.keyRotationDays;
+    return configured ?? getServiceInfo(serviceId).keyRotation?.maxAgeDays;
+  };
+
+  const handleOpenPolicy = (serviceId) => {
+    setSelectedService(serviceId);
+    setPolicyDays(String(getRotationDays(serviceId)));
+    setPolicyDialogOpen(true);
+  };
+
+  const handleSavePolicy = async () => {
+    try {
+      // An empty field restores the provider's default
+      const keyRotationDays = policyDays.trim() === '' ? null : Number(policyDays);
+      await apiService.updateService(selectedService, { keyRotationDays });
+      toast.success('Rotation policy saved');
+      setPolicyDialogOpen(false);
+      loadData();
+    } catch (err) {
+      toast.error('Failed to save rotation policy: ' + err.message);
+    }
+  };
+
   const togglePasswordVisibility = (key) => {
     setShowPassword(prev => ({
       ...prev,
@@ -234,7 +463,17 @@ const CredentialManager = () => {
   };
 
   const getServiceInfo = (serviceId) => {
-    return SUPPORTED_SERVICES.find(s => s.id === serviceId) || { name: serviceId, icon: '💰' };
+    return supportedServices.find(s => s.id === serviceId) || { id: serviceId, name: serviceId, emoji: '💰' };
+  };
+
+  // Adding a second (or later) account for a provider requires a name
+  const isAdditionalConnection = !selectedConnection && (credentials[selectedService] || []).length > 0;
+
+  const getConnectionTitle = () => {
+    const serviceName = getServiceInfo(selectedService).name;
+    return selectedConnection && selectedConnection.name !== serviceName
+      ? `${serviceName} - ${selectedConnection.name}`
+      : serviceName;
   };
 
   return (
@@ -267,11 +506,25 @@ const CredentialManager = () => {
               <Typography variant="body1" color="text.secondary" gutterBottom>
                 Manage API credentials for cloud services and billing platforms.
               </Typography>
+              {!canManage && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  Only admins can add, edit, reveal or delete credentials.
+                </Alert>
+              )}
+              {getRotationDue(credentials).length > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  Keys due for rotation:{' '}
+                  {getRotationDue(credentials)
+                    .map(connection => `${connection.name} (${connection.keyRotation.label}, ${formatKeyAge(connection.keyRotation)})`)
+                    .join(', ')}
+                </Alert>
+              )}
             </Box>
 
             <Grid container spacing={3}>
-              {SUPPORTED_SERVICES.map((service) => {
-                const hasCredential = credentials[service.id];
+              {supportedServices.map((service) => {
+                const connections = credentials[service.id] || [];
+                const hasCredential = connections.length > 0;
                 const isEnabled = services.find(s => s.id === service.id)?.enabled;
 
                 return (
@@ -280,7 +533,7 @@ const CredentialManager = () => {
                       <CardContent>
                         <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
                           <Typography variant="h4" sx={{ mr: 1 }}>
-                            {service.icon}
+                            {service.emoji}
                           </Typography>
                           <Box sx={{ flexGrow: 1 }}>
                             <Typography variant="h6">
@@ -306,52 +559,98 @@ const CredentialManager = () => {
                           )}
                         </Box>
 
-                        {hasCredential && (
-                          <Typography variant="body2" color="text.secondary">
-                            Last updated: {new Date(credentials[service.id].updatedAt).toLocaleDateString()}
-                          </Typography>
+                        {service.keyRotation && (
+                          <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                            <Typography variant="body2" color="text.secondary">
+                              {getRotationDays(service.id)
+                                ? `Rotate ${service.keyRotation.label}s every ${getRotationDays(service.id)} days`
+                                : 'No rotation reminders'}
+                            </Typography>
+                            {canManage && (
+                              <IconButton size="small" aria-label="edit rotation policy" onClick={() => handleOpenPolicy(service.id)}>
+                                <EditIcon fontSize="small" />
+                              </IconButton>
+                            )}
+                          </Box>
                         )}
+
+                        {connections.map((connection, index) => (
+                          <Box key={connection.connectionId}>
+                            {index > 0 && <Divider sx={{ my: 1 }} />}
+                            <Typography variant="subtitle2">
+                              {connection.name}
+                            </Typography>
+                            <Typography variant="body2" color="text.secondary">
+                              Last updated: {connection.lastUpdated ? new Date(connection.lastUpdated).toLocaleDateString() : 'Never'}
+                            </Typography>
+                            {service.credentialTypes && (
+                              <Typography variant="body2" color="text.secondary">
+                                Credential type: {getCredentialType(service, connection.credentialType).label}
+                              </Typography>
+                            )}
+                            {connection.keyRotation && (
+                              <Chip
+                                label={connection.keyRotation.due
+                                  ? `Rotate ${connection.keyRotation.label}: ${formatKeyAge(connection.keyRotation)}`
+                                  : `${connection.keyRotation.label}: ${formatKeyAge(connection.keyRotation)}`}
+                                color={connection.keyRotation.due ? 'warning' : 'default'}
+                                size="small"
+                                variant="outlined"
+                                sx={{ mt: 0.5 }}
+                              />
+                            )}
+                            {canManage && (
+                              <Box sx={{ mt: 0.5 }}>
+                                <Button
+                                  size="small"
+                                  startIcon={<EditIcon />}
+                                  onClick={() => handleOpenDialog(service.id, connection)}
+                                >
+                                  Edit
+                                </Button>
+                                <Button
+                                  size="small"
+                                  startIcon={<VisibilityIcon />}
+                                  onClick={() => handleReveal(service.id, connection)}
+                                >
+                                  Reveal
+                                </Button>
+                                <Button
+                                  size="small"
+                                  startIcon={<HistoryIcon />}
+                                  onClick={() => handleOpenVersions(service.id, connection)}
+                                >
+                                  Versions
+                                </Button>
+                                <Button
+                                  size="small"
+                                  color="error"
+                                  startIcon={<DeleteIcon />}
+                                  onClick={() => {
+                                    setSelectedService(service.id);
+                                    setSelectedConnection(connection);
+                                    setDeleteDialogOpen(true);
+                                  }}
+                                >
+                                  Delete
+                                </Button>
+                              </Box>
+                            )}
+                          </Box>
+                        ))}
                       </CardContent>
-                      <CardActions>
-                        {hasCredential ? (
-                          <>
-                            <Button
-                              size="small"
-                              startIcon={<EditIcon />}
-                              onClick={() => handleOpenDialog(service.id)}
-                            >
-                              Edit
-                            </Button>
-                            <Button
-                              size="small"
-                              startIcon={<VisibilityIcon />}
-                              onClick={() => handleReveal(service.id)}
-                            >
-                              Reveal
-                            </Button>
-                            <Button
-                              size="small"
-                              color="error"
-                              startIcon={<DeleteIcon />}
-                              onClick={() => {
-                                setSelectedService(service.id);
-                                setDeleteDialogOpen(true);
-                              }}
-                            >
-                              Delete
-                            </Button>
-                          </>
-                        ) : (
+                      {canManage && (
+                        <CardActions>
                           <Button
                             size="small"
                             startIcon={<AddIcon />}
-                            variant="contained"
+                            variant={hasCredential ? 'outlined' : 'contained'}
                             onClick={() => handleOpenDialog(service.id)}
                           >
-                            Add Credentials
+                            {hasCredential ? 'Add Account' : 'Add Credentials'}
                           </Button>
-                        )}
-                      </CardActions>
+                        </CardActions>
+                      )}
                     </Card>
                   </Grid>
                 );
@@ -369,22 +668,57 @@ const CredentialManager = () => {
         fullWidth
       >
         <DialogTitle>
-          {credentials[selectedService] ? 'Edit' : 'Add'} Credentials - {getServiceInfo(selectedService).name}
+          {selectedConnection ? 'Edit' : 'Add'} Credentials - {getConnectionTitle()}
         </DialogTitle>
         <DialogContent>
           <Box sx={{ pt: 2 }}>
-            {selectedService && CREDENTIAL_FIELDS[selectedService]?.map((field) => (
+            {selectedService && (
+              <TextField
+                fullWidth
+                margin="normal"
+                label="Connection Name"
+                required={isAdditionalConnection}
+                helperText="Distinguishes multiple accounts of the same provider, e.g. Production"
+                value={connectionName}
+                onChange={(e) => setConnectionName(e.target.value)}
+              />
+            )}
+            {selectedService && getServiceInfo(selectedService).credentialTypes && (
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Credential Type</InputLabel>
+                <Select
+                  value={credentialType || ''}
+                  onChange={(e) => handleCredentialTypeChange(e.target.value)}
+                  label="Credential Type"
+                >
+                  {getServiceInfo(selectedService).credentialTypes.map((type) => (
+                    <MenuItem key={type.id} value={type.id}>
+                      <Box>
+                        <Typography variant="body1">{type.label}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {type.description}
+                        </Typography>
+                      </Box>
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            {selectedService && getCredentialFields(getServiceInfo(selectedService), credentialType).map((field) => (
               <TextField
                 key={field.key}
                 fullWidth
                 margin="normal"
                 label={field.label}
-                required={field.required}
-                helperText={field.helperText}
+                required={field.required && !maskedSecrets[field.key]}
+                helperText={maskedSecrets[field.key]
+                  ? `Current value ${maskedSecrets[field.key]}. Leave empty to keep it.`
+                  : field.helperText}
+                select={field.type === 'select'}
                 type={
                   field.type === 'password' && !showPassword[field.key]
                     ? 'password'
-                    : field.type === 'textarea'
+                    : field.type === 'textarea' || field.type === 'select'
                     ? 'text'
                     : field.type
                 }
@@ -408,8 +742,33 @@ const CredentialManager = () => {
                       }
                     : undefined
                 }
-              />
+              >
+                {(field.options || []).map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
             ))}
+
+            {testResult && (
+              <Alert severity={testResult.success ? 'success' : 'error'} sx={{ mt: 2 }}>
+                <Typography variant="body2" fontWeight="bold">
+                  {testResult.success ? 'Credentials are valid' : 'Credential test failed'}
+                  {testResult.identity && ` (${testResult.identity})`}
+                </Typography>
+                {(testResult.checks || []).map((check) => (
+                  <Typography key={check.id} variant="body2">
+                    {CHECK_STATUS_ICONS[check.status]} {check.label}: {check.message}
+                  </Typography>
+                ))}
+                {testResult.missingPermissions?.length > 0 && (
+                  <Typography variant="body2" sx={{ mt: 1 }}>
+                    Missing permissions: {testResult.missingPermissions.join(', ')}
+                  </Typography>
+                )}
+              </Alert>
+            )}
           </Box>
         </DialogContent>
         <DialogActions>
@@ -424,7 +783,7 @@ const CredentialManager = () => {
           <Button
             onClick={handleSave}
             variant="contained"
-            disabled={testing || saving}
+            disabled={testing || saving || (isAdditionalConnection && !connectionName.trim())}
             startIcon={saving ? <CircularProgress size={16} /> : undefined}
           >
             Save
@@ -437,7 +796,7 @@ const CredentialManager = () => {
         <DialogTitle>Delete Credentials</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete credentials for {getServiceInfo(selectedService).name}?
+            Are you sure you want to delete credentials for {getConnectionTitle()}?
             This action cannot be undone.
           </DialogContentText>
         </DialogContent>
@@ -449,22 +808,129 @@ const CredentialManager = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Versions Dialog */}
+      <Dialog open={versionsDialogOpen} onClose={handleCloseVersions} maxWidth="md" fullWidth>
+        <DialogTitle>Credential Versions - {getConnectionTitle()}</DialogTitle>
+        <DialogContent>
+          {!versionsData ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <Box sx={{ pt: 1 }}>
+              <DialogContentText sx={{ mb: 2 }}>
+                Every save adds a version. Restoring an earlier version saves its values as a new current version.
+                Disabled versions can't be read or restored until they are enabled again.
+              </DialogContentText>
+              {versionsData.versions.map((version, index) => (
+                <Box key={version.version}>
+                  {index > 0 && <Divider sx={{ my: 1.5 }} />}
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Typography variant="subtitle2">Version {version.version}</Typography>
+                    {version.current && <Chip label="Current" color="primary" size="small" />}
+                    {version.state !== 'enabled' && <Chip label={version.state} size="small" />}
+                    <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+                      {version.createdAt ? new Date(version.createdAt).toLocaleString() : ''}
+                    </Typography>
+                    {!version.current && version.state === 'enabled' && (
+                      <>
+                        <Button
+                          size="small"
+                          startIcon={<RestoreIcon />}
+                          disabled={versionAction !== null}
+                          onClick={() => handleVersionAction(version.version, 'restore')}
+                        >
+                          Restore
+                        </Button>
+                        <Button
+                          size="small"
+                          color="error"
+                          disabled={versionAction !== null}
+                          onClick={() => handleVersionAction(version.version, 'disable')}
+                        >
+                          Disable
+                        </Button>
+                      </>
+                    )}
+                    {version.state === 'disabled' && (
+                      <Button
+                        size="small"
+                        disabled={versionAction !== null}
+                        onClick={() => handleVersionAction(version.version, 'enable')}
+                      >
+                        Enable
+                      </Button>
+                    )}
+                  </Box>
+                  {version.credentials && (
+                    <Box sx={{ mt: 0.5 }}>
+                      {Object.entries(version.credentials).map(([key, value]) => (
+                        <Typography
+                          key={key}
+                          variant="body2"
+                          sx={{ fontFamily: 'monospace', fontWeight: version.changedFields?.includes(key) ? 'bold' : 'normal' }}
+                        >
+                          {key}: {value}
+                        </Typography>
+                      ))}
+                      {version.changedFields && (
+                        <Typography variant="caption" color="text.secondary">
+                          {version.changedFields.length > 0
+                            ? `Changed: ${version.changedFields.join(', ')}`
+                            : 'Same values as the previous version'}
+                        </Typography>
+                      )}
+                    </Box>
+                  )}
+                </Box>
+              ))}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseVersions}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Rotation Policy Dialog */}
+      <Dialog open={policyDialogOpen} onClose={() => setPolicyDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Rotation Policy - {selectedService && getServiceInfo(selectedService).name}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="normal"
+            type="number"
+            label="Warn when a key is older than (days)"
+            helperText={`0 turns reminders off, empty uses the default of ${selectedService ? getServiceInfo(selectedService).keyRotation?.maxAgeDays : ''} days`}
+            value={policyDays}
+            onChange={(e) => setPolicyDays(e.target.value)}
+            inputProps={{ min: 0 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPolicyDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSavePolicy} variant="contained">
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Reveal Dialog */}
       <Dialog
         open={revealDialogOpen}
-        onClose={() => {
-          setRevealDialogOpen(false);
-          setRevealedData(null);
-        }}
+        onClose={handleCloseReveal}
         maxWidth="sm"
         fullWidth
       >
-        <DialogTitle>Revealed Credentials - {getServiceInfo(selectedService).name}</DialogTitle>
+        <DialogTitle>{revealMasked ? 'Masked' : 'Revealed'} Credentials - {getConnectionTitle()}</DialogTitle>
         <DialogContent>
           {revealedData && (
             <Box sx={{ pt: 2 }}>
-              <Alert severity="warning" sx={{ mb: 2 }}>
-                Keep these credentials secure. Do not share them.
+              <Alert severity={revealMasked ? 'info' : 'warning'} sx={{ mb: 2 }}>
+                {revealMasked
+                  ? 'Secret values only show their last characters. Showing them in full requires signing in again and is recorded in the audit log.'
+                  : 'Keep these credentials secure. Do not share them.'}
+                {' '}Hidden in {revealCountdown}s.
               </Alert>
               {Object.entries(revealedData).map(([key, value]) => (
                 <TextField
@@ -483,13 +949,49 @@ const CredentialManager = () => {
           )}
         </DialogContent>
         <DialogActions>
+          {revealMasked && (
+            <Button
+              onClick={handleRevealFull}
+              disabled={revealing}
+              startIcon={revealing ? <CircularProgress size={16} /> : <VisibilityIcon />}
+            >
+              Show Full Values
+            </Button>
+          )}
+          <Button onClick={handleCloseReveal}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Re-authentication Dialog */}
+      <Dialog open={reauthOpen} onClose={() => setReauthOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Sign In Again</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Confirm it's you to reveal the full credentials of {getConnectionTitle()}.
+          </DialogContentText>
+          {getSession()?.provider === 'firebase' && (
+            <TextField
+              fullWidth
+              margin="normal"
+              type="password"
+              label={`Password for ${user?.email}`}
+              value={reauthPassword}
+              onChange={(e) => setReauthPassword(e.target.value)}
+              autoFocus
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReauthOpen(false)}>Cancel</Button>
           <Button
-            onClick={() => {
-              setRevealDialogOpen(false);
-              setRevealedData(null);
-            }}
+            onClick={handleReauthenticate}
+            variant="contained"
+            disabled={reauthBusy || (getSession()?.provider === 'firebase' && !reauthPassword)}
+            startIcon={reauthBusy ? <CircularProgress size={16} /> : undefined}
           >
-            Close
+            Sign In
           </Button>
         </DialogActions>
       </Dialog>
@@ -20,6 +20,9 @@ import {
   Alert,
   Chip,
   Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  LinearProgress,
 } from '@mui/material';
 import {
   Menu as MenuIcon,
@@ -28,6 +31,7 @@ import {
   Schedule as ScheduleIcon,
   CloudDownload as CloudDownloadIcon,
   Settings as SettingsIcon,
+  History as HistoryIcon,
   Refresh as RefreshIcon,
   TrendingUp as TrendingUpIcon,
   CheckCircle as CheckCircleIcon,
@@ -37,9 +41,11 @@ import {
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import apiService from '../services/api';
+import { hasRole, useCurrentUser } from '../services/auth';
 
 const Dashboard = () => {
   const navigate = useNavigate();
+  const user = useCurrentUser();
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -48,18 +54,25 @@ const Dashboard = () => {
   const [error, setError] = useState(null);
   const [collectionStatuses, setCollectionStatuses] = useState({});
   const [anomalies, setAnomalies] = useState([]);
+  const [breakdownBy, setBreakdownBy] = useState('service');
+  // Net spend includes credits and refunds; gross spend leaves them out
+  const [costView, setCostView] = useState('net');
+  // Latest progress event of each connection during Refresh All, keyed by connectionId
+  const [collectionProgress, setCollectionProgress] = useState({});
 
   const menuItems = [
     { text: 'Dashboard', icon: <DashboardIcon />, path: '/' },
     { text: 'Credentials', icon: <VpnKeyIcon />, path: '/credentials' },
     { text: 'Schedules', icon: <ScheduleIcon />, path: '/schedules' },
     { text: 'Backfill', icon: <CloudDownloadIcon />, path: '/backfill' },
+    // The audit log is only readable by admins
+    ...(hasRole(user, 'admin') ? [{ text: 'Audit Log', icon: <HistoryIcon />, path: '/audit' }] : []),
     { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
   ];
 
   useEffect(() => {
     loadDashboardData();
-  }, []);
+  }, [breakdownBy]);
 
   const loadDashboardData = async () => {
     setLoading(true);
@@ -67,7 +80,7 @@ const Dashboard = () => {
     try {
       const [servicesData, summaryData, statusesData, anomaliesData] = await Promise.all([
         apiService.getServices(),
-        apiService.getCostSummary(),
+        apiService.getCostSummary({ groupBy: breakdownBy }),
         apiService.getCollectionStatuses(),
         apiService.getCostAnomalies({ threshold: 50 }).catch(() => ({ anomalies: [] })),
       ]);
@@ -85,35 +98,41 @@ const Dashboard = () => {
   };
 
   const handleRefreshAll = async () => {
+    // Collect every connection (account) of each enabled service
+    const connections = services
+      .filter(s => s.enabled)
+      .flatMap(service => service.connections || []);
+    if (connections.length === 0) {
+      toast.warning('No enabled services to refresh');
+      return;
+    }
+
     setRefreshing(true);
+    setCollectionProgress({});
     try {
-      const enabledServices = services.filter(s => s.enabled);
-      if (enabledServices.length === 0) {
-        toast.warning('No enabled services to refresh');
-        return;
-      }
-
-      const results = await Promise.allSettled(
-        enabledServices.map(service =>
-          apiService.triggerCostCollection(service.id)
-        )
-      );
+      const { runs, failed } = await apiService.collectWithProgress(connections, (event) => {
+        setCollectionProgress(prev => ({ ...prev, [event.connectionId]: event }));
+      });
 
-      const successful = results.filter(r => r.status === 'fulfilled').length;
-      const failed = results.filter(r => r.status === 'rejected').length;
+      const successful = runs.filter(run => run.status === 'success').length;
+      const errors = runs.length - successful + failed.length;
+      // Streamed runs carry the collection summary in `result`, polled runs carry it directly
+      const partial = runs.filter(run => (run.result || run).partialFailures?.length > 0).length;
 
-      if (failed === 0) {
-        toast.success(`Successfully triggered cost collection for ${successful} service(s)`);
+      if (errors === 0 && partial > 0) {
+        toast.warning(`Collected costs for ${successful} account(s), ${partial} with partial failures`);
+      } else if (errors === 0) {
+        toast.success(`Collected costs for ${successful} account(s)`);
       } else {
-        toast.warning(`Triggered ${successful} service(s), ${failed} failed`);
+        toast.warning(`Collected costs for ${successful} account(s), ${errors} failed`);
       }
 
-      // Reload data after a short delay
-      setTimeout(() => loadDashboardData(), 2000);
+      loadDashboardData();
     } catch (err) {
       toast.error('Failed to refresh costs: ' + err.message);
     } finally {
       setRefreshing(false);
+      setCollectionProgress({});
     }
   };
 
@@ -128,6 +147,10 @@ const Dashboard = () => {
     setDrawerOpen(open);
   };
 
+  const getCost = (data) => (costView === 'gross' && typeof data.grossCost === 'number'
+    ? data.grossCost
+    : data.totalCost || 0);
+
   const formatCurrency = (amount) => {
     if (amount === null || amount === undefined) return 'N/A';
     return new Intl.NumberFormat('en-US', {
@@ -149,8 +172,22 @@ const Dashboard = () => {
     return icons[serviceId] || '💰';
   };
 
+  const getConnectionName = (connectionId) => {
+    for (const service of services) {
+      const connection = (service.connections || []).find(c => c.connectionId === connectionId);
+      if (connection) return connection.name;
+    }
+    return connectionId;
+  };
+
+  // Combine the collection statuses of all connections of a service:
+  // any failed connection marks the service as failed
   const getHealthStatus = (serviceId) => {
-    const status = collectionStatuses[serviceId];
+    const statuses = Object.values(collectionStatuses).filter(s => s.serviceId === serviceId);
+    const failedStatus = statuses.find(s => s.status === 'error');
+    const status = failedStatus || statuses.find(s => s.status === 'success');
+    const accountPrefix = (s) => statuses.length > 1 ? `${getConnectionName(s.connectionId)}: ` : '';
+
     if (!status) {
       return {
         icon: <HelpOutlineIcon />,
@@ -165,7 +202,9 @@ const Dashboard = () => {
         icon: <CheckCircleIcon />,
         color: 'success',
         label: 'Healthy',
-        tooltip: `Last successful collection: ${new Date(status.lastRun).toLocaleString()}\nCosts collected: ${status.costsCollected}${status.warning ? `\nWarning: ${status.warning}` : ''}`
+        tooltip: statuses.map(s =>
+          `${accountPrefix(s)}Last successful collection: ${new Date(s.lastRun).toLocaleString()}\nCosts collected: ${s.costsCollected}${s.warning ? `\nWarning: ${s.warning}` : ''}`
+        ).join('\n')
       };
     }
 
@@ -174,7 +213,9 @@ const Dashboard = () => {
         icon: <ErrorIcon />,
         color: 'error',
         label: 'Failed',
-        tooltip: `Last failed collection: ${new Date(status.lastRun).toLocaleString()}\nError: ${status.error}`
+        tooltip: statuses.filter(s => s.status === 'error').map(s =>
+          `${accountPrefix(s)}Last failed collection: ${new Date(s.lastRun).toLocaleString()}\nError: ${s.error}`
+        ).join('\n')
       };
     }
 
@@ -206,7 +247,7 @@ const Dashboard = () => {
             color="inherit"
             startIcon={refreshing ? <CircularProgress size={20} color="inherit" /> : <RefreshIcon />}
             onClick={handleRefreshAll}
-            disabled={refreshing || loading}
+            disabled={refreshing || loading || !hasRole(user, 'analyst')}
           >
             Refresh All
           </Button>
@@ -254,6 +295,8 @@ const Dashboard = () => {
                   <Box key={idx} sx={{ mb: 1 }}>
                     <Typography variant="body2">
                       <strong>{anomaly.serviceId.toUpperCase()}</strong>
+                      {anomaly.connectionId && anomaly.connectionId !== anomaly.serviceId &&
+                        ` (${getConnectionName(anomaly.connectionId)})`}
                       {anomaly.resourceName && ` - ${anomaly.resourceName}`}: {anomaly.message}
                     </Typography>
                   </Box>
@@ -297,11 +340,22 @@ const Dashboard = () => {
                   <Grid item xs={12} sm={6} md={3}>
                     <Card>
                       <CardContent>
-                        <Typography color="text.secondary" gutterBottom>
-                          Total Cost (MTD)
-                        </Typography>
+                        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                          <Typography color="text.secondary" gutterBottom>
+                            Total Cost (MTD)
+                          </Typography>
+                          <ToggleButtonGroup
+                            size="small"
+                            exclusive
+                            value={costView}
+                            onChange={(e, value) => value && setCostView(value)}
+                          >
+                            <ToggleButton value="net">Net</ToggleButton>
+                            <ToggleButton value="gross">Gross</ToggleButton>
+                          </ToggleButtonGroup>
+                        </Box>
                         <Typography variant="h4">
-                          {formatCurrency(summary.totalCost || 0)}
+                          {formatCurrency(getCost(summary))}
                         </Typography>
                       </CardContent>
                     </Card>
@@ -326,25 +380,40 @@ const Dashboard = () => {
                 {summary.summary && Object.keys(summary.summary).length > 0 && (
                   <Card sx={{ mb: 4 }}>
                     <CardContent>
-                      <Typography variant="h6" gutterBottom>
-                        Cost Breakdown (MTD)
-                      </Typography>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <Typography variant="h6" gutterBottom>
+                          Cost Breakdown (MTD)
+                        </Typography>
+                        <ToggleButtonGroup
+                          size="small"
+                          exclusive
+                          value={breakdownBy}
+                          onChange={(e, value) => value && setBreakdownBy(value)}
+                        >
+                          <ToggleButton value="service">By Provider</ToggleButton>
+                          <ToggleButton value="connection">By Account</ToggleButton>
+                        </ToggleButtonGroup>
+                      </Box>
                       <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                        See how much each service contributes to your total costs
+                        See how much each {breakdownBy === 'connection' ? 'account' : 'service'} contributes to your total {costView === 'gross' ? 'gross' : 'net'} costs
                       </Typography>
                       <Box sx={{ mt: 2 }}>
                         {Object.entries(summary.summary)
-                          .sort((a, b) => b[1].totalCost - a[1].totalCost)
-                          .map(([serviceId, serviceData]) => {
+                          .sort((a, b) => getCost(b[1]) - getCost(a[1]))
+                          .map(([key, serviceData]) => {
+                            // Keys are serviceIds, or connectionIds when broken down by account
+                            const serviceId = serviceData.serviceId || key;
                             const service = services.find(s => s.id === serviceId);
-                            const serviceName = service?.name || serviceId.toUpperCase();
-                            const percentage = summary.totalCost > 0
-                              ? ((serviceData.totalCost / summary.totalCost) * 100).toFixed(1)
+                            const serviceName = breakdownBy === 'connection'
+                              ? `${service?.name || serviceId.toUpperCase()} - ${serviceData.name}`
+                              : service?.name || serviceId.toUpperCase();
+                            const percentage = getCost(summary) > 0
+                              ? ((getCost(serviceData) / getCost(summary)) * 100).toFixed(1)
                               : 0;
 
                             return (
                               <Box
-                                key={serviceId}
+                                key={key}
                                 sx={{
                                   display: 'flex',
                                   justifyContent: 'space-between',
@@ -369,7 +438,7 @@ const Dashboard = () => {
                                 </Box>
                                 <Box sx={{ textAlign: 'right' }}>
                                   <Typography variant="h6" fontWeight="bold">
-                                    {formatCurrency(serviceData.totalCost)}
+                                    {formatCurrency(getCost(serviceData))}
                                   </Typography>
                                   <Typography variant="caption" color="text.secondary">
                                     {percentage}% of total
@@ -446,12 +515,36 @@ const Dashboard = () => {
                         </Box>
 
                         <Box>
+                          {service.connections?.length > 1 && (
+                            <Typography variant="body2" color="text.secondary">
+                              {service.connections.length} accounts
+                            </Typography>
+                          )}
                           <Typography variant="body2" color="text.secondary">
                             Last Updated: {service.lastUpdated
                               ? new Date(service.lastUpdated).toLocaleDateString()
                               : 'Never'}
                           </Typography>
                         </Box>
+
+                        {(service.connections || [])
+                          .filter(connection => collectionProgress[connection.connectionId])
+                          .map(connection => {
+                            const progress = collectionProgress[connection.connectionId];
+                            return (
+                              <Box key={connection.connectionId} sx={{ mt: 2 }}>
+                                <Typography variant="caption" color={progress.status === 'error' ? 'error' : 'text.secondary'}>
+                                  {service.connections.length > 1 && `${connection.name}: `}
+                                  {progress.status === 'error' ? progress.error : progress.message}
+                                </Typography>
+                                <LinearProgress
+                                  variant={progress.status === 'queued' ? 'indeterminate' : 'determinate'}
+                                  value={progress.progress || 0}
+                                  color={progress.status === 'error' ? 'error' : progress.status === 'success' ? 'success' : 'primary'}
+                                />
+                              </Box>
+                            );
+                          })}
                       </CardContent>
                     </Card>
                   </Grid>
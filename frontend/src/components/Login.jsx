@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Divider,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Login as LoginIcon } from '@mui/icons-material';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import apiService from '../services/api';
+import {
+  clearSession,
+  completeOidcSignIn,
+  getSession,
+  setSessionUser,
+  signInWithApiKey,
+  signInWithDevToken,
+  signInWithFirebase,
+  startOidcSignIn,
+} from '../services/auth';
+
+// Login page for every sign-in method enabled by the backend (AUTH_PROVIDERS).
+// Also handles /login/callback, where OpenID Connect providers redirect back.
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [loading, setLoading] = useState(true);
+  const [providers, setProviders] = useState([]);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(null);
+  const [formData, setFormData] = useState({ email: '', name: '', password: '', apiKey: '' });
+
+  const from = location.state?.from;
+  const returnTo = from ? `${from.pathname}${from.search || ''}` : '/';
+  const isCallback = location.pathname === '/login/callback';
+  // The authorization code can only be redeemed once, even when effects run twice
+  const loaded = useRef(false);
+
+  useEffect(() => {
+    if (loaded.current) return;
+    loaded.current = true;
+    loadConfig();
+  }, []);
+
+  // Check the new session against the API and record who signed in
+  const finishSignIn = async (destination) => {
+    try {
+      const { user } = await apiService.getCurrentUser();
+      setSessionUser(user);
+      toast.success(`Signed in as ${user.name}`);
+      navigate(destination, { replace: true });
+    } catch (err) {
+      clearSession();
+      throw err;
+    }
+  };
+
+  const loadConfig = async () => {
+    setLoading(true);
+    try {
+      const config = await apiService.getAuthConfig();
+      setProviders(config.providers);
+
+      if (isCallback) {
+        const oidc = config.providers.find(provider => provider.type === 'oidc');
+        if (!oidc) {
+          throw new Error('Single sign-on is not enabled');
+        }
+        const destination = await completeOidcSignIn(oidc, location.search);
+        await finishSignIn(destination);
+      } else if (getSession()) {
+        navigate(returnTo, { replace: true });
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (field) => (e) => {
+    setFormData({ ...formData, [field]: e.target.value });
+  };
+
+  const handleSubmit = (type, signIn) => async (e) => {
+    e.preventDefault();
+    setSubmitting(type);
+    setError(null);
+    try {
+      await signIn();
+      await finishSignIn(returnTo);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const handleOidcSignIn = async (provider) => {
+    setSubmitting('oidc');
+    setError(null);
+    try {
+      await startOidcSignIn(provider, returnTo);
+    } catch (err) {
+      setError('Could not start single sign-on: ' + err.message);
+      setSubmitting(null);
+    }
+  };
+
+  const renderProvider = (provider) => {
+    switch (provider.type) {
+      case 'dev':
+        return (
+          <Box
+            component="form"
+            onSubmit={handleSubmit('dev', async () => {
+              signInWithDevToken(await apiService.devLogin(formData.email, formData.name));
+            })}
+          >
+            <Typography variant="subtitle2" gutterBottom>
+              Development Sign-In
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Local fake identity provider: sign in as any email, no password needed.
+            </Typography>
+            <TextField fullWidth label="Email" type="email" value={formData.email} onChange={handleChange('email')} required sx={{ mb: 2 }} />
+            <TextField fullWidth label="Name" value={formData.name} onChange={handleChange('name')} sx={{ mb: 2 }} />
+            <Button type="submit" variant="contained" fullWidth disabled={submitting !== null}>
+              {submitting === 'dev' ? <CircularProgress size={24} /> : 'Sign In'}
+            </Button>
+          </Box>
+        );
+      case 'firebase':
+        return (
+          <Box
+            component="form"
+            onSubmit={handleSubmit('firebase', () => signInWithFirebase(provider, formData.email, formData.password))}
+          >
+            <TextField fullWidth label="Email" type="email" value={formData.email} onChange={handleChange('email')} required sx={{ mb: 2 }} />
+            <TextField fullWidth label="Password" type="password" value={formData.password} onChange={handleChange('password')} required sx={{ mb: 2 }} />
+            <Button type="submit" variant="contained" fullWidth disabled={submitting !== null || !provider.apiKey}>
+              {submitting === 'firebase' ? <CircularProgress size={24} /> : 'Sign In'}
+            </Button>
+          </Box>
+        );
+      case 'oidc':
+        return (
+          <Button
+            variant="contained"
+            fullWidth
+            startIcon={<LoginIcon />}
+            onClick={() => handleOidcSignIn(provider)}
+            disabled={submitting !== null}
+          >
+            {submitting === 'oidc' ? <CircularProgress size={24} /> : `Sign in with ${provider.name}`}
+          </Button>
+        );
+      case 'api-key':
+        return (
+          <Box
+            component="form"
+            onSubmit={handleSubmit('api-key', async () => signInWithApiKey(formData.apiKey))}
+          >
+            <TextField
+              fullWidth
+              label="API Key"
+              type="password"
+              value={formData.apiKey}
+              onChange={handleChange('apiKey')}
+              required
+              sx={{ mb: 2 }}
+            />
+            <Button type="submit" variant="outlined" fullWidth disabled={submitting !== null}>
+              {submitting === 'api-key' ? <CircularProgress size={24} /> : 'Sign In with API Key'}
+            </Button>
+          </Box>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', minHeight: '100vh', p: 2 }}>
+      <Card sx={{ width: '100%', maxWidth: 420 }}>
+        <CardContent>
+          <Typography variant="h5" gutterBottom>
+            Billing Manager
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+            Sign in to continue
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            providers.map((provider, index) => (
+              <Box key={provider.type}>
+                {index > 0 && <Divider sx={{ my: 3 }}>or</Divider>}
+                {renderProvider(provider)}
+              </Box>
+            ))
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default Login;
@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import apiService from '../services/api';
+import { AUTH_CHANGED_EVENT, getSession, setSessionUser } from '../services/auth';
+
+// Layout route that sends signed-out users to the login page, then back
+const RequireAuth = () => {
+  const location = useLocation();
+  const [session, setSession] = useState(getSession());
+
+  useEffect(() => {
+    // Pick up role changes made since signing in
+    if (getSession()) {
+      apiService.getCurrentUser()
+        .then(({ user }) => setSessionUser(user))
+        .catch((err) => console.error('Failed to load the signed-in user:', err));
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleChange = () => setSession(getSession());
+    window.addEventListener(AUTH_CHANGED_EVENT, handleChange);
+    // Signing out in another tab
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener(AUTH_CHANGED_EVENT, handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  if (!session) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  return <Outlet />;
+};
+
+export default RequireAuth;
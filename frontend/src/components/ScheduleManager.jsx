@@ -15,6 +15,7 @@ import {
   MenuItem,
   Select,
   Switch,
+  TextField,
   Toolbar,
   Typography,
   Alert,
@@ -33,20 +34,25 @@ import {
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import apiService from '../services/api';
+import { hasRole, useCurrentUser } from '../services/auth';
 
 const FREQUENCY_OPTIONS = [
   { value: 'hourly', label: 'Hourly', description: 'Collect costs every hour' },
   { value: 'daily', label: 'Daily', description: 'Collect costs once per day at midnight UTC' },
   { value: 'weekly', label: 'Weekly', description: 'Collect costs once per week on Sunday at midnight UTC' },
+  { value: 'custom', label: 'Custom', description: 'Collect costs on a custom cron schedule (UTC)' },
 ];
 
 const ScheduleManager = () => {
   const navigate = useNavigate();
+  const user = useCurrentUser();
+  const canEdit = hasRole(user, 'admin');
+  const canRun = hasRole(user, 'analyst');
   const [loading, setLoading] = useState(true);
   const [services, setServices] = useState([]);
   const [schedules, setSchedules] = useState({});
   const [dialogOpen, setDialogOpen] = useState(false);
-  const [selectedService, setSelectedService] = useState(null);
+  const [selectedConnection, setSelectedConnection] = useState(null);
   const [editData, setEditData] = useState({ enabled: false, frequency: 'daily' });
   const [saving, setSaving] = useState(false);
   const [running, setRunning] = useState({});
@@ -65,11 +71,11 @@ const ScheduleManager = () => {
       // Extract arrays from response
       setServices(Array.isArray(servicesData) ? servicesData : (servicesData.services || []));
 
-      // Convert schedules array to object keyed by serviceId
+      // Convert schedules array to object keyed by connectionId
       const schedMap = {};
       const schedArray = Array.isArray(schedulesData) ? schedulesData : (schedulesData.schedules || []);
       schedArray.forEach(sched => {
-        schedMap[sched.serviceId] = sched;
+        schedMap[sched.connectionId || sched.serviceId] = sched;
       });
       setSchedules(schedMap);
     } catch (err) {
@@ -79,19 +85,19 @@ const ScheduleManager = () => {
     }
   };
 
-  const handleToggleSchedule = async (serviceId, currentEnabled) => {
+  const handleToggleSchedule = async (connectionId, currentEnabled) => {
     try {
-      const schedule = schedules[serviceId];
+      const schedule = schedules[connectionId];
       if (!schedule) {
         // Create new schedule if it doesn't exist
-        await apiService.updateSchedule(serviceId, {
+        await apiService.updateSchedule(connectionId, {
           enabled: true,
           frequency: 'daily',
         });
         toast.success('Schedule enabled');
       } else {
         // Update existing schedule
-        await apiService.updateSchedule(serviceId, {
+        await apiService.updateSchedule(connectionId, {
           ...schedule,
           enabled: !currentEnabled,
         });
@@ -103,28 +109,33 @@ const ScheduleManager = () => {
     }
   };
 
-  const handleOpenDialog = (serviceId) => {
-    const schedule = schedules[serviceId];
-    setSelectedService(serviceId);
+  const handleOpenDialog = (row) => {
+    const schedule = schedules[row.connectionId];
+    setSelectedConnection(row);
     setEditData({
       enabled: schedule?.enabled || false,
       frequency: schedule?.frequency || 'daily',
+      customCron: schedule?.customCron || '',
     });
     setDialogOpen(true);
   };
 
   const handleCloseDialog = () => {
     setDialogOpen(false);
-    setSelectedService(null);
+    setSelectedConnection(null);
     setEditData({ enabled: false, frequency: 'daily' });
   };
 
   const handleSave = async () => {
-    if (!selectedService) return;
+    if (!selectedConnection) return;
 
     setSaving(true);
     try {
-      await apiService.updateSchedule(selectedService, editData);
+      const { customCron, ...scheduleData } = editData;
+      if (editData.frequency === 'custom') {
+        scheduleData.customCron = customCron;
+      }
+      await apiService.updateSchedule(selectedConnection.connectionId, scheduleData);
       toast.success('Schedule updated successfully');
       handleCloseDialog();
       loadData();
@@ -135,18 +146,50 @@ const ScheduleManager = () => {
     }
   };
 
-  const handleRunNow = async (serviceId) => {
-    setRunning(prev => ({ ...prev, [serviceId]: true }));
+  const handleRunNow = async (connectionId) => {
+    setRunning(prev => ({ ...prev, [connectionId]: true }));
     try {
-      await apiService.runSchedule(serviceId);
-      toast.success('Schedule triggered successfully');
+      const { runs, failed } = await apiService.collectWithProgress(
+        [{ connectionId }],
+        () => {},
+        connection => apiService.runSchedule(connection.connectionId)
+      );
+      if (failed.length > 0) {
+        throw new Error(failed[0].error);
+      }
+
+      // Final progress events carry the result; polled runs have the totals on the run
+      const [run] = runs;
+      if (run.status === 'error') {
+        throw new Error(run.error);
+      }
+      const collected = run.result?.costsCollected ?? run.costsCollected ?? 0;
+      toast.success(`Collection completed: ${collected} cost record(s) collected`);
+      if (run.result?.warning) {
+        toast.warning(run.result.warning);
+      }
     } catch (err) {
       toast.error('Failed to run schedule: ' + err.message);
     } finally {
-      setRunning(prev => ({ ...prev, [serviceId]: false }));
+      setRunning(prev => ({ ...prev, [connectionId]: false }));
+      loadData();
     }
   };
 
+  // One schedule row per connection (account). Services without saved
+  // credentials still get a row for their default connection.
+  const scheduleRows = services.flatMap(service => {
+    const serviceName = service.name || service.id.toUpperCase();
+    const connections = service.connections?.length
+      ? service.connections
+      : [{ connectionId: service.id, name: serviceName }];
+    return connections.map(connection => ({
+      service,
+      connectionId: connection.connectionId,
+      label: connections.length > 1 ? `${serviceName} - ${connection.name}` : serviceName,
+    }));
+  });
+
   const getServiceIcon = (serviceId) => {
     const icons = {
       aws: '☁️',
@@ -163,6 +206,13 @@ const ScheduleManager = () => {
     return FREQUENCY_OPTIONS.find(opt => opt.value === frequency) || FREQUENCY_OPTIONS[1];
   };
 
+  const getLastRunStatus = (schedule) => {
+    if (!schedule || !schedule.lastStatus) return null;
+    return schedule.lastStatus === 'success'
+      ? { label: 'Succeeded', color: 'success' }
+      : { label: 'Failed', color: 'error' };
+  };
+
   const getNextRunTime = (schedule) => {
     if (!schedule || !schedule.enabled || !schedule.nextRun) {
       return 'N/A';
@@ -215,13 +265,14 @@ const ScheduleManager = () => {
               </Alert>
             ) : (
               <Grid container spacing={3}>
-                {services.map((service) => {
-                  const schedule = schedules[service.id];
+                {scheduleRows.map((row) => {
+                  const { service, connectionId } = row;
+                  const schedule = schedules[connectionId];
                   const isEnabled = schedule?.enabled || false;
                   const frequency = schedule?.frequency || 'daily';
 
                   return (
-                    <Grid item xs={12} key={service.id}>
+                    <Grid item xs={12} key={connectionId}>
                       <Card>
                         <CardContent>
                           <Grid container spacing={2} alignItems="center">
@@ -232,7 +283,7 @@ const ScheduleManager = () => {
                                 </Typography>
                                 <Box>
                                   <Typography variant="h6">
-                                    {service.name || service.id.toUpperCase()}
+                                    {row.label}
                                   </Typography>
                                   <Chip
                                     label={service.enabled ? 'Active' : 'Inactive'}
@@ -251,8 +302,8 @@ const ScheduleManager = () => {
                                 <Box sx={{ display: 'flex', alignItems: 'center', mt: 1 }}>
                                   <Switch
                                     checked={isEnabled}
-                                    onChange={() => handleToggleSchedule(service.id, isEnabled)}
-                                    disabled={!service.enabled}
+                                    onChange={() => handleToggleSchedule(connectionId, isEnabled)}
+                                    disabled={!service.enabled || !canEdit}
                                   />
                                   <Typography variant="body2">
                                     {isEnabled ? 'Enabled' : 'Disabled'}
@@ -281,6 +332,14 @@ const ScheduleManager = () => {
                                 <Typography variant="body2" sx={{ mt: 1 }}>
                                   {getLastRunTime(schedule)}
                                 </Typography>
+                                {getLastRunStatus(schedule) && (
+                                  <Chip
+                                    label={getLastRunStatus(schedule).label}
+                                    color={getLastRunStatus(schedule).color}
+                                    size="small"
+                                    sx={{ mt: 0.5 }}
+                                  />
+                                )}
                               </Box>
                             </Grid>
 
@@ -290,8 +349,8 @@ const ScheduleManager = () => {
                                   variant="outlined"
                                   size="small"
                                   startIcon={<EditIcon />}
-                                  onClick={() => handleOpenDialog(service.id)}
-                                  disabled={!service.enabled}
+                                  onClick={() => handleOpenDialog(row)}
+                                  disabled={!service.enabled || !canEdit}
                                 >
                                   Configure
                                 </Button>
@@ -299,14 +358,14 @@ const ScheduleManager = () => {
                                   variant="contained"
                                   size="small"
                                   startIcon={
-                                    running[service.id] ? (
+                                    running[connectionId] ? (
                                       <CircularProgress size={16} color="inherit" />
                                     ) : (
                                       <PlayArrowIcon />
                                     )
                                   }
-                                  onClick={() => handleRunNow(service.id)}
-                                  disabled={!service.enabled || running[service.id]}
+                                  onClick={() => handleRunNow(connectionId)}
+                                  disabled={!service.enabled || !canRun || running[connectionId]}
                                 >
                                   Run Now
                                 </Button>
@@ -318,12 +377,18 @@ const ScheduleManager = () => {
                             <Box sx={{ mt: 2, p: 2, bgcolor: 'background.default', borderRadius: 1 }}>
                               <Typography variant="body2" color="text.secondary">
                                 {getFrequencyInfo(frequency).description}
+                                {frequency === 'custom' && schedule?.customCron && `: ${schedule.customCron}`}
                               </Typography>
                               {schedule?.nextRun && (
                                 <Typography variant="body2" color="primary" sx={{ mt: 1 }}>
                                   Next scheduled run: {getNextRunTime(schedule)}
                                 </Typography>
                               )}
+                              {schedule?.lastStatus === 'error' && schedule.lastError && (
+                                <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+                                  Last run failed: {schedule.lastError}
+                                </Typography>
+                              )}
                             </Box>
                           )}
                         </CardContent>
@@ -340,7 +405,7 @@ const ScheduleManager = () => {
       {/* Edit Schedule Dialog */}
       <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
         <DialogTitle>
-          Configure Schedule - {services.find(s => s.id === selectedService)?.name || selectedService}
+          Configure Schedule - {selectedConnection?.label}
         </DialogTitle>
         <DialogContent>
           <Box sx={{ pt: 2 }}>
@@ -374,6 +439,19 @@ const ScheduleManager = () => {
               </Select>
             </FormControl>
 
+            {editData.frequency === 'custom' && (
+              <TextField
+                fullWidth
+                margin="normal"
+                label="Cron Expression"
+                required
+                value={editData.customCron}
+                onChange={(e) => setEditData({ ...editData, customCron: e.target.value })}
+                helperText="minute hour day-of-month month day-of-week, in UTC (e.g. 0 6 * * 1-5)"
+                sx={{ mt: 3 }}
+              />
+            )}
+
             <Alert severity="info" sx={{ mt: 3 }}>
               Schedules run automatically in the background. You can also trigger collection manually using the "Run Now" button.
             </Alert>
@@ -384,7 +462,7 @@ const ScheduleManager = () => {
           <Button
             onClick={handleSave}
             variant="contained"
-            disabled={saving}
+            disabled={saving || (editData.frequency === 'custom' && !editData.customCron)}
             startIcon={saving ? <CircularProgress size={16} /> : undefined}
           >
             Save
@@ -23,6 +23,9 @@ import {
   Toolbar,
   Typography,
   Alert,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup,
 } from '@mui/material';
 import {
   ArrowBack as ArrowBackIcon,
@@ -31,7 +34,8 @@ import {
 import { useNavigate, useParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import {
-  LineChart,
+  ComposedChart,
+  Area,
   Line,
   XAxis,
   YAxis,
@@ -43,58 +47,139 @@ import {
   Bar,
 } from 'recharts';
 import apiService from '../services/api';
+import { hasRole, useCurrentUser } from '../services/auth';
+
+// Days of Savings Plans and reservation usage shown
+const COMMITMENT_DAYS = 30;
+
+// Hours of intraday costs in the cost trend's hourly view
+const HOURLY_TREND_HOURS = 48;
+
+const FORECAST_PERIODS = [
+  { key: 'month', label: 'End of month' },
+  { key: 'quarter', label: 'End of quarter' },
+  { key: 'year', label: 'End of year' },
+];
+
+const RUNS_PAGE_SIZE = 10;
+
+const RUN_STATUS_STYLES = {
+  success: { label: 'Success', color: 'success' },
+  error: { label: 'Failed', color: 'error' },
+  running: { label: 'Running', color: 'info' },
+  cancelled: { label: 'Cancelled', color: 'warning' },
+};
+
+const RUN_TRIGGER_LABELS = {
+  manual: 'Manual',
+  schedule: 'Scheduled',
+  backfill: 'Backfill',
+  import: 'CUR import',
+};
 
 const ServiceDetail = () => {
   const { serviceId } = useParams();
+  const user = useCurrentUser();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  // Latest progress event of the collection started by Refresh
+  const [collectionProgress, setCollectionProgress] = useState(null);
   const [service, setService] = useState(null);
   const [costs, setCosts] = useState([]);
+  const [trendView, setTrendView] = useState('daily');
+  const [hourlyCosts, setHourlyCosts] = useState([]);
   const [resourceCosts, setResourceCosts] = useState([]);
   const [selectedTag, setSelectedTag] = useState('all');
   const [availableTags, setAvailableTags] = useState([]);
+  // AWS member accounts with spend, for drilling down into one account
+  const [accounts, setAccounts] = useState([]);
+  const [selectedAccount, setSelectedAccount] = useState('all');
   const [budgets, setBudgets] = useState([]);
+  const [commitments, setCommitments] = useState(null);
+  const [forecasts, setForecasts] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [runsPageToken, setRunsPageToken] = useState(null);
+  const [loadingRuns, setLoadingRuns] = useState(false);
   const [error, setError] = useState(null);
+  // Connection (account) shown; the default connection uses the serviceId
+  const [selectedConnection, setSelectedConnection] = useState(null);
+  const connectionId = selectedConnection || serviceId;
+
+  useEffect(() => {
+    setSelectedConnection(null);
+    setTrendView('daily');
+  }, [serviceId]);
 
   useEffect(() => {
     loadServiceData();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [serviceId]);
+  }, [serviceId, connectionId]);
 
   const loadServiceData = async () => {
     setLoading(true);
     setError(null);
     try {
-      const [serviceData, costsDataRaw, resourceDataRaw, budgetsDataRaw] = await Promise.all([
+      const [serviceData, costsDataRaw, resourceDataRaw, budgetsDataRaw, runsData] = await Promise.all([
         apiService.getService(serviceId),
-        apiService.getCosts({ serviceId, limit: 30 }),
-        apiService.getResourceCosts(serviceId),
-        apiService.getBudgetsForService(serviceId),
+        apiService.getCosts({ serviceId, connectionId, limit: 30 }),
+        apiService.getResourceCosts(serviceId, { connectionId, tagKey: getTagKey(selectedTag) }),
+        apiService.getBudgetsForService(serviceId, connectionId),
+        apiService.getCollectionRuns({ serviceId, connectionId, limit: RUNS_PAGE_SIZE }),
       ]);
 
       setService(serviceData);
 
+      // Fall back to the first connection when the default one was removed
+      const connections = serviceData.connections || [];
+      if (connections.length > 0 && !connections.some(c => c.connectionId === connectionId)) {
+        setSelectedConnection(connections[0].connectionId);
+        return;
+      }
+
       // Extract costs array from response
       const costsData = Array.isArray(costsDataRaw) ? costsDataRaw : (costsDataRaw.costs || []);
       setCosts(costsData);
 
-      // Extract resources array from response
-      const resourceData = Array.isArray(resourceDataRaw) ? resourceDataRaw : (resourceDataRaw.resources || []);
-      setResourceCosts(resourceData);
+      applyResourceData(resourceDataRaw);
 
       // Extract budgets array from response
       const budgetsData = Array.isArray(budgetsDataRaw) ? budgetsDataRaw : (budgetsDataRaw.budgets || []);
       setBudgets(budgetsData);
 
-      // Extract unique tags
-      const tags = new Set();
-      resourceData.forEach(resource => {
-        if (resource.tags) {
-          Object.keys(resource.tags).forEach(tag => tags.add(tag));
-        }
-      });
-      setAvailableTags(Array.from(tags));
+      setRuns(runsData.runs || []);
+      setRunsPageToken(runsData.nextPageToken || null);
+
+      if (trendView === 'hourly' && serviceData.capabilities?.hourly) {
+        await loadHourlyCosts();
+      } else {
+        setTrendView('daily');
+      }
+
+      // Savings Plans and reservations, for providers that have them
+      if (serviceData.capabilities?.commitments) {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - COMMITMENT_DAYS);
+        setCommitments(await apiService.getCommitments(serviceId, {
+          connectionId,
+          startDate: startDate.toISOString().split('T')[0],
+        }).catch(err => {
+          toast.error('Failed to load commitments: ' + err.message);
+          return null;
+        }));
+      } else {
+        setCommitments(null);
+      }
+
+      // The latest forecasts, in total and per service
+      if (serviceData.capabilities?.forecast) {
+        setForecasts(await apiService.getForecasts(serviceId, { connectionId, scope: 'total' }).catch(err => {
+          toast.error('Failed to load forecasts: ' + err.message);
+          return null;
+        }));
+      } else {
+        setForecasts(null);
+      }
     } catch (err) {
       setError(err.message);
       toast.error('Failed to load service data: ' + err.message);
@@ -105,21 +190,114 @@ const ServiceDetail = () => {
 
   const handleRefresh = async () => {
     setRefreshing(true);
+    setCollectionProgress(null);
     try {
-      await apiService.triggerCostCollection(serviceId);
-      toast.success('Cost collection triggered successfully');
-      setTimeout(() => loadServiceData(), 2000);
+      const { runs, failed } = await apiService.collectWithProgress(
+        [{ serviceId, connectionId }],
+        setCollectionProgress
+      );
+
+      if (failed.length > 0) {
+        toast.error('Failed to refresh costs: ' + failed[0].error);
+      } else if (runs[0]?.status === 'error') {
+        toast.error('Cost collection failed: ' + runs[0].error);
+      } else if ((runs[0]?.result || runs[0])?.partialFailures?.length > 0) {
+        toast.warning(`Cost collection completed with ${(runs[0].result || runs[0]).partialFailures.length} partial failure(s)`);
+      } else {
+        toast.success('Cost collection completed');
+      }
+
+      loadServiceData();
     } catch (err) {
       toast.error('Failed to refresh costs: ' + err.message);
     } finally {
       setRefreshing(false);
+      setCollectionProgress(null);
+    }
+  };
+
+  // Intraday costs, for providers that collect them
+  const loadHourlyCosts = async () => {
+    const startDate = new Date(Date.now() - HOURLY_TREND_HOURS * 60 * 60 * 1000);
+    try {
+      const hourlyData = await apiService.getCosts({
+        serviceId,
+        connectionId,
+        granularity: 'hour',
+        startDate: startDate.toISOString(),
+        limit: HOURLY_TREND_HOURS,
+      });
+      setHourlyCosts(hourlyData.costs || []);
+    } catch (err) {
+      toast.error('Failed to load hourly costs: ' + err.message);
+    }
+  };
+
+  const handleTrendViewChange = (event, view) => {
+    if (!view) return;
+    setTrendView(view);
+    if (view === 'hourly') {
+      loadHourlyCosts();
+    }
+  };
+
+  const handleLoadMoreRuns = async () => {
+    setLoadingRuns(true);
+    try {
+      const runsData = await apiService.getCollectionRuns({
+        serviceId,
+        connectionId,
+        limit: RUNS_PAGE_SIZE,
+        pageToken: runsPageToken,
+      });
+      setRuns(prev => [...prev, ...(runsData.runs || [])]);
+      setRunsPageToken(runsData.nextPageToken || null);
+    } catch (err) {
+      toast.error('Failed to load collection runs: ' + err.message);
+    } finally {
+      setLoadingRuns(false);
+    }
+  };
+
+  // Resources are split by an AWS cost allocation tag or a GCP label when it is asked for
+  const getTagKey = (tag) => (tag !== 'all' ? tag : undefined);
+
+  const applyResourceData = (resourceDataRaw) => {
+    // Extract resources array from response
+    const resourceData = Array.isArray(resourceDataRaw) ? resourceDataRaw : (resourceDataRaw.resources || []);
+    setResourceCosts(resourceData);
+    const accountData = resourceDataRaw.accounts || [];
+    setAccounts(accountData);
+    if (!accountData.some(account => account.id === selectedAccount)) {
+      setSelectedAccount('all');
+    }
+
+    // Extract unique tags, and the AWS cost allocation tags costs are split by
+    const tags = new Set(resourceDataRaw.tagKeys || []);
+    resourceData.forEach(resource => {
+      if (resource.tags) {
+        Object.keys(resource.tags).forEach(tag => tags.add(tag));
+      }
+    });
+    setAvailableTags(Array.from(tags));
+  };
+
+  const handleTagChange = async (event) => {
+    const tag = event.target.value;
+    setSelectedTag(tag);
+    try {
+      applyResourceData(await apiService.getResourceCosts(serviceId, { connectionId, tagKey: getTagKey(tag) }));
+    } catch (err) {
+      toast.error('Failed to load resource costs: ' + err.message);
     }
   };
 
-  const handleTagChange = (event) => {
-    setSelectedTag(event.target.value);
+  const handleAccountChange = (event) => {
+    setSelectedAccount(event.target.value);
   };
 
+  const formatAccount = (account) => (account.name ? `${account.name} (${account.id})` : account.id);
+
   const formatCurrency = (amount) => {
     if (amount === null || amount === undefined) return 'N/A';
     return new Intl.NumberFormat('en-US', {
@@ -132,32 +310,73 @@ const ServiceDetail = () => {
     return new Date(dateString).toLocaleDateString();
   };
 
-  const getDashboardUrl = (serviceId) => {
-    const dashboardUrls = {
-      'aws': 'https://console.aws.amazon.com/billing/home#/',
-      'gcp': 'https://console.cloud.google.com/billing',
-      'google-workspace': 'https://admin.google.com/ac/billing',
-      'atlassian': 'https://admin.atlassian.com/',
-      'chatgpt': 'https://platform.openai.com/usage',
-      'cohere': 'https://dashboard.cohere.com/billing'
-    };
-    return dashboardUrls[serviceId];
+  const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '';
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
   };
 
+  const formatHour = (dateString) => {
+    return new Date(dateString).toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit' });
+  };
+
+  const latestForecasts = forecasts?.latest || [];
+  const totalForecast = latestForecasts.find(forecast => forecast.scope === 'total') || null;
+  const serviceForecasts = latestForecasts.filter(forecast => forecast.scope === 'service');
+
   // Prepare chart data
-  const chartData = (costs || [])
+  const hourlyTrend = trendView === 'hourly';
+  const chartData = ((hourlyTrend ? hourlyCosts : costs) || [])
     .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
     .map(cost => ({
-      date: formatDate(cost.timestamp),
+      timestamp: cost.timestamp,
+      date: hourlyTrend ? formatHour(cost.timestamp) : formatDate(cost.timestamp),
       cost: parseFloat(cost.totalCost) || 0,
     }));
 
-  // Filter resources by selected tag
-  const filteredResources = selectedTag === 'all'
-    ? resourceCosts
-    : resourceCosts.filter(resource =>
-        resource.tags && Object.keys(resource.tags).includes(selectedTag)
-      );
+  // The daily forecast for the rest of the month continues the daily trend,
+  // with its prediction interval as a band
+  const lastCostDate = chartData.length > 0 ? chartData[chartData.length - 1].timestamp.split('T')[0] : '';
+  const forecastChartData = !hourlyTrend && totalForecast
+    ? totalForecast.daily
+      .filter(point => point.date > lastCostDate)
+      .map(point => ({
+        date: formatDate(`${point.date}T00:00:00.000Z`),
+        forecast: point.mean,
+        band: point.lower !== null && point.upper !== null ? [point.lower, point.upper] : null,
+      }))
+    : [];
+  const trendData = [...chartData, ...forecastChartData];
+
+  const formatTrendValue = (value, name) => [
+    Array.isArray(value) ? `${formatCurrency(value[0])} – ${formatCurrency(value[1])}` : `$${value.toFixed(2)}`,
+    name,
+  ];
+
+  const formatForecastRange = (period) => (
+    period.lower !== null && period.upper !== null
+      ? `${formatCurrency(period.lower)} – ${formatCurrency(period.upper)}`
+      : 'No interval'
+  );
+
+  const formatPercentage = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(1)}%`);
+
+  // Commitment kinds the connection had in the period
+  const commitmentKinds = commitments ? [
+    { key: 'savingsPlans', label: 'Savings Plans', active: commitments.summary.savingsPlans.totalCommitment > 0 },
+    { key: 'reservations', label: 'Reserved Instances', active: commitments.summary.reservations.purchasedHours > 0 },
+  ].filter(kind => kind.active) : [];
+
+  const commitmentChartData = (commitments?.commitments || []).map(entry => ({
+    date: formatDate(entry.timestamp),
+    unused: entry.unusedCommitment || 0,
+  }));
+
+  // Filter resources by selected account and tag
+  const filteredResources = resourceCosts
+    .filter(resource => selectedAccount === 'all' || resource.account?.id === selectedAccount)
+    .filter(resource => selectedTag === 'all' ||
+      (resource.tags && Object.keys(resource.tags).includes(selectedTag))
+    );
 
   // Prepare resource breakdown data for chart
   const resourceChartData = filteredResources
@@ -188,12 +407,23 @@ const ServiceDetail = () => {
             color="inherit"
             startIcon={refreshing ? <CircularProgress size={20} color="inherit" /> : <RefreshIcon />}
             onClick={handleRefresh}
-            disabled={refreshing || loading}
+            disabled={refreshing || loading || !hasRole(user, 'analyst')}
           >
             Refresh
           </Button>
         </Toolbar>
       </AppBar>
+      {collectionProgress && (
+        <Box sx={{ px: 2, py: 1 }}>
+          <Typography variant="caption" color="text.secondary">
+            {collectionProgress.message}
+          </Typography>
+          <LinearProgress
+            variant={collectionProgress.status === 'queued' ? 'indeterminate' : 'determinate'}
+            value={collectionProgress.progress || 0}
+          />
+        </Box>
+      )}
 
       <Container maxWidth="lg" sx={{ mt: 4, mb: 4, flexGrow: 1 }}>
         {loading ? (
@@ -219,17 +449,35 @@ const ServiceDetail = () => {
                         Service ID: {serviceId}
                       </Typography>
                     </Box>
-                    <Chip
-                      label={service.enabled ? 'Active' : 'Inactive'}
-                      color={service.enabled ? 'success' : 'default'}
-                    />
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                      {(service.connections || []).length > 1 && (
+                        <FormControl size="small" sx={{ minWidth: 200 }}>
+                          <InputLabel>Account</InputLabel>
+                          <Select
+                            value={connectionId}
+                            onChange={(e) => setSelectedConnection(e.target.value)}
+                            label="Account"
+                          >
+                            {service.connections.map(connection => (
+                              <MenuItem key={connection.connectionId} value={connection.connectionId}>
+                                {connection.name}
+                              </MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      )}
+                      <Chip
+                        label={service.enabled ? 'Active' : 'Inactive'}
+                        color={service.enabled ? 'success' : 'default'}
+                      />
+                    </Box>
                   </Box>
-                  {getDashboardUrl(serviceId) && (
+                  {service.dashboardUrl && (
                     <Box sx={{ mt: 2, pt: 2, borderTop: '1px solid #444' }}>
                       <Button
                         variant="outlined"
                         size="small"
-                        href={getDashboardUrl(serviceId)}
+                        href={service.dashboardUrl}
                         target="_blank"
                         rel="noopener noreferrer"
                         sx={{ textTransform: 'none' }}
@@ -251,14 +499,31 @@ const ServiceDetail = () => {
             {/* Cost Trend Chart */}
             <Card sx={{ mb: 3 }}>
               <CardContent>
-                <Typography variant="h6" gutterBottom>
-                  Cost Trend (Last 30 Days)
-                </Typography>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="h6" gutterBottom>
+                    Cost Trend ({hourlyTrend ? `Last ${HOURLY_TREND_HOURS}h` : 'Last 30 Days'})
+                  </Typography>
+                  {service?.capabilities?.hourly && (
+                    <ToggleButtonGroup
+                      size="small"
+                      exclusive
+                      value={trendView}
+                      onChange={handleTrendViewChange}
+                    >
+                      <ToggleButton value="daily">30 days</ToggleButton>
+                      <ToggleButton value="hourly">Last {HOURLY_TREND_HOURS}h</ToggleButton>
+                    </ToggleButtonGroup>
+                  )}
+                </Box>
                 {chartData.length === 0 ? (
-                  <Alert severity="info">No cost data available</Alert>
+                  <Alert severity="info">
+                    {hourlyTrend
+                      ? 'No hourly cost data available. Hourly costs are collected for connections set to hourly granularity.'
+                      : 'No cost data available'}
+                  </Alert>
                 ) : (
                   <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={chartData}>
+                    <ComposedChart data={trendData}>
                       <CartesianGrid strokeDasharray="3 3" stroke="#444" />
                       <XAxis
                         dataKey="date"
@@ -276,23 +541,188 @@ const ServiceDetail = () => {
                           border: '1px solid #444',
                           borderRadius: '4px',
                         }}
-                        formatter={(value) => [`$${value.toFixed(2)}`, 'Cost']}
+                        formatter={formatTrendValue}
                       />
                       <Legend />
+                      {forecastChartData.length > 0 && (
+                        <Area
+                          type="monotone"
+                          dataKey="band"
+                          stroke="none"
+                          fill="#ce93d8"
+                          fillOpacity={0.25}
+                          name={`${totalForecast.predictionIntervalLevel}% interval`}
+                        />
+                      )}
                       <Line
                         type="monotone"
                         dataKey="cost"
                         stroke="#90caf9"
                         strokeWidth={2}
                         dot={{ fill: '#90caf9' }}
-                        name="Daily Cost"
+                        name={hourlyTrend ? 'Hourly Cost' : 'Daily Cost'}
                       />
-                    </LineChart>
+                      {forecastChartData.length > 0 && (
+                        <Line
+                          type="monotone"
+                          dataKey="forecast"
+                          stroke="#ce93d8"
+                          strokeWidth={2}
+                          strokeDasharray="5 5"
+                          dot={false}
+                          name="Forecast"
+                        />
+                      )}
+                    </ComposedChart>
                   </ResponsiveContainer>
                 )}
               </CardContent>
             </Card>
 
+            {/* Forecasts */}
+            {totalForecast && (
+              <Card sx={{ mb: 3 }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    Forecast
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Made on {formatDate(totalForecast.timestamp)}
+                    {totalForecast.predictionIntervalLevel
+                      ? `, with ${totalForecast.predictionIntervalLevel}% prediction intervals`
+                      : ', as a linear projection of this month\'s spend'}
+                  </Typography>
+                  <Box sx={{ display: 'flex', gap: 4, flexWrap: 'wrap', mb: serviceForecasts.length > 0 ? 2 : 0 }}>
+                    {FORECAST_PERIODS.filter(period => totalForecast.periods[period.key]).map(period => {
+                      const forecast = totalForecast.periods[period.key];
+                      return (
+                        <Box key={period.key} sx={{ minWidth: 200 }}>
+                          <Typography variant="body2" color="text.secondary">
+                            {period.label}
+                          </Typography>
+                          <Typography variant="h5">
+                            {formatCurrency(forecast.mean)}
+                          </Typography>
+                          <Typography variant="body2" color="text.secondary">
+                            {formatForecastRange(forecast)}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {formatCurrency(forecast.actual)} spent so far
+                          </Typography>
+                        </Box>
+                      );
+                    })}
+                  </Box>
+                  {serviceForecasts.length > 0 && (
+                    <TableContainer component={Paper} variant="outlined">
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Service</TableCell>
+                            {FORECAST_PERIODS.map(period => (
+                              <TableCell key={period.key} align="right">{period.label}</TableCell>
+                            ))}
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {serviceForecasts.map(forecast => (
+                            <TableRow key={forecast.service}>
+                              <TableCell>{forecast.service}</TableCell>
+                              {FORECAST_PERIODS.map(period => (
+                                <TableCell key={period.key} align="right">
+                                  {formatCurrency(forecast.periods[period.key]?.mean)}
+                                  <Typography variant="caption" display="block" color="text.secondary">
+                                    {forecast.periods[period.key] ? formatForecastRange(forecast.periods[period.key]) : ''}
+                                  </Typography>
+                                </TableCell>
+                              ))}
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Savings Plans and Reserved Instances */}
+            {commitments && (
+              <Card sx={{ mb: 3 }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    Commitments (last {COMMITMENT_DAYS} days)
+                  </Typography>
+                  {commitmentKinds.length === 0 ? (
+                    <Alert severity="info">No Savings Plans or Reserved Instances in this period</Alert>
+                  ) : (
+                    <>
+                      <Typography variant="body2" color="text.secondary">
+                        Unused commitment
+                      </Typography>
+                      <Typography
+                        variant="h4"
+                        color={commitments.summary.unusedCommitment > 0 ? 'warning.main' : 'text.primary'}
+                        sx={{ mb: 2 }}
+                      >
+                        {formatCurrency(commitments.summary.unusedCommitment)}
+                      </Typography>
+                      <Box sx={{ display: 'flex', gap: 4, flexWrap: 'wrap', mb: 2 }}>
+                        {commitmentKinds.map(kind => {
+                          const summary = commitments.summary[kind.key];
+                          return (
+                            <Box key={kind.key} sx={{ minWidth: 220 }}>
+                              <Typography variant="subtitle1" fontWeight="medium">
+                                {kind.label}
+                              </Typography>
+                              <Typography variant="body2" color="text.secondary">
+                                Utilization: {formatPercentage(summary.utilizationPercentage)}
+                              </Typography>
+                              <LinearProgress
+                                variant="determinate"
+                                value={Math.min(summary.utilizationPercentage || 0, 100)}
+                                color={summary.utilizationPercentage < 80 ? 'warning' : 'success'}
+                                sx={{ my: 0.5 }}
+                              />
+                              <Typography variant="body2" color="text.secondary">
+                                Coverage: {formatPercentage(summary.coveragePercentage)}
+                              </Typography>
+                              <Typography variant="body2" color="text.secondary">
+                                Unused: {formatCurrency(summary.unusedCommitment)}
+                              </Typography>
+                              <Typography variant="body2" color="text.secondary">
+                                Net savings: {formatCurrency(summary.netSavings)}
+                              </Typography>
+                            </Box>
+                          );
+                        })}
+                      </Box>
+                      <ResponsiveContainer width="100%" height={200}>
+                        <BarChart data={commitmentChartData}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                          <XAxis dataKey="date" stroke="#999" tick={{ fill: '#999' }} />
+                          <YAxis
+                            stroke="#999"
+                            tick={{ fill: '#999' }}
+                            tickFormatter={(value) => `$${value.toFixed(2)}`}
+                          />
+                          <Tooltip
+                            contentStyle={{
+                              backgroundColor: '#1e1e1e',
+                              border: '1px solid #444',
+                              borderRadius: '4px',
+                            }}
+                            formatter={(value) => [`$${value.toFixed(2)}`, 'Unused commitment']}
+                          />
+                          <Bar dataKey="unused" fill="#ffb74d" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+
             {/* Budgets and Alerts */}
             {budgets.length > 0 && (
               <Card sx={{ mb: 3 }}>
@@ -451,6 +881,89 @@ const ServiceDetail = () => {
               </Card>
             )}
 
+            {/* Collection Run Timeline */}
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Collection Runs
+                </Typography>
+                {runs.length === 0 ? (
+                  <Alert severity="info">No collection runs recorded yet</Alert>
+                ) : (
+                  <Box>
+                    {runs.map((run) => {
+                      const statusStyle = RUN_STATUS_STYLES[run.status] || RUN_STATUS_STYLES.running;
+                      return (
+                        <Box
+                          key={run.id}
+                          sx={{ display: 'flex', gap: 2, pb: 2, pl: 2, borderLeft: '2px solid #444', position: 'relative' }}
+                        >
+                          <Box
+                            sx={{
+                              position: 'absolute',
+                              left: -7,
+                              top: 4,
+                              width: 12,
+                              height: 12,
+                              borderRadius: '50%',
+                              bgcolor: `${statusStyle.color}.main`,
+                            }}
+                          />
+                          <Box sx={{ flexGrow: 1 }}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                              <Typography variant="body2" fontWeight="bold">
+                                {new Date(run.startedAt).toLocaleString()}
+                              </Typography>
+                              <Chip label={statusStyle.label} color={statusStyle.color} size="small" />
+                              <Chip label={RUN_TRIGGER_LABELS[run.trigger] || run.trigger} size="small" variant="outlined" />
+                              {run.partialFailures?.length > 0 && (
+                                <Chip label={`${run.partialFailures.length} partial failure(s)`} color="warning" size="small" variant="outlined" />
+                              )}
+                              {run.durationMs !== null && run.durationMs !== undefined && (
+                                <Typography variant="caption" color="text.secondary">
+                                  {formatDuration(run.durationMs)}
+                                </Typography>
+                              )}
+                            </Box>
+                            <Typography variant="body2" color="text.secondary">
+                              {run.newRecords} new, {run.updatedRecords} updated
+                              {run.startDate && ` · ${run.startDate}${run.endDate && run.endDate !== run.startDate ? ` to ${run.endDate}` : ''}`}
+                            </Typography>
+                            {(run.warnings || []).map((warning, index) => (
+                              <Typography key={index} variant="body2" color="warning.main">
+                                {warning}
+                              </Typography>
+                            ))}
+                            {(run.partialFailures || []).map((failure, index) => (
+                              <Typography key={`partial-${index}`} variant="body2" color="warning.main">
+                                Could not collect {failure.scope}: {failure.message}
+                                {failure.attempts > 1 && ` (${failure.attempts} attempts)`}
+                              </Typography>
+                            ))}
+                            {run.error && (
+                              <Typography variant="body2" color="error.main">
+                                {run.error}
+                              </Typography>
+                            )}
+                          </Box>
+                        </Box>
+                      );
+                    })}
+                    {runsPageToken && (
+                      <Button
+                        size="small"
+                        onClick={handleLoadMoreRuns}
+                        disabled={loadingRuns}
+                        startIcon={loadingRuns ? <CircularProgress size={16} /> : undefined}
+                      >
+                        Load More
+                      </Button>
+                    )}
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+
             {/* Resource Breakdown */}
             <Card sx={{ mb: 3 }}>
               <CardContent>
@@ -458,23 +971,51 @@ const ServiceDetail = () => {
                   <Typography variant="h6">
                     Resource Breakdown
                   </Typography>
-                  {availableTags.length > 0 && (
-                    <FormControl size="small" sx={{ minWidth: 200 }}>
-                      <InputLabel>Filter by Tag</InputLabel>
-                      <Select
-                        value={selectedTag}
-                        onChange={handleTagChange}
-                        label="Filter by Tag"
-                      >
-                        <MenuItem value="all">All Resources</MenuItem>
-                        {availableTags.map(tag => (
-                          <MenuItem key={tag} value={tag}>
-                            {tag}
-                          </MenuItem>
-                        ))}
-                      </Select>
-                    </FormControl>
-                  )}
+                  <Box sx={{ display: 'flex', gap: 2 }}>
+                    {accounts.length > 1 && (
+                      <FormControl size="small" sx={{ minWidth: 240 }}>
+                        <InputLabel>Account</InputLabel>
+                        <Select
+                          value={selectedAccount}
+                          onChange={handleAccountChange}
+                          label="Account"
+                        >
+                          <MenuItem value="all">All Accounts</MenuItem>
+                          {accounts.map(account => (
+                            <MenuItem key={account.id} value={account.id}>
+                              <Box>
+                                <Typography variant="body1">
+                                  {formatAccount(account)}: {formatCurrency(account.totalCost)}
+                                </Typography>
+                                {account.ouPath && (
+                                  <Typography variant="caption" color="text.secondary">
+                                    {account.ouPath}
+                                  </Typography>
+                                )}
+                              </Box>
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    )}
+                    {availableTags.length > 0 && (
+                      <FormControl size="small" sx={{ minWidth: 200 }}>
+                        <InputLabel>Filter by Tag</InputLabel>
+                        <Select
+                          value={selectedTag}
+                          onChange={handleTagChange}
+                          label="Filter by Tag"
+                        >
+                          <MenuItem value="all">All Resources</MenuItem>
+                          {availableTags.map(tag => (
+                            <MenuItem key={tag} value={tag}>
+                              {tag}
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    )}
+                  </Box>
                 </Box>
 
                 {resourceChartData.length === 0 ? (
@@ -515,6 +1056,7 @@ const ServiceDetail = () => {
                           <TableRow>
                             <TableCell>Resource</TableCell>
                             <TableCell>Type</TableCell>
+                            {accounts.length > 0 && <TableCell>Account</TableCell>}
                             <TableCell align="right">Cost</TableCell>
                             <TableCell>Tags</TableCell>
                           </TableRow>
@@ -526,6 +1068,20 @@ const ServiceDetail = () => {
                               <TableRow key={index}>
                                 <TableCell>{resource.name || resource.resourceId}</TableCell>
                                 <TableCell>{resource.resourceType || 'N/A'}</TableCell>
+                                {accounts.length > 0 && (
+                                  <TableCell>
+                                    {resource.account ? (
+                                      <Box
+                                        component="span"
+                                        sx={{ cursor: 'pointer', textDecoration: 'underline' }}
+                                        title={resource.account.ouPath || undefined}
+                                        onClick={() => setSelectedAccount(resource.account.id)}
+                                      >
+                                        {formatAccount(resource.account)}
+                                      </Box>
+                                    ) : 'N/A'}
+                                  </TableCell>
+                                )}
                                 <TableCell align="right">
                                   {formatCurrency(resource.totalCost)}
                                 </TableCell>
@@ -8,6 +8,13 @@ import {
   Container,
   Divider,
   IconButton,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
   TextField,
   Toolbar,
   Typography,
@@ -20,10 +27,19 @@ import {
   Save as SaveIcon,
   Check as CheckIcon,
   Close as CloseIcon,
+  Logout as LogoutIcon,
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import apiService from '../services/api';
+import { ROLES, clearSession, hasRole, useCurrentUser } from '../services/auth';
+
+const PROVIDER_LABELS = {
+  dev: 'Development',
+  firebase: 'Firebase',
+  oidc: 'Single Sign-On',
+  'api-key': 'API Key',
+};
 
 const Settings = () => {
   const navigate = useNavigate();
@@ -31,6 +47,9 @@ const Settings = () => {
   const [testing, setTesting] = useState(false);
   const [healthStatus, setHealthStatus] = useState(null);
   const [hasChanges, setHasChanges] = useState(false);
+  const user = useCurrentUser();
+  const [users, setUsers] = useState(null);
+  const [defaultRole, setDefaultRole] = useState(null);
 
   useEffect(() => {
     // Load current API URL from environment or default
@@ -39,6 +58,40 @@ const Settings = () => {
     checkHealth();
   }, []);
 
+  const isAdmin = hasRole(user, 'admin');
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadUsers();
+    }
+  }, [isAdmin]);
+
+  const loadUsers = async () => {
+    try {
+      const data = await apiService.getUsers();
+      setUsers(data.users);
+      setDefaultRole(data.defaultRole);
+    } catch (err) {
+      toast.error('Failed to load users: ' + err.message);
+    }
+  };
+
+  const handleRoleChange = async (userId, role) => {
+    try {
+      const { user: updated } = await apiService.updateUserRole(userId, role === 'default' ? null : role);
+      setUsers(users.map(u => (u.userId === userId ? updated : u)));
+      toast.success(`${updated.name || updated.email || userId} is now ${updated.role}`);
+    } catch (err) {
+      toast.error('Failed to update role: ' + err.message);
+    }
+  };
+
+  const handleSignOut = () => {
+    clearSession();
+    toast.info('Signed out');
+    navigate('/login');
+  };
+
   const checkHealth = async () => {
     setTesting(true);
     try {
@@ -104,6 +157,96 @@ const Settings = () => {
       </AppBar>
 
       <Container maxWidth="md" sx={{ mt: 4, mb: 4, flexGrow: 1 }}>
+        {/* Account */}
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Account
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+              <Box>
+                <Typography variant="body1">
+                  {user ? user.name : 'Signed in'}
+                </Typography>
+                {user?.email && user.email !== user.name && (
+                  <Typography variant="body2" color="text.secondary">
+                    {user.email}
+                  </Typography>
+                )}
+                {user && (
+                  <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                    <Chip label={PROVIDER_LABELS[user.provider] || user.provider} size="small" />
+                    {user.role && <Chip label={user.role} size="small" color="primary" variant="outlined" />}
+                  </Box>
+                )}
+              </Box>
+              <Button variant="outlined" color="error" startIcon={<LogoutIcon />} onClick={handleSignOut}>
+                Sign Out
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+
+        {/* Users (admins only) */}
+        {isAdmin && (
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Users
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Viewers can see costs, analysts can also run collections and backfills, and admins can also manage credentials, schedules and users. Users appear here after they first sign in{defaultRole ? ` and start as ${defaultRole}` : ''}.
+              </Typography>
+
+              {users === null ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                  <CircularProgress size={24} />
+                </Box>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>User</TableCell>
+                      <TableCell>Last Seen</TableCell>
+                      <TableCell>Role</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {users.map((u) => (
+                      <TableRow key={u.userId}>
+                        <TableCell>
+                          <Typography variant="body2">{u.name || u.userId}</Typography>
+                          {u.email && u.email !== u.name && (
+                            <Typography variant="caption" color="text.secondary">{u.email}</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2" color="text.secondary">
+                            {u.lastSeenAt ? new Date(u.lastSeenAt).toLocaleString() : 'Never'}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            size="small"
+                            value={u.roleSource === 'default' ? 'default' : u.role}
+                            onChange={(e) => handleRoleChange(u.userId, e.target.value)}
+                            disabled={u.userId === user.id || u.roleSource === 'env'}
+                          >
+                            <MenuItem value="default">Default ({defaultRole})</MenuItem>
+                            {ROLES.map(role => (
+                              <MenuItem key={role} value={role}>{role}</MenuItem>
+                            ))}
+                          </Select>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
         {/* API Configuration */}
         <Card sx={{ mb: 3 }}>
           <CardContent>
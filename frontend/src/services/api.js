@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { clearSession, getAccessToken } from './auth';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
 
@@ -11,10 +12,13 @@ const api = axios.create({
   timeout: 30000, // 30 seconds
 });
 
-// Request interceptor for adding auth tokens (if needed in future)
+// Request interceptor adding the signed-in user's token
 api.interceptors.request.use(
-  (config) => {
-    // Add any authentication tokens here if needed
+  async (config) => {
+    const token = await getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -29,7 +33,14 @@ api.interceptors.response.use(
     if (error.response) {
       // Server responded with error status
       console.error('API Error:', error.response.data);
-      throw new Error(error.response.data.error || 'An error occurred');
+      if (error.response.status === 401) {
+        // Token rejected: sign out so the app shows the login page
+        clearSession();
+      }
+      const apiError = new Error(error.response.data.error || 'An error occurred');
+      apiError.status = error.response.status;
+      apiError.data = error.response.data;
+      throw apiError;
     } else if (error.request) {
       // Request made but no response received
       console.error('Network Error:', error.request);
@@ -42,6 +53,9 @@ api.interceptors.response.use(
   }
 );
 
+// How often collectWithProgress checks runs directly, in case events are missed
+const COLLECTION_POLL_INTERVAL_MS = 10000;
+
 // API Methods
 const apiService = {
   // Health
@@ -50,6 +64,46 @@ const apiService = {
     return response.data;
   },
 
+  // Authentication
+  async getAuthConfig() {
+    const response = await api.get('/api/auth/config');
+    return response.data;
+  },
+
+  async devLogin(email, name) {
+    const response = await api.post('/api/auth/dev/login', { email, name });
+    return response.data;
+  },
+
+  async getCurrentUser() {
+    const response = await api.get('/api/auth/me');
+    return response.data;
+  },
+
+  async getStreamToken() {
+    const response = await api.post('/api/auth/stream-token');
+    return response.data;
+  },
+
+  // Users and roles (admin)
+  async getUsers() {
+    const response = await api.get('/api/users');
+    return response.data;
+  },
+
+  // role null restores the default role
+  async updateUserRole(userId, role) {
+    const response = await api.put(`/api/users/${encodeURIComponent(userId)}/role`, { role });
+    return response.data;
+  },
+
+  // Audit log (admin); filters: targetType, action, targetId, serviceId,
+  // actorId, startDate, endDate, limit, pageToken
+  async getAuditLog(params = {}) {
+    const response = await api.get('/api/audit', { params });
+    return response.data;
+  },
+
   // Services
   async getServices() {
     const response = await api.get('/api/services');
@@ -87,8 +141,108 @@ const apiService = {
     return response.data;
   },
 
-  async triggerCostCollection(serviceId) {
-    const response = await api.post('/api/costs/collect', { serviceId });
+  async triggerCostCollection(serviceId, connectionId) {
+    // Queues the collection and returns its runId (202); without a
+    // connectionId the backend collects the default connection
+    const response = await api.post('/api/costs/collect', { serviceId, connectionId });
+    return response.data;
+  },
+
+  // Listen to collection progress events (Server-Sent Events). Returns a
+  // function that closes the stream. EventSource can't send headers, so the
+  // stream is opened with a short-lived stream token.
+  subscribeToCollectionProgress(params, onEvent) {
+    let source = null;
+    let closed = false;
+
+    apiService.getStreamToken()
+      .then(({ token }) => {
+        if (closed) return;
+        const query = new URLSearchParams({ ...(params || {}), streamToken: token }).toString();
+        source = new EventSource(`${API_BASE_URL}/api/costs/runs/events?${query}`);
+        source.addEventListener('progress', (message) => onEvent(JSON.parse(message.data)));
+      })
+      .catch((err) => {
+        // Callers poll for results when the stream is unavailable
+        console.error('Could not open the progress stream:', err.message);
+      });
+
+    return () => {
+      closed = true;
+      if (source) source.close();
+    };
+  },
+
+  // Queue collections for several connections and follow them until they
+  // finish. onProgress gets every progress event of the queued runs. Resolves
+  // with { runs, failed }: the final event of each run and the connections
+  // that could not be queued. queue starts one run and resolves with its
+  // runId, POST /api/costs/collect by default.
+  collectWithProgress(
+    connections,
+    onProgress = () => {},
+    queue = connection => apiService.triggerCostCollection(connection.serviceId, connection.connectionId)
+  ) {
+    return new Promise((resolve) => {
+      const latest = {};
+      const runIds = new Set();
+      const failed = [];
+      let queued = false;
+      let finished = false;
+
+      const isFinal = (event) => event && (event.status === 'success' || event.status === 'error');
+
+      const handleEvent = (event) => {
+        latest[event.runId] = event;
+        if (runIds.has(event.runId)) {
+          onProgress(event);
+        }
+        finishIfDone();
+      };
+
+      const close = apiService.subscribeToCollectionProgress({}, handleEvent);
+
+      // Fall back to polling in case the event stream is unavailable
+      const poll = setInterval(async () => {
+        for (const runId of runIds) {
+          if (isFinal(latest[runId])) continue;
+          try {
+            const run = await apiService.getCollectionRun(runId);
+            if (isFinal(run)) {
+              handleEvent({ ...run, runId, progress: 100, message: run.status === 'success' ? 'Completed' : 'Failed' });
+            }
+          } catch (err) {
+            // Try again on the next poll
+          }
+        }
+      }, COLLECTION_POLL_INTERVAL_MS);
+
+      const finishIfDone = () => {
+        if (finished || !queued || ![...runIds].every(runId => isFinal(latest[runId]))) return;
+        finished = true;
+        close();
+        clearInterval(poll);
+        resolve({ runs: [...runIds].map(runId => latest[runId]), failed });
+      };
+
+      Promise.allSettled(connections.map(queue)).then((results) => {
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            runIds.add(result.value.runId);
+          } else {
+            failed.push({ ...connections[index], error: result.reason.message });
+          }
+        });
+        // Events that arrived before the runIds were known
+        runIds.forEach(runId => latest[runId] && onProgress(latest[runId]));
+        queued = true;
+        finishIfDone();
+      });
+    });
+  },
+
+  async getCollectionRun(runId) {
+    const response = await api.get(`/api/costs/runs/${runId}`);
     return response.data;
   },
 
@@ -102,13 +256,31 @@ const apiService = {
     return response.data;
   },
 
+  // Collection run history, newest first; pass nextPageToken as pageToken for the next page
+  async getCollectionRuns(params = {}) {
+    const response = await api.get('/api/costs/runs', { params });
+    return response.data;
+  },
+
   async getCostAnomalies(params = {}) {
     const response = await api.get('/api/costs/anomalies', { params });
     return response.data;
   },
 
-  async getBudgetsForService(serviceId) {
-    const response = await api.get(`/api/costs/${serviceId}/budgets`);
+  async getBudgetsForService(serviceId, connectionId) {
+    const response = await api.get(`/api/costs/${serviceId}/budgets`, {
+      params: { connectionId },
+    });
+    return response.data;
+  },
+
+  async getCommitments(serviceId, params = {}) {
+    const response = await api.get(`/api/commitments/${serviceId}`, { params });
+    return response.data;
+  },
+
+  async getForecasts(serviceId, params = {}) {
+    const response = await api.get(`/api/forecasts/${serviceId}`, { params });
     return response.data;
   },
 
@@ -118,83 +290,113 @@ const apiService = {
     return response.data;
   },
 
-  async getCredential(serviceId) {
-    const response = await api.get(`/api/credentials/${serviceId}`);
+  // Credentials are keyed by connectionId; a provider's default connection
+  // uses its serviceId
+  async getCredential(connectionId) {
+    const response = await api.get(`/api/credentials/${connectionId}`);
     return response.data;
   },
 
-  async saveCredential(serviceId, credentials, credentialType) {
-    // Extract service-specific metadata fields that should be sent separately
-    const {
-      billingAccountId,
-      customerId,
-      adminEmail,
-      accountId,
-      ...actualCredentials
-    } = credentials;
-
-    const payload = {
-      credentials: actualCredentials,
+  async saveCredential(connectionId, credentials, credentialType, name) {
+    // The backend splits out service-specific metadata fields (billingAccountId,
+    // customerId, ...) using the collector registry
+    const response = await api.post(`/api/credentials/${connectionId}`, {
+      credentials,
       credentialType,
-    };
+      name,
+    });
+    return response.data;
+  },
 
-    // Add service-specific metadata
-    if (billingAccountId) payload.billingAccountId = billingAccountId;
-    if (customerId) payload.customerId = customerId;
-    if (adminEmail) payload.adminEmail = adminEmail;
-    if (accountId) payload.accountId = accountId;
+  async createConnection(serviceId, name, credentials, credentialType) {
+    const response = await api.post(`/api/credentials/${serviceId}/connections`, {
+      name,
+      credentials,
+      credentialType,
+    });
+    return response.data;
+  },
 
-    const response = await api.post(`/api/credentials/${serviceId}`, payload);
+  // Secret values are masked unless a token from getRevealToken is passed
+  async revealCredential(connectionId, revealToken) {
+    const response = await api.post(`/api/credentials/${connectionId}/reveal`, { revealToken });
     return response.data;
   },
 
-  async revealCredential(serviceId) {
-    const response = await api.post(`/api/credentials/${serviceId}/reveal`);
+  // Single-use token for one full reveal; fails with data.reauthenticate when
+  // the user has to sign in again first
+  async getRevealToken(connectionId) {
+    const response = await api.post(`/api/credentials/${connectionId}/reveal-token`);
     return response.data;
   },
 
-  async testCredential(serviceId, credentials) {
-    const response = await api.post(`/api/credentials/${serviceId}/test`, {
+  async testCredential(connectionId, credentials, credentialType) {
+    const response = await api.post(`/api/credentials/${connectionId}/test`, {
       credentials,
+      credentialType,
     });
     return response.data;
   },
 
-  async deleteCredential(serviceId) {
-    const response = await api.delete(`/api/credentials/${serviceId}`);
+  // Secret versions, newest first, with masked values
+  async getCredentialVersions(connectionId) {
+    const response = await api.get(`/api/credentials/${connectionId}/versions`);
+    return response.data;
+  },
+
+  async restoreCredentialVersion(connectionId, version) {
+    const response = await api.post(`/api/credentials/${connectionId}/versions/${version}/restore`);
+    return response.data;
+  },
+
+  async disableCredentialVersion(connectionId, version) {
+    const response = await api.post(`/api/credentials/${connectionId}/versions/${version}/disable`);
+    return response.data;
+  },
+
+  async enableCredentialVersion(connectionId, version) {
+    const response = await api.post(`/api/credentials/${connectionId}/versions/${version}/enable`);
+    return response.data;
+  },
+
+  async deleteCredential(connectionId) {
+    const response = await api.delete(`/api/credentials/${connectionId}`);
     return response.data;
   },
 
-  // Schedules
+  // Schedules (keyed by connectionId)
   async getSchedules() {
     const response = await api.get('/api/schedules');
     return response.data;
   },
 
-  async getSchedule(serviceId) {
-    const response = await api.get(`/api/schedules/${serviceId}`);
+  async getSchedule(connectionId) {
+    const response = await api.get(`/api/schedules/${connectionId}`);
     return response.data;
   },
 
-  async updateSchedule(serviceId, scheduleData) {
-    const response = await api.put(`/api/schedules/${serviceId}`, scheduleData);
+  async updateSchedule(connectionId, scheduleData) {
+    const response = await api.put(`/api/schedules/${connectionId}`, scheduleData);
     return response.data;
   },
 
-  async deleteSchedule(serviceId) {
-    const response = await api.delete(`/api/schedules/${serviceId}`);
+  async deleteSchedule(connectionId) {
+    const response = await api.delete(`/api/schedules/${connectionId}`);
     return response.data;
   },
 
-  async runSchedule(serviceId) {
-    const response = await api.post(`/api/schedules/${serviceId}/run`);
+  // Queues the connection's collection and returns its runId (202); the
+  // outcome is recorded on the schedule when the run finishes
+  async runSchedule(connectionId) {
+    const response = await api.post(`/api/schedules/${connectionId}/run`);
     return response.data;
   },
 
   // Backfill
-  async createBackfillJob(serviceId, startDate, endDate) {
+  async createBackfillJob(serviceId, startDate, endDate, connectionId) {
     const response = await api.post('/api/backfill', {
       serviceId,
+      connectionId,
       startDate,
       endDate,
     });
@@ -0,0 +1,264 @@
+// Sign-in session and identity provider flows. The API verifies the token
+// kept here; GET /api/auth/config lists the enabled sign-in methods.
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const SESSION_KEY = 'billingManagerSession';
+const OIDC_LOGIN_KEY = 'billingManagerOidcLogin';
+
+// Refresh tokens this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Fired on window whenever the session is saved or cleared
+export const AUTH_CHANGED_EVENT = 'auth:changed';
+
+const notify = () => window.dispatchEvent(new Event(AUTH_CHANGED_EVENT));
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  notify();
+  return session;
+};
+
+export const clearSession = () => {
+  if (!localStorage.getItem(SESSION_KEY)) return;
+  localStorage.removeItem(SESSION_KEY);
+  notify();
+};
+
+// Record the identity returned by GET /api/auth/me on the session
+export const setSessionUser = (user) => {
+  const session = getSession();
+  if (session) {
+    saveSession({ ...session, user });
+  }
+};
+
+// Roles from least to most privileged, as enforced by the API. Each role can
+// do everything the roles before it can.
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+// Whether a user may perform actions requiring a role
+export const hasRole = (user, required) =>
+  Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(required);
+
+// Signed-in user (with role), updated when the session changes
+export const useCurrentUser = () => {
+  const [user, setUser] = useState(getSession()?.user || null);
+
+  useEffect(() => {
+    const handleChange = () => setUser(getSession()?.user || null);
+    window.addEventListener(AUTH_CHANGED_EVENT, handleChange);
+    return () => window.removeEventListener(AUTH_CHANGED_EVENT, handleChange);
+  }, []);
+
+  return user;
+};
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomString = () => base64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+const decodeJwtPayload = (token) => {
+  const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(atob(payload));
+};
+
+const formBody = (params) => new URLSearchParams(params).toString();
+const FORM_HEADERS = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+// Sign in with Firebase Authentication email and password, through its REST API
+export const signInWithFirebase = async (config, email, password) => {
+  if (!config.apiKey) {
+    throw new Error('Firebase sign-in is not configured (AUTH_FIREBASE_API_KEY)');
+  }
+
+  try {
+    const response = await axios.post(
+      `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${config.apiKey}`,
+      { email, password, returnSecureToken: true }
+    );
+    const { idToken, refreshToken, expiresIn, localId, displayName } = response.data;
+
+    return saveSession({
+      provider: 'firebase',
+      token: idToken,
+      refreshToken,
+      expiresAt: Date.now() + Number(expiresIn) * 1000,
+      apiKey: config.apiKey,
+      user: { id: `firebase:${localId}`, email, name: displayName || email, provider: 'firebase' },
+    });
+  } catch (err) {
+    // e.g. INVALID_LOGIN_CREDENTIALS, USER_DISABLED
+    const code = err.response?.data?.error?.message;
+    throw new Error(code ? `Sign-in failed: ${code.replace(/_/g, ' ').toLowerCase()}` : err.message);
+  }
+};
+
+const discoverOidc = async (issuer) => {
+  const response = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  return response.data;
+};
+
+// Start the OpenID Connect authorization code flow with PKCE. The browser
+// leaves the app and comes back to /login/callback. With reauthenticate, the
+// identity provider asks for the user's credentials even if they are signed in.
+export const startOidcSignIn = async (config, returnTo = '/', { reauthenticate = false } = {}) => {
+  const discovery = await discoverOidc(config.issuer);
+  const verifier = randomString();
+  const challenge = base64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+  const state = randomString();
+  const nonce = randomString();
+
+  sessionStorage.setItem(OIDC_LOGIN_KEY, JSON.stringify({ verifier, state, nonce, returnTo }));
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: `${window.location.origin}/login/callback`,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  });
+  if (reauthenticate) {
+    params.set('prompt', 'login');
+    params.set('max_age', '0');
+  }
+  window.location.assign(`${discovery.authorization_endpoint}?${params.toString()}`);
+};
+
+// Finish the OpenID Connect flow on /login/callback
+// Returns the path to go back to
+export const completeOidcSignIn = async (config, search) => {
+  const params = new URLSearchParams(search);
+  const pending = JSON.parse(sessionStorage.getItem(OIDC_LOGIN_KEY) || 'null');
+  sessionStorage.removeItem(OIDC_LOGIN_KEY);
+
+  if (params.get('error')) {
+    throw new Error(params.get('error_description') || params.get('error'));
+  }
+  if (!pending || params.get('state') !== pending.state) {
+    throw new Error('Sign-in response does not match a sign-in started here. Please try again.');
+  }
+
+  const discovery = await discoverOidc(config.issuer);
+  const response = await axios.post(discovery.token_endpoint, formBody({
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    redirect_uri: `${window.location.origin}/login/callback`,
+    client_id: config.clientId,
+    code_verifier: pending.verifier,
+  }), { headers: FORM_HEADERS });
+
+  const { id_token: idToken, refresh_token: refreshToken } = response.data;
+  const claims = decodeJwtPayload(idToken);
+  if (claims.nonce !== pending.nonce) {
+    throw new Error('Sign-in response does not match a sign-in started here. Please try again.');
+  }
+
+  saveSession({
+    provider: 'oidc',
+    token: idToken,
+    refreshToken: refreshToken || null,
+    expiresAt: claims.exp * 1000,
+    tokenEndpoint: discovery.token_endpoint,
+    clientId: config.clientId,
+    user: { id: `oidc:${claims.sub}`, email: claims.email || null, name: claims.name || claims.email || claims.sub, provider: 'oidc' },
+  });
+  return pending.returnTo || '/';
+};
+
+// Static API keys don't expire; the key is checked by the API on every request
+export const signInWithApiKey = (apiKey) => saveSession({
+  provider: 'api-key',
+  token: apiKey,
+  expiresAt: null,
+  user: null,
+});
+
+// Token issued by POST /api/auth/dev/login
+export const signInWithDevToken = ({ token, expiresAt, user }) => saveSession({
+  provider: 'dev',
+  token,
+  expiresAt: Date.parse(expiresAt),
+  user,
+});
+
+const refreshSession = async (session) => {
+  if (session.provider === 'firebase') {
+    const response = await axios.post(
+      `https://securetoken.googleapis.com/v1/token?key=${session.apiKey}`,
+      formBody({ grant_type: 'refresh_token', refresh_token: session.refreshToken }),
+      { headers: FORM_HEADERS }
+    );
+    return saveSession({
+      ...session,
+      token: response.data.id_token,
+      refreshToken: response.data.refresh_token,
+      expiresAt: Date.now() + Number(response.data.expires_in) * 1000,
+    });
+  }
+
+  if (session.provider === 'oidc') {
+    const response = await axios.post(session.tokenEndpoint, formBody({
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken,
+      client_id: session.clientId,
+    }), { headers: FORM_HEADERS });
+    const token = response.data.id_token;
+    return saveSession({
+      ...session,
+      token,
+      refreshToken: response.data.refresh_token || session.refreshToken,
+      expiresAt: decodeJwtPayload(token).exp * 1000,
+    });
+  }
+
+  throw new Error('Session expired');
+};
+
+let refreshing = null;
+
+// Token to send to the API, refreshed when it is about to expire. Resolves
+// with null when signed out or when the session can't be refreshed.
+export const getAccessToken = async () => {
+  const session = getSession();
+  if (!session) return null;
+
+  if (!session.expiresAt || session.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return session.token;
+  }
+
+  if (!session.refreshToken) {
+    clearSession();
+    return null;
+  }
+
+  if (!refreshing) {
+    refreshing = refreshSession(session).finally(() => {
+      refreshing = null;
+    });
+  }
+
+  try {
+    const refreshed = await refreshing;
+    return refreshed.token;
+  } catch (err) {
+    console.error('Could not refresh session:', err.message);
+    clearSession();
+    return null;
+  }
+};
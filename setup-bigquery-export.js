@@ -1,37 +0,0 @@
-// Setup script to configure BigQuery billing export
-const { execSync } = require('child_process');
-
-const billingAccountId = '01C55A-05863D-B3C399';
-const projectId = 'billing-manager-gf';
-const datasetId = 'billing_data';
-
-console.log('Setting up BigQuery Billing Export...');
-console.log('');
-console.log('Configuration:');
-console.log('  Billing Account:', billingAccountId);
-console.log('  Project:', projectId);
-console.log('  Dataset:', datasetId);
-console.log('');
-
-// Unfortunately, the Cloud Billing API doesn't have a direct method to configure
-// BigQuery export via gcloud or API. It must be done through the Console UI.
-
-console.log('Please configure BigQuery export manually:');
-console.log('');
-console.log('Option 1 - Direct Console Link:');
-console.log(`  https://console.cloud.google.com/billing/${billingAccountId}/export`);
-console.log('');
-console.log('Option 2 - Via Billing Settings:');
-console.log('  1. Go to: https://console.cloud.google.com/billing');
-console.log('  2. Click on "My Billing Account"');
-console.log('  3. Click "Billing export" in the left menu');
-console.log('  4. Click "EDIT SETTINGS" under "BigQuery export"');
-console.log('  5. Select:');
-console.log(`     - Project: ${projectId}`);
-console.log(`     - Dataset: ${datasetId}`);
-console.log('  6. Click "SAVE"');
-console.log('');
-console.log('After configuration:');
-console.log('  - Wait 24-48 hours for data to populate');
-console.log('  - Refresh the GCP card in your billing manager app');
-console.log('  - Real costs will be displayed automatically');